@@ -2,9 +2,30 @@
  * ShareButton.js - Handles sharing functionality for tool pages
  */
 
-function shareTool() {
+let shareUrlProvider = null;
+
+/**
+ * Let a page share a link to its current state instead of its plain address
+ * @param {Function|null} provider - Returns the URL to share (may be async)
+ */
+function setShareUrlProvider(provider) {
+    shareUrlProvider = provider;
+}
+
+async function getShareUrl() {
+    if (shareUrlProvider) {
+        try {
+            return await shareUrlProvider();
+        } catch (error) {
+            console.error('Error creating share link:', error);
+        }
+    }
+    return window.location.href;
+}
+
+async function shareTool() {
     const toolName = document.querySelector('h1')?.textContent || 'Free Tool';
-    const toolUrl = window.location.href;
+    const toolUrl = await getShareUrl();
     const toolDescription = document.querySelector('meta[name="description"]')?.content || 
                           `Check out this amazing ${toolName} tool on FreeToolHub!`;
 
@@ -146,5 +167,6 @@ function showShareFeedback(message) {
 
 // Make shareTool globally available
 window.shareTool = shareTool;
+window.setShareUrlProvider = setShareUrlProvider;
 
 
@@ -11,10 +11,12 @@ class AdvancedCalculator {
         try {
             // Initialize core components
             this.operatorTable = new OperatorTable();
-            this.tokenizer = new Tokenizer(this.operatorTable);
+            this.dimensionEngine = typeof window.DimensionEngine !== 'undefined' ? new DimensionEngine() : null;
+            this.tokenizer = new Tokenizer(this.operatorTable, this.dimensionEngine);
             this.parser = new Parser(this.operatorTable);
-            this.evaluator = new Evaluator(this.operatorTable);
+            this.evaluator = new Evaluator(this.operatorTable, this.dimensionEngine);
             this.functionRegistry = new FunctionRegistry(this.operatorTable);
+            this.tokenizer.setVariableLookup(name => this.evaluator.hasVariable(name));
             
             // Calculator state
             this.lastResult = null;
@@ -33,7 +35,10 @@ class AdvancedCalculator {
     }
 
     /**
-     * Calculate the result of a mathematical expression
+     * Calculate the result of a mathematical expression or script. Statements
+     * are separated by ';' or new lines and may define functions
+     * ("f(x, y) = x^2 + y") or assign variables ("a = 2"); the result is
+     * that of the last statement.
      * @param {string} expression - Mathematical expression string
      * @returns {Object} Calculation result with metadata
      */
@@ -45,44 +50,32 @@ class AdvancedCalculator {
         const startTime = performance.now();
         
         try {
-            // Step 1: Tokenize the expression
-            const tokens = this.tokenizer.tokenize(expression);
-            
-            // Step 2: Validate tokens
-            const tokenErrors = this.tokenizer.validate();
-            if (tokenErrors.length > 0) {
-                throw new Error(`Tokenization errors: ${tokenErrors.join(', ')}`);
+            const statements = this.splitStatements(expression);
+            if (statements.length === 0) {
+                throw new Error('Empty expression');
             }
-            
-            // Step 3: Parse tokens to RPN
-            const rpnTokens = this.parser.parse(tokens);
-            
-            // Step 4: Validate RPN
-            const parseErrors = this.parser.validate();
-            if (parseErrors.length > 0) {
-                throw new Error(`Parse errors: ${parseErrors.join(', ')}`);
-            }
-            
-            // Step 5: Evaluate RPN
-            const result = this.evaluator.evaluate(rpnTokens);
+
+            const results = statements.map(statement => this.executeStatement(statement));
+            const last = results[results.length - 1];
             
             const endTime = performance.now();
             
             // Update state
-            this.lastResult = result;
+            this.lastResult = last.result;
             this.lastExpression = expression;
             
             // Return comprehensive result
             return {
                 success: true,
-                result: result,
+                result: last.result,
                 expression: expression,
-                formattedResult: this.formatResult(result),
-                scientificNotation: this.evaluator.toScientificNotation(result),
-                isInteger: this.evaluator.isInteger(result),
+                formattedResult: last.formattedResult,
+                scientificNotation: last.type === 'definition' ? last.formattedResult : this.evaluator.toScientificNotation(last.result),
+                isInteger: this.evaluator.isInteger(last.result),
                 executionTime: endTime - startTime,
-                tokenCount: tokens.length,
-                rpnLength: rpnTokens.length,
+                tokenCount: last.tokenCount,
+                rpnLength: last.rpnLength,
+                statements: results,
                 parseInfo: this.parser.getParseInfo(),
                 evaluationInfo: this.evaluator.getEvaluationInfo()
             };
@@ -105,6 +98,158 @@ class AdvancedCalculator {
         }
     }
 
+    /**
+     * Split a script into statements on ';' and new lines
+     * @param {string} script - Script text
+     * @returns {Array} Non-empty statements
+     */
+    splitStatements(script) {
+        return script.split(/[;\n]/).map(statement => statement.trim()).filter(statement => statement.length > 0);
+    }
+
+    /**
+     * Execute one statement: a function definition, an assignment or an expression
+     * @param {string} statement - Statement text
+     * @returns {Object} { type, statement, result, formattedResult, tokenCount, rpnLength }
+     */
+    executeStatement(statement) {
+        const definition = statement.match(/^([A-Za-z_]\w*)\s*\(\s*([^)]*)\)\s*=(?!=)(.*)$/);
+        if (definition) {
+            const params = definition[2].trim() === '' ? [] : definition[2].split(',').map(param => param.trim());
+            const userFunction = this.defineFunction(definition[1], params, definition[3].trim());
+            return {
+                type: 'definition',
+                statement: statement,
+                result: null,
+                formattedResult: userFunction.toString(),
+                tokenCount: 0,
+                rpnLength: 0
+            };
+        }
+
+        const assignment = statement.match(/^([A-Za-z_]\w*)\s*=(?!=)(.*)$/);
+        if (assignment) {
+            const name = assignment[1];
+            if (this.operatorTable.isConstant(name) || this.operatorTable.isFunction(name)) {
+                throw new Error(`Cannot assign to ${name}: it is a constant or function`);
+            }
+            const evaluation = this.evaluateExpression(assignment[2].trim());
+            this.setVariable(name, evaluation.result);
+            return {
+                type: 'assignment',
+                statement: statement,
+                result: evaluation.result,
+                formattedResult: `${name} = ${this.formatResult(evaluation.result)}`,
+                tokenCount: evaluation.tokenCount,
+                rpnLength: evaluation.rpnLength
+            };
+        }
+
+        const evaluation = this.evaluateExpression(statement);
+        return {
+            type: 'expression',
+            statement: statement,
+            result: evaluation.result,
+            formattedResult: this.formatResult(evaluation.result),
+            tokenCount: evaluation.tokenCount,
+            rpnLength: evaluation.rpnLength
+        };
+    }
+
+    /**
+     * Tokenize, validate and parse an expression to RPN
+     * @param {string} expression - Expression text
+     * @param {Array} localNames - Names to read as variables (function parameters)
+     * @returns {Object} { tokens, rpnTokens }
+     */
+    compileExpression(expression, localNames = []) {
+        // Step 1: Tokenize the expression
+        const tokens = this.tokenizer.tokenize(expression, localNames);
+        
+        // Step 2: Validate tokens
+        const tokenErrors = this.tokenizer.validate();
+        if (tokenErrors.length > 0) {
+            throw new Error(`Tokenization errors: ${tokenErrors.join(', ')}`);
+        }
+        
+        // Step 3: Parse tokens to RPN
+        const rpnTokens = this.parser.parse(tokens);
+        
+        // Step 4: Validate RPN
+        const parseErrors = this.parser.validate();
+        if (parseErrors.length > 0) {
+            throw new Error(`Parse errors: ${parseErrors.join(', ')}`);
+        }
+
+        return { tokens, rpnTokens };
+    }
+
+    /**
+     * Compile and evaluate a single expression
+     * @param {string} expression - Expression text
+     * @returns {Object} { result, tokenCount, rpnLength }
+     */
+    evaluateExpression(expression) {
+        const { tokens, rpnTokens } = this.compileExpression(expression);
+        
+        // Step 5: Evaluate RPN
+        const result = this.evaluator.evaluate(rpnTokens);
+
+        return {
+            result: result,
+            tokenCount: tokens.length,
+            rpnLength: rpnTokens.length
+        };
+    }
+
+    /**
+     * Define a function from its body text, e.g. defineFunction('f', ['x', 'y'], 'x^2 + y').
+     * The name is registered before the body is parsed so the body may call
+     * the function recursively; a failed definition restores the previous one.
+     * @param {string} name - Function name
+     * @param {Array} params - Parameter names
+     * @param {string} body - Body expression
+     * @returns {UserFunction} The new definition
+     */
+    defineFunction(name, params, body) {
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Error(`Invalid function name: ${name}`);
+        }
+        if (this.functionRegistry.isBuiltInFunction(name) || this.operatorTable.isConstant(name)) {
+            throw new Error(`Cannot redefine built-in ${name}`);
+        }
+        for (const param of params) {
+            if (!/^[A-Za-z_]\w*$/.test(param)) {
+                throw new Error(`Invalid parameter name: ${param}`);
+            }
+        }
+        if (new Set(params).size !== params.length) {
+            throw new Error(`Duplicate parameter in ${name}(${params.join(', ')})`);
+        }
+        if (!body) {
+            throw new Error(`Function ${name} has an empty body`);
+        }
+
+        const previous = this.operatorTable.getFunction(name);
+        const userFunction = new UserFunction(name, params, body, null);
+        this.functionRegistry.registerDefinedFunction(userFunction, (...args) => this.evaluator.callUserFunction(userFunction, args));
+
+        try {
+            const { rpnTokens } = this.compileExpression(body, params);
+            userFunction.ast = UserFunction.buildAST(rpnTokens, this.operatorTable);
+        } catch (error) {
+            this.functionRegistry.removeUserFunction(name);
+            if (previous && previous.userFunction) {
+                this.functionRegistry.registerDefinedFunction(previous.userFunction, previous.evaluate);
+            } else if (previous) {
+                this.functionRegistry.registerUserFunction(name, previous.arity, previous.evaluate, previous.description);
+            }
+            throw new Error(`Invalid definition of ${name}: ${error.message}`);
+        }
+
+        return userFunction;
+    }
+
     /**
      * Format result with appropriate precision
      * @param {number} result - Result to format
@@ -115,10 +260,34 @@ class AdvancedCalculator {
         return this.evaluator.formatResult(result, precision);
     }
 
+    /**
+     * Set the complex mode ('off', 'on' or 'auto'); see Evaluator.setComplexMode
+     * @param {string} mode - Complex mode
+     */
+    setComplexMode(mode) {
+        this.evaluator.setComplexMode(mode);
+    }
+
+    /**
+     * Display complex results as 'rectangular' (3 + 4i) or 'polar' (5∠0.9273)
+     * @param {string} format - Complex format
+     */
+    setComplexFormat(format) {
+        this.evaluator.setComplexFormat(format);
+    }
+
+    /**
+     * Set the angle unit of polar input and display
+     * @param {string} mode - 'rad', 'deg' or 'grad'
+     */
+    setAngleMode(mode) {
+        this.evaluator.setAngleMode(mode);
+    }
+
     /**
      * Set a variable value
      * @param {string} name - Variable name
-     * @param {number} value - Variable value
+     * @param {number|Matrix|Quantity|Complex} value - Variable value
      */
     setVariable(name, value) {
         this.evaluator.setVariable(name, value);
@@ -182,6 +351,16 @@ class AdvancedCalculator {
         this.functionRegistry.registerUserFunction(name, arity, implementation, description);
     }
 
+    /**
+     * Get the functions defined in the calculator
+     * @returns {Array} Definitions such as "f(x, y) = x^2 + y"
+     */
+    getDefinedFunctions() {
+        return Object.entries(this.functionRegistry.export().userFunctions)
+            .filter(([, func]) => typeof func.body === 'string')
+            .map(([, func]) => func.description);
+    }
+
     /**
      * Get all available functions
      * @returns {Array} All function names
@@ -244,47 +423,182 @@ class AdvancedCalculator {
     /**
      * Validate an expression without evaluating it
      * @param {string} expression - Expression to validate
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result; errors are messages and
+     *   diagnostics the full list from diagnoseExpression()
      */
     validateExpression(expression) {
-        try {
-            const tokens = this.tokenizer.tokenize(expression);
-            const tokenErrors = this.tokenizer.validate();
-            
-            if (tokenErrors.length > 0) {
-                return {
-                    valid: false,
-                    errors: tokenErrors,
-                    stage: 'tokenization'
-                };
-            }
-            
-            const rpnTokens = this.parser.parse(tokens);
-            const parseErrors = this.parser.validate();
-            
-            if (parseErrors.length > 0) {
-                return {
-                    valid: false,
-                    errors: parseErrors,
-                    stage: 'parsing'
-                };
+        const report = this.diagnoseExpression(expression);
+        const errors = report.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        const result = {
+            valid: report.valid,
+            errors: errors.map(diagnostic => diagnostic.message),
+            stage: report.stage,
+            diagnostics: report.diagnostics
+        };
+
+        if (report.valid) {
+            result.tokenCount = report.tokenCount;
+            result.rpnLength = report.rpnLength;
+        }
+        return result;
+    }
+
+    /**
+     * Check an expression without evaluating it. Every diagnostic carries
+     * the span it refers to as offsets into the given string, so a view can
+     * underline it; unknown names come with suggestions of similar ones.
+     * @param {string} expression - Expression to check
+     * @returns {Object} { valid, stage, diagnostics, tokenCount, rpnLength }
+     */
+    diagnoseExpression(expression) {
+        const text = typeof expression === 'string' ? expression : '';
+        const offset = text.length - text.trimStart().length;
+        const diagnostics = [];
+        const report = (stage, details = {}) => {
+            for (const diagnostic of diagnostics) {
+                diagnostic.start += offset;
+                diagnostic.end += offset;
             }
-            
             return {
-                valid: true,
-                errors: [],
-                stage: 'complete',
-                tokenCount: tokens.length,
-                rpnLength: rpnTokens.length
+                valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+                stage: stage,
+                diagnostics: diagnostics,
+                ...details
             };
-            
+        };
+
+        let tokens;
+        try {
+            tokens = this.tokenizer.tokenize(text);
         } catch (error) {
-            return {
-                valid: false,
-                errors: [error.message],
-                stage: 'error'
-            };
+            diagnostics.push(this.errorDiagnostic(error, text.trim().length));
+            return report('tokenization');
+        }
+
+        diagnostics.push(...this.tokenizer.diagnose(), ...this.diagnoseIdentifiers(tokens));
+        if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+            return report('tokenization');
+        }
+
+        let rpnTokens;
+        try {
+            rpnTokens = this.parser.parse(tokens);
+        } catch (error) {
+            diagnostics.push(this.errorDiagnostic(error, text.trim().length));
+            return report('parsing');
+        }
+
+        const parseDiagnostics = this.parser.diagnose();
+        diagnostics.push(...parseDiagnostics);
+        return report(parseDiagnostics.length > 0 ? 'parsing' : 'complete', {
+            tokenCount: tokens.length,
+            rpnLength: rpnTokens.length
+        });
+    }
+
+    /**
+     * Report identifiers that are neither variables nor known functions
+     * @param {Array} tokens - Tokens of the expression
+     * @returns {Array} Diagnostics; calls are errors, bare names warnings
+     *   because the variable may still be assigned before evaluation
+     */
+    diagnoseIdentifiers(tokens) {
+        const diagnostics = [];
+        const otherNames = [...this.evaluator.getVariableNames(), ...this.getConstants()];
+
+        tokens.forEach((token, index) => {
+            if (token.type !== Tokenizer.TOKEN_TYPES.IDENTIFIER || this.evaluator.hasVariable(token.value)) {
+                return;
+            }
+
+            const next = tokens[index + 1];
+            const isCall = next !== undefined && next.type === Tokenizer.TOKEN_TYPES.LEFT_PAREN;
+            const suggestions = this.functionRegistry.suggest(token.value, isCall ? [] : otherNames);
+            const hint = suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : '';
+            const diagnostic = Tokenizer.Diagnostic(
+                isCall ? 'error' : 'warning',
+                isCall ? 'unknown-function' : 'unknown-variable',
+                `Unknown ${isCall ? 'function' : 'variable'}: ${token.value}${hint}`,
+                token.position,
+                token.end
+            );
+            diagnostic.suggestions = suggestions;
+            diagnostics.push(diagnostic);
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Turn a tokenizer or parser exception into a diagnostic
+     * @param {Error} error - Error, possibly with position and end
+     * @param {number} length - Length of the trimmed input
+     * @returns {Object} Diagnostic
+     */
+    errorDiagnostic(error, length) {
+        const start = error.position !== undefined ? error.position : 0;
+        const end = error.end !== undefined ? error.end : length;
+        return Tokenizer.Diagnostic('error', 'syntax', error.message, start, end);
+    }
+
+    /**
+     * Trace an expression for teaching: the Shunting Yard steps that turn
+     * the tokens into RPN, then the stack after each RPN token is evaluated.
+     * Spans are offsets into the given string. Nothing is added to the
+     * history and no variables change.
+     * @param {string} expression - Expression to trace
+     * @returns {Object} { valid, diagnostics, parseSteps, rpn, evaluationSteps, result, error }
+     */
+    traceExpression(expression) {
+        const report = this.diagnoseExpression(expression);
+        const trace = {
+            ...report,
+            expression: expression,
+            parseSteps: [],
+            rpn: [],
+            evaluationSteps: [],
+            result: null,
+            formattedResult: null,
+            error: null
+        };
+        if (!report.valid) {
+            return trace;
         }
+
+        const offset = expression.length - expression.trimStart().length;
+        const span = (token) => token ? { start: token.position + offset, end: token.end + offset } : { start: null, end: null };
+
+        const parsing = this.parser.trace(this.tokenizer.tokenize(expression));
+        trace.parseSteps = parsing.steps.map(step => ({
+            label: step.label,
+            action: step.action,
+            output: step.output,
+            stack: step.stack,
+            ...span(step.token)
+        }));
+        if (parsing.error) {
+            trace.error = parsing.error.message;
+            return trace;
+        }
+
+        trace.rpn = parsing.rpn.map(Parser.tokenLabel);
+        const evaluation = this.evaluator.trace(parsing.rpn);
+        trace.evaluationSteps = evaluation.steps.map(step => ({
+            label: Parser.tokenLabel(step.token),
+            consumed: step.consumed.map(value => this.formatResult(value)),
+            produced: step.error ? null : this.formatResult(step.produced),
+            stack: step.stack.map(value => this.formatResult(value)),
+            error: step.error ? step.error.message : null,
+            ...span(step.token)
+        }));
+
+        if (evaluation.error) {
+            trace.error = evaluation.error.message;
+        } else {
+            trace.result = evaluation.result;
+            trace.formattedResult = this.formatResult(evaluation.result);
+        }
+        return trace;
     }
 
     /**
@@ -333,7 +647,17 @@ class AdvancedCalculator {
                 'sqrt(16) + 2^3',
                 'max(1, 2, 3, 4)',
                 'log(100)',
-                'abs(-5)'
+                'abs(-5)',
+                '5 km/h * 2 h to m',
+                '9.81 m/s^2 * 70 kg',
+                '[[1,2],[3,4]] * [5,6]',
+                'solve([[2,1],[1,3]], [3,5])',
+                'f(x, y) = x^2 + y; f(3, 1)',
+                'fact(n) = if(n <= 1, 1, n * fact(n - 1)); fact(10)',
+                'r = 2; pi * r^2',
+                'mean([2, 4, 4, 5, 7])',
+                'normcdf(1.96)',
+                'linreg([1, 2, 3, 4], [2, 4.1, 5.9, 8.2])'
             ],
             categories: this.functionRegistry.getCategories()
         };
@@ -344,11 +668,26 @@ class AdvancedCalculator {
      * @returns {Object} Exportable state
      */
     export() {
+        const variables = {};
+        for (const [name, value] of Object.entries(this.getVariables())) {
+            variables[name] = this.serializeValue(value);
+        }
+
         return {
-            variables: this.getVariables(),
-            history: this.getHistory(),
+            variables: variables,
+            history: this.getHistory().map(entry => ({
+                expression: entry.expression,
+                result: this.serializeValue(entry.result),
+                timestamp: entry.timestamp instanceof Date ? entry.timestamp.toISOString() : entry.timestamp,
+                executionTime: entry.executionTime
+            })),
             functions: this.functionRegistry.export(),
-            lastResult: this.lastResult,
+            modes: {
+                angle: this.evaluator.angleMode,
+                complex: this.evaluator.complexMode,
+                complexFormat: this.evaluator.complexFormat
+            },
+            lastResult: this.serializeValue(this.lastResult),
             lastExpression: this.lastExpression
         };
     }
@@ -358,18 +697,37 @@ class AdvancedCalculator {
      * @param {Object} state - State to import
      */
     import(state) {
+        // Modes first: complex mode defines the constant i used by variables
+        if (state.modes) {
+            if (state.modes.angle) this.setAngleMode(state.modes.angle);
+            if (state.modes.complex) this.setComplexMode(state.modes.complex);
+            if (state.modes.complexFormat) this.setComplexFormat(state.modes.complexFormat);
+        }
+
         if (state.variables) {
             for (const [name, value] of Object.entries(state.variables)) {
-                this.setVariable(name, value);
+                this.setVariable(name, this.deserializeValue(value));
             }
         }
         
         if (state.functions) {
-            this.functionRegistry.import(state.functions);
+            this.functionRegistry.import(state.functions, (name, params, body) => this.defineFunction(name, params, body));
+        }
+        
+        if (Array.isArray(state.history)) {
+            for (const entry of state.history) {
+                this.evaluator.history.push({
+                    expression: entry.expression,
+                    result: this.deserializeValue(entry.result),
+                    timestamp: new Date(entry.timestamp),
+                    executionTime: entry.executionTime
+                });
+            }
+            this.evaluator.history.splice(0, Math.max(0, this.evaluator.history.length - 100));
         }
         
         if (state.lastResult !== undefined) {
-            this.lastResult = state.lastResult;
+            this.lastResult = this.deserializeValue(state.lastResult);
         }
         
         if (state.lastExpression) {
@@ -379,6 +737,42 @@ class AdvancedCalculator {
         console.log('✅ Calculator state imported successfully');
     }
 
+    /**
+     * Convert a variable value to plain JSON
+     * @param {number|Matrix|Quantity|Complex} value - Variable value
+     * @returns {number|Object} Serializable value
+     */
+    serializeValue(value) {
+        if (OperatorTable.isMatrix(value)) {
+            return { matrix: value.toArray() };
+        }
+        if (this.evaluator.isQuantity(value)) {
+            return { quantity: value.getDisplayValue(), unit: value.getUnitLabel() };
+        }
+        if (this.evaluator.isComplex(value)) {
+            return { complex: [value.real, value.imaginary] };
+        }
+        return value;
+    }
+
+    /**
+     * Restore a variable value written by serializeValue()
+     * @param {number|Object} value - Serialized value
+     * @returns {number|Matrix|Quantity|Complex} Variable value
+     */
+    deserializeValue(value) {
+        if (value && Array.isArray(value.matrix)) {
+            return new Matrix(value.matrix);
+        }
+        if (value && typeof value.quantity === 'number') {
+            return this.evaluateExpression(`${value.quantity} ${value.unit}`).result;
+        }
+        if (value && Array.isArray(value.complex)) {
+            return new Complex(value.complex[0], value.complex[1]);
+        }
+        return value;
+    }
+
     /**
      * Get detailed information about the calculator
      * @returns {Object} Detailed information
@@ -395,7 +789,10 @@ class AdvancedCalculator {
                 'Variables support',
                 'History tracking',
                 'Error handling',
-                'User-defined functions'
+                'User-defined functions',
+                'Multi-statement scripts and variable assignment',
+                'Physical units and dimensional analysis',
+                'Matrices and linear algebra'
             ],
             statistics: this.getStatistics(),
             help: this.getHelp()
@@ -6,28 +6,7 @@
 class BudgetPlanner {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', flag: '🇺🇸', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', flag: '🇪🇺', rate: 0.92 },
-            'GBP': { symbol: '£', name: 'British Pound', flag: '🇬🇧', rate: 0.79 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', flag: '🇯🇵', rate: 150.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', flag: '🇨🇦', rate: 1.36 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', flag: '🇦🇺', rate: 1.52 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', flag: '🇨🇭', rate: 0.88 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', flag: '🇨🇳', rate: 7.25 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', flag: '🇮🇳', rate: 88.67 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', flag: '🇧🇷', rate: 5.45 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', flag: '🇸🇬', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', flag: '🇦🇪', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', flag: '🇸🇦', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', flag: '🇿🇦', rate: 18.5 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', flag: '🇲🇽', rate: 17.2 },
-            'KRW': { symbol: '₩', name: 'South Korean Won', flag: '🇰🇷', rate: 1350.0 },
-            'THB': { symbol: '฿', name: 'Thai Baht', flag: '🇹🇭', rate: 36.5 },
-            'NZD': { symbol: 'NZ$', name: 'New Zealand Dollar', flag: '🇳🇿', rate: 1.62 },
-            'NOK': { symbol: 'kr', name: 'Norwegian Krone', flag: '🇳🇴', rate: 10.8 },
-            'SEK': { symbol: 'kr', name: 'Swedish Krona', flag: '🇸🇪', rate: 10.9 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
     }
 
@@ -275,6 +254,92 @@ class BudgetPlanner {
         })).sort((a, b) => b.amount - a.amount);
     }
 
+    /**
+     * Compare monthly category budgets with actual transactions.
+     *
+     * Spending is the negative of a category's net amount, so refunds reduce
+     * it. Income categories count as money in and ignored categories
+     * (transfers between own accounts) are left out.
+     * @param {Array} budgets - [{ category, amount }] for the month
+     * @param {Array} transactions - [{ date, amount, category }] with spending negative
+     * @param {string} month - 'YYYY-MM'; transactions outside it are skipped
+     * @param {Object} options - { incomeCategories, ignoredCategories, warningPercent }
+     */
+    compareBudgetToActual(budgets, transactions, month = null, options = {}) {
+        try {
+            const incomeCategories = options.incomeCategories || ['Income'];
+            const ignoredCategories = options.ignoredCategories || ['Transfers'];
+            const warningPercent = options.warningPercent !== undefined ? options.warningPercent : 90;
+            const currency = this.selectedCurrency;
+
+            const inMonth = transactions.filter(item => !month || String(item.date).startsWith(month));
+            const spending = {};
+            let income = 0;
+            inMonth.forEach(item => {
+                const category = item.category || 'Uncategorized';
+                if (ignoredCategories.includes(category)) return;
+                if (incomeCategories.includes(category) || (!item.category && item.amount > 0)) {
+                    income = Money.sum([income, item.amount], currency);
+                    return;
+                }
+                if (!spending[category]) {
+                    spending[category] = { actual: 0, count: 0 };
+                }
+                spending[category].actual = Money.sum([spending[category].actual, -item.amount], currency);
+                spending[category].count++;
+            });
+
+            const planned = {};
+            budgets.forEach(budget => {
+                planned[budget.category] = Money.sum([planned[budget.category] || 0, budget.amount], currency);
+            });
+
+            const categories = [...new Set([...Object.keys(planned), ...Object.keys(spending)])].map(category => {
+                const budget = planned[category] !== undefined ? planned[category] : null;
+                const actual = spending[category] ? spending[category].actual : 0;
+                const percentUsed = budget > 0 ? (actual / budget) * 100 : null;
+                let status = 'ok';
+                if (budget === null) {
+                    status = 'unbudgeted';
+                } else if (actual > budget) {
+                    status = 'over';
+                } else if (percentUsed !== null && percentUsed >= warningPercent) {
+                    status = 'warning';
+                }
+                return {
+                    category: category,
+                    budget: budget,
+                    actual: actual,
+                    remaining: budget !== null ? Money.round(budget - actual, currency) : null,
+                    percentUsed: percentUsed,
+                    transactions: spending[category] ? spending[category].count : 0,
+                    status: status
+                };
+            }).sort((a, b) => b.actual - a.actual);
+
+            const totalBudget = Money.sum(Object.values(planned), currency);
+            const totalActual = Money.sum(categories.map(item => item.actual), currency);
+            const overspent = categories.filter(item => item.status === 'over');
+
+            return {
+                success: true,
+                month: month,
+                categories: categories,
+                totalBudget: totalBudget,
+                totalActual: totalActual,
+                totalRemaining: Money.round(totalBudget - totalActual, currency),
+                income: income,
+                net: Money.round(income - totalActual, currency),
+                overspent: overspent,
+                overspentAmount: Money.sum(overspent.map(item => item.actual - item.budget), currency),
+                unbudgetedSpending: Money.sum(categories.filter(item => item.status === 'unbudgeted').map(item => item.actual), currency),
+                transactionCount: inMonth.length
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Calculate budget health score
      */
@@ -370,33 +435,15 @@ class BudgetPlanner {
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        }
-
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 0;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    formatCurrency(amount, currency = null, decimals = 0) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
     }
 
     /**
      * Format percentage
      */
     formatPercentage(value, decimals = 2) {
-        return `${value.toFixed(decimals)}%`;
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
@@ -6,24 +6,9 @@
 class BusinessMetricsCalculator {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', rate: 0.85 },
-            'GBP': { symbol: '£', name: 'British Pound', rate: 0.73 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', rate: 110.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', rate: 1.25 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', rate: 1.35 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', rate: 0.92 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', rate: 6.45 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', rate: 74.0 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', rate: 5.2 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', rate: 15.0 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', rate: 20.0 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
+        this.subscriptionMetrics = typeof SubscriptionMetrics !== 'undefined' ? new SubscriptionMetrics(this) : null;
     }
 
     /**
@@ -191,6 +176,31 @@ class BusinessMetricsCalculator {
         }
     }
 
+    /**
+     * Parse subscription events (date, customer, type, mrr) from CSV text
+     */
+    parseSubscriptionEvents(text) {
+        if (!this.subscriptionMetrics) {
+            return { success: false, error: 'Subscription metrics are not available' };
+        }
+        return this.subscriptionMetrics.parseCSV(text);
+    }
+
+    /**
+     * Calculate SaaS metrics (MRR movement, churn, NRR, LTV:CAC, CAC payback
+     * and cohort retention) from subscription events
+     */
+    calculateSaaSMetrics(events, options = {}) {
+        if (!this.subscriptionMetrics) {
+            return { success: false, error: 'Subscription metrics are not available' };
+        }
+        const result = this.subscriptionMetrics.analyze(events, options);
+        if (result.success) {
+            this.addToHistory({ type: 'saas', mrr: result.mrr, arr: result.arr, customers: result.activeCustomers });
+        }
+        return result;
+    }
+
     /**
      * Calculate inventory turnover
      */
@@ -282,33 +292,15 @@ class BusinessMetricsCalculator {
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        }
-
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 0;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    formatCurrency(amount, currency = null, decimals = 0) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
     }
 
     /**
      * Format percentage
      */
     formatPercentage(value, decimals = 2) {
-        return `${value.toFixed(decimals)}%`;
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
@@ -7,10 +7,11 @@
 
 class CalculatorManagerFixed {
     constructor() {
-        this.currentMode = 'advanced'; // 'basic', 'advanced', or 'scientific'
+        this.currentMode = 'advanced'; // 'basic', 'advanced', 'scientific' or 'programmer'
         this.basicCalculator = null;
         this.advancedCalculator = null;
         this.scientificCalculator = null;
+        this.programmerCalculator = null;
         this.isInitialized = false;
         
         console.log('🔧 CalculatorManagerFixed created with mode:', this.currentMode);
@@ -56,6 +57,16 @@ class CalculatorManagerFixed {
                 this.scientificCalculator = null;
             }
             
+            if (typeof window.ProgrammerCalculator !== 'undefined') {
+                try {
+                    this.programmerCalculator = new window.ProgrammerCalculator();
+                    console.log('✅ Programmer Calculator initialized');
+                } catch (error) {
+                    console.warn('⚠️ Programmer Calculator initialization failed:', error.message);
+                    this.programmerCalculator = null;
+                }
+            }
+            
             this.isInitialized = true;
             console.log('✅ Calculator Manager initialized with all available modes');
         } catch (error) {
@@ -67,11 +78,11 @@ class CalculatorManagerFixed {
 
     /**
      * Switch calculator mode
-     * @param {string} mode - 'basic', 'advanced', or 'scientific'
+     * @param {string} mode - 'basic', 'advanced', 'scientific' or 'programmer'
      */
     switchMode(mode) {
-        if (!['basic', 'advanced', 'scientific'].includes(mode)) {
-            throw new Error('Invalid mode. Must be "basic", "advanced", or "scientific"');
+        if (!['basic', 'advanced', 'scientific', 'programmer'].includes(mode)) {
+            throw new Error('Invalid mode. Must be "basic", "advanced", "scientific" or "programmer"');
         }
 
         if (!this.isInitialized) {
@@ -84,6 +95,11 @@ class CalculatorManagerFixed {
             mode = 'advanced';
         }
 
+        if (mode === 'programmer' && !this.programmerCalculator) {
+            console.warn('Programmer calculator not available, switching to advanced mode');
+            mode = 'advanced';
+        }
+
         this.currentMode = mode;
         console.log(`✅ Switched to ${mode} calculator mode`);
         
@@ -118,6 +134,8 @@ class CalculatorManagerFixed {
                     console.warn('Scientific calculator not available, falling back to advanced');
                     return this.advancedCalculator;
                 }
+            case 'programmer':
+                return this.programmerCalculator || this.advancedCalculator;
             default:
                 return this.advancedCalculator; // Default to advanced instead of basic
         }
@@ -169,6 +187,34 @@ class CalculatorManagerFixed {
                     mode: this.currentMode
                 };
             }
+        } else if (this.currentMode === 'programmer') {
+            try {
+                const result = calculator.calculate(input);
+                
+                // All four bases are shown at once
+                if (result.success) {
+                    return {
+                        success: true,
+                        result: result.result,
+                        display: calculator.formatAllBases(result.result),
+                        bases: result.bases,
+                        mode: this.currentMode
+                    };
+                } else {
+                    return {
+                        success: false,
+                        error: result.error,
+                        mode: this.currentMode
+                    };
+                }
+            } catch (error) {
+                console.error('🧮 Programmer calculation error:', error);
+                return {
+                    success: false,
+                    error: error.message,
+                    mode: this.currentMode
+                };
+            }
         } else if (this.currentMode === 'scientific') {
             console.log('🧮 Using scientific calculation');
             try {
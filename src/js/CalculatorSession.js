@@ -0,0 +1,321 @@
+/**
+ * CalculatorSession.js - Persistent and shareable calculator sessions
+ *
+ * A session is a snapshot of a CalculatorManagerFixed: the current mode,
+ * the AdvancedCalculator state (variables, user functions, aliases, modes
+ * and history), the scientific modes and whatever the page adds (its own
+ * history list, the expression being typed). Snapshots are kept in
+ * IndexedDB so they survive reloads, and can be packed into a compact
+ * URL fragment that rebuilds the session when the link is opened.
+ */
+
+class CalculatorSession {
+    /**
+     * @param {CalculatorManagerFixed} manager - Calculators to save and restore
+     * @param {Object} options - { databaseName, storeName, key, linkHistoryLimit, parameter }
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.databaseName = options.databaseName || 'freetoolhub-calculator';
+        this.storeName = options.storeName || 'sessions';
+        this.key = options.key || 'current';
+        this.linkHistoryLimit = options.linkHistoryLimit !== undefined ? options.linkHistoryLimit : 20;
+        this.parameter = options.parameter || 'session';
+        this.database = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Snapshot format version; bump when the layout changes
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Capture the current state
+     * @param {Object} page - Page state stored alongside the calculators
+     * @param {boolean} forLink - Drop what a shared link does not need
+     *        (evaluator history, last result) and shorten the page history
+     * @returns {Object} Snapshot
+     */
+    snapshot(page = {}, forLink = false) {
+        const calculator = this.manager.advancedCalculator.export();
+        const snapshot = {
+            version: CalculatorSession.VERSION,
+            mode: this.manager.getCurrentMode(),
+            calculator: calculator,
+            page: { ...page }
+        };
+
+        if (this.manager.scientificCalculator) {
+            snapshot.scientificModes = this.manager.scientificCalculator.getModeSummary();
+        }
+
+        if (forLink) {
+            delete calculator.history;
+            delete calculator.lastResult;
+            if (Array.isArray(snapshot.page.history)) {
+                snapshot.page.history = snapshot.page.history.slice(0, this.linkHistoryLimit);
+            }
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Restore a snapshot into the manager. Variables and functions are
+     * merged into the current state, so restore into fresh calculators.
+     * @param {Object} snapshot - Snapshot from snapshot()
+     * @returns {Object} The page state stored with it
+     */
+    restore(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || snapshot.version > CalculatorSession.VERSION) {
+            throw new Error('Unsupported calculator session');
+        }
+
+        if (snapshot.calculator) {
+            this.manager.advancedCalculator.import(snapshot.calculator);
+        }
+
+        const scientific = this.manager.scientificCalculator;
+        const modes = snapshot.scientificModes;
+        if (scientific && modes) {
+            if (modes.angle) scientific.setAngleMode(modes.angle);
+            if (modes.precision) scientific.setPrecisionMode(modes.precision);
+            if (modes.fractionFormat) scientific.setFractionFormat(modes.fractionFormat);
+            if (modes.complex) scientific.setComplexMode(modes.complex);
+            if (modes.complexFormat) scientific.setComplexFormat(modes.complexFormat);
+            if (modes.precisionValue) scientific.setPrecision(modes.precisionValue);
+            if (modes.rounding) scientific.modes.setRoundingMode(modes.rounding);
+        }
+
+        if (snapshot.mode && snapshot.mode !== this.manager.getCurrentMode()) {
+            this.manager.switchMode(snapshot.mode);
+        }
+
+        return snapshot.page || {};
+    }
+
+    /**
+     * Save the current state to IndexedDB
+     * @param {Object} page - Page state to store with it
+     * @returns {Promise<boolean>} False when IndexedDB is unavailable
+     */
+    async save(page = {}) {
+        const database = await this.openDatabase();
+        if (!database) return false;
+
+        const snapshot = this.snapshot(page);
+        snapshot.savedAt = new Date().toISOString();
+        await this.request(database, 'readwrite', store => store.put(snapshot, this.key));
+        return true;
+    }
+
+    /**
+     * Save after a pause, so a burst of changes is written once
+     * @param {Function} getPage - () => page state, called when saving
+     * @param {number} delay - Milliseconds to wait
+     */
+    scheduleSave(getPage = () => ({}), delay = 500) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.save(getPage()).catch(error => console.error('Error saving calculator session:', error));
+        }, delay);
+    }
+
+    /**
+     * Restore the session saved in IndexedDB
+     * @returns {Promise<Object|null>} Page state, or null when nothing is saved
+     */
+    async load() {
+        const database = await this.openDatabase();
+        if (!database) return null;
+
+        const snapshot = await this.request(database, 'readonly', store => store.get(this.key));
+        return snapshot ? this.restore(snapshot) : null;
+    }
+
+    /**
+     * Delete the saved session
+     * @returns {Promise<boolean>} False when IndexedDB is unavailable
+     */
+    async clear() {
+        const database = await this.openDatabase();
+        if (!database) return false;
+
+        await this.request(database, 'readwrite', store => store.delete(this.key));
+        return true;
+    }
+
+    /**
+     * Open (and create on first use) the session database
+     * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+     */
+    openDatabase() {
+        if (this.database) return Promise.resolve(this.database);
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one request against the session store
+     * @param {IDBDatabase} database - Open database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    request(database, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build a link that reopens the current session
+     * @param {Object} page - Page state to include
+     * @param {string} baseUrl - Page address (default: the current one)
+     * @returns {Promise<string>} URL with the session in its fragment
+     */
+    async createShareUrl(page = {}, baseUrl = window.location.href) {
+        const encoded = await CalculatorSession.encode(this.snapshot(page, true));
+        return `${baseUrl.split('#')[0]}#${this.parameter}=${encoded}`;
+    }
+
+    /**
+     * Restore the session carried by a link, if any
+     * @param {string} url - Address to read (default: the current one)
+     * @returns {Promise<Object|null>} Page state, or null when the link has no session
+     */
+    async restoreFromUrl(url = window.location.href) {
+        const hashIndex = url.indexOf('#');
+        if (hashIndex === -1) return null;
+
+        const encoded = new URLSearchParams(url.substring(hashIndex + 1)).get(this.parameter);
+        if (!encoded) return null;
+
+        return this.restore(await CalculatorSession.decode(encoded));
+    }
+
+    /**
+     * Pack a snapshot into URL-safe text: JSON, deflated where the browser
+     * supports CompressionStream, then base64url. The first character
+     * records whether the data is compressed ('z') or plain ('j').
+     * @param {Object} snapshot - Snapshot
+     * @returns {Promise<string>} Encoded text
+     */
+    static async encode(snapshot) {
+        const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+        if (typeof CompressionStream === 'undefined') {
+            return 'j' + CalculatorSession.toBase64Url(bytes);
+        }
+
+        const compressed = await CalculatorSession.pipe(bytes, new CompressionStream('deflate-raw'));
+        return 'z' + CalculatorSession.toBase64Url(compressed);
+    }
+
+    /**
+     * Unpack text written by encode()
+     * @param {string} text - Encoded text
+     * @returns {Promise<Object>} Snapshot
+     */
+    static async decode(text) {
+        const format = text.charAt(0);
+        let bytes = CalculatorSession.fromBase64Url(text.substring(1));
+
+        if (format === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot open compressed calculator links');
+            }
+            try {
+                bytes = await CalculatorSession.pipe(bytes, new DecompressionStream('deflate-raw'));
+            } catch (error) {
+                throw new Error('Invalid calculator link');
+            }
+        } else if (format !== 'j') {
+            throw new Error('Invalid calculator link');
+        }
+
+        try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Invalid calculator link');
+        }
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes - Input
+     * @param {CompressionStream|DecompressionStream} stream - Transform
+     * @returns {Promise<Uint8Array>} Output
+     */
+    static async pipe(bytes, stream) {
+        // Write and read concurrently so a large input cannot stall the stream
+        const writer = stream.writable.getWriter();
+        const writing = writer.write(bytes).then(() => writer.close());
+        writing.catch(() => {});
+
+        const chunks = [];
+        const reader = stream.readable.getReader();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            chunks.push(chunk.value);
+        }
+        await writing;
+
+        const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * Base64url without padding
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Encoded text
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode base64url text
+     * @param {string} text - Encoded text
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBase64Url(text) {
+        let binary;
+        try {
+            binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (error) {
+            throw new Error('Invalid calculator link');
+        }
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Make available globally
+window.CalculatorSession = CalculatorSession;
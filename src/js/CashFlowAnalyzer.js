@@ -0,0 +1,438 @@
+/**
+ * Cash Flow Analyzer
+ * Returns on dated, irregular cash flows: NPV, IRR and MIRR, XIRR,
+ * simple and discounted payback and profitability index
+ */
+
+class CashFlowAnalyzer {
+    constructor() {
+        this.history = [];
+        this.maxIterations = 100;
+        this.periods = {
+            'year': { name: 'Yearly', months: 12 },
+            'quarter': { name: 'Quarterly', months: 3 },
+            'month': { name: 'Monthly', months: 1 }
+        };
+    }
+
+    /**
+     * Analyze a series of cash flows.
+     *
+     * Each flow is { date, amount, label } with outflows negative; dates are
+     * Date objects or 'YYYY-MM-DD' and flows on the same day are netted.
+     *
+     * Options (rates are annual percentages):
+     * - discountRate: for NPV, discounted payback and profitability index (default 10)
+     * - financeRate: MIRR rate paid on outflows (default discountRate)
+     * - reinvestmentRate: MIRR rate earned on inflows (default discountRate)
+     * - period: 'year', 'quarter' or 'month' buckets for IRR and MIRR (default 'year')
+     *
+     * NPV, XIRR, payback and PI use the actual dates, in years of 365 days
+     * from the first flow. IRR and MIRR sum the flows into periods counted
+     * from the first flow, as a spreadsheet IRR over equal periods would,
+     * and are annualized.
+     */
+    analyze(cashFlows, options = {}) {
+        try {
+            const discountRate = options.discountRate !== undefined ? Number(options.discountRate) : 10;
+            const financeRate = options.financeRate !== undefined ? Number(options.financeRate) : discountRate;
+            const reinvestmentRate = options.reinvestmentRate !== undefined ? Number(options.reinvestmentRate) : discountRate;
+            const period = options.period || 'year';
+            if (!this.periods[period]) {
+                throw new Error(`Unknown period: ${period}`);
+            }
+            [discountRate, financeRate, reinvestmentRate].forEach(rate => {
+                if (!isFinite(rate) || rate <= -100) {
+                    throw new Error(`Invalid rate: ${rate}%`);
+                }
+            });
+
+            const timeline = this.buildTimeline(cashFlows, discountRate / 100);
+            const amounts = timeline.map(entry => entry.amount);
+            if (!amounts.some(amount => amount < 0) || !amounts.some(amount => amount > 0)) {
+                throw new Error('Cash flows need at least one outflow (negative) and one inflow (positive)');
+            }
+
+            const periodic = this.toPeriods(timeline, this.periods[period].months);
+            const periodsPerYear = 12 / this.periods[period].months;
+            const annualize = rate => (rate === null ? null : (Math.pow(1 + rate, periodsPerYear) - 1) * 100);
+            const perPeriod = rate => Math.pow(1 + rate / 100, 1 / periodsPerYear) - 1;
+
+            const irr = this.tryRate(() => CashFlowAnalyzer.irr(periodic, 0.1, this.maxIterations));
+            const xirr = this.tryRate(() => CashFlowAnalyzer.xirr(timeline, 0.1, this.maxIterations));
+            const mirr = periodic.length > 1
+                ? CashFlowAnalyzer.mirr(periodic, perPeriod(financeRate), perPeriod(reinvestmentRate))
+                : null;
+
+            const presentInflows = timeline.reduce((sum, entry) => sum + Math.max(entry.discountedAmount, 0), 0);
+            const presentOutflows = timeline.reduce((sum, entry) => sum - Math.min(entry.discountedAmount, 0), 0);
+            const npv = presentInflows - presentOutflows;
+            const signChanges = CashFlowAnalyzer.signChanges(amounts);
+
+            const result = {
+                success: true,
+                discountRate: discountRate,
+                financeRate: financeRate,
+                reinvestmentRate: reinvestmentRate,
+                period: period,
+                periodName: this.periods[period].name,
+                startDate: timeline[0].date,
+                endDate: timeline[timeline.length - 1].date,
+                years: timeline[timeline.length - 1].years,
+                totalInflows: this.round(amounts.reduce((sum, amount) => sum + Math.max(amount, 0), 0)),
+                totalOutflows: this.round(amounts.reduce((sum, amount) => sum - Math.min(amount, 0), 0)),
+                netCashFlow: this.round(amounts.reduce((sum, amount) => sum + amount, 0)),
+                npv: this.round(npv),
+                presentValueInflows: this.round(presentInflows),
+                presentValueOutflows: this.round(presentOutflows),
+                profitabilityIndex: presentOutflows > 0 ? presentInflows / presentOutflows : null,
+                irr: irr ? annualize(irr.rate) : null,
+                irrPerPeriod: irr ? irr.rate * 100 : null,
+                irrMethod: irr ? irr.method : null,
+                mirr: mirr !== null ? annualize(mirr) : null,
+                xirr: xirr ? xirr.rate * 100 : null,
+                xirrMethod: xirr ? xirr.method : null,
+                xirrIterations: xirr ? xirr.iterations : null,
+                paybackYears: this.payback(timeline, 'cumulative'),
+                discountedPaybackYears: this.payback(timeline, 'discountedCumulative'),
+                signChanges: signChanges,
+                multipleRatesPossible: signChanges > 1,
+                periodicFlows: periodic.map(amount => this.round(amount)),
+                timeline: timeline
+            };
+
+            this.addToHistory({ type: 'cash-flow', flows: timeline.length, npv: result.npv, xirr: result.xirr });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Net the flows per day, oldest first, with the running and discounted
+     * cumulative positions
+     */
+    buildTimeline(cashFlows, rate) {
+        if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
+            throw new Error('Add at least two cash flows');
+        }
+
+        const byDay = new Map();
+        cashFlows.forEach((flow, index) => {
+            const amount = Number(flow.amount);
+            if (!isFinite(amount)) {
+                throw new Error(`Cash flow ${index + 1}: invalid amount ${flow.amount}`);
+            }
+            const date = CsvParser.parseDate(flow.date);
+            if (!date) {
+                throw new Error(`Cash flow ${index + 1}: invalid date ${flow.date}`);
+            }
+            const day = date.toISOString().slice(0, 10);
+            const entry = byDay.get(day) || { date: day, amount: 0, labels: [] };
+            entry.amount += amount;
+            if (flow.label) entry.labels.push(String(flow.label));
+            byDay.set(day, entry);
+        });
+
+        const days = [...byDay.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+        if (days.length < 2) {
+            throw new Error('Cash flows need at least two different dates');
+        }
+
+        const start = Date.parse(days[0].date);
+        let cumulative = 0;
+        let discountedCumulative = 0;
+        return days.map(entry => {
+            const years = (Date.parse(entry.date) - start) / 86400000 / 365;
+            const discountedAmount = entry.amount / Math.pow(1 + rate, years);
+            cumulative += entry.amount;
+            discountedCumulative += discountedAmount;
+            return {
+                date: entry.date,
+                label: entry.labels.join(', '),
+                amount: this.round(entry.amount),
+                years: years,
+                discountedAmount: discountedAmount,
+                cumulative: this.round(cumulative),
+                discountedCumulative: this.round(discountedCumulative)
+            };
+        });
+    }
+
+    /**
+     * Sum the dated flows into equal periods counted from the first flow
+     */
+    toPeriods(timeline, monthsPerPeriod) {
+        const [startYear, startMonth, startDay] = timeline[0].date.split('-').map(Number);
+        const amounts = [];
+        timeline.forEach(entry => {
+            const [year, month, day] = entry.date.split('-').map(Number);
+            const months = (year - startYear) * 12 + (month - startMonth) - (day < startDay ? 1 : 0);
+            const index = Math.floor(months / monthsPerPeriod);
+            while (amounts.length <= index) amounts.push(0);
+            amounts[index] += entry.amount;
+        });
+        return amounts;
+    }
+
+    /**
+     * Years from the first flow until a cumulative position is recovered for
+     * good, assuming the recovering flow arrives evenly since the one before
+     * it; 0 when the flows start positive, null when never recovered
+     */
+    payback(timeline, field) {
+        const lastNegative = timeline.map(entry => entry[field] < 0).lastIndexOf(true);
+        if (lastNegative === -1) return 0;
+        if (lastNegative === timeline.length - 1) return null;
+
+        const before = timeline[lastNegative];
+        const after = timeline[lastNegative + 1];
+        const fraction = -before[field] / (after[field] - before[field]);
+        return before.years + fraction * (after.years - before.years);
+    }
+
+    /**
+     * Run a rate solver, turning "no rate" into null
+     */
+    tryRate(solve) {
+        try {
+            return solve();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse cash flows from CSV text.
+     *
+     * Columns are found by header (date, amount or cash flow, label or
+     * description) or taken as date, amount, label when there is no header.
+     * Commas, semicolons and tabs are accepted as separators; amounts may
+     * carry currency symbols, thousands separators or accounting brackets
+     * for negatives.
+     * @returns {Object} { success, flows, errors } with one message per skipped row
+     */
+    parseCSV(text) {
+        try {
+            const lines = CsvParser.lines(text);
+            if (lines.length === 0) {
+                throw new Error('The CSV file is empty');
+            }
+
+            const delimiter = CsvParser.detectDelimiter(lines[0]);
+            const first = CsvParser.parseLine(lines[0], delimiter).map(cell => cell.toLowerCase());
+            const hasHeader = !CsvParser.parseDate(first[0]) && first.some(cell => /date|amount|flow|value/.test(cell));
+
+            let columns = { date: 0, amount: 1, label: 2 };
+            if (hasHeader) {
+                const find = pattern => first.findIndex(cell => pattern.test(cell));
+                columns = {
+                    date: find(/date|when/),
+                    amount: find(/amount|flow|value/),
+                    label: find(/label|description|memo|name|note/)
+                };
+                if (columns.date === -1 || columns.amount === -1) {
+                    throw new Error('CSV header needs a date and an amount column');
+                }
+            }
+
+            const rows = lines.slice(hasHeader ? 1 : 0).map(line => CsvParser.parseLine(line, delimiter));
+            const order = CsvParser.detectDateOrder(rows.map(cells => cells[columns.date]));
+            const flows = [];
+            const errors = [];
+            rows.forEach((cells, index) => {
+                const row = index + (hasHeader ? 2 : 1);
+                const date = CsvParser.parseDate(cells[columns.date], order);
+                const amount = CsvParser.parseAmount(cells[columns.amount]);
+                if (!date) {
+                    errors.push(`Row ${row}: invalid date "${cells[columns.date] || ''}"`);
+                } else if (amount === null) {
+                    errors.push(`Row ${row}: invalid amount "${cells[columns.amount] || ''}"`);
+                } else {
+                    flows.push({
+                        date: date.toISOString().slice(0, 10),
+                        amount: amount,
+                        label: columns.label >= 0 && cells[columns.label] ? cells[columns.label] : ''
+                    });
+                }
+            });
+
+            if (flows.length === 0) {
+                throw new Error(errors.length > 0 ? errors[0] : 'No cash flows found');
+            }
+            return { success: true, flows: flows, errors: errors };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Round to cents
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Add to history
+     */
+    addToHistory(calculation) {
+        this.history.unshift({
+            ...calculation,
+            timestamp: new Date()
+        });
+
+        // Keep only last 20 calculations
+        if (this.history.length > 20) {
+            this.history = this.history.slice(0, 20);
+        }
+    }
+
+    /**
+     * Get history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Clear history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+
+    /**
+     * Net present value of equally spaced amounts, the first at time 0
+     * @param {number} rate - Rate per period as a decimal
+     */
+    static npv(rate, amounts) {
+        return amounts.reduce((sum, amount, index) => sum + amount / Math.pow(1 + rate, index), 0);
+    }
+
+    /**
+     * Net present value of dated flows ({ years, amount }) at an annual rate
+     */
+    static xnpv(rate, flows) {
+        return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+    }
+
+    /**
+     * Internal rate of return per period of equally spaced amounts
+     * @returns {Object} { rate, method, iterations }
+     */
+    static irr(amounts, guess = 0.1, maxIterations = 100) {
+        return CashFlowAnalyzer.solveRate(
+            rate => CashFlowAnalyzer.npv(rate, amounts),
+            rate => amounts.reduce((sum, amount, index) => sum - index * amount / Math.pow(1 + rate, index + 1), 0),
+            guess,
+            amounts.reduce((sum, amount) => sum + Math.abs(amount), 0),
+            maxIterations
+        );
+    }
+
+    /**
+     * Annual internal rate of return of dated flows ({ years, amount })
+     * @returns {Object} { rate, method, iterations }
+     */
+    static xirr(flows, guess = 0.1, maxIterations = 100) {
+        return CashFlowAnalyzer.solveRate(
+            rate => CashFlowAnalyzer.xnpv(rate, flows),
+            rate => flows.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0),
+            guess,
+            flows.reduce((sum, flow) => sum + Math.abs(flow.amount), 0),
+            maxIterations
+        );
+    }
+
+    /**
+     * Modified internal rate of return per period: outflows discounted to the
+     * start at the finance rate, inflows compounded to the end at the
+     * reinvestment rate (both per period, as decimals)
+     */
+    static mirr(amounts, financeRate, reinvestmentRate) {
+        const periods = amounts.length - 1;
+        const presentOutflows = amounts.reduce((sum, amount, index) => (
+            amount < 0 ? sum - amount / Math.pow(1 + financeRate, index) : sum
+        ), 0);
+        const futureInflows = amounts.reduce((sum, amount, index) => (
+            amount > 0 ? sum + amount * Math.pow(1 + reinvestmentRate, periods - index) : sum
+        ), 0);
+        if (periods < 1 || presentOutflows === 0 || futureInflows === 0) {
+            return null;
+        }
+        return Math.pow(futureInflows / presentOutflows, 1 / periods) - 1;
+    }
+
+    /**
+     * Find the rate where value(rate) is zero: Newton's method from the
+     * guess, falling back to bisection over a bracketing interval when
+     * Newton stalls, diverges or leaves the valid range (rate > -100%).
+     * @param {number} scale - Size of the flows, for the convergence test
+     * @returns {Object} { rate, method: 'newton' | 'bisection', iterations }
+     */
+    static solveRate(value, derivative, guess, scale, maxIterations = 100) {
+        const tolerance = Math.max(scale, 1) * 1e-9;
+
+        let rate = guess;
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const current = value(rate);
+            const slope = derivative(rate);
+            if (!isFinite(current) || !isFinite(slope) || slope === 0) break;
+
+            const next = rate - current / slope;
+            if (!isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-12 || Math.abs(value(next)) < tolerance) {
+                return { rate: next, method: 'newton', iterations: iteration };
+            }
+            rate = next;
+        }
+
+        // Bracket a sign change: scan up from just above -100%, widening the top
+        const points = [-0.9999, -0.99, -0.9, -0.5, -0.25, 0, 0.1, 0.25, 0.5, 1, 2, 5, 10, 100, 1000, 10000];
+        let low = null;
+        let high = null;
+        for (let index = 1; index < points.length; index++) {
+            const a = value(points[index - 1]);
+            const b = value(points[index]);
+            if (isFinite(a) && isFinite(b) && Math.sign(a) !== Math.sign(b)) {
+                low = points[index - 1];
+                high = points[index];
+                break;
+            }
+        }
+        if (low === null) {
+            throw new Error('No rate of return found for these cash flows');
+        }
+
+        let lowValue = value(low);
+        for (let iteration = 1; iteration <= 200; iteration++) {
+            const middle = (low + high) / 2;
+            const middleValue = value(middle);
+            if (Math.abs(middleValue) < tolerance || (high - low) / 2 < 1e-12) {
+                return { rate: middle, method: 'bisection', iterations: iteration };
+            }
+            if (Math.sign(middleValue) === Math.sign(lowValue)) {
+                low = middle;
+                lowValue = middleValue;
+            } else {
+                high = middle;
+            }
+        }
+        return { rate: (low + high) / 2, method: 'bisection', iterations: 200 };
+    }
+
+    /**
+     * Number of sign changes in a series; more than one means the flows may
+     * have several rates of return
+     */
+    static signChanges(amounts) {
+        const signs = amounts.filter(amount => amount !== 0).map(Math.sign);
+        return signs.reduce((count, sign, index) => (index > 0 && sign !== signs[index - 1] ? count + 1 : count), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashFlowAnalyzer;
+}
@@ -0,0 +1,150 @@
+/**
+ * CSV Parser
+ * Shared helpers for the CSV importers: splitting lines and quoted fields,
+ * guessing the separator, and reading amount and date cells
+ */
+
+class CsvParser {
+    /**
+     * Non-blank lines of a file, without a byte order mark
+     */
+    static lines(text) {
+        return String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    }
+
+    /**
+     * Separator of a line: whichever of comma, semicolon or tab splits it
+     * into the most fields
+     */
+    static detectDelimiter(line) {
+        return [',', ';', '\t'].reduce((best, candidate) => (
+            line.split(candidate).length > line.split(best).length ? candidate : best
+        ), ',');
+    }
+
+    /**
+     * Split one CSV line into trimmed fields, honouring double-quoted fields
+     */
+    static parseLine(line, delimiter = ',') {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let index = 0; index < line.length; index++) {
+            const char = line[index];
+            if (quoted) {
+                if (char === '"' && line[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Number from an amount cell: "-1,234.50", "(1,234.50)", "$ 500",
+     * "12.00 DR" or "1.234,50"; null when invalid. The decimal point is the
+     * last '.' or ',' unless it is followed by exactly three digits after a
+     * non-zero integer part, or appears more than once ("1.234.567"), in which
+     * case it separates thousands.
+     */
+    static parseAmount(value) {
+        let text = String(value === undefined || value === null ? '' : value).trim();
+        const negative = /^\(.*\)$/.test(text) || /\bDR$/i.test(text);
+        text = text.replace(/\b(CR|DR)$/i, '').replace(/[()\s]/g, '').replace(/[^\d.,+-]/g, '');
+
+        const last = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+        if (last >= 0) {
+            const separator = text[last];
+            const integer = text.slice(0, last);
+            const decimal = text.indexOf(separator) === last && (
+                text.length - last - 1 !== 3 || integer.includes(separator === '.' ? ',' : '.') || /^[-+]?0?$/.test(integer)
+            );
+            text = decimal
+                ? `${integer.replace(/[.,]/g, '')}.${text.slice(last + 1)}`
+                : text.replace(/[.,]/g, '');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+        const amount = Number(text);
+        return negative ? -Math.abs(amount) : amount;
+    }
+
+    /**
+     * 'dmy' or 'mdy' for a column of numeric dates: a first part over 12
+     * means day first, a second part over 12 means month first. Otherwise
+     * dotted dates (31.01.2024) are taken as day first and others as month first.
+     */
+    static detectDateOrder(values) {
+        let dotted = false;
+        for (const value of values) {
+            const match = String(value || '').trim().match(/^(\d{1,2})([/.-])(\d{1,2})[/.-]\d{2,4}$/);
+            if (!match) continue;
+            if (Number(match[1]) > 12) return 'dmy';
+            if (Number(match[3]) > 12) return 'mdy';
+            dotted = dotted || match[2] === '.';
+        }
+        return dotted ? 'dmy' : 'mdy';
+    }
+
+    /**
+     * Date at UTC midnight from a Date, 'YYYY-MM-DD' (optionally with a
+     * time), 'YYYYMMDD', 'YYYY-MM' (the first of the month), a numeric date
+     * in the given order with a two- or four-digit year, or another string
+     * Date can read; null when invalid
+     */
+    static parseDate(value, order = 'mdy') {
+        if (value instanceof Date) {
+            return isNaN(value) ? null : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+        }
+
+        const text = String(value || '').trim();
+        let parts = null;
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (match) {
+            parts = [Number(match[1]), Number(match[2]), Number(match[3])];
+        } else if ((match = text.match(/^(\d{4})[-/](\d{1,2})$/))) {
+            parts = [Number(match[1]), Number(match[2]), 1];
+        } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+            let year = Number(match[3]);
+            if (match[3].length === 2) {
+                year += year < 70 ? 2000 : 1900;
+            }
+            parts = order === 'dmy'
+                ? [year, Number(match[2]), Number(match[1])]
+                : [year, Number(match[1]), Number(match[2])];
+        }
+
+        if (parts) {
+            const [year, month, day] = parts;
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+        }
+        if (!/\d/.test(text) || /^-?[\d.,\s]+$/.test(text)) return null;
+        const parsed = new Date(text);
+        return isNaN(parsed) ? null : new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+    }
+
+    /**
+     * 'YYYY-MM-DD' of a date from parseDate
+     */
+    static formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvParser;
+}
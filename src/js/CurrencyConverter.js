@@ -1,37 +1,34 @@
 /**
  * Professional Currency Converter
- * Convert between multiple currencies with real-time exchange rates
+ * Convert between multiple currencies with real-time exchange rates, rate
+ * snapshots stored for offline use and date-based conversion
  */
 
 class CurrencyConverter {
-    constructor() {
+    /**
+     * @param {Object} options - { rateStore, providers, provider }
+     */
+    constructor(options = {}) {
         this.history = [];
         this.apiEnabled = true;
         this.lastApiUpdate = null;
         this.apiCache = null;
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', flag: '🇺🇸', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', flag: '🇪🇺', rate: 0.92 },
-            'GBP': { symbol: '£', name: 'British Pound', flag: '🇬🇧', rate: 0.79 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', flag: '🇯🇵', rate: 150.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', flag: '🇨🇦', rate: 1.36 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', flag: '🇦🇺', rate: 1.52 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', flag: '🇨🇭', rate: 0.88 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', flag: '🇨🇳', rate: 7.25 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', flag: '🇮🇳', rate: 88.67 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', flag: '🇧🇷', rate: 5.45 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', flag: '🇸🇬', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', flag: '🇦🇪', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', flag: '🇸🇦', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', flag: '🇿🇦', rate: 18.5 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', flag: '🇲🇽', rate: 17.2 },
-            'KRW': { symbol: '₩', name: 'South Korean Won', flag: '🇰🇷', rate: 1350.0 },
-            'THB': { symbol: '฿', name: 'Thai Baht', flag: '🇹🇭', rate: 36.5 },
-            'NZD': { symbol: 'NZ$', name: 'New Zealand Dollar', flag: '🇳🇿', rate: 1.62 },
-            'NOK': { symbol: 'kr', name: 'Norwegian Krone', flag: '🇳🇴', rate: 10.8 },
-            'SEK': { symbol: 'kr', name: 'Swedish Krona', flag: '🇸🇪', rate: 10.9 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.lastUpdated = new Date();
+        this.ratesAsOf = null;
+        this.rateSource = 'Static';
+        this.lastError = null;
+        this.staleAfterHours = 24;
+        this.crossRateCache = new Map();
+
+        // Snapshots persist in IndexedDB; providers supply new ones
+        this.rateStore = options.rateStore !== undefined ? options.rateStore
+            : (typeof ExchangeRateStore !== 'undefined' ? new ExchangeRateStore() : null);
+        this.providers = {};
+        if (typeof ExchangeRateApiProvider !== 'undefined') this.registerProvider(new ExchangeRateApiProvider());
+        if (typeof MockRateProvider !== 'undefined') this.registerProvider(new MockRateProvider());
+        (options.providers || []).forEach(provider => this.registerProvider(provider));
+        this.providerId = options.provider || 'exchangerate-api';
     }
 
     /**
@@ -212,24 +209,7 @@ class CurrencyConverter {
      * Format currency with proper symbols and decimals
      */
     formatCurrency(amount, currency) {
-        const currencyInfo = this.currencies[currency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
-            }).format(amount);
-        }
-
-        // For currencies like JPY, KRW that don't use decimals
-        const decimals = ['JPY', 'KRW', 'THB'].includes(currency) ? 0 : 2;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+        return Money.format(amount, currency);
     }
 
     /**
@@ -286,45 +266,123 @@ class CurrencyConverter {
     }
 
     /**
-     * Fetch real-time exchange rates from API
+     * Add a rate provider
+     */
+    registerProvider(provider) {
+        if (!provider || !provider.id || typeof provider.fetchLatest !== 'function') {
+            throw new Error('A rate provider needs an id and fetchLatest()');
+        }
+        this.providers[provider.id] = provider;
+    }
+
+    /**
+     * Choose the provider used for fetching rates
+     */
+    setProvider(providerId) {
+        if (!this.providers[providerId]) {
+            return false;
+        }
+        this.providerId = providerId;
+        this.apiEnabled = true;
+        return true;
+    }
+
+    /**
+     * Current provider
+     */
+    getProvider() {
+        const provider = this.providers[this.providerId];
+        if (!provider) {
+            throw new Error(`Rate provider not available: ${this.providerId}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Registered providers
+     */
+    getProviders() {
+        return Object.values(this.providers).map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            supportsHistory: !!provider.supportsHistory,
+            selected: provider.id === this.providerId
+        }));
+    }
+
+    /**
+     * Fetch the latest rates from the current provider and store them
      */
     async fetchRealTimeRates() {
         try {
-            // Using ExchangeRate-API (free, no API key required)
-            const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-            
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.rates) {
-                // Update our currencies with real-time rates
-                Object.keys(this.currencies).forEach(currency => {
-                    if (currency !== 'USD' && data.rates[currency]) {
-                        this.currencies[currency].rate = data.rates[currency];
-                    }
-                });
-                
-                this.lastApiUpdate = new Date();
-                this.apiCache = data;
-                console.log('✅ Real-time exchange rates updated successfully');
-                return true;
-            } else {
-                throw new Error('Invalid API response format');
-            }
+            const fetched = await this.getProvider().fetchLatest('USD');
+            const snapshot = this.rateStore ? await this.rateStore.save(fetched) : ExchangeRateStore.normalize(fetched);
+
+            this.applySnapshot(snapshot);
+            this.lastApiUpdate = new Date();
+            this.apiCache = snapshot;
+            this.lastError = null;
+            console.log('✅ Real-time exchange rates updated successfully');
+            return true;
         } catch (error) {
-            console.warn('⚠️ Failed to fetch real-time rates, using static rates:', error.message);
+            console.warn('⚠️ Failed to fetch real-time rates:', error.message);
+            this.lastError = error.message;
             this.apiEnabled = false;
             return false;
         }
     }
 
     /**
-     * Initialize with real-time rates or fallback to static
+     * Use the newest stored snapshot that can be rebased to USD, if it is
+     * newer than the rates in use. Imported tables without a USD rate stay
+     * available for historical lookups but are skipped here.
+     * @returns {Promise<boolean>} True when stored rates were applied
+     */
+    async loadStoredRates() {
+        if (!this.rateStore) return false;
+
+        const snapshot = (await this.rateStore.list()).filter(stored => stored.rates.USD).pop();
+        if (!snapshot || (this.ratesAsOf && new Date(snapshot.timestamp) <= this.ratesAsOf)) {
+            return false;
+        }
+        this.applySnapshot(snapshot);
+        return true;
+    }
+
+    /**
+     * Replace the working rates with a snapshot, rebased to USD.
+     * Currencies missing from the snapshot keep their previous rate.
+     */
+    applySnapshot(snapshot) {
+        const usd = snapshot.rates.USD;
+        if (!usd) {
+            throw new Error(`Snapshot for ${snapshot.date} has no USD rate`);
+        }
+
+        Object.keys(this.currencies).forEach(currency => {
+            if (snapshot.rates[currency]) {
+                this.currencies[currency].rate = snapshot.rates[currency] / usd;
+            }
+        });
+
+        this.ratesAsOf = new Date(snapshot.timestamp);
+        this.lastUpdated = this.ratesAsOf;
+        this.rateSource = snapshot.source;
+        this.crossRateCache.clear();
+    }
+
+    /**
+     * Initialize from stored rates, then try the provider for fresh ones
      */
     async initializeRates() {
+        try {
+            if (await this.loadStoredRates()) {
+                console.log('💾 Loaded stored exchange rates');
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to read stored rates:', error.message);
+        }
+
         if (this.apiEnabled) {
             const success = await this.fetchRealTimeRates();
             if (success) {
@@ -333,19 +391,52 @@ class CurrencyConverter {
             }
         }
         
-        console.log('📊 Using static exchange rates (offline mode)');
+        console.log(this.ratesAsOf ? '📴 Using stored exchange rates (offline mode)' : '📊 Using static exchange rates (offline mode)');
         return false;
     }
 
     /**
-     * Get current rates (API or static)
+     * Get current rates (API, stored or static)
      */
     getCurrentRates() {
+        const age = this.getRatesAge();
         return {
             rates: this.currencies,
             isRealTime: this.apiEnabled && this.lastApiUpdate !== null,
-            lastUpdated: this.lastApiUpdate || this.lastUpdated,
-            source: this.apiEnabled && this.lastApiUpdate ? 'API' : 'Static'
+            lastUpdated: this.ratesAsOf || this.lastUpdated,
+            asOf: age.asOf,
+            ageLabel: age.label,
+            stale: age.stale,
+            source: this.rateSource,
+            provider: this.providerId,
+            error: this.lastError
+        };
+    }
+
+    /**
+     * How old the rates in use are
+     * @returns {Object} { asOf, ageMs, stale, label }
+     */
+    getRatesAge(now = new Date()) {
+        if (!this.ratesAsOf) {
+            return { asOf: null, ageMs: null, stale: true, label: 'built-in rates' };
+        }
+
+        const ageMs = Math.max(0, now - this.ratesAsOf);
+        const minutes = Math.floor(ageMs / 60000);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        let label;
+        if (minutes < 1) label = 'just now';
+        else if (minutes < 60) label = `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        else if (hours < 24) label = `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        else label = `${days} day${days === 1 ? '' : 's'} ago`;
+
+        return {
+            asOf: this.ratesAsOf,
+            ageMs: ageMs,
+            stale: hours >= this.staleAfterHours,
+            label: label
         };
     }
 
@@ -361,14 +452,8 @@ class CurrencyConverter {
             }
         }
         
-        // Fallback: simulate small changes to static rates
-        Object.keys(this.currencies).forEach(currency => {
-            if (currency !== 'USD') {
-                const change = (Math.random() - 0.5) * 0.01; // ±0.5% change
-                this.currencies[currency].rate *= (1 + change);
-            }
-        });
-        this.lastUpdated = new Date();
+        // Fallback: the newest stored snapshot, if any
+        await this.loadStoredRates();
     }
 
     /**
@@ -378,6 +463,213 @@ class CurrencyConverter {
         this.apiEnabled = true;
         return await this.fetchRealTimeRates();
     }
+
+    /**
+     * Rate from one currency to another in a snapshot, cached per snapshot
+     */
+    getCrossRate(snapshot, fromCurrency, toCurrency) {
+        const key = `${ExchangeRateStore.key(snapshot)}|${snapshot.timestamp}|${fromCurrency}|${toCurrency}`;
+        if (this.crossRateCache.has(key)) {
+            return this.crossRateCache.get(key);
+        }
+
+        const fromRate = snapshot.rates[fromCurrency];
+        const toRate = snapshot.rates[toCurrency];
+        if (!fromRate || !toRate) {
+            throw new Error(`No ${!fromRate ? fromCurrency : toCurrency} rate for ${snapshot.date}`);
+        }
+
+        const rate = toRate / fromRate;
+        this.crossRateCache.set(key, rate);
+        return rate;
+    }
+
+    /**
+     * Snapshot in force on a date. A stored one from that day is used as
+     * is; otherwise a provider with history is asked, falling back to the
+     * last stored snapshot before the date.
+     */
+    async getSnapshotForDate(date) {
+        const day = ExchangeRateStore.toDay(date);
+        const stored = this.rateStore ? await this.rateStore.getOnDate(day) : null;
+        if (stored && stored.date === day) {
+            return stored;
+        }
+
+        const provider = this.providers[this.providerId];
+        if (provider && provider.supportsHistory) {
+            try {
+                const fetched = await provider.fetchHistorical(day, 'USD');
+                return this.rateStore ? await this.rateStore.save(fetched) : ExchangeRateStore.normalize(fetched);
+            } catch (error) {
+                console.warn(`⚠️ Failed to fetch rates for ${day}:`, error.message);
+            }
+        }
+        return stored;
+    }
+
+    /**
+     * Convert with the rates in force on a date
+     */
+    async convertOnDate(amount, fromCurrency, toCurrency, date) {
+        try {
+            const day = ExchangeRateStore.toDay(date);
+            const snapshot = await this.getSnapshotForDate(day);
+            if (!snapshot) {
+                return { success: false, error: `No exchange rates stored for ${day} or earlier` };
+            }
+
+            const exchangeRate = this.getCrossRate(snapshot, fromCurrency, toCurrency);
+            return {
+                success: true,
+                originalAmount: amount,
+                originalCurrency: fromCurrency,
+                convertedAmount: amount * exchangeRate,
+                targetCurrency: toCurrency,
+                exchangeRate: exchangeRate,
+                requestedDate: day,
+                rateDate: snapshot.date,
+                exactDate: snapshot.date === day,
+                source: snapshot.source
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Parse a rate table. Two layouts are accepted:
+     *   wide: date[,base],EUR,GBP,...  one row per date
+     *   long: date,currency,rate[,base] one row per rate
+     * Rates are units of the currency per one unit of the base.
+     * @returns {Object} { snapshots, errors }
+     */
+    parseRatesCSV(text, defaultBase = 'USD', source = 'CSV import') {
+        const lines = CsvParser.lines(text);
+        if (lines.length < 2) {
+            throw new Error('The CSV needs a header row and at least one row of rates');
+        }
+
+        const delimiter = CsvParser.detectDelimiter(lines[0]);
+        const header = CsvParser.parseLine(lines[0], delimiter);
+        const lower = header.map(field => field.toLowerCase());
+        const dateColumn = lower.indexOf('date');
+        const baseColumn = lower.indexOf('base');
+        if (dateColumn === -1) {
+            throw new Error('The CSV needs a "date" column');
+        }
+
+        const long = lower.includes('currency') && lower.includes('rate');
+        const currencyColumns = header
+            .map((field, index) => ({ code: field.toUpperCase(), index }))
+            .filter(column => column.index !== dateColumn && column.index !== baseColumn && /^[A-Z]{3}$/.test(column.code));
+        if (!long && currencyColumns.length === 0) {
+            throw new Error('No currency columns found (expected codes such as EUR, GBP)');
+        }
+
+        const grouped = new Map();
+        const errors = [];
+        lines.slice(1).forEach((line, offset) => {
+            const lineNumber = offset + 2;
+            const fields = CsvParser.parseLine(line, delimiter);
+            const base = (baseColumn !== -1 && fields[baseColumn] ? fields[baseColumn] : defaultBase).toUpperCase();
+
+            let date;
+            try {
+                date = ExchangeRateStore.toDay(fields[dateColumn]);
+            } catch (error) {
+                errors.push(`Line ${lineNumber}: invalid date "${fields[dateColumn] || ''}"`);
+                return;
+            }
+
+            const key = `${base}|${date}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, { base: base, date: date, source: source, rates: {} });
+            }
+            const snapshot = grouped.get(key);
+
+            const addRate = (currency, value) => {
+                const rate = parseFloat(value);
+                if (!/^[A-Z]{3}$/.test(currency) || !isFinite(rate) || rate <= 0) {
+                    errors.push(`Line ${lineNumber}: invalid rate for ${currency || '?'} "${value || ''}"`);
+                    return;
+                }
+                snapshot.rates[currency] = rate;
+            };
+
+            if (long) {
+                addRate((fields[lower.indexOf('currency')] || '').toUpperCase(), fields[lower.indexOf('rate')]);
+            } else {
+                currencyColumns.forEach(column => {
+                    if (fields[column.index] !== undefined && fields[column.index] !== '') {
+                        addRate(column.code, fields[column.index]);
+                    }
+                });
+            }
+        });
+
+        const snapshots = [];
+        grouped.forEach(snapshot => {
+            try {
+                snapshots.push(ExchangeRateStore.normalize(snapshot));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        });
+        return { snapshots: snapshots, errors: errors };
+    }
+
+    /**
+     * Import a rate table from CSV into the snapshot store, and use the
+     * newest imported rates if they are newer than the ones in use
+     */
+    async importRatesCSV(text, options = {}) {
+        try {
+            const { snapshots, errors } = this.parseRatesCSV(text, options.base || 'USD', options.source || 'CSV import');
+            if (snapshots.length === 0) {
+                return { success: false, error: errors[0] || 'No rates found in the CSV', errors: errors };
+            }
+
+            if (this.rateStore) {
+                await this.rateStore.saveAll(snapshots);
+            }
+
+            const newest = snapshots.reduce((latest, snapshot) => (snapshot.timestamp > latest.timestamp ? snapshot : latest));
+            if (newest.rates.USD && (!this.ratesAsOf || new Date(newest.timestamp) > this.ratesAsOf)) {
+                this.applySnapshot(newest);
+            }
+
+            const dates = snapshots.map(snapshot => snapshot.date).sort();
+            const currencies = new Set();
+            snapshots.forEach(snapshot => Object.keys(snapshot.rates).forEach(currency => currencies.add(currency)));
+
+            return {
+                success: true,
+                imported: snapshots.length,
+                from: dates[0],
+                to: dates[dates.length - 1],
+                currencies: [...currencies].sort(),
+                errors: errors
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stored snapshots, newest first, without the rate tables
+     */
+    async getStoredSnapshots() {
+        if (!this.rateStore) return [];
+        const snapshots = await this.rateStore.list();
+        return snapshots.reverse().map(snapshot => ({
+            base: snapshot.base,
+            date: snapshot.date,
+            timestamp: snapshot.timestamp,
+            source: snapshot.source,
+            currencyCount: Object.keys(snapshot.rates).length - 1
+        }));
+    }
 }
 
 // Export for use in other modules
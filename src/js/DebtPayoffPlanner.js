@@ -0,0 +1,458 @@
+/**
+ * Debt Payoff Planner
+ * Simulate paying off several loans month by month with avalanche, snowball
+ * or custom priority orders, promotional rates and lump-sum payments
+ */
+
+class DebtPayoffPlanner {
+    constructor() {
+        this.history = [];
+        this.maxMonths = 600; // 50 years
+        this.strategies = {
+            'avalanche': 'Avalanche (highest rate first)',
+            'snowball': 'Snowball (smallest balance first)',
+            'custom': 'Custom order',
+            'minimum': 'Minimum payments only'
+        };
+    }
+
+    /**
+     * Simulate a payoff plan.
+     *
+     * Each loan is { name, balance, interestRate, minimumPayment, promoRate, promoMonths }
+     * where rates are APR percentages and the promotional rate (default 0%)
+     * applies to the first promoMonths months.
+     *
+     * Options:
+     * - monthlyPayment: total paid each month (default: sum of minimums + extraPayment)
+     * - extraPayment: added to the minimums when monthlyPayment is not given
+     * - strategy: 'avalanche', 'snowball', 'custom' or 'minimum'
+     * - order: loan names in priority order for the custom strategy
+     * - lumpSums: [{ month, amount, loan }], loan optional (default: current priority)
+     * - startDate: first payment month as a Date or 'YYYY-MM' (default: next month)
+     *
+     * Every month interest accrues first, then each loan gets its minimum
+     * and whatever is left of the monthly payment, plus any lump sum, goes to
+     * the loans in priority order. Minimums of paid-off loans roll over.
+     */
+    simulate(loans, options = {}) {
+        try {
+            const strategy = options.strategy || 'avalanche';
+            if (!this.strategies[strategy]) {
+                throw new Error(`Unknown strategy: ${strategy}`);
+            }
+
+            const debts = this.normalizeLoans(loans);
+            const totalMinimum = debts.reduce((sum, debt) => sum + debt.minimumPayment, 0);
+            const monthlyPayment = strategy === 'minimum'
+                ? totalMinimum
+                : (options.monthlyPayment !== undefined ? Number(options.monthlyPayment) : totalMinimum + (Number(options.extraPayment) || 0));
+
+            if (!(monthlyPayment >= totalMinimum - 0.005)) {
+                throw new Error(`Monthly payment ${monthlyPayment.toFixed(2)} does not cover the minimum payments of ${totalMinimum.toFixed(2)}`);
+            }
+
+            const lumpSums = strategy === 'minimum' ? [] : this.normalizeLumpSums(options.lumpSums || [], debts);
+            const order = strategy === 'custom' ? this.normalizeOrder(options.order || [], debts) : null;
+            const startDate = this.parseStartDate(options.startDate);
+
+            const schedule = [];
+            const monthlyTotals = [];
+            let totalInterest = 0;
+            let totalPaid = 0;
+            let month = 0;
+
+            while (debts.some(debt => debt.balance > 0) && month < this.maxMonths) {
+                month++;
+                const date = this.formatMonth(startDate, month - 1);
+                const rows = new Map();
+
+                // Interest accrues on the opening balance
+                for (const debt of debts) {
+                    if (debt.balance <= 0) continue;
+                    const promo = month <= debt.promoMonths;
+                    const rate = promo ? debt.promoRate : debt.interestRate;
+                    const interest = this.round(debt.balance * rate / 100 / 12);
+                    rows.set(debt, {
+                        month: month,
+                        date: date,
+                        loan: debt.name,
+                        rate: rate,
+                        promo: promo,
+                        startingBalance: debt.balance,
+                        interest: interest,
+                        minimumPayment: 0,
+                        extraPayment: 0,
+                        lumpSum: 0
+                    });
+                    debt.balance = this.round(debt.balance + interest);
+                    debt.interestPaid += interest;
+                    totalInterest += interest;
+                }
+
+                // Minimum payments
+                let available = monthlyPayment;
+                for (const [debt, row] of rows) {
+                    const payment = Math.min(debt.minimumPayment, debt.balance);
+                    row.minimumPayment = payment;
+                    debt.balance = this.round(debt.balance - payment);
+                    available -= payment;
+                }
+
+                // Lump sums go to their loan first, the rest follows the priority order
+                let lumpAvailable = 0;
+                for (const lump of lumpSums.filter(item => item.month === month)) {
+                    let amount = lump.amount;
+                    if (lump.debt && rows.has(lump.debt)) {
+                        const payment = Math.min(amount, lump.debt.balance);
+                        rows.get(lump.debt).lumpSum += payment;
+                        lump.debt.balance = this.round(lump.debt.balance - payment);
+                        amount -= payment;
+                    }
+                    lumpAvailable += amount;
+                }
+
+                if (strategy !== 'minimum') {
+                    for (const debt of this.prioritize(debts, strategy, order, month)) {
+                        if (debt.balance <= 0 || !rows.has(debt)) continue;
+                        const row = rows.get(debt);
+
+                        const lumpPayment = Math.min(lumpAvailable, debt.balance);
+                        row.lumpSum += lumpPayment;
+                        debt.balance = this.round(debt.balance - lumpPayment);
+                        lumpAvailable -= lumpPayment;
+
+                        const extra = Math.min(Math.max(available, 0), debt.balance);
+                        row.extraPayment += extra;
+                        debt.balance = this.round(debt.balance - extra);
+                        available -= extra;
+                    }
+                }
+
+                const totals = { month: month, date: date, interest: 0, payment: 0, principal: 0, endingBalance: 0 };
+                for (const [debt, row] of rows) {
+                    row.minimumPayment = this.round(row.minimumPayment);
+                    row.extraPayment = this.round(row.extraPayment);
+                    row.lumpSum = this.round(row.lumpSum);
+                    row.totalPayment = this.round(row.minimumPayment + row.extraPayment + row.lumpSum);
+                    row.principal = this.round(row.totalPayment - row.interest);
+                    row.endingBalance = debt.balance;
+                    debt.totalPaid += row.totalPayment;
+                    if (debt.balance <= 0 && debt.payoffMonth === null) {
+                        debt.payoffMonth = month;
+                        debt.payoffDate = date;
+                    }
+
+                    totals.interest += row.interest;
+                    totals.payment += row.totalPayment;
+                    totals.principal += row.principal;
+                    schedule.push(row);
+                }
+                totals.endingBalance = this.round(debts.reduce((sum, debt) => sum + debt.balance, 0));
+                totals.interest = this.round(totals.interest);
+                totals.payment = this.round(totals.payment);
+                totals.principal = this.round(totals.principal);
+                totalPaid += totals.payment;
+                monthlyTotals.push(totals);
+            }
+
+            if (debts.some(debt => debt.balance > 0)) {
+                throw new Error(`Debts are not paid off within ${this.maxMonths / 12} years; increase the monthly payment`);
+            }
+
+            return {
+                success: true,
+                strategy: strategy,
+                strategyName: this.strategies[strategy],
+                monthlyPayment: this.round(monthlyPayment),
+                totalMinimumPayment: this.round(totalMinimum),
+                totalDebt: this.round(debts.reduce((sum, debt) => sum + debt.originalBalance, 0)),
+                totalInterest: this.round(totalInterest),
+                totalPaid: this.round(totalPaid),
+                payoffMonths: month,
+                payoffDate: this.formatMonth(startDate, month - 1),
+                loans: debts.map(debt => ({
+                    name: debt.name,
+                    originalBalance: debt.originalBalance,
+                    interestPaid: this.round(debt.interestPaid),
+                    totalPaid: this.round(debt.totalPaid),
+                    payoffMonth: debt.payoffMonth,
+                    payoffDate: debt.payoffDate
+                })),
+                payoffOrder: [...debts].sort((a, b) => a.payoffMonth - b.payoffMonth).map(debt => debt.name),
+                monthlyTotals: monthlyTotals,
+                schedule: schedule
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Compare strategies side by side against paying only the minimums
+     */
+    compareStrategies(loans, options = {}) {
+        try {
+            const strategies = options.strategies ||
+                ['avalanche', 'snowball', ...(options.order && options.order.length > 0 ? ['custom'] : []), 'minimum'];
+            const results = {};
+            for (const strategy of strategies) {
+                results[strategy] = this.simulate(loans, { ...options, strategy: strategy });
+            }
+
+            const baseline = results.minimum && results.minimum.success ? results.minimum : null;
+            const comparison = strategies
+                .filter(strategy => results[strategy].success)
+                .map(strategy => {
+                    const result = results[strategy];
+                    return {
+                        strategy: strategy,
+                        strategyName: result.strategyName,
+                        totalInterest: result.totalInterest,
+                        totalPaid: result.totalPaid,
+                        payoffMonths: result.payoffMonths,
+                        payoffDate: result.payoffDate,
+                        payoffOrder: result.payoffOrder,
+                        interestSaved: baseline ? this.round(baseline.totalInterest - result.totalInterest) : null,
+                        monthsSaved: baseline ? baseline.payoffMonths - result.payoffMonths : null
+                    };
+                });
+
+            if (comparison.length === 0) {
+                const failed = strategies.map(strategy => results[strategy]).find(result => !result.success);
+                throw new Error(failed ? failed.error : 'No strategy could be simulated');
+            }
+
+            const best = comparison
+                .filter(entry => entry.strategy !== 'minimum')
+                .reduce((a, b) => (b.totalInterest < a.totalInterest || (b.totalInterest === a.totalInterest && b.payoffMonths < a.payoffMonths) ? b : a), comparison[0]);
+
+            const result = {
+                success: true,
+                comparison: comparison,
+                bestStrategy: best.strategy,
+                results: results
+            };
+            this.addToHistory({ type: 'debt-payoff', loans: loans.length, bestStrategy: best.strategy, totalInterest: best.totalInterest });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Export the consolidated schedule of a simulation as CSV: one row per
+     * loan per month followed by a total row for the month
+     */
+    exportScheduleCSV(result) {
+        if (!result || !result.success) {
+            throw new Error('No payoff schedule to export');
+        }
+
+        const header = ['Month', 'Date', 'Loan', 'APR %', 'Starting Balance', 'Interest', 'Minimum Payment',
+            'Extra Payment', 'Lump Sum', 'Total Payment', 'Principal', 'Ending Balance'];
+        const lines = [header.map(value => this.csvField(value)).join(',')];
+        const money = value => value.toFixed(2);
+
+        let index = 0;
+        for (const totals of result.monthlyTotals) {
+            let startingBalance = 0;
+            let minimum = 0;
+            let extra = 0;
+            let lump = 0;
+            while (index < result.schedule.length && result.schedule[index].month === totals.month) {
+                const row = result.schedule[index++];
+                startingBalance += row.startingBalance;
+                minimum += row.minimumPayment;
+                extra += row.extraPayment;
+                lump += row.lumpSum;
+                lines.push([row.month, row.date, row.loan, row.rate, money(row.startingBalance), money(row.interest),
+                    money(row.minimumPayment), money(row.extraPayment), money(row.lumpSum), money(row.totalPayment),
+                    money(row.principal), money(row.endingBalance)].map(value => this.csvField(value)).join(','));
+            }
+            lines.push([totals.month, totals.date, 'Total', '', money(startingBalance), money(totals.interest),
+                money(minimum), money(extra), money(lump), money(totals.payment), money(totals.principal),
+                money(totals.endingBalance)].map(value => this.csvField(value)).join(','));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Check loans and copy them into working records
+     */
+    normalizeLoans(loans) {
+        if (!Array.isArray(loans) || loans.length === 0) {
+            throw new Error('Add at least one loan');
+        }
+
+        const names = new Set();
+        return loans.map((loan, index) => {
+            const name = String(loan.name || `Loan ${index + 1}`).trim();
+            const balance = Number(loan.balance);
+            const interestRate = Number(loan.interestRate) || 0;
+            const minimumPayment = Number(loan.minimumPayment) || 0;
+            const promoRate = Number(loan.promoRate) || 0;
+            const promoMonths = Math.max(0, Math.floor(Number(loan.promoMonths) || 0));
+
+            if (names.has(name)) {
+                throw new Error(`Duplicate loan name: ${name}`);
+            }
+            names.add(name);
+            if (!(balance >= 0)) {
+                throw new Error(`${name}: balance must be zero or more`);
+            }
+            if (interestRate < 0 || promoRate < 0) {
+                throw new Error(`${name}: interest rates cannot be negative`);
+            }
+            if (minimumPayment <= 0 && balance > 0) {
+                throw new Error(`${name}: minimum payment must be greater than zero`);
+            }
+
+            return {
+                name: name,
+                balance: this.round(balance),
+                originalBalance: this.round(balance),
+                interestRate: interestRate,
+                minimumPayment: minimumPayment,
+                promoRate: promoRate,
+                promoMonths: promoMonths,
+                interestPaid: 0,
+                totalPaid: 0,
+                payoffMonth: balance > 0 ? null : 0,
+                payoffDate: null
+            };
+        });
+    }
+
+    /**
+     * Resolve lump sums to their target loans
+     */
+    normalizeLumpSums(lumpSums, debts) {
+        return lumpSums.map(lump => {
+            const month = Math.floor(Number(lump.month));
+            const amount = Number(lump.amount);
+            if (!(month >= 1) || !(amount > 0)) {
+                throw new Error('Lump sums need a month of 1 or more and a positive amount');
+            }
+
+            let debt = null;
+            if (lump.loan) {
+                debt = debts.find(item => item.name === lump.loan);
+                if (!debt) {
+                    throw new Error(`Lump sum for unknown loan: ${lump.loan}`);
+                }
+            }
+            return { month: month, amount: amount, debt: debt };
+        });
+    }
+
+    /**
+     * Map custom order names to loans; loans left out follow by avalanche
+     */
+    normalizeOrder(order, debts) {
+        const ordered = order.map(name => {
+            const debt = debts.find(item => item.name === name);
+            if (!debt) {
+                throw new Error(`Custom order names an unknown loan: ${name}`);
+            }
+            return debt;
+        });
+        return ordered;
+    }
+
+    /**
+     * Loans in the order extra money goes to them this month
+     */
+    prioritize(debts, strategy, order, month) {
+        const rate = debt => (month <= debt.promoMonths ? debt.promoRate : debt.interestRate);
+        const byRate = (a, b) => rate(b) - rate(a) || a.balance - b.balance;
+        const active = debts.filter(debt => debt.balance > 0);
+
+        switch (strategy) {
+            case 'snowball':
+                return active.sort((a, b) => a.balance - b.balance || rate(b) - rate(a));
+            case 'custom': {
+                const first = order.filter(debt => debt.balance > 0);
+                return [...first, ...active.filter(debt => !first.includes(debt)).sort(byRate)];
+            }
+            default:
+                return active.sort(byRate);
+        }
+    }
+
+    /**
+     * First payment month; defaults to the month after today
+     */
+    parseStartDate(startDate) {
+        if (startDate instanceof Date && !isNaN(startDate)) {
+            return new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+        }
+        if (typeof startDate === 'string' && startDate) {
+            const match = startDate.match(/^(\d{4})-(\d{1,2})/);
+            if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+                throw new Error(`Invalid start date: ${startDate} (use YYYY-MM)`);
+            }
+            return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+        }
+        const today = new Date();
+        return new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    }
+
+    /**
+     * Format the month a number of months after the start as YYYY-MM
+     */
+    formatMonth(startDate, offset) {
+        const date = new Date(startDate.getFullYear(), startDate.getMonth() + offset, 1);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Round to cents
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Quote a CSV field when needed
+     */
+    csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Add to history
+     */
+    addToHistory(calculation) {
+        this.history.unshift({
+            ...calculation,
+            timestamp: new Date()
+        });
+
+        // Keep only last 20 calculations
+        if (this.history.length > 20) {
+            this.history = this.history.slice(0, 20);
+        }
+    }
+
+    /**
+     * Get history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Clear history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebtPayoffPlanner;
+}
@@ -5,6 +5,218 @@
 class DimensionEngine {
     constructor() {
         this.baseDimensions = ['s', 'm', 'kg', 'A', 'K', 'mol', 'cd', 'count'];
+        this.units = new Map();
+        this.prefixes = new Map();
+
+        this.initializePrefixes();
+        this.initializeUnits();
+    }
+
+    /**
+     * Initialize SI prefixes
+     */
+    initializePrefixes() {
+        const prefixes = {
+            Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6,
+            k: 1e3, h: 1e2, da: 1e1, d: 1e-1, c: 1e-2, m: 1e-3,
+            u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18
+        };
+
+        for (const [symbol, factor] of Object.entries(prefixes)) {
+            this.prefixes.set(symbol, factor);
+        }
+    }
+
+    /**
+     * Initialize known units as factor-to-SI plus dimension vector
+     */
+    initializeUnits() {
+        const define = (symbol, factor, dimension, prefixable = false) => {
+            this.units.set(symbol, { factor, dimension, prefixable });
+        };
+
+        // SI base units (mass is prefixed on the gram)
+        define('m', 1, { m: 1 }, true);
+        define('g', 1e-3, { kg: 1 }, true);
+        define('s', 1, { s: 1 }, true);
+        define('A', 1, { A: 1 }, true);
+        define('K', 1, { K: 1 }, true);
+        define('mol', 1, { mol: 1 }, true);
+        define('cd', 1, { cd: 1 }, true);
+
+        // SI derived units
+        define('Hz', 1, { s: -1 }, true);
+        define('N', 1, { kg: 1, m: 1, s: -2 }, true);
+        define('Pa', 1, { kg: 1, m: -1, s: -2 }, true);
+        define('J', 1, { kg: 1, m: 2, s: -2 }, true);
+        define('W', 1, { kg: 1, m: 2, s: -3 }, true);
+        define('C', 1, { A: 1, s: 1 }, true);
+        define('V', 1, { kg: 1, m: 2, s: -3, A: -1 }, true);
+        define('ohm', 1, { kg: 1, m: 2, s: -3, A: -2 }, true);
+        define('L', 1e-3, { m: 3 }, true);
+        define('l', 1e-3, { m: 3 }, true);
+
+        // Time
+        define('min', 60, { s: 1 });
+        define('h', 3600, { s: 1 });
+        define('day', 86400, { s: 1 });
+        define('week', 604800, { s: 1 });
+        define('yr', 31557600, { s: 1 });
+
+        // Imperial and other length, area, volume
+        define('in', 0.0254, { m: 1 });
+        define('ft', 0.3048, { m: 1 });
+        define('yd', 0.9144, { m: 1 });
+        define('mi', 1609.344, { m: 1 });
+        define('nmi', 1852, { m: 1 });
+        define('ha', 1e4, { m: 2 });
+        define('acre', 4046.8564224, { m: 2 });
+        define('gal', 3.785411784e-3, { m: 3 });
+
+        // Mass
+        define('t', 1000, { kg: 1 });
+        define('lb', 0.45359237, { kg: 1 });
+        define('oz', 0.028349523125, { kg: 1 });
+
+        // Speed
+        define('mph', 0.44704, { m: 1, s: -1 });
+        define('kn', 1852 / 3600, { m: 1, s: -1 });
+
+        // Energy and pressure
+        define('Wh', 3600, { kg: 1, m: 2, s: -2 }, true);
+        define('eV', 1.602176634e-19, { kg: 1, m: 2, s: -2 }, true);
+        define('cal', 4.184, { kg: 1, m: 2, s: -2 }, true);
+        define('bar', 1e5, { kg: 1, m: -1, s: -2 }, true);
+        define('atm', 101325, { kg: 1, m: -1, s: -2 });
+        define('psi', 6894.757293168, { kg: 1, m: -1, s: -2 });
+
+        // Data
+        define('bit', 1, { count: 1 }, true);
+        define('B', 8, { count: 1 }, true);
+    }
+
+    /**
+     * Resolve a single unit symbol, allowing an SI prefix
+     * @param {string} symbol - Unit symbol such as 'km' or 'h'
+     * @returns {Object|null} { factor, dimension } or null if unknown
+     */
+    resolveUnit(symbol) {
+        if (this.units.has(symbol)) {
+            const unit = this.units.get(symbol);
+            return { factor: unit.factor, dimension: { ...unit.dimension } };
+        }
+
+        // Longest prefix first so 'da' wins over 'd'
+        const prefixes = Array.from(this.prefixes.keys()).sort((a, b) => b.length - a.length);
+        for (const prefix of prefixes) {
+            if (symbol.length > prefix.length && symbol.startsWith(prefix)) {
+                const unit = this.units.get(symbol.slice(prefix.length));
+                if (unit && unit.prefixable) {
+                    return {
+                        factor: this.prefixes.get(prefix) * unit.factor,
+                        dimension: { ...unit.dimension }
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a symbol names a unit
+     */
+    isUnit(symbol) {
+        return this.resolveUnit(symbol) !== null;
+    }
+
+    /**
+     * Parse a compound unit expression such as 'km/h', 'm/s^2' or 'kg*m^2/s^2'
+     * @param {string} expression - Unit expression
+     * @returns {Object} { factor, dimension, label }
+     */
+    parseUnit(expression) {
+        const label = expression.replace(/\s+/g, '');
+        const pattern = /([*/·]?)([A-Za-zµ_]+)(?:\^(-?\d+(?:\.\d+)?))?/y;
+        let factor = 1;
+        let dimension = {};
+        let index = 0;
+
+        while (index < label.length) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(label);
+            if (!match || (index > 0 && !match[1]) || (index === 0 && match[1])) {
+                throw new NumericError(`Invalid unit expression: ${expression}`, 'INVALID_UNIT');
+            }
+
+            const [, operator, symbol, exponentText] = match;
+            const unit = this.resolveUnit(symbol);
+            if (!unit) {
+                throw new NumericError(`Unknown unit: ${symbol}`, 'INVALID_UNIT');
+            }
+
+            const exponent = (exponentText ? parseFloat(exponentText) : 1) * (operator === '/' ? -1 : 1);
+            factor *= Math.pow(unit.factor, exponent);
+            dimension = this.addDimensions(dimension, this.multiplyDimension(unit.dimension, exponent));
+            index = pattern.lastIndex;
+        }
+
+        if (index === 0) {
+            throw new NumericError(`Invalid unit expression: ${expression}`, 'INVALID_UNIT');
+        }
+
+        return { factor, dimension: this.cleanDimension(dimension), label };
+    }
+
+    /**
+     * Remove zero exponents from a dimension vector
+     */
+    cleanDimension(dimension) {
+        const result = {};
+        for (const [base, exp] of Object.entries(dimension)) {
+            if (Math.abs(exp) > 1e-10) {
+                result[base] = exp;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Create a quantity from a number and a unit expression
+     */
+    createQuantity(value, unitExpression) {
+        const unit = this.parseUnit(unitExpression);
+        return new Quantity(value * unit.factor, unit.dimension, this, {
+            label: unit.label,
+            factor: unit.factor
+        });
+    }
+
+    /**
+     * Get a conventional SI unit label for a dimension, if there is one
+     */
+    getPreferredUnit(dimension) {
+        const preferred = {
+            'length': 'm',
+            'area': 'm^2',
+            'volume': 'm^3',
+            'time': 's',
+            'mass': 'kg',
+            'electric_current': 'A',
+            'temperature': 'K',
+            'amount_of_substance': 'mol',
+            'luminous_intensity': 'cd',
+            'speed': 'm/s',
+            'acceleration': 'm/s^2',
+            'force': 'N',
+            'pressure': 'Pa',
+            'energy': 'J',
+            'power': 'W',
+            'frequency': 'Hz',
+            'data_size': 'bit'
+        };
+
+        return preferred[this.getDimensionCategory(dimension)] || this.dimensionToString(dimension);
     }
 
     /**
@@ -132,9 +344,159 @@ class DimensionEngine {
     }
 }
 
+/**
+ * Quantity - a value in SI base units carrying its dimension vector
+ */
+class Quantity {
+    constructor(value, dimension, engine, displayUnit = null) {
+        this.value = value;
+        this.dimension = engine.cleanDimension(dimension);
+        this.engine = engine;
+        this.displayUnit = displayUnit; // { label, factor } used for output
+    }
+
+    static isQuantity(value) {
+        return value instanceof Quantity;
+    }
+
+    /**
+     * Collapse dimensionless results back to plain numbers
+     */
+    static simplify(quantity) {
+        if (quantity.isDimensionless() && !quantity.displayUnit) {
+            return quantity.value;
+        }
+        return quantity;
+    }
+
+    isDimensionless() {
+        return this.engine.isDimensionless(this.dimension);
+    }
+
+    toQuantity(other) {
+        return Quantity.isQuantity(other) ? other : new Quantity(other, {}, this.engine);
+    }
+
+    checkSameDimension(other, operation) {
+        if (!this.engine.equalDimensions(this.dimension, other.dimension)) {
+            throw new NumericError(
+                `Dimension mismatch: cannot ${operation} ${this.engine.dimensionToString(this.dimension)} ` +
+                `and ${this.engine.dimensionToString(other.dimension)}`,
+                'DIMENSION_MISMATCH'
+            );
+        }
+    }
+
+    add(other) {
+        other = this.toQuantity(other);
+        this.checkSameDimension(other, 'add');
+        return Quantity.simplify(new Quantity(this.value + other.value, this.dimension, this.engine, this.displayUnit || other.displayUnit));
+    }
+
+    subtract(other) {
+        other = this.toQuantity(other);
+        this.checkSameDimension(other, 'subtract');
+        return Quantity.simplify(new Quantity(this.value - other.value, this.dimension, this.engine, this.displayUnit || other.displayUnit));
+    }
+
+    multiply(other) {
+        if (!Quantity.isQuantity(other)) {
+            return new Quantity(this.value * other, this.dimension, this.engine, this.displayUnit);
+        }
+        return Quantity.simplify(new Quantity(
+            this.value * other.value,
+            this.engine.addDimensions(this.dimension, other.dimension),
+            this.engine
+        ));
+    }
+
+    divide(other) {
+        const divisor = Quantity.isQuantity(other) ? other.value : other;
+        if (divisor === 0) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        if (!Quantity.isQuantity(other)) {
+            return new Quantity(this.value / other, this.dimension, this.engine, this.displayUnit);
+        }
+        return Quantity.simplify(new Quantity(
+            this.value / other.value,
+            this.engine.subtractDimensions(this.dimension, other.dimension),
+            this.engine
+        ));
+    }
+
+    /**
+     * Divide a plain number by this quantity
+     */
+    divideInto(number) {
+        return new Quantity(number, {}, this.engine).divide(this);
+    }
+
+    power(exponent) {
+        if (Quantity.isQuantity(exponent)) {
+            if (!exponent.isDimensionless()) {
+                throw new NumericError('Exponent must be dimensionless', 'DIMENSION_MISMATCH');
+            }
+            exponent = exponent.value;
+        }
+
+        // Fractional powers of a named unit read badly, so fall back to SI
+        const displayUnit = this.displayUnit && Number.isInteger(exponent) ? {
+            label: `${this.displayUnit.label}^${exponent}`,
+            factor: Math.pow(this.displayUnit.factor, exponent)
+        } : null;
+
+        return Quantity.simplify(new Quantity(
+            Math.pow(this.value, exponent),
+            this.engine.multiplyDimension(this.dimension, exponent),
+            this.engine,
+            displayUnit
+        ));
+    }
+
+    negate() {
+        return new Quantity(-this.value, this.dimension, this.engine, this.displayUnit);
+    }
+
+    /**
+     * Express this quantity in the unit of another quantity
+     */
+    convertTo(target) {
+        if (!Quantity.isQuantity(target) || !target.displayUnit) {
+            throw new NumericError('Conversion target must be a unit', 'INVALID_UNIT');
+        }
+        this.checkSameDimension(target, 'convert');
+        return new Quantity(this.value, this.dimension, this.engine, target.displayUnit);
+    }
+
+    /**
+     * Get the numeric value in the display unit
+     */
+    getDisplayValue() {
+        return this.displayUnit ? this.value / this.displayUnit.factor : this.value;
+    }
+
+    getUnitLabel() {
+        return this.displayUnit ? this.displayUnit.label : this.engine.getPreferredUnit(this.dimension);
+    }
+
+    toNumber() {
+        if (!this.isDimensionless()) {
+            throw new NumericError(
+                `Expected a dimensionless value, got ${this.engine.dimensionToString(this.dimension)}`,
+                'DIMENSION_MISMATCH'
+            );
+        }
+        return this.getDisplayValue();
+    }
+
+    toString() {
+        return `${parseFloat(this.getDisplayValue().toPrecision(12))} ${this.getUnitLabel()}`;
+    }
+}
+
 // Make available globally
 window.DimensionEngine = DimensionEngine;
-
-export { DimensionEngine };
+window.Quantity = Quantity;
 
 
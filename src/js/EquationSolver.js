@@ -0,0 +1,688 @@
+/**
+ * EquationSolver.js - Linear systems, polynomial roots and nonlinear equations
+ *
+ * Works on ExpressionTree nodes. Each equation "lhs = rhs" is rewritten as
+ * lhs - rhs = 0 and then solved as:
+ *   - a system of linear equations, by Gaussian elimination with partial pivoting
+ *   - a polynomial in one variable, by the Durand–Kerner iteration (real and complex roots)
+ *   - any other equation in one variable, by scanning for sign changes and
+ *     refining each bracket with Newton's method, falling back to bisection
+ *
+ * Every solver records human-readable steps like the symbolic engines.
+ */
+
+class EquationSolver {
+    constructor(expressionTree, scientificFunctions) {
+        this.tree = expressionTree;
+        this.scientificFunctions = scientificFunctions;
+        this.steps = [];
+    }
+
+    /**
+     * Parse "lhs = rhs" into the tree of lhs - rhs
+     * @param {string} text - Equation such as "2x + 3y = 5"
+     * @returns {Object} Tree node equal to zero at a solution
+     */
+    parseEquation(text) {
+        const sides = text.split('=');
+        if (sides.length !== 2 || !sides[0].trim() || !sides[1].trim()) {
+            throw new Error(`"${text.trim()}" is not an equation of the form lhs = rhs`);
+        }
+        const lhs = this.tree.parse(sides[0]);
+        const rhs = this.tree.parse(sides[1]);
+        if (rhs.type === 'number' && rhs.value === 0) {
+            return lhs;
+        }
+        return ExpressionTree.op('-', lhs, rhs);
+    }
+
+    /**
+     * Collect the variable names used in a tree
+     * @param {Object} node - Tree node
+     * @param {Set} names - Set to add to
+     * @returns {Set} Variable names
+     */
+    variables(node, names = new Set()) {
+        switch (node.type) {
+            case 'variable':
+                names.add(node.name);
+                break;
+            case 'operator':
+                this.variables(node.left, names);
+                this.variables(node.right, names);
+                break;
+            case 'negate':
+                this.variables(node.arg, names);
+                break;
+            case 'function':
+                node.args.forEach(arg => this.variables(arg, names));
+                break;
+        }
+        return names;
+    }
+
+    /**
+     * Express a tree as c1·v1 + c2·v2 + ... + constant
+     * @param {Object} node - Tree node
+     * @returns {Object|null} { coefficients: { name: value }, constant } or null if not linear
+     */
+    linearForm(node) {
+        const scale = (form, factor) => {
+            const coefficients = {};
+            for (const name in form.coefficients) {
+                coefficients[name] = form.coefficients[name] * factor;
+            }
+            return { coefficients, constant: form.constant * factor };
+        };
+        const isConstant = (form) => Object.values(form.coefficients).every(value => value === 0);
+
+        switch (node.type) {
+            case 'number':
+                return { coefficients: {}, constant: node.value };
+            case 'constant':
+                return { coefficients: {}, constant: this.tree.evaluate(node) };
+            case 'variable':
+                return { coefficients: { [node.name]: 1 }, constant: 0 };
+            case 'negate': {
+                const arg = this.linearForm(node.arg);
+                return arg && scale(arg, -1);
+            }
+            case 'function':
+                return this.variables(node).size === 0 ?
+                    { coefficients: {}, constant: this.tree.evaluate(node) } : null;
+            case 'operator': {
+                const left = this.linearForm(node.left);
+                const right = this.linearForm(node.right);
+                if (!left || !right) return null;
+
+                switch (node.op) {
+                    case '+':
+                    case '-': {
+                        const sign = node.op === '+' ? 1 : -1;
+                        const coefficients = { ...left.coefficients };
+                        for (const name in right.coefficients) {
+                            coefficients[name] = (coefficients[name] || 0) + sign * right.coefficients[name];
+                        }
+                        return { coefficients, constant: left.constant + sign * right.constant };
+                    }
+                    case '*':
+                        if (isConstant(left)) return scale(right, left.constant);
+                        if (isConstant(right)) return scale(left, right.constant);
+                        return null;
+                    case '/':
+                        return isConstant(right) && right.constant !== 0 ? scale(left, 1 / right.constant) : null;
+                    case '^':
+                        return isConstant(left) && isConstant(right) ?
+                            { coefficients: {}, constant: Math.pow(left.constant, right.constant) } : null;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Expand a tree into polynomial coefficients in one variable
+     * @param {Object} node - Tree node
+     * @param {string} variable - Polynomial variable
+     * @param {number} maxDegree - Largest degree to expand
+     * @returns {Array|null} Coefficients, lowest degree first, or null if not a polynomial
+     */
+    polynomialCoefficients(node, variable, maxDegree = 100) {
+        const add = (a, b, sign = 1) => {
+            const result = new Array(Math.max(a.length, b.length)).fill(0);
+            a.forEach((value, i) => { result[i] += value; });
+            b.forEach((value, i) => { result[i] += sign * value; });
+            return result;
+        };
+        const multiply = (a, b) => {
+            if (a.length + b.length - 2 > maxDegree) return null;
+            const result = new Array(a.length + b.length - 1).fill(0);
+            a.forEach((x, i) => b.forEach((y, j) => { result[i + j] += x * y; }));
+            return result;
+        };
+
+        const expand = (current) => {
+            if (!this.tree.dependsOn(current, variable)) {
+                if (this.variables(current).size > 0) return null;
+                return [this.tree.evaluate(current)];
+            }
+
+            switch (current.type) {
+                case 'variable':
+                    return [0, 1];
+                case 'negate': {
+                    const arg = expand(current.arg);
+                    return arg && arg.map(value => -value);
+                }
+                case 'operator': {
+                    const left = expand(current.left);
+                    if (!left) return null;
+                    if (current.op === '^') {
+                        if (this.tree.dependsOn(current.right, variable)) return null;
+                        const exponent = expand(current.right);
+                        const n = exponent ? exponent[0] : NaN;
+                        if (!Number.isInteger(n) || n < 0 || (left.length - 1) * n > maxDegree) return null;
+                        let result = [1];
+                        for (let i = 0; i < n; i++) {
+                            result = multiply(result, left);
+                        }
+                        return result;
+                    }
+
+                    const right = expand(current.right);
+                    if (!right) return null;
+                    switch (current.op) {
+                        case '+': return add(left, right);
+                        case '-': return add(left, right, -1);
+                        case '*': return multiply(left, right);
+                        case '/':
+                            return right.length === 1 && right[0] !== 0 ? left.map(value => value / right[0]) : null;
+                    }
+                    return null;
+                }
+                default:
+                    return null;
+            }
+        };
+
+        const coefficients = expand(node);
+        if (!coefficients) return null;
+
+        // Drop leading coefficients that are rounding noise, e.g. from (x+1)^2 - x^2
+        const largest = Math.max(...coefficients.map(Math.abs));
+        while (coefficients.length > 1 && Math.abs(coefficients[coefficients.length - 1]) <= 1e-12 * largest) {
+            coefficients.pop();
+        }
+        return coefficients;
+    }
+
+    /**
+     * Solve a system of linear equations
+     * @param {Array<string>} equations - Equations such as ["2x + 3y = 5", "x - y = 1"]
+     * @returns {Object} { status: 'unique' | 'none' | 'infinite', variables, values, expressions, steps }
+     */
+    solveLinearSystem(equations) {
+        this.steps = [];
+        const forms = equations.map(text => {
+            const form = this.linearForm(this.parseEquation(text));
+            if (!form) {
+                throw new Error(`"${text.trim()}" is not a linear equation`);
+            }
+            return form;
+        });
+
+        const variables = [...new Set(forms.flatMap(form => Object.keys(form.coefficients)))].sort();
+        if (variables.length === 0) {
+            throw new Error('The equations have no unknowns');
+        }
+
+        // Augmented matrix [A | b] for A·v = b, i.e. b = -constant
+        const matrix = forms.map(form => [
+            ...variables.map(name => form.coefficients[name] || 0),
+            -form.constant
+        ]);
+        const n = variables.length;
+
+        matrix.forEach((row, i) => this.steps.push(`Equation ${i + 1}: ${this.formatLinear(row, variables)}`));
+        this.steps.push(`Augmented matrix: ${this.formatMatrix(matrix)}`);
+
+        const largest = Math.max(...matrix.flat().map(Math.abs));
+        const epsilon = 1e-10 * Math.max(largest, 1);
+        const pivots = [];
+        let row = 0;
+
+        // Forward elimination to row echelon form
+        for (let col = 0; col < n && row < matrix.length; col++) {
+            let best = row;
+            for (let r = row + 1; r < matrix.length; r++) {
+                if (Math.abs(matrix[r][col]) > Math.abs(matrix[best][col])) best = r;
+            }
+            if (Math.abs(matrix[best][col]) <= epsilon) {
+                this.steps.push(`Column ${variables[col]}: no pivot, ${variables[col]} is a free variable`);
+                continue;
+            }
+            if (best !== row) {
+                [matrix[row], matrix[best]] = [matrix[best], matrix[row]];
+                this.steps.push(`Swap R${row + 1} and R${best + 1} to use the largest pivot in column ${variables[col]}`);
+            }
+
+            let changed = false;
+            for (let r = row + 1; r < matrix.length; r++) {
+                const factor = matrix[r][col] / matrix[row][col];
+                if (factor === 0) continue;
+                for (let c = col; c <= n; c++) {
+                    matrix[r][c] -= factor * matrix[row][c];
+                    if (Math.abs(matrix[r][c]) <= epsilon) matrix[r][c] = 0;
+                }
+                this.steps.push(`R${r + 1} → R${r + 1} ${factor < 0 ? '+' : '-'} ${this.tree.formatNumber(Math.abs(factor))}·R${row + 1}`);
+                changed = true;
+            }
+            if (changed) {
+                this.steps.push(`Matrix: ${this.formatMatrix(matrix)}`);
+            }
+            pivots.push({ row, col });
+            row++;
+        }
+
+        const inconsistent = matrix.findIndex(r => r.slice(0, n).every(value => value === 0) && Math.abs(r[n]) > epsilon);
+        if (inconsistent !== -1) {
+            this.steps.push(`R${inconsistent + 1} reads 0 = ${this.tree.formatNumber(matrix[inconsistent][n])}, which is impossible`);
+            return { status: 'none', variables, steps: [...this.steps] };
+        }
+
+        if (pivots.length < n) {
+            return this.describeSolutionSet(matrix, pivots, variables);
+        }
+
+        // Back substitution
+        const values = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            const r = matrix[i];
+            const known = [];
+            let sum = r[n];
+            for (let j = i + 1; j < n; j++) {
+                if (r[j] === 0) continue;
+                sum -= r[j] * values[j];
+                const value = this.tree.formatNumber(values[j]);
+                known.push(`${r[j] < 0 ? '+' : '-'} ${this.tree.formatNumber(Math.abs(r[j]))}·${values[j] < 0 ? `(${value})` : value}`);
+            }
+            values[i] = sum / r[i];
+            const numerator = known.length > 0 ? `(${this.tree.formatNumber(r[n])} ${known.join(' ')})` : this.tree.formatNumber(r[n]);
+            this.steps.push(`Back substitute: ${variables[i]} = ${numerator} / ${this.tree.formatNumber(r[i])} = ${this.tree.formatNumber(values[i])}`);
+        }
+
+        const result = {};
+        variables.forEach((name, i) => { result[name] = values[i] + 0; });
+        return { status: 'unique', variables, values: result, steps: [...this.steps] };
+    }
+
+    /**
+     * Reduce an echelon matrix with free columns and write each pivot
+     * variable in terms of the free ones
+     */
+    describeSolutionSet(matrix, pivots, variables) {
+        const n = variables.length;
+        for (let p = pivots.length - 1; p >= 0; p--) {
+            const { row, col } = pivots[p];
+            const pivot = matrix[row][col];
+            matrix[row] = matrix[row].map(value => value / pivot);
+            for (let r = 0; r < row; r++) {
+                const factor = matrix[r][col];
+                if (factor !== 0) {
+                    matrix[r] = matrix[r].map((value, c) => value - factor * matrix[row][c]);
+                }
+            }
+        }
+        this.steps.push(`Reduced row echelon form: ${this.formatMatrix(matrix)}`);
+
+        const pivotColumns = pivots.map(pivot => pivot.col);
+        const free = variables.filter((_, col) => !pivotColumns.includes(col));
+        const expressions = {};
+        pivots.forEach(({ row, col }) => {
+            const terms = [{ value: matrix[row][n], name: '' }];
+            variables.forEach((name, c) => {
+                if (!pivotColumns.includes(c) && Math.abs(matrix[row][c]) > 1e-12) {
+                    terms.push({ value: -matrix[row][c], name });
+                }
+            });
+            expressions[variables[col]] = this.formatTerms(terms);
+        });
+        free.forEach(name => { expressions[name] = `${name} (free)`; });
+
+        this.steps.push(`Free variables: ${free.join(', ')}`);
+        Object.keys(expressions).sort().forEach(name => {
+            if (!free.includes(name)) this.steps.push(`${name} = ${expressions[name]}`);
+        });
+        return { status: 'infinite', variables, free, expressions, steps: [...this.steps] };
+    }
+
+    /**
+     * Find all real and complex roots of a polynomial
+     * @param {Array<number>} coefficients - Coefficients, lowest degree first
+     * @param {string} variable - Variable name for step output
+     * @returns {Object} { degree, roots: [{ value: Complex|number, multiplicity }], steps }
+     */
+    polynomialRoots(coefficients, variable = 'x') {
+        if (typeof window.Complex === 'undefined') {
+            throw new Error('Complex number support is not loaded');
+        }
+        this.steps = [];
+        const degree = coefficients.length - 1;
+        if (degree < 1) {
+            throw new Error('A polynomial needs degree 1 or higher to have roots');
+        }
+
+        this.steps.push(`Polynomial of degree ${degree}: ${this.formatPolynomial(coefficients, variable)} = 0`);
+
+        let a = [...coefficients];
+        const found = [];
+        let zeros = 0;
+        while (a.length > 1 && a[0] === 0) {
+            a.shift();
+            zeros++;
+        }
+        if (zeros > 0) {
+            this.steps.push(`Factor out ${variable}${zeros > 1 ? '^' + zeros : ''}: ${variable} = 0 is a root${zeros > 1 ? ` of multiplicity ${zeros}` : ''}`);
+        }
+
+        const n = a.length - 1;
+        if (n === 1) {
+            const root = -a[0] / a[1];
+            this.steps.push(`Linear factor: ${variable} = -(${this.tree.formatNumber(a[0])}) / ${this.tree.formatNumber(a[1])} = ${this.tree.formatNumber(root)}`);
+            found.push(new Complex(root, 0));
+        } else if (n === 2) {
+            found.push(...this.quadraticRoots(a[2], a[1], a[0], variable));
+        } else if (n > 2) {
+            found.push(...this.durandKerner(a));
+        }
+
+        const roots = this.groupRoots(found, a);
+        if (zeros > 0) {
+            roots.push({ value: 0, multiplicity: zeros });
+        }
+        roots.sort((p, q) => {
+            const pReal = typeof p.value === 'number';
+            const qReal = typeof q.value === 'number';
+            if (pReal !== qReal) return pReal ? -1 : 1;
+            if (pReal) return p.value - q.value;
+            return p.value.real - q.value.real || p.value.imaginary - q.value.imaginary;
+        });
+        roots.forEach(root => {
+            const multiplicity = root.multiplicity > 1 ? ` (multiplicity ${root.multiplicity})` : '';
+            this.steps.push(`${variable} = ${this.formatRoot(root.value)}${multiplicity}`);
+        });
+        return { degree, roots, steps: [...this.steps] };
+    }
+
+    /**
+     * Roots of a·x² + b·x + c by the quadratic formula
+     */
+    quadraticRoots(a, b, c, variable) {
+        const discriminant = b * b - 4 * a * c;
+        const format = value => (value < 0 ? `(${this.tree.formatNumber(value)})` : this.tree.formatNumber(value));
+        this.steps.push(`Discriminant: Δ = b² - 4ac = ${format(b)}² - 4·${format(a)}·${format(c)} = ${this.tree.formatNumber(discriminant)}`);
+        this.steps.push(`Quadratic formula: ${variable} = (-b ± √Δ) / 2a`);
+
+        if (discriminant >= 0) {
+            // Avoid cancellation: compute the larger root first, the other from c/(a·x1)
+            const q = -(b + (b >= 0 ? 1 : -1) * Math.sqrt(discriminant)) / 2;
+            const x1 = q !== 0 ? q / a : 0;
+            const x2 = q !== 0 ? c / q : 0;
+            return [new Complex(x1, 0), new Complex(x2, 0)];
+        }
+
+        this.steps.push('Δ < 0, so the roots are a complex conjugate pair');
+        const real = -b / (2 * a);
+        const imaginary = Math.sqrt(-discriminant) / (2 * Math.abs(a));
+        return [new Complex(real, imaginary), new Complex(real, -imaginary)];
+    }
+
+    /**
+     * Durand–Kerner (Weierstrass) iteration for all roots at once, followed
+     * by Newton polishing of each root
+     * @param {Array<number>} coefficients - Coefficients, lowest degree first, a[0] ≠ 0
+     * @returns {Array<Complex>} Roots with repeats for multiple roots
+     */
+    durandKerner(coefficients, maxIterations = 1000) {
+        const n = coefficients.length - 1;
+        const monic = coefficients.map(value => value / coefficients[n]);
+        const evaluate = (z) => this.evaluatePolynomial(monic, z);
+
+        // Start on a circle of the Cauchy bound radius, rotated off the real axis
+        const bound = 1 + Math.max(...monic.slice(0, n).map(Math.abs));
+        let roots = Array.from({ length: n }, (_, k) => Complex.fromPolar(bound, 2 * Math.PI * k / n + 0.4));
+
+        let iterations = 0;
+        for (; iterations < maxIterations; iterations++) {
+            let largestChange = 0;
+            roots = roots.map((z, k) => {
+                let denominator = new Complex(1, 0);
+                roots.forEach((other, j) => {
+                    if (j !== k) denominator = denominator.multiply(z.subtract(other));
+                });
+                if (denominator.magnitude() === 0) {
+                    denominator = new Complex(1e-12, 0);
+                }
+                const change = evaluate(z).divide(denominator);
+                largestChange = Math.max(largestChange, change.magnitude() / Math.max(1, z.magnitude()));
+                return z.subtract(change);
+            });
+            if (largestChange < 1e-14) break;
+        }
+        this.steps.push(`Durand–Kerner iteration from a circle of radius ${this.tree.formatNumber(bound)}: ${Math.min(iterations + 1, maxIterations)} iterations`);
+
+        // Newton polishing: z ← z - p(z)/p'(z), skipped where p' vanishes (multiple roots)
+        const derivative = this.derivativeCoefficients(monic);
+        const evaluateDerivative = (z) => this.evaluatePolynomial(derivative, z);
+        roots = roots.map(z => {
+            for (let i = 0; i < 5; i++) {
+                const slope = evaluateDerivative(z);
+                if (slope.magnitude() < 1e-10) break;
+                const next = z.subtract(evaluate(z).divide(slope));
+                if (evaluate(next).magnitude() >= evaluate(z).magnitude()) break;
+                z = next;
+            }
+            return z;
+        });
+        this.steps.push("Polish each root with Newton's method");
+        return roots;
+    }
+
+    /**
+     * Merge numerically coincident roots and report multiplicities. A root of
+     * multiplicity m is a simple root of the (m-1)th derivative, so each
+     * cluster mean is refined there with Newton's method; tiny imaginary
+     * parts are then snapped to zero.
+     * @param {Array<Complex>} roots - Roots with repeats
+     * @param {Array<number>} coefficients - Polynomial the roots belong to, lowest degree first
+     * @returns {Array<Object>} [{ value, multiplicity }]
+     */
+    groupRoots(roots, coefficients) {
+        const groups = [];
+        roots.forEach(z => {
+            const group = groups.find(g => g.members[0].subtract(z).magnitude() <= 1e-2 * Math.max(1, z.magnitude()));
+            if (group) {
+                group.members.push(z);
+            } else {
+                groups.push({ members: [z] });
+            }
+        });
+
+        const result = [];
+        groups.forEach(group => {
+            const m = group.members.length;
+            let z = group.members.reduce((sum, member) => sum.add(member), new Complex(0, 0)).divide(m);
+            if (m > 1) {
+                const derivatives = [coefficients];
+                for (let i = 1; i <= m; i++) {
+                    derivatives.push(this.derivativeCoefficients(derivatives[i - 1]));
+                }
+                for (let i = 0; i < 20; i++) {
+                    const denominator = this.evaluatePolynomial(derivatives[m], z);
+                    if (denominator.magnitude() === 0) break;
+                    const change = this.evaluatePolynomial(derivatives[m - 1], z).divide(denominator);
+                    z = z.subtract(change);
+                    if (change.magnitude() <= 1e-15 * Math.max(1, z.magnitude())) break;
+                }
+
+                // Close but distinct roots do not make p, p', ... vanish together
+                const size = z.magnitude();
+                const vanishes = derivatives.slice(0, m).every(d => {
+                    const scale = d.reduce((sum, value, j) => sum + Math.abs(value) * Math.pow(size, j), 0);
+                    return this.evaluatePolynomial(d, z).magnitude() <= 1e-9 * scale;
+                });
+                if (!vanishes) {
+                    group.members.forEach(member => result.push(this.snapRoot(member, 1)));
+                    return;
+                }
+            }
+            result.push(this.snapRoot(z, m));
+        });
+        return result;
+    }
+
+    /**
+     * Return a root entry, dropping an imaginary part that is rounding noise
+     */
+    snapRoot(z, multiplicity) {
+        const value = Math.abs(z.imaginary) <= 1e-9 * Math.max(1, z.magnitude()) ? z.real + 0 : z;
+        return { value, multiplicity };
+    }
+
+    /**
+     * Coefficients of p' from those of p, lowest degree first
+     */
+    derivativeCoefficients(coefficients) {
+        return coefficients.slice(1).map((value, i) => value * (i + 1));
+    }
+
+    /**
+     * Evaluate a real polynomial at a complex point with Horner's rule
+     */
+    evaluatePolynomial(coefficients, z) {
+        return coefficients.reduceRight((sum, value) => sum.multiply(z).add(value), new Complex(0, 0));
+    }
+
+    /**
+     * Find the real roots of f(variable) = 0 in an interval
+     * @param {Object} node - Tree node of lhs - rhs
+     * @param {string} variable - Unknown
+     * @param {Object} range - { min, max }
+     * @returns {Object} { roots, steps }
+     */
+    solveNonlinear(node, variable, range = { min: -10, max: 10 }, samples = 400) {
+        this.steps = [];
+        const compiled = this.tree.compile(node, variable);
+        const f = (x) => {
+            try {
+                const value = compiled(x);
+                return typeof value === 'number' ? value : NaN;
+            } catch (error) {
+                return NaN;
+            }
+        };
+        const { min, max } = range;
+        const format = value => this.tree.formatNumber(parseFloat(value.toPrecision(10)));
+
+        this.steps.push(`Solve ${this.tree.toString(node)} = 0 for ${variable} in [${format(min)}, ${format(max)}]`);
+
+        const xs = Array.from({ length: samples + 1 }, (_, i) => min + (max - min) * i / samples);
+        const ys = xs.map(f);
+        const finite = ys.filter(isFinite).map(Math.abs).sort((a, b) => a - b);
+        if (finite.length === 0) {
+            throw new Error(`The equation is undefined everywhere in [${format(min)}, ${format(max)}]`);
+        }
+        const typical = Math.max(finite[Math.floor(finite.length / 2)], 1e-8);
+        const roots = [];
+        let brackets = 0;
+
+        for (let i = 0; i < samples; i++) {
+            const [a, b, fa, fb] = [xs[i], xs[i + 1], ys[i], ys[i + 1]];
+            if (!isFinite(fa) || !isFinite(fb)) continue;
+            if (fa === 0) {
+                roots.push({ value: a, method: 'exact' });
+                continue;
+            }
+            if (Math.sign(fa) === Math.sign(fb) || fb === 0) continue;
+
+            brackets++;
+            const { root, method } = this.scientificFunctions.bracketedRoot(f, a, b);
+            // A sign change across a pole (tan x at π/2) is not a root
+            if (Math.abs(f(root)) <= 1e-6 * Math.max(typical, Math.abs(fa), Math.abs(fb))) {
+                roots.push({ value: root, method });
+            } else {
+                this.steps.push(`Sign change near ${variable} = ${format(root)} is a discontinuity, not a root`);
+            }
+        }
+        if (ys[samples] === 0) roots.push({ value: max, method: 'exact' });
+        this.steps.push(`Sample ${samples + 1} points and find ${brackets} sign change${brackets === 1 ? '' : 's'}`);
+
+        // Roots where the graph only touches the axis (x² = 0) give no sign change;
+        // start Newton from local minima of |f| instead
+        const fPrime = (x) => {
+            const h = 1e-7 * Math.max(1, Math.abs(x));
+            return (f(x + h) - f(x - h)) / (2 * h);
+        };
+        for (let i = 1; i < samples; i++) {
+            const [left, middle, right] = [ys[i - 1], ys[i], ys[i + 1]];
+            if (![left, middle, right].every(isFinite) || Math.sign(left) !== Math.sign(middle) || Math.sign(middle) !== Math.sign(right)) continue;
+            if (!(Math.abs(middle) < Math.abs(left) && Math.abs(middle) <= Math.abs(right))) continue;
+            if (Math.abs(middle) > 1e-2 * typical) continue;
+            try {
+                const root = this.scientificFunctions.newtonMethod(f, fPrime, xs[i], 1e-12);
+                if (root >= xs[i - 1] && root <= xs[i + 1] && Math.abs(f(root)) <= 1e-10 * typical) {
+                    roots.push({ value: root, method: 'newton (touching root)' });
+                }
+            } catch (error) {
+                // Not a root, only a near miss
+            }
+        }
+
+        roots.sort((a, b) => a.value - b.value);
+        const unique = roots.filter((root, i) => i === 0 || Math.abs(root.value - roots[i - 1].value) > 1e-7 * Math.max(1, Math.abs(root.value)));
+        unique.forEach(root => {
+            this.steps.push(`${variable} = ${format(root.value)} (${root.method}, residual ${Math.abs(f(root.value)).toExponential(1)})`);
+        });
+
+        return { roots: unique.map(root => root.value + 0), steps: [...this.steps] };
+    }
+
+    /**
+     * Format a row [a1, ..., an, b] as "a1·v1 + ... = b"
+     */
+    formatLinear(row, variables) {
+        const terms = variables.map((name, i) => ({ value: row[i], name }));
+        return `${this.formatTerms(terms)} = ${this.tree.formatNumber(row[variables.length])}`;
+    }
+
+    /**
+     * Format a sum of terms [{ value, name }] with signs folded in;
+     * an empty name marks the constant term
+     */
+    formatTerms(terms) {
+        const parts = terms.filter(term => term.value !== 0).map(({ value, name }) => {
+            const magnitude = this.tree.formatNumber(Math.abs(value));
+            const text = name === '' ? magnitude : (magnitude === '1' ? name : `${magnitude}${name}`);
+            return { negative: value < 0, text };
+        });
+        if (parts.length === 0) {
+            return '0';
+        }
+        return parts.map((part, i) => {
+            if (i === 0) return part.negative ? `-${part.text}` : part.text;
+            return `${part.negative ? '-' : '+'} ${part.text}`;
+        }).join(' ');
+    }
+
+    /**
+     * Format polynomial coefficients, highest degree first
+     */
+    formatPolynomial(coefficients, variable) {
+        const terms = coefficients.map((value, i) => ({
+            value,
+            name: i === 0 ? '' : (i === 1 ? variable : `${variable}^${i}`)
+        }));
+        return this.formatTerms(terms.reverse());
+    }
+
+    /**
+     * Format an augmented matrix as "[a, b | c], [d, e | f]"
+     */
+    formatMatrix(matrix) {
+        return matrix.map(row => {
+            const values = row.map(value => this.tree.formatNumber(value + 0));
+            return `[${values.slice(0, -1).join(', ')} | ${values[values.length - 1]}]`;
+        }).join(', ');
+    }
+
+    /**
+     * Format a real or complex root
+     */
+    formatRoot(value) {
+        const format = part => this.tree.formatNumber(parseFloat(part.toPrecision(10)));
+        return typeof value === 'number' ? format(value) : value.toString(format);
+    }
+}
+
+// Make available globally
+window.EquationSolver = EquationSolver;
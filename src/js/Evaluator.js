@@ -6,11 +6,17 @@
  */
 
 class Evaluator {
-    constructor(operatorTable) {
+    constructor(operatorTable, dimensionEngine = null) {
         this.operatorTable = operatorTable;
+        this.dimensionEngine = dimensionEngine;
         this.stack = [];
         this.variables = new Map();
         this.history = [];
+        this.callDepth = 0;
+        this.maxCallDepth = 256;
+        this.complexMode = 'off';
+        this.complexFormat = 'rectangular';
+        this.angleMode = 'rad';
     }
 
     /**
@@ -20,6 +26,7 @@ class Evaluator {
      */
     evaluate(rpnTokens) {
         this.stack = [];
+        this.callDepth = 0;
         const startTime = performance.now();
 
         try {
@@ -54,10 +61,50 @@ class Evaluator {
             return result;
 
         } catch (error) {
-            throw new Error(`Evaluation error: ${error.message}`);
+            throw this.wrapError(error, `Evaluation error: ${error.message}`);
         }
     }
 
+    /**
+     * Evaluate RPN tokens one at a time and record the operand stack after
+     * each token, for step-through displays. Unlike evaluate() the run is
+     * not added to the history; an error ends the trace at the failing token.
+     * @param {Array} rpnTokens - Array of tokens in RPN format
+     * @returns {Object} { result, steps, error } where each step is
+     *   { token, consumed, produced, stack, error }
+     */
+    trace(rpnTokens) {
+        this.stack = [];
+        this.callDepth = 0;
+        const steps = [];
+
+        for (const token of rpnTokens) {
+            const before = [...this.stack];
+            try {
+                this.processToken(token);
+            } catch (error) {
+                steps.push({ token: token, consumed: [], produced: null, stack: before, error: error });
+                return { result: null, steps: steps, error: error };
+            }
+
+            // Every token pushes exactly one value after popping its operands
+            steps.push({
+                token: token,
+                consumed: before.slice(this.stack.length - 1),
+                produced: this.stack[this.stack.length - 1],
+                stack: [...this.stack],
+                error: null
+            });
+        }
+
+        if (this.stack.length !== 1) {
+            const error = new Error(this.stack.length === 0 ? 'Empty expression' : 'Too many operands - incomplete expression');
+            return { result: null, steps: steps, error: error };
+        }
+
+        return { result: this.stack[0], steps: steps, error: null };
+    }
+
     /**
      * Process a single token
      * @param {Object} token - Token to process
@@ -76,6 +123,20 @@ class Evaluator {
                 this.stack.push(constantValue);
                 break;
 
+            case 'IDENTIFIER':
+                if (!this.variables.has(token.value)) {
+                    throw new Error(`Unknown variable: ${token.value}`);
+                }
+                this.stack.push(this.variables.get(token.value));
+                break;
+
+            case 'UNIT':
+                if (!this.dimensionEngine) {
+                    throw new Error(`Units are not supported: ${token.value}`);
+                }
+                this.stack.push(this.dimensionEngine.createQuantity(1, token.value));
+                break;
+
             case 'OPERATOR':
                 this.processOperator(token);
                 break;
@@ -88,6 +149,10 @@ class Evaluator {
                 this.processFunction(token);
                 break;
 
+            case 'MATRIX':
+                this.processMatrix(token);
+                break;
+
             default:
                 throw new Error(`Unknown token type: ${token.type}`);
         }
@@ -109,12 +174,39 @@ class Evaluator {
 
         const b = this.stack.pop();
         const a = this.stack.pop();
+        this.stack.push(this.applyOperator(token.value, opInfo, a, b));
+    }
 
+    /**
+     * Apply a binary operator to two operands
+     * @param {string} symbol - Operator symbol
+     * @param {Object} opInfo - Operator information
+     * @param {*} a - Left operand
+     * @param {*} b - Right operand
+     * @returns {*} Result
+     */
+    applyOperator(symbol, opInfo, a, b) {
         try {
+            if (this.isQuantity(a) || this.isQuantity(b)) {
+                return this.evaluateQuantityOperator(symbol, a, b);
+            }
+            if (opInfo.polar) {
+                return this.evaluatePolar(opInfo, a, b);
+            }
+            if (this.isComplex(a) || this.isComplex(b)) {
+                if (OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b)) {
+                    throw new NumericError('Matrix entries must be real numbers; complex matrices are not supported', 'INVALID_OPERATION');
+                }
+                return this.evaluateComplex(`Operator ${symbol}`, opInfo, [a, b]);
+            }
             const result = opInfo.evaluate(a, b);
-            this.stack.push(result);
+            // (-8)^(1/3) has no real value; complex mode takes the principal one
+            if (Number.isNaN(result) && this.complexMode !== 'off' && opInfo.complex && !Number.isNaN(a) && !Number.isNaN(b)) {
+                return this.evaluateComplex(`Operator ${symbol}`, opInfo, [a, b]);
+            }
+            return result;
         } catch (error) {
-            throw new Error(`Error evaluating ${a} ${token.value} ${b}: ${error.message}`);
+            throw this.wrapError(error, `Error evaluating ${a} ${symbol} ${b}: ${error.message}`);
         }
     }
 
@@ -132,13 +224,27 @@ class Evaluator {
             throw new Error(`Insufficient operands for unary operator ${token.value}`);
         }
 
-        const a = this.stack.pop();
+        this.stack.push(this.applyUnaryOperator(token.value, opInfo, this.stack.pop()));
+    }
 
+    /**
+     * Apply a unary operator to an operand
+     * @param {string} symbol - Operator symbol (e.g. 'unary-')
+     * @param {Object} opInfo - Operator information
+     * @param {*} a - Operand
+     * @returns {*} Result
+     */
+    applyUnaryOperator(symbol, opInfo, a) {
         try {
-            const result = opInfo.evaluate(a);
-            this.stack.push(result);
+            if (this.isQuantity(a)) {
+                return symbol === 'unary-' ? a.negate() : a;
+            }
+            if (this.isComplex(a)) {
+                return this.evaluateComplex(`Operator ${opInfo.symbol}`, opInfo, [a]);
+            }
+            return opInfo.evaluate(a);
         } catch (error) {
-            throw new Error(`Error evaluating ${token.value}${a}: ${error.message}`);
+            throw this.wrapError(error, `Error evaluating ${symbol}${a}: ${error.message}`);
         }
     }
 
@@ -157,12 +263,14 @@ class Evaluator {
 
         // For variadic functions, we need to determine how many arguments to pop
         if (funcInfo.arity === 'variadic') {
-            // For variadic functions like min/max, we need at least one argument
-            // In a real implementation, you might need to track function call boundaries
-            // For now, we'll assume the function takes all available operands
-            argCount = this.stack.length;
+            // The parser records the argument count of each call; fall back to
+            // all available operands for hand-built RPN
+            argCount = token.argCount !== undefined ? token.argCount : this.stack.length;
         } else {
             argCount = funcInfo.arity;
+            if (token.argCount !== undefined && token.argCount !== argCount) {
+                throw new Error(`Function ${token.value} requires ${argCount} arguments, got ${token.argCount}`);
+            }
         }
 
         if (this.stack.length < argCount) {
@@ -174,21 +282,406 @@ class Evaluator {
             args.unshift(this.stack.pop());
         }
 
+        this.stack.push(this.applyFunction(token.value, funcInfo, args));
+    }
+
+    /**
+     * Apply a function to evaluated arguments
+     * @param {string} name - Function name
+     * @param {Object} funcInfo - Function information
+     * @param {Array} args - Function arguments
+     * @returns {*} Result
+     */
+    applyFunction(name, funcInfo, args) {
+        // User-defined functions take matrices and quantities as they are
+        if (funcInfo.userFunction) {
+            return this.callUserFunction(funcInfo.userFunction, args);
+        }
+
+        try {
+            if (args.some(arg => this.isQuantity(arg))) {
+                return this.evaluateQuantityFunction(name, funcInfo, args);
+            }
+            if (args.some(arg => this.isComplex(arg))) {
+                return this.evaluateComplex(`Function ${name}`, funcInfo, args);
+            }
+            if (!funcInfo.acceptsMatrix && args.some(arg => OperatorTable.isMatrix(arg))) {
+                return this.evaluateMatrixFunction(name, funcInfo, args);
+            }
+            if (this.complexMode !== 'off' && funcInfo.complex) {
+                return this.evaluateWithPromotion(name, funcInfo, args);
+            }
+            return funcInfo.evaluate(...args);
+        } catch (error) {
+            throw this.wrapError(error, `Error evaluating function ${name}(${args.join(', ')}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Call a user-defined function with its parameters bound to the arguments
+     * @param {UserFunction} userFunction - Function definition
+     * @param {Array} args - Argument values
+     * @returns {*} Result
+     */
+    callUserFunction(userFunction, args) {
+        if (args.length !== userFunction.params.length) {
+            throw new Error(`Function ${userFunction.name} requires ${userFunction.params.length} arguments, got ${args.length}`);
+        }
+
+        if (this.callDepth >= this.maxCallDepth) {
+            throw new NumericError(
+                `Recursion limit exceeded: ${userFunction.name} nested more than ${this.maxCallDepth} calls deep`,
+                'RECURSION_LIMIT'
+            );
+        }
+
+        const scope = new Map(userFunction.params.map((param, i) => [param, args[i]]));
+        this.callDepth++;
+        try {
+            return this.evaluateNode(userFunction.ast, scope);
+        } finally {
+            this.callDepth--;
+        }
+    }
+
+    /**
+     * Evaluate a user function syntax tree node
+     * @param {Object} node - Syntax tree node (see UserFunction.js)
+     * @param {Map} scope - Parameter values, checked before global variables
+     * @returns {*} Result
+     */
+    evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+
+            case 'constant': {
+                const constantValue = this.operatorTable.getConstant(node.name);
+                if (constantValue === null) {
+                    throw new Error(`Unknown constant: ${node.name}`);
+                }
+                return constantValue;
+            }
+
+            case 'variable':
+                if (scope.has(node.name)) {
+                    return scope.get(node.name);
+                }
+                if (this.variables.has(node.name)) {
+                    return this.variables.get(node.name);
+                }
+                throw new Error(`Unknown variable: ${node.name}`);
+
+            case 'unit':
+                if (!this.dimensionEngine) {
+                    throw new Error(`Units are not supported: ${node.name}`);
+                }
+                return this.dimensionEngine.createQuantity(1, node.name);
+
+            case 'binary': {
+                const opInfo = this.operatorTable.getOperator(node.operator);
+                if (!opInfo || opInfo.arity !== 'binary') {
+                    throw new Error(`Invalid binary operator: ${node.operator}`);
+                }
+                const a = this.evaluateNode(node.left, scope);
+                const b = this.evaluateNode(node.right, scope);
+                return this.applyOperator(node.operator, opInfo, a, b);
+            }
+
+            case 'unary': {
+                const opInfo = this.operatorTable.getOperator(node.operator);
+                if (!opInfo || opInfo.arity !== 'unary') {
+                    throw new Error(`Invalid unary operator: ${node.operator}`);
+                }
+                return this.applyUnaryOperator(node.operator, opInfo, this.evaluateNode(node.operand, scope));
+            }
+
+            case 'call': {
+                const funcInfo = this.operatorTable.getFunction(node.name);
+                if (!funcInfo) {
+                    throw new Error(`Unknown function: ${node.name}`);
+                }
+                if (funcInfo.conditional) {
+                    const [condition, whenTrue, whenFalse] = node.args;
+                    return this.evaluateNode(this.evaluateNode(condition, scope) !== 0 ? whenTrue : whenFalse, scope);
+                }
+                const args = node.args.map(arg => this.evaluateNode(arg, scope));
+                return this.applyFunction(node.name, funcInfo, args);
+            }
+
+            case 'matrix':
+                return Matrix.fromElements(node.elements.map(element => this.evaluateNode(element, scope)));
+
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * Set the maximum nesting depth of user-defined function calls
+     * @param {number} depth - Maximum depth
+     */
+    setMaxCallDepth(depth) {
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error(`Invalid call depth: ${depth}`);
+        }
+        this.maxCallDepth = depth;
+    }
+
+    /**
+     * Radians per unit of each angle mode
+     */
+    static get ANGLE_UNITS() {
+        return { rad: 1, deg: Math.PI / 180, grad: Math.PI / 200 };
+    }
+
+    /**
+     * Set the complex mode. In 'on' and 'auto' mode, operations with no real
+     * value, such as sqrt(-1), ln(-2) or (-8)^(1/3), return complex results.
+     * 'on' also defines the imaginary unit i; 'auto' leaves the name free.
+     * Quantities with units and matrices stay real: combining them with a
+     * complex value is an error.
+     * @param {string} mode - 'off', 'on' or 'auto'
+     */
+    setComplexMode(mode) {
+        if (!['off', 'on', 'auto'].includes(mode)) {
+            throw new Error(`Invalid complex mode: ${mode}`);
+        }
+        if (mode !== 'off' && typeof window.Complex === 'undefined') {
+            throw new Error('Complex mode requires NumericTypes.js');
+        }
+        this.complexMode = mode;
+        if (mode === 'on') {
+            this.operatorTable.registerConstant('i', new Complex(0, 1));
+        } else {
+            this.operatorTable.unregisterConstant('i');
+        }
+    }
+
+    /**
+     * Choose how complex results are displayed
+     * @param {string} format - 'rectangular' (3 + 4i) or 'polar' (5∠0.9273)
+     */
+    setComplexFormat(format) {
+        if (!['rectangular', 'polar'].includes(format)) {
+            throw new Error(`Invalid complex format: ${format}`);
+        }
+        this.complexFormat = format;
+    }
+
+    /**
+     * Set the angle unit of polar input and display
+     * @param {string} mode - 'rad', 'deg' or 'grad'
+     */
+    setAngleMode(mode) {
+        if (!(mode in Evaluator.ANGLE_UNITS)) {
+            throw new Error(`Invalid angle mode: ${mode}`);
+        }
+        this.angleMode = mode;
+    }
+
+    /**
+     * Check if a value is a complex number
+     * @param {*} value - Stack value
+     * @returns {boolean} True if complex
+     */
+    isComplex(value) {
+        return typeof window.Complex !== 'undefined' && value instanceof window.Complex;
+    }
+
+    /**
+     * Apply an operator or function to complex operands through its
+     * `complex` handler. Results without an imaginary part become numbers.
+     * @param {string} label - "Operator +" or "Function sqrt", for errors
+     * @param {Object} info - Operator or function information
+     * @param {Array} args - Operands (numbers are promoted)
+     * @returns {Complex|number} Result
+     */
+    evaluateComplex(label, info, args) {
+        if (!info.complex) {
+            throw new NumericError(`${label} is not defined for complex numbers`, 'INVALID_OPERATION');
+        }
+        const result = info.complex(...args.map(arg => TypePromoter.toComplex(arg)));
+        return this.isComplex(result) && result.imaginary === 0 ? result.real : result;
+    }
+
+    /**
+     * Apply a function to real arguments, switching to its complex form
+     * when the real one has no value there (sqrt(-1), asin(2))
+     * @param {string} name - Function name
+     * @param {Object} funcInfo - Function information
+     * @param {Array} args - Function arguments
+     * @returns {Complex|number} Result
+     */
+    evaluateWithPromotion(name, funcInfo, args) {
+        let result;
         try {
-            const result = funcInfo.evaluate(...args);
-            this.stack.push(result);
+            result = funcInfo.evaluate(...args);
         } catch (error) {
-            throw new Error(`Error evaluating function ${token.value}(${args.join(', ')}): ${error.message}`);
+            // Keep the real error if the complex form fails too, e.g. ln(0)
+            try {
+                return this.evaluateComplex(`Function ${name}`, funcInfo, args);
+            } catch (complexError) {
+                throw error;
+            }
+        }
+        return Number.isNaN(result) && !args.some(arg => Number.isNaN(arg)) ?
+            this.evaluateComplex(`Function ${name}`, funcInfo, args) :
+            result;
+    }
+
+    /**
+     * Build a complex number from polar input r∠θ, θ in the angle mode
+     * @param {Object} opInfo - Polar operator information
+     * @param {number} magnitude - r
+     * @param {number} angle - θ
+     * @returns {Complex|number} Result
+     */
+    evaluatePolar(opInfo, magnitude, angle) {
+        if (this.complexMode === 'off') {
+            throw new Error('Polar input requires complex mode');
+        }
+        if (typeof magnitude !== 'number' || typeof angle !== 'number') {
+            throw new Error('Polar input requires a real magnitude and angle');
+        }
+        const result = opInfo.evaluate(magnitude, angle * Evaluator.ANGLE_UNITS[this.angleMode]);
+        return result.imaginary === 0 ? result.real : result;
+    }
+
+    /**
+     * Format a complex number in the current complex format
+     * @param {Complex} value - Complex number
+     * @param {Function} formatPart - Formats each real part
+     * @returns {string} Formatted number
+     */
+    formatComplex(value, formatPart) {
+        if (this.complexFormat === 'polar') {
+            return value.toPolarString(formatPart, angle => angle / Evaluator.ANGLE_UNITS[this.angleMode]);
         }
+        return value.toString(formatPart);
+    }
+
+    /**
+     * Add context to an error message, keeping the NumericError type
+     * (e.g. DIMENSION_MISMATCH) so callers can still tell errors apart
+     * @param {Error} error - Original error
+     * @param {string} message - New message
+     * @returns {Error} Wrapped error
+     */
+    wrapError(error, message) {
+        if (typeof window.NumericError !== 'undefined' && error instanceof window.NumericError) {
+            return new NumericError(message, error.type);
+        }
+        return new Error(message);
+    }
+
+    /**
+     * Collect the elements of a [ ... ] literal into a vector or matrix
+     * @param {Object} token - Matrix token with the element count as value
+     */
+    processMatrix(token) {
+        if (this.stack.length < token.value) {
+            throw new Error(`Matrix literal needs ${token.value} elements, got ${this.stack.length}`);
+        }
+        const elements = this.stack.splice(this.stack.length - token.value, token.value);
+        this.stack.push(Matrix.fromElements(elements));
+    }
+
+    /**
+     * Apply a scalar function to a matrix element by element, e.g. abs([-1, 2])
+     * @param {string} name - Function name
+     * @param {Object} funcInfo - Function information
+     * @param {Array} args - Function arguments
+     * @returns {Matrix} Result matrix
+     */
+    evaluateMatrixFunction(name, funcInfo, args) {
+        if (args.length !== 1) {
+            throw new NumericError(`Function ${name} does not accept matrix arguments`, 'INVALID_OPERATION');
+        }
+        return args[0].map(value => funcInfo.evaluate(value));
+    }
+
+    /**
+     * Check if a value is a physical quantity
+     * @param {*} value - Stack value
+     * @returns {boolean} True if quantity
+     */
+    isQuantity(value) {
+        return typeof window.Quantity !== 'undefined' && value instanceof window.Quantity;
+    }
+
+    /**
+     * Apply a binary operator where at least one operand has units
+     * @param {string} symbol - Operator symbol
+     * @param {*} a - Left operand
+     * @param {*} b - Right operand
+     * @returns {*} Quantity or number
+     */
+    evaluateQuantityOperator(symbol, a, b) {
+        if (this.isComplex(a) || this.isComplex(b)) {
+            throw new NumericError('Quantities with units must have real values', 'INVALID_OPERATION');
+        }
+        switch (symbol) {
+            case '+':
+                return this.isQuantity(a) ? a.add(b) : b.add(a);
+            case '-':
+                return this.isQuantity(a) ? a.subtract(b) : b.negate().add(a);
+            case '*':
+            case '×':
+            case 'unit*':
+                return this.isQuantity(a) ? a.multiply(b) : b.multiply(a);
+            case '/':
+            case '÷':
+                return this.isQuantity(a) ? a.divide(b) : b.divideInto(a);
+            case '^':
+            case '**':
+                if (!this.isQuantity(a)) {
+                    throw new NumericError('Exponent must be dimensionless', 'DIMENSION_MISMATCH');
+                }
+                return a.power(b);
+            case 'to':
+                if (!this.isQuantity(a)) {
+                    throw new NumericError('Cannot convert a dimensionless value to a unit', 'DIMENSION_MISMATCH');
+                }
+                return a.convertTo(b);
+            default:
+                throw new Error(`Operator ${symbol} does not support units`);
+        }
+    }
+
+    /**
+     * Apply a function to arguments that carry units. Roots and abs keep
+     * the units; everything else requires dimensionless input.
+     * @param {string} name - Function name
+     * @param {Object} funcInfo - Function information
+     * @param {Array} args - Function arguments
+     * @returns {*} Quantity or number
+     */
+    evaluateQuantityFunction(name, funcInfo, args) {
+        const [x] = args;
+        if (args.length === 1) {
+            switch (name.toLowerCase()) {
+                case 'sqrt':
+                    return x.power(0.5);
+                case 'cbrt':
+                    return x.power(1 / 3);
+                case 'abs':
+                    return x.value < 0 ? x.negate() : x;
+            }
+        }
+
+        return funcInfo.evaluate(...args.map(arg => this.isQuantity(arg) ? arg.toNumber() : arg));
     }
 
     /**
      * Set a variable value
      * @param {string} name - Variable name
-     * @param {number} value - Variable value
+     * @param {number|Matrix|Quantity|Complex} value - Variable value
      */
     setVariable(name, value) {
-        if (typeof value !== 'number' || isNaN(value)) {
+        const valid = typeof value === 'number' ? !isNaN(value) :
+            OperatorTable.isMatrix(value) || this.isQuantity(value) || this.isComplex(value);
+        if (!valid) {
             throw new Error(`Invalid variable value: ${value}`);
         }
         this.variables.set(name, value);
@@ -321,6 +814,20 @@ class Evaluator {
      * @returns {string} Formatted result
      */
     formatResult(result, precision = 10) {
+        if (OperatorTable.isMatrix(result) ||
+            (typeof window.MatrixFactorization !== 'undefined' && result instanceof window.MatrixFactorization) ||
+            (typeof window.RegressionResult !== 'undefined' && result instanceof window.RegressionResult)) {
+            return result.toString(value => this.formatResult(value, precision));
+        }
+
+        if (this.isQuantity(result)) {
+            return `${this.formatResult(result.getDisplayValue(), precision)} ${result.getUnitLabel()}`;
+        }
+
+        if (this.isComplex(result)) {
+            return this.formatComplex(result, value => this.formatResult(value, precision));
+        }
+
         if (typeof result !== 'number' || isNaN(result)) {
             return 'Error';
         }
@@ -350,6 +857,18 @@ class Evaluator {
      * @returns {string} Formatted result
      */
     toScientificNotation(result, threshold = 1e6) {
+        if (OperatorTable.isMatrix(result)) {
+            return result.toString(value => this.toScientificNotation(value, threshold));
+        }
+
+        if (this.isQuantity(result)) {
+            return `${this.toScientificNotation(result.getDisplayValue(), threshold)} ${result.getUnitLabel()}`;
+        }
+
+        if (this.isComplex(result)) {
+            return this.formatComplex(result, value => this.toScientificNotation(value, threshold));
+        }
+
         if (typeof result !== 'number' || isNaN(result) || !isFinite(result)) {
             return result.toString();
         }
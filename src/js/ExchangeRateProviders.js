@@ -0,0 +1,121 @@
+/**
+ * Exchange Rate Providers
+ * Sources of rate snapshots for CurrencyConverter. A provider has an id, a
+ * name, supportsHistory, and returns snapshots ({ base, date, timestamp,
+ * source, rates }) from fetchLatest(base) and, when it supports history,
+ * fetchHistorical(date, base).
+ */
+
+/**
+ * ExchangeRate-API open endpoint (no key, latest rates only)
+ */
+class ExchangeRateApiProvider {
+    constructor(options = {}) {
+        this.id = 'exchangerate-api';
+        this.name = 'ExchangeRate-API';
+        this.supportsHistory = false;
+        this.baseUrl = options.baseUrl || 'https://api.exchangerate-api.com/v4/latest';
+    }
+
+    /**
+     * Latest rates for a base currency
+     */
+    async fetchLatest(base = 'USD') {
+        const response = await fetch(`${this.baseUrl}/${base}`);
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.rates) {
+            throw new Error('Invalid API response format');
+        }
+
+        return {
+            base: data.base || base,
+            date: data.date,
+            timestamp: data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString() : new Date().toISOString(),
+            source: this.name,
+            rates: data.rates
+        };
+    }
+}
+
+/**
+ * Local provider with made-up but repeatable rates, for testing and demos
+ * without a network. Each day's rates drift from the reference table by an
+ * amount derived from the date, so the same day always gives the same rates.
+ */
+class MockRateProvider {
+    /**
+     * @param {Object} options - { rates: reference USD rates, volatility: largest
+     *        daily move as a fraction, offline: fail every request, now: () => Date }
+     */
+    constructor(options = {}) {
+        this.id = 'mock';
+        this.name = 'Local mock (testing)';
+        this.supportsHistory = true;
+        this.rates = options.rates || {
+            USD: 1, EUR: 0.92, GBP: 0.79, JPY: 150, CAD: 1.36, AUD: 1.52, CHF: 0.88, CNY: 7.25,
+            INR: 88.67, BRL: 5.45, SGD: 1.35, AED: 3.67, SAR: 3.75, ZAR: 18.5, MXN: 17.2,
+            KRW: 1350, THB: 36.5, NZD: 1.62, NOK: 10.8, SEK: 10.9
+        };
+        this.volatility = options.volatility !== undefined ? options.volatility : 0.02;
+        this.offline = options.offline || false;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Rates for today
+     */
+    async fetchLatest(base = 'USD') {
+        const now = this.now();
+        return this.snapshot(now.toISOString().slice(0, 10), base, now.toISOString());
+    }
+
+    /**
+     * Rates for a past day
+     */
+    async fetchHistorical(date, base = 'USD') {
+        const day = typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+        return this.snapshot(day, base, `${day}T16:00:00.000Z`);
+    }
+
+    snapshot(day, base, timestamp) {
+        if (this.offline) {
+            throw new Error('Mock provider is offline');
+        }
+        if (!this.rates[base]) {
+            throw new Error(`Base currency not supported: ${base}`);
+        }
+
+        const usdRates = {};
+        Object.entries(this.rates).forEach(([currency, rate]) => {
+            usdRates[currency] = currency === 'USD' ? 1 : rate * (1 + this.drift(day, currency));
+        });
+
+        const rates = {};
+        Object.keys(usdRates).forEach(currency => {
+            rates[currency] = usdRates[currency] / usdRates[base];
+        });
+
+        return { base: base, date: day, timestamp: timestamp, source: this.name, rates: rates };
+    }
+
+    /**
+     * Repeatable move in [-volatility, volatility] for a day and currency
+     */
+    drift(day, currency) {
+        let hash = 2166136261;
+        for (const char of `${day}|${currency}`) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 16777619);
+        }
+        return ((hash >>> 0) / 4294967295 * 2 - 1) * this.volatility;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExchangeRateApiProvider, MockRateProvider };
+}
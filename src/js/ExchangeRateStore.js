@@ -0,0 +1,254 @@
+/**
+ * ExchangeRateStore.js - Exchange rate snapshots kept in IndexedDB
+ *
+ * A snapshot is one table of rates for a base currency on a date:
+ * { base, date: 'YYYY-MM-DD', timestamp: ISO time the rates are valid for,
+ *   source, rates: { EUR: 0.92, ... } } where each rate is units of the
+ * currency per one unit of the base. One snapshot is kept per base and
+ * date; saving again for the same day replaces it. Snapshots are also
+ * held in memory, so the store keeps working (for the page's lifetime)
+ * when IndexedDB is unavailable.
+ */
+
+class ExchangeRateStore {
+    /**
+     * @param {Object} options - { databaseName, storeName }
+     */
+    constructor(options = {}) {
+        this.databaseName = options.databaseName || 'freetoolhub-currency';
+        this.storeName = options.storeName || 'rate-snapshots';
+        this.database = null;
+        this.snapshots = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Save a snapshot, replacing any for the same base and date
+     * @returns {Promise<Object>} The normalized snapshot
+     */
+    async save(snapshot) {
+        const normalized = ExchangeRateStore.normalize(snapshot);
+        await this.loadAll();
+        this.snapshots.set(ExchangeRateStore.key(normalized), normalized);
+
+        const database = await this.openDatabase();
+        if (database) {
+            await this.request(database, 'readwrite', store => store.put(normalized, ExchangeRateStore.key(normalized)));
+        }
+        return normalized;
+    }
+
+    /**
+     * Save several snapshots in one transaction
+     * @returns {Promise<number>} Number saved
+     */
+    async saveAll(snapshots) {
+        const normalized = snapshots.map(snapshot => ExchangeRateStore.normalize(snapshot));
+        await this.loadAll();
+        normalized.forEach(snapshot => this.snapshots.set(ExchangeRateStore.key(snapshot), snapshot));
+
+        const database = await this.openDatabase();
+        if (database && normalized.length > 0) {
+            await this.request(database, 'readwrite', store => {
+                let request = null;
+                normalized.forEach(snapshot => {
+                    request = store.put(snapshot, ExchangeRateStore.key(snapshot));
+                });
+                return request;
+            });
+        }
+        return normalized.length;
+    }
+
+    /**
+     * Most recent snapshot by timestamp
+     * @returns {Promise<Object|null>}
+     */
+    async getLatest() {
+        const snapshots = await this.list();
+        return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+    }
+
+    /**
+     * Snapshot in force on a date: the last one on or before it
+     * @param {string|Date} date - Day to look up
+     * @returns {Promise<Object|null>}
+     */
+    async getOnDate(date) {
+        const day = ExchangeRateStore.toDay(date);
+        const snapshots = (await this.list()).filter(snapshot => snapshot.date <= day);
+        if (snapshots.length === 0) return null;
+
+        // Prefer the latest date, then the latest timestamp on that date
+        return snapshots.reduce((best, snapshot) => (
+            snapshot.date > best.date || (snapshot.date === best.date && snapshot.timestamp > best.timestamp) ? snapshot : best
+        ));
+    }
+
+    /**
+     * Every snapshot, oldest first
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        await this.loadAll();
+        return [...this.snapshots.values()].sort((a, b) => (
+            a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0
+        ));
+    }
+
+    /**
+     * Delete one snapshot
+     */
+    async remove(base, date) {
+        const key = ExchangeRateStore.key({ base: base, date: ExchangeRateStore.toDay(date) });
+        await this.loadAll();
+        this.snapshots.delete(key);
+
+        const database = await this.openDatabase();
+        if (database) {
+            await this.request(database, 'readwrite', store => store.delete(key));
+        }
+    }
+
+    /**
+     * Delete every snapshot
+     */
+    async clear() {
+        this.snapshots.clear();
+        const database = await this.openDatabase();
+        if (database) {
+            await this.request(database, 'readwrite', store => store.clear());
+        }
+    }
+
+    /**
+     * Read the stored snapshots into memory once
+     */
+    async loadAll() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const database = await this.openDatabase();
+        if (!database) return;
+
+        const stored = await this.request(database, 'readonly', store => store.getAll());
+        (stored || []).forEach(snapshot => {
+            const key = ExchangeRateStore.key(snapshot);
+            if (!this.snapshots.has(key)) {
+                this.snapshots.set(key, snapshot);
+            }
+        });
+    }
+
+    /**
+     * Open (and create on first use) the rate database
+     * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+     */
+    openDatabase() {
+        if (this.database) return Promise.resolve(this.database);
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            // Private browsing can refuse storage; keep working from memory
+            request.onerror = () => {
+                console.warn('⚠️ Exchange rate storage unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run one request against the snapshot store
+     * @param {IDBDatabase} database - Open database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    request(database, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Check and tidy a snapshot
+     * @returns {Object} Snapshot with an upper-case base, a YYYY-MM-DD date,
+     *          an ISO timestamp and only positive finite rates
+     */
+    static normalize(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('Invalid rate snapshot');
+        }
+
+        const base = String(snapshot.base || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(base)) {
+            throw new Error(`Invalid base currency: ${snapshot.base}`);
+        }
+
+        const timestamp = snapshot.timestamp ? new Date(snapshot.timestamp) : new Date(`${snapshot.date}T00:00:00Z`);
+        if (isNaN(timestamp.getTime())) {
+            throw new Error(`Invalid rate date: ${snapshot.date || snapshot.timestamp}`);
+        }
+        const date = snapshot.date ? ExchangeRateStore.toDay(snapshot.date) : timestamp.toISOString().slice(0, 10);
+
+        const rates = {};
+        Object.entries(snapshot.rates || {}).forEach(([currency, rate]) => {
+            const value = Number(rate);
+            if (/^[A-Z]{3}$/.test(currency) && isFinite(value) && value > 0) {
+                rates[currency] = value;
+            }
+        });
+        rates[base] = 1;
+        if (Object.keys(rates).length < 2) {
+            throw new Error(`No rates in snapshot for ${date}`);
+        }
+
+        return {
+            base: base,
+            date: date,
+            timestamp: timestamp.toISOString(),
+            source: snapshot.source || 'Unknown',
+            rates: rates
+        };
+    }
+
+    /**
+     * Day as YYYY-MM-DD
+     */
+    static toDay(date) {
+        if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return date;
+        }
+        const parsed = date instanceof Date ? date : new Date(date);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+        return parsed.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Storage key for a snapshot
+     */
+    static key(snapshot) {
+        return `${snapshot.base}|${snapshot.date}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExchangeRateStore;
+}
@@ -0,0 +1,272 @@
+/**
+ * ExpressionDebugger.js - Step-through view of expression parsing and evaluation
+ *
+ * Shows an expression with its diagnostics underlined, then walks through
+ * the Shunting Yard conversion to RPN and the stack-based evaluation of the
+ * RPN one token at a time. Intended for teaching how the calculator reads
+ * an expression; all data comes from AdvancedCalculator.traceExpression().
+ */
+
+class ExpressionDebugger {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {AdvancedCalculator} calculator - Calculator that traces expressions
+     */
+    constructor(container, calculator = new AdvancedCalculator()) {
+        this.container = container;
+        this.calculator = calculator;
+        this.trace = null;
+        this.steps = [];
+        this.stepIndex = 0;
+        this.onSuggestion = null;
+
+        this.container.addEventListener('click', event => this.handleClick(event));
+    }
+
+    /**
+     * Trace a new expression and show its first step
+     * @param {string} expression - Expression text
+     * @returns {Object} Trace from AdvancedCalculator.traceExpression()
+     */
+    load(expression) {
+        this.trace = this.calculator.traceExpression(expression);
+        this.steps = [
+            ...this.trace.parseSteps.map(step => ({ phase: 'parse', ...step })),
+            ...this.trace.evaluationSteps.map(step => ({ phase: 'evaluate', ...step }))
+        ];
+        this.stepIndex = 0;
+        this.render();
+        return this.trace;
+    }
+
+    /**
+     * Move to a step; the index is clamped to the available steps
+     * @param {number} index - Step index
+     */
+    goTo(index) {
+        this.stepIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.render();
+    }
+
+    /**
+     * Show the next step
+     */
+    next() {
+        this.goTo(this.stepIndex + 1);
+    }
+
+    /**
+     * Show the previous step
+     */
+    previous() {
+        this.goTo(this.stepIndex - 1);
+    }
+
+    /**
+     * Replace the span of a diagnostic with a suggested name and reload
+     * @param {number} diagnosticIndex - Index into the trace diagnostics
+     * @param {string} name - Suggested name
+     * @returns {string} The corrected expression
+     */
+    applySuggestion(diagnosticIndex, name) {
+        const diagnostic = this.trace.diagnostics[diagnosticIndex];
+        const expression = this.trace.expression;
+        const corrected = expression.slice(0, diagnostic.start) + name + expression.slice(diagnostic.end);
+        this.load(corrected);
+        if (this.onSuggestion) {
+            this.onSuggestion(corrected);
+        }
+        return corrected;
+    }
+
+    /**
+     * Dispatch clicks on the step controls and suggestion buttons
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const target = event.target.closest('[data-debugger-action]');
+        if (!target) return;
+
+        switch (target.dataset.debuggerAction) {
+            case 'first':
+                this.goTo(0);
+                break;
+            case 'previous':
+                this.previous();
+                break;
+            case 'next':
+                this.next();
+                break;
+            case 'last':
+                this.goTo(this.steps.length - 1);
+                break;
+            case 'suggest':
+                this.applySuggestion(Number(target.dataset.diagnostic), target.dataset.name);
+                break;
+        }
+    }
+
+    /**
+     * Render the expression, diagnostics and the current step
+     */
+    render() {
+        if (!this.trace) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const step = this.steps[this.stepIndex] || null;
+        const parts = [
+            this.renderExpression(step),
+            this.renderDiagnostics()
+        ];
+
+        if (step) {
+            parts.push(this.renderControls(), this.renderStep(step));
+        }
+        if (this.trace.rpn.length > 0) {
+            parts.push(`<div class="mt-3 text-sm text-gray-600">RPN: <span class="font-mono">${ExpressionDebugger.escapeHtml(this.trace.rpn.join(' '))}</span></div>`);
+        }
+        if (this.trace.error) {
+            parts.push(`<div class="mt-3 text-sm text-red-600">${ExpressionDebugger.escapeHtml(this.trace.error)}</div>`);
+        } else if (this.trace.formattedResult !== null) {
+            parts.push(`<div class="mt-3 text-sm text-green-700">Result: <span class="font-mono font-bold">${ExpressionDebugger.escapeHtml(this.trace.formattedResult)}</span></div>`);
+        }
+
+        this.container.innerHTML = parts.join('');
+    }
+
+    /**
+     * Expression with errors and warnings underlined and the current token marked
+     * @param {Object|null} step - Current step
+     * @returns {string} HTML
+     */
+    renderExpression(step) {
+        const expression = this.trace.expression;
+        const spans = this.trace.diagnostics.map(diagnostic => ({
+            start: diagnostic.start,
+            end: diagnostic.end,
+            className: diagnostic.severity === 'error'
+                ? 'underline decoration-wavy decoration-red-500 text-red-700'
+                : 'underline decoration-wavy decoration-amber-500'
+        }));
+        if (step && step.start !== null) {
+            spans.push({ start: step.start, end: step.end, className: 'bg-yellow-200 rounded' });
+        }
+
+        return `<div class="font-mono text-lg bg-gray-50 rounded-lg p-3 whitespace-pre">${ExpressionDebugger.highlight(expression, spans)}</div>`;
+    }
+
+    /**
+     * List of diagnostics with buttons for suggested names
+     * @returns {string} HTML
+     */
+    renderDiagnostics() {
+        if (this.trace.diagnostics.length === 0) return '';
+
+        const items = this.trace.diagnostics.map((diagnostic, index) => {
+            const color = diagnostic.severity === 'error' ? 'text-red-600' : 'text-amber-600';
+            const buttons = diagnostic.suggestions.map(name =>
+                `<button type="button" class="ml-2 px-2 py-0.5 text-xs rounded bg-blue-100 text-blue-700 hover:bg-blue-200" data-debugger-action="suggest" data-diagnostic="${index}" data-name="${ExpressionDebugger.escapeHtml(name)}">${ExpressionDebugger.escapeHtml(name)}</button>`
+            ).join('');
+            return `<li class="${color}">${ExpressionDebugger.escapeHtml(diagnostic.message)}${buttons}</li>`;
+        });
+
+        return `<ul class="mt-3 space-y-1 text-sm">${items.join('')}</ul>`;
+    }
+
+    /**
+     * Step navigation buttons
+     * @returns {string} HTML
+     */
+    renderControls() {
+        const button = (action, label, disabled) =>
+            `<button type="button" class="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40" data-debugger-action="${action}"${disabled ? ' disabled' : ''}>${label}</button>`;
+        const atStart = this.stepIndex === 0;
+        const atEnd = this.stepIndex === this.steps.length - 1;
+
+        return `<div class="mt-4 flex items-center gap-2">
+            ${button('first', '⏮', atStart)}${button('previous', '◀', atStart)}
+            <span class="text-sm text-gray-600 px-2">Step ${this.stepIndex + 1} of ${this.steps.length}</span>
+            ${button('next', '▶', atEnd)}${button('last', '⏭', atEnd)}
+        </div>`;
+    }
+
+    /**
+     * Details of one Shunting Yard or evaluation step
+     * @param {Object} step - Step
+     * @returns {string} HTML
+     */
+    renderStep(step) {
+        const escape = ExpressionDebugger.escapeHtml;
+        const chips = (items) => items.length === 0
+            ? '<span class="text-gray-400">empty</span>'
+            : items.map(item => `<span class="inline-block px-2 py-0.5 mr-1 mb-1 rounded bg-white border font-mono">${escape(item)}</span>`).join('');
+
+        if (step.phase === 'parse') {
+            return `<div class="mt-3 rounded-lg border p-3">
+                <div class="text-xs uppercase text-gray-500">Shunting Yard</div>
+                <div class="font-medium mt-1">${escape(step.action)}</div>
+                <div class="mt-2 text-sm">Output queue: ${chips(step.output)}</div>
+                <div class="text-sm">Operator stack: ${chips(step.stack)}</div>
+            </div>`;
+        }
+
+        let action;
+        if (step.error) {
+            action = `<span class="text-red-600">${escape(step.error)}</span>`;
+        } else if (step.consumed.length > 0) {
+            action = `Apply ${escape(step.label)} to ${escape(step.consumed.join(', '))} → ${escape(step.produced)}`;
+        } else {
+            action = `Push ${escape(step.produced)}`;
+        }
+
+        return `<div class="mt-3 rounded-lg border p-3">
+            <div class="text-xs uppercase text-gray-500">RPN evaluation</div>
+            <div class="font-medium mt-1">${action}</div>
+            <div class="mt-2 text-sm">Stack: ${chips(step.stack)}</div>
+        </div>`;
+    }
+
+    /**
+     * Wrap spans of a text in styled elements. Later spans win where spans
+     * overlap; an empty span at the end of the text marks the end itself.
+     * @param {string} text - Text to highlight
+     * @param {Array} spans - { start, end, className }
+     * @returns {string} HTML
+     */
+    static highlight(text, spans) {
+        const classes = new Array(text.length + 1).fill('');
+        for (const span of spans) {
+            const end = Math.max(span.end, span.start + 1);
+            for (let i = span.start; i < end && i <= text.length; i++) {
+                classes[i] = span.className;
+            }
+        }
+
+        // A marked end position shows as a placeholder where an operand is missing
+        const characters = [...text.split(''), classes[text.length] ? '␣' : ''];
+        let html = '';
+        let i = 0;
+        while (i < characters.length) {
+            let j = i;
+            while (j < characters.length && classes[j] === classes[i]) j++;
+            const segment = ExpressionDebugger.escapeHtml(characters.slice(i, j).join(''));
+            html += classes[i] ? `<span class="${classes[i]}">${segment}</span>` : segment;
+            i = j;
+        }
+        return html;
+    }
+
+    /**
+     * Escape text for inclusion in HTML
+     * @param {*} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Make available globally
+window.ExpressionDebugger = ExpressionDebugger;
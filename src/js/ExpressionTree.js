@@ -0,0 +1,634 @@
+/**
+ * ExpressionTree.js - Symbolic expression trees built from parser output
+ *
+ * Converts the RPN produced by the Shunting Yard parser into a tree of nodes
+ * that can be printed, evaluated, simplified and transformed symbolically.
+ *
+ * Node shapes:
+ *   { type: 'number', value }
+ *   { type: 'constant', name }
+ *   { type: 'variable', name }
+ *   { type: 'operator', op: '+' | '-' | '*' | '/' | '^', left, right }
+ *   { type: 'negate', arg }
+ *   { type: 'function', name, args }
+ */
+
+class ExpressionTree {
+    constructor(operatorTable) {
+        this.operatorTable = operatorTable;
+        this.tokenizer = new Tokenizer(operatorTable);
+        this.parser = new Parser(operatorTable);
+    }
+
+    // Node constructors
+    static num(value) {
+        return { type: 'number', value: value };
+    }
+
+    static variable(name) {
+        return { type: 'variable', name: name };
+    }
+
+    static constant(name) {
+        return { type: 'constant', name: name };
+    }
+
+    static op(op, left, right) {
+        return { type: 'operator', op: op, left: left, right: right };
+    }
+
+    static neg(arg) {
+        return { type: 'negate', arg: arg };
+    }
+
+    static func(name, ...args) {
+        return { type: 'function', name: name, args: args };
+    }
+
+    /**
+     * Parse an infix expression string into a tree
+     * @param {string} expression - Expression such as "x^2*sin(x)"
+     * @returns {Object} Root node
+     */
+    parse(expression) {
+        const tokens = ExpressionTree.insertImplicitMultiplication(this.tokenizer.tokenize(expression));
+        const rpn = this.parser.parse(tokens);
+        return this.fromRPN(rpn);
+    }
+
+    /**
+     * Insert '*' where multiplication is implied, e.g. "2x" or "x(x+1)"
+     * @param {Array} tokens - Token stream from the tokenizer
+     * @returns {Array} Token stream with explicit operators
+     */
+    static insertImplicitMultiplication(tokens) {
+        const endsOperand = ['NUMBER', 'CONSTANT', 'IDENTIFIER', 'RIGHT_PAREN'];
+        const startsOperand = ['NUMBER', 'CONSTANT', 'IDENTIFIER', 'FUNCTION', 'LEFT_PAREN'];
+        const result = [];
+
+        for (const token of tokens) {
+            const previous = result[result.length - 1];
+            if (previous && endsOperand.includes(previous.type) && startsOperand.includes(token.type)) {
+                result.push(Tokenizer.Token('OPERATOR', '*', token.position));
+            }
+            result.push(token);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a tree from RPN tokens
+     * @param {Array} rpnTokens - Tokens in RPN order
+     * @returns {Object} Root node
+     */
+    fromRPN(rpnTokens) {
+        const stack = [];
+
+        for (const token of rpnTokens) {
+            switch (token.type) {
+                case 'NUMBER':
+                    stack.push(ExpressionTree.num(token.value));
+                    break;
+
+                case 'CONSTANT':
+                    stack.push(ExpressionTree.constant(token.value.toLowerCase()));
+                    break;
+
+                case 'IDENTIFIER':
+                    stack.push(ExpressionTree.variable(token.value));
+                    break;
+
+                case 'OPERATOR': {
+                    if (stack.length < 2) {
+                        throw new Error(`Insufficient operands for operator ${token.value}`);
+                    }
+                    const right = stack.pop();
+                    const left = stack.pop();
+                    stack.push(ExpressionTree.op(this.normalizeOperator(token.value), left, right));
+                    break;
+                }
+
+                case 'UNARY_OPERATOR': {
+                    if (stack.length < 1) {
+                        throw new Error(`Insufficient operands for unary operator ${token.value}`);
+                    }
+                    const arg = stack.pop();
+                    stack.push(token.value === 'unary-' ? ExpressionTree.neg(arg) : arg);
+                    break;
+                }
+
+                case 'FUNCTION': {
+                    const funcInfo = this.operatorTable.getFunction(token.value);
+                    if (!funcInfo || funcInfo.arity === 'variadic') {
+                        throw new Error(`Function ${token.value} is not supported in symbolic expressions`);
+                    }
+                    if (stack.length < funcInfo.arity) {
+                        throw new Error(`Function ${token.value} requires ${funcInfo.arity} arguments`);
+                    }
+                    const args = stack.splice(stack.length - funcInfo.arity, funcInfo.arity);
+                    stack.push(ExpressionTree.func(token.value.toLowerCase(), ...args));
+                    break;
+                }
+
+                default:
+                    throw new Error(`Unsupported token in symbolic expression: ${token.value}`);
+            }
+        }
+
+        if (stack.length !== 1) {
+            throw new Error('Invalid expression');
+        }
+
+        return stack[0];
+    }
+
+    /**
+     * Map operator aliases to the canonical symbols used in trees
+     * @param {string} symbol - Operator symbol
+     * @returns {string} Canonical operator
+     */
+    normalizeOperator(symbol) {
+        const aliases = { '×': '*', '÷': '/', '**': '^' };
+        const op = aliases[symbol] || symbol;
+        if (!['+', '-', '*', '/', '^'].includes(op)) {
+            throw new Error(`Operator ${symbol} is not supported in symbolic expressions`);
+        }
+        return op;
+    }
+
+    /**
+     * Check if a node depends on a variable
+     * @param {Object} node - Tree node
+     * @param {string} variable - Variable name
+     * @returns {boolean} True if the variable occurs in the node
+     */
+    dependsOn(node, variable) {
+        switch (node.type) {
+            case 'variable':
+                return node.name === variable;
+            case 'operator':
+                return this.dependsOn(node.left, variable) || this.dependsOn(node.right, variable);
+            case 'negate':
+                return this.dependsOn(node.arg, variable);
+            case 'function':
+                return node.args.some(arg => this.dependsOn(arg, variable));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Structural equality of two trees
+     * @param {Object} a - First node
+     * @param {Object} b - Second node
+     * @returns {boolean} True if equal
+     */
+    equals(a, b) {
+        if (a.type !== b.type) return false;
+        switch (a.type) {
+            case 'number':
+                return Math.abs(a.value - b.value) < 1e-12;
+            case 'constant':
+            case 'variable':
+                return a.name === b.name;
+            case 'operator':
+                return a.op === b.op && this.equals(a.left, b.left) && this.equals(a.right, b.right);
+            case 'negate':
+                return this.equals(a.arg, b.arg);
+            case 'function':
+                return a.name === b.name && a.args.length === b.args.length &&
+                    a.args.every((arg, i) => this.equals(arg, b.args[i]));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Substitute a variable with another tree
+     * @param {Object} node - Tree node
+     * @param {string} variable - Variable name
+     * @param {Object} replacement - Replacement node
+     * @returns {Object} New tree
+     */
+    substitute(node, variable, replacement) {
+        switch (node.type) {
+            case 'variable':
+                return node.name === variable ? replacement : node;
+            case 'operator':
+                return ExpressionTree.op(
+                    node.op,
+                    this.substitute(node.left, variable, replacement),
+                    this.substitute(node.right, variable, replacement)
+                );
+            case 'negate':
+                return ExpressionTree.neg(this.substitute(node.arg, variable, replacement));
+            case 'function':
+                return ExpressionTree.func(node.name, ...node.args.map(arg => this.substitute(arg, variable, replacement)));
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Evaluate a tree numerically
+     * @param {Object} node - Tree node
+     * @param {Object} variables - Variable values, e.g. { x: 2 }
+     * @returns {number} Result
+     */
+    evaluate(node, variables = {}) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'constant':
+                return this.operatorTable.getConstant(node.name);
+            case 'variable':
+                if (!(node.name in variables)) {
+                    throw new Error(`Unknown variable: ${node.name}`);
+                }
+                return variables[node.name];
+            case 'negate':
+                return -this.evaluate(node.arg, variables);
+            case 'operator': {
+                const a = this.evaluate(node.left, variables);
+                const b = this.evaluate(node.right, variables);
+                switch (node.op) {
+                    case '+': return a + b;
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return a / b;
+                    case '^': return Math.pow(a, b);
+                }
+                break;
+            }
+            case 'function': {
+                const funcInfo = this.operatorTable.getFunction(node.name);
+                return funcInfo.evaluate(...node.args.map(arg => this.evaluate(arg, variables)));
+            }
+        }
+        throw new Error(`Cannot evaluate node of type ${node.type}`);
+    }
+
+    /**
+     * Compile a tree into a plain JavaScript function of one variable
+     * @param {Object} node - Tree node
+     * @param {string} variable - Variable name
+     * @returns {Function} f(x)
+     */
+    compile(node, variable = 'x') {
+        return (x) => this.evaluate(node, { [variable]: x });
+    }
+
+    /**
+     * Simplify a tree with algebraic identities and constant folding
+     * @param {Object} node - Tree node
+     * @returns {Object} Simplified tree
+     */
+    simplify(node) {
+        let current = node;
+        // Rewrite until nothing changes (bounded to avoid pathological loops)
+        for (let i = 0; i < 20; i++) {
+            const next = this.simplifyOnce(current);
+            if (this.equals(next, current)) {
+                return next;
+            }
+            current = next;
+        }
+        return current;
+    }
+
+    /**
+     * One bottom-up simplification pass
+     * @param {Object} node - Tree node
+     * @returns {Object} Simplified tree
+     */
+    simplifyOnce(node) {
+        const { num, op, neg } = ExpressionTree;
+        const isNum = (n, value) => n.type === 'number' && (value === undefined || n.value === value);
+
+        switch (node.type) {
+            case 'negate': {
+                const arg = this.simplifyOnce(node.arg);
+                if (isNum(arg)) return num(-arg.value);
+                if (arg.type === 'negate') return arg.arg;
+                if (arg.type === 'operator' && arg.op === '*' && isNum(arg.left)) {
+                    return op('*', num(-arg.left.value), arg.right);
+                }
+                return neg(arg);
+            }
+
+            case 'function': {
+                const args = node.args.map(arg => this.simplifyOnce(arg));
+                // Fold only where the result stays exact and readable
+                if (args.every(arg => isNum(arg))) {
+                    const value = this.evaluate(ExpressionTree.func(node.name, ...args));
+                    if (Number.isInteger(value)) return num(value);
+                }
+                if (node.name === 'ln' && args[0].type === 'constant' && args[0].name === 'e') return num(1);
+                if (node.name === 'ln' && args[0].type === 'function' && args[0].name === 'exp') return args[0].args[0];
+                return ExpressionTree.func(node.name, ...args);
+            }
+
+            case 'operator':
+                return this.simplifyOperator(node.op, this.simplifyOnce(node.left), this.simplifyOnce(node.right));
+
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Simplify a binary operator whose operands are already simplified
+     */
+    simplifyOperator(symbol, left, right) {
+        const { num, op, neg } = ExpressionTree;
+        const isNum = (n, value) => n.type === 'number' && (value === undefined || n.value === value);
+        const isCoefficient = (n) => isNum(n) || this.isFraction(n);
+
+        // Constant folding
+        if (isNum(left) && isNum(right)) {
+            const value = this.evaluate(op(symbol, left, right));
+            if (symbol !== '/' || Number.isInteger(value)) {
+                return num(value);
+            }
+            // Keep exact fractions such as 1/3, reduced by their gcd
+            const divisor = this.gcd(left.value, right.value);
+            if (divisor > 1) {
+                return op('/', num(left.value / divisor), num(right.value / divisor));
+            }
+            if (right.value < 0) {
+                return op('/', num(-left.value), num(-right.value));
+            }
+            return op('/', left, right);
+        }
+
+        // Exact arithmetic when a fraction is involved: 1/2 + 1 => 3/2
+        if (isCoefficient(left) && isCoefficient(right)) {
+            const folded = this.foldFractions(symbol, left, right);
+            if (folded) return folded;
+        }
+
+        switch (symbol) {
+            case '+':
+                if (isNum(left, 0)) return right;
+                if (isNum(right, 0)) return left;
+                if (right.type === 'negate') return op('-', left, right.arg);
+                if (isNum(right) && right.value < 0) return op('-', left, num(-right.value));
+                if (right.type === 'operator' && right.op === '*' && isNum(right.left) && right.left.value < 0) {
+                    return op('-', left, op('*', num(-right.left.value), right.right));
+                }
+                if (this.equals(left, right)) return op('*', num(2), left);
+                return this.combineLikeTerms('+', left, right) || op('+', left, right);
+
+            case '-':
+                if (isNum(right, 0)) return left;
+                if (isNum(left, 0)) return neg(right);
+                if (this.equals(left, right)) return num(0);
+                if (right.type === 'negate') return op('+', left, right.arg);
+                if (isNum(right) && right.value < 0) return op('+', left, num(-right.value));
+                // Re-associate so like terms end up next to each other
+                if (right.type === 'operator' && right.op === '+') return op('-', op('-', left, right.left), right.right);
+                if (right.type === 'operator' && right.op === '-') return op('+', op('-', left, right.left), right.right);
+                return this.combineLikeTerms('-', left, right) || op('-', left, right);
+
+            case '*':
+                if (isNum(left, 0) || isNum(right, 0)) return num(0);
+                if (isNum(left, 1)) return right;
+                if (isNum(right, 1)) return left;
+                if (isNum(left, -1)) return neg(right);
+                if (isNum(right, -1)) return neg(left);
+                // Multiply exact fractions: (a/b) * (c/d) => (a c)/(b d)
+                if (this.isFraction(left) && this.isFraction(right)) {
+                    return op('/', num(left.left.value * right.left.value), num(left.right.value * right.right.value));
+                }
+                // Keep numeric coefficients on the left
+                if (isCoefficient(right) && !isCoefficient(left)) return op('*', right, left);
+                if (left.type === 'negate') return neg(op('*', left.arg, right));
+                if (right.type === 'negate') return neg(op('*', left, right.arg));
+                // c1 * (c2 * u) => (c1 c2) * u
+                if (isCoefficient(left) && right.type === 'operator' && right.op === '*' && isCoefficient(right.left)) {
+                    return op('*', this.simplifyOperator('*', left, right.left), right.right);
+                }
+                // (c * u) * v => c * (u * v)
+                if (left.type === 'operator' && left.op === '*' && isCoefficient(left.left)) {
+                    return op('*', left.left, op('*', left.right, right));
+                }
+                // u * (c * v) => c * (u * v)
+                if (right.type === 'operator' && right.op === '*' && isCoefficient(right.left)) {
+                    return op('*', right.left, op('*', left, right.right));
+                }
+                // c * (u / v) with numeric u => (c u) / v
+                if (isNum(left) && right.type === 'operator' && right.op === '/' && isNum(right.left)) {
+                    return op('/', num(left.value * right.left.value), right.right);
+                }
+                // c * (u / (d * w)) with numeric c, d => (c/d) * (u / w)
+                if (isNum(left) && right.type === 'operator' && right.op === '/' &&
+                    right.right.type === 'operator' && right.right.op === '*' && isNum(right.right.left)) {
+                    return op('*', this.simplifyOperator('/', left, right.right.left), op('/', right.left, right.right.right));
+                }
+                // (1 / v) * u => u / v, for symbolic v
+                if (left.type === 'operator' && left.op === '/' && isNum(left.left, 1) && !isNum(left.right)) {
+                    return op('/', right, left.right);
+                }
+                if (right.type === 'operator' && right.op === '/' && isNum(right.left, 1) && !isNum(right.right)) {
+                    return op('/', left, right.right);
+                }
+                if (this.equals(left, right)) return op('^', left, num(2));
+                // Order factors so polynomial parts come first: x*cos(x), not cos(x)*x
+                if (this.factorRank(left) > this.factorRank(right)) return op('*', right, left);
+                return this.combinePowers(left, right) || op('*', left, right);
+
+            case '/':
+                if (isNum(left, 0)) return num(0);
+                if (isNum(right, 1)) return left;
+                if (this.equals(left, right)) return num(1);
+                if (left.type === 'negate') return neg(op('/', left.arg, right));
+                // (c * u) / d with numeric c, d => (c/d) * u
+                if (isNum(right) && left.type === 'operator' && left.op === '*' && isNum(left.left)) {
+                    return op('*', this.simplifyOperator('/', left.left, right), left.right);
+                }
+                // u / (a/b) => (b/a) * u
+                if (this.isFraction(right)) {
+                    return op('*', this.simplifyOperator('/', right.right, right.left), left);
+                }
+                // u / c => (1/c) * u for readable coefficients
+                if (isNum(right) && !isNum(left)) {
+                    return op('*', this.simplifyOperator('/', num(1), right), left);
+                }
+                return op('/', left, right);
+
+            case '^':
+                if (isNum(right, 0)) return num(1);
+                if (isNum(right, 1)) return left;
+                if (isNum(left, 0)) return num(0);
+                if (isNum(left, 1)) return num(1);
+                // (u^a)^b => u^(a b) for numeric exponents
+                if (left.type === 'operator' && left.op === '^' && isNum(left.right) && isNum(right)) {
+                    return op('^', left.left, num(left.right.value * right.value));
+                }
+                return op('^', left, right);
+        }
+
+        return op(symbol, left, right);
+    }
+
+    /**
+     * Sort key for factors in a product
+     */
+    factorRank(node) {
+        if (node.type === 'number' || this.isFraction(node)) return 0;
+        if (node.type === 'constant') return 1;
+        if (node.type === 'variable') return 2;
+        if (node.type === 'operator' && node.op === '^' && node.left.type === 'variable') return 2;
+        if (node.type === 'operator' && node.op === '*') return this.factorRank(node.left);
+        return 3;
+    }
+
+    /**
+     * Combine two numbers or fractions exactly
+     * @returns {Object|null} Reduced fraction or integer node, null if not exact
+     */
+    foldFractions(symbol, left, right) {
+        const parts = (node) => node.type === 'number' ? [node.value, 1] : [node.left.value, node.right.value];
+        const [a, b] = parts(left);
+        const [c, d] = parts(right);
+        if (![a, b, c, d].every(Number.isInteger)) {
+            return null;
+        }
+
+        let numerator;
+        let denominator;
+        switch (symbol) {
+            case '+': numerator = a * d + c * b; denominator = b * d; break;
+            case '-': numerator = a * d - c * b; denominator = b * d; break;
+            case '*': numerator = a * c; denominator = b * d; break;
+            case '/':
+                if (c === 0) return null;
+                numerator = a * d;
+                denominator = b * c;
+                break;
+            default:
+                return null;
+        }
+        return this.simplifyOperator('/', ExpressionTree.num(numerator), ExpressionTree.num(denominator));
+    }
+
+    /**
+     * Check for an exact numeric fraction such as 1/3
+     */
+    isFraction(node) {
+        return node.type === 'operator' && node.op === '/' &&
+            node.left.type === 'number' && node.right.type === 'number';
+    }
+
+    /**
+     * Combine c1*u ± c2*u into (c1 ± c2)*u
+     */
+    combineLikeTerms(symbol, left, right) {
+        const split = (node) => {
+            if (node.type === 'operator' && node.op === '*' && node.left.type === 'number') {
+                return { coefficient: node.left.value, term: node.right };
+            }
+            return { coefficient: 1, term: node };
+        };
+
+        const a = split(left);
+        const b = split(right);
+        if (a.term.type === 'number' || !this.equals(a.term, b.term)) {
+            return null;
+        }
+
+        const coefficient = symbol === '+' ? a.coefficient + b.coefficient : a.coefficient - b.coefficient;
+        return ExpressionTree.op('*', ExpressionTree.num(coefficient), a.term);
+    }
+
+    /**
+     * Combine u^a * u^b into u^(a+b)
+     */
+    combinePowers(left, right) {
+        const split = (node) => {
+            if (node.type === 'operator' && node.op === '^') {
+                return { base: node.left, exponent: node.right };
+            }
+            return { base: node, exponent: ExpressionTree.num(1) };
+        };
+
+        const a = split(left);
+        const b = split(right);
+        if (a.base.type === 'number' || !this.equals(a.base, b.base)) {
+            return null;
+        }
+
+        return ExpressionTree.op('^', a.base, ExpressionTree.op('+', a.exponent, b.exponent));
+    }
+
+    gcd(a, b) {
+        if (!Number.isInteger(a) || !Number.isInteger(b)) return 1;
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Convert a tree to an infix string with minimal parentheses
+     * @param {Object} node - Tree node
+     * @returns {string} Infix expression
+     */
+    toString(node) {
+        const precedence = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 };
+        const wrap = (child, minPrecedence, strict = false) => {
+            const text = this.toString(child);
+            let childPrecedence = 5;
+            if (child.type === 'operator') childPrecedence = precedence[child.op];
+            if (child.type === 'negate') childPrecedence = 3;
+            if (child.type === 'number' && child.value < 0) childPrecedence = 3;
+            const needsParens = strict ? childPrecedence <= minPrecedence : childPrecedence < minPrecedence;
+            return needsParens ? `(${text})` : text;
+        };
+
+        switch (node.type) {
+            case 'number':
+                return this.formatNumber(node.value);
+            case 'constant':
+                return node.name;
+            case 'variable':
+                return node.name;
+            case 'negate':
+                // -(a*b) reads the same as (-a)*b, so products need no parentheses
+                return `-${wrap(node.arg, 2)}`;
+            case 'function':
+                return `${node.name}(${node.args.map(arg => this.toString(arg)).join(', ')})`;
+            case 'operator': {
+                const p = precedence[node.op];
+                if (node.op === '^') {
+                    // Parenthesize nested powers on both sides: e^(x^2), not e^x^2
+                    return `${wrap(node.left, p, true)}^${wrap(node.right, p, true)}`;
+                }
+                const rightStrict = node.op === '-' || node.op === '/';
+                const left = wrap(node.left, p);
+                const right = wrap(node.right, p, rightStrict);
+                const separator = node.op === '*' || node.op === '/' ? node.op : ` ${node.op} `;
+                return `${left}${separator}${right}`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Format a number for display in expressions
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        if (Number.isInteger(value)) {
+            return value.toString();
+        }
+        return parseFloat(value.toPrecision(12)).toString();
+    }
+}
+
+// Make available globally
+window.ExpressionTree = ExpressionTree;
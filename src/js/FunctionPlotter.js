@@ -0,0 +1,630 @@
+/**
+ * FunctionPlotter.js - Sampling and numerical analysis of plotted curves
+ *
+ * Turns expressions accepted by the Tokenizer/Parser/Evaluator pipeline into
+ * drawable line segments. Samples are refined where the curve changes
+ * quickly, and segments are broken at discontinuities, asymptotes and
+ * points outside the domain so that e.g. tan(x) is not drawn with vertical
+ * connecting lines. Also finds roots, extrema and intersections numerically.
+ *
+ * A sampled series looks like:
+ *   { type, label, color, segments: [[{ x, y }, ...], ...],
+ *     discontinuities: [x], asymptotes: [x], range: { yMin, yMax } }
+ */
+
+class FunctionPlotter {
+    constructor(operatorTable = new OperatorTable()) {
+        this.operatorTable = operatorTable;
+        this.tokenizer = new Tokenizer(operatorTable);
+        this.parser = new Parser(operatorTable);
+        this.evaluator = new Evaluator(operatorTable);
+
+        this.samples = 400;
+        this.jumpDepth = 24;
+        this.smoothingSteps = 8;
+    }
+
+    /**
+     * Colors assigned to series in order
+     */
+    static get COLORS() {
+        return ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#be185d'];
+    }
+
+    /**
+     * Compile an expression into a JavaScript function of the given variables.
+     * Points outside the domain (sqrt(-1), 1/0) evaluate to NaN.
+     * @param {string|Function} expression - Expression such as "x^2 - 2x" or a function
+     * @param {Array} variables - Variable names, e.g. ['x'] or ['t']
+     * @returns {Function} (...values) => number
+     */
+    compile(expression, variables = ['x']) {
+        if (typeof expression === 'function') {
+            return expression;
+        }
+
+        const text = String(expression).replace(/θ/g, 'theta').trim();
+        if (!text) {
+            throw new Error('Expression must be a non-empty string');
+        }
+
+        const tokens = this.tokenizer.tokenize(text, variables);
+        const tokenErrors = this.tokenizer.validate();
+        if (tokenErrors.length > 0) {
+            throw new Error(`Invalid expression "${expression}": ${tokenErrors.join(', ')}`);
+        }
+
+        const rpnTokens = this.parser.parse(ExpressionTree.insertImplicitMultiplication(tokens));
+        const ast = UserFunction.buildAST(rpnTokens, this.operatorTable);
+
+        const unknown = this.freeVariables(ast).filter(name => !variables.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown variable ${unknown[0]} in "${expression}"; expected ${variables.join(', ')}`);
+        }
+
+        return (...values) => {
+            const scope = new Map(variables.map((name, i) => [name, values[i]]));
+            try {
+                const value = this.evaluator.evaluateNode(ast, scope);
+                return typeof value === 'number' ? value : NaN;
+            } catch (error) {
+                return NaN;
+            }
+        };
+    }
+
+    /**
+     * Collect the variable names used in a syntax tree
+     * @param {Object} node - Syntax tree node
+     * @param {Set} names - Names found so far
+     * @returns {Array} Variable names
+     */
+    freeVariables(node, names = new Set()) {
+        switch (node.type) {
+            case 'variable':
+                names.add(node.name);
+                break;
+            case 'binary':
+                this.freeVariables(node.left, names);
+                this.freeVariables(node.right, names);
+                break;
+            case 'unary':
+                this.freeVariables(node.operand, names);
+                break;
+            case 'call':
+                node.args.forEach(arg => this.freeVariables(arg, names));
+                break;
+            case 'matrix':
+                node.elements.forEach(element => this.freeVariables(element, names));
+                break;
+        }
+        return Array.from(names);
+    }
+
+    /**
+     * Plot several series in one viewport. Missing y limits are chosen to fit
+     * the curves.
+     * @param {Array} series - Expressions or { type, expression | x, y | r, ... } specs
+     * @param {Object} viewport - { xMin, xMax, yMin, yMax }
+     * @param {Object} options - { analyze: find roots, extrema and intersections }
+     * @returns {Object} { series, viewport, intersections }
+     */
+    plot(series, viewport = {}, options = {}) {
+        const xMin = viewport.xMin !== undefined ? viewport.xMin : -10;
+        const xMax = viewport.xMax !== undefined ? viewport.xMax : 10;
+        if (!(xMax > xMin)) {
+            throw new Error('xMax must be greater than xMin');
+        }
+
+        const specs = series.map(spec => typeof spec === 'string' ? { type: 'function', expression: spec } : spec);
+        const sampled = specs.map((spec, index) => this.sampleSeries(spec, index, { ...viewport, xMin, xMax }));
+
+        const fitted = this.fitRange(sampled.map(item => item.range));
+        // Parametric and polar curves alone choose their own x extent too
+        const curvesOnly = sampled.length > 0 && sampled.every(item => item.xRange);
+        const fittedX = curvesOnly && viewport.xMin === undefined && viewport.xMax === undefined ?
+            this.fitRange(sampled.map(item => ({ yMin: item.xRange.yMin, yMax: item.xRange.yMax }))) :
+            { yMin: xMin, yMax: xMax };
+        const result = {
+            series: sampled,
+            viewport: {
+                xMin: fittedX.yMin,
+                xMax: fittedX.yMax,
+                yMin: viewport.yMin !== undefined ? viewport.yMin : fitted.yMin,
+                yMax: viewport.yMax !== undefined ? viewport.yMax : fitted.yMax
+            },
+            intersections: []
+        };
+
+        if (options.analyze) {
+            sampled.forEach((item, index) => {
+                if (item.type === 'function') {
+                    item.roots = this.findRoots(specs[index].expression, xMin, xMax);
+                    item.extrema = this.findExtrema(specs[index].expression, xMin, xMax);
+                }
+            });
+            for (let i = 0; i < specs.length; i++) {
+                for (let j = i + 1; j < specs.length; j++) {
+                    if (specs[i].type === 'function' && specs[j].type === 'function') {
+                        for (const point of this.findIntersections(specs[i].expression, specs[j].expression, xMin, xMax)) {
+                            result.intersections.push({ ...point, series: [i, j] });
+                        }
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Sample one series spec
+     * @param {Object} spec - Series spec
+     * @param {number} index - Position, used for the default color
+     * @param {Object} viewport - Viewport with xMin/xMax
+     * @returns {Object} Sampled series
+     */
+    sampleSeries(spec, index, viewport) {
+        const color = spec.color || FunctionPlotter.COLORS[index % FunctionPlotter.COLORS.length];
+        let sampled;
+
+        switch (spec.type || 'function') {
+            case 'function':
+                sampled = this.sampleFunction(spec.expression, viewport.xMin, viewport.xMax, viewport);
+                return { type: 'function', label: spec.label || `y = ${spec.expression}`, color, ...sampled };
+
+            case 'parametric':
+                sampled = this.sampleParametric(spec.x, spec.y,
+                    spec.tMin !== undefined ? spec.tMin : 0,
+                    spec.tMax !== undefined ? spec.tMax : 2 * Math.PI);
+                return { type: 'parametric', label: spec.label || `(${spec.x}, ${spec.y})`, color, ...sampled };
+
+            case 'polar':
+                sampled = this.samplePolar(spec.r,
+                    spec.thetaMin !== undefined ? spec.thetaMin : 0,
+                    spec.thetaMax !== undefined ? spec.thetaMax : 2 * Math.PI);
+                return { type: 'polar', label: spec.label || `r = ${spec.r}`, color, ...sampled };
+
+            default:
+                throw new Error(`Unknown plot type: ${spec.type}`);
+        }
+    }
+
+    /**
+     * Sample y = f(x) over [xMin, xMax]
+     * @param {string|Function} expression - Expression in x
+     * @param {number} xMin - Left end
+     * @param {number} xMax - Right end
+     * @param {Object} options - { samples, yMin, yMax }
+     * @returns {Object} { segments, discontinuities, asymptotes, range }
+     */
+    sampleFunction(expression, xMin, xMax, options = {}) {
+        const f = this.compile(expression, ['x']);
+        const samples = options.samples || this.samples;
+        const points = [];
+        for (let i = 0; i <= samples; i++) {
+            const x = xMin + (xMax - xMin) * i / samples;
+            points.push({ x: x, y: f(x) });
+        }
+
+        const range = options.yMin !== undefined && options.yMax !== undefined ?
+            { yMin: options.yMin, yMax: options.yMax } :
+            this.estimateRange(points.map(point => point.y));
+        const resolution = (range.yMax - range.yMin) / 50;
+
+        const traced = this.trace(f, points, resolution);
+        return { ...traced, range: range };
+    }
+
+    /**
+     * Sample a parametric curve (x(t), y(t))
+     * @param {string|Function} xExpression - x as an expression in t
+     * @param {string|Function} yExpression - y as an expression in t
+     * @param {number} tMin - Start parameter
+     * @param {number} tMax - End parameter
+     * @param {Object} options - { samples }
+     * @returns {Object} { segments, discontinuities, asymptotes, range }
+     */
+    sampleParametric(xExpression, yExpression, tMin, tMax, options = {}) {
+        const fx = this.compile(xExpression, ['t']);
+        const fy = this.compile(yExpression, ['t']);
+        return this.sampleCurve(t => [fx(t), fy(t)], tMin, tMax, options);
+    }
+
+    /**
+     * Sample a polar curve r = f(θ)
+     * @param {string|Function} rExpression - r as an expression in theta (or θ)
+     * @param {number} thetaMin - Start angle in radians
+     * @param {number} thetaMax - End angle in radians
+     * @param {Object} options - { samples }
+     * @returns {Object} { segments, discontinuities, asymptotes, range }
+     */
+    samplePolar(rExpression, thetaMin, thetaMax, options = {}) {
+        const fr = this.compile(rExpression, ['theta']);
+        return this.sampleCurve(theta => {
+            const r = fr(theta);
+            return [r * Math.cos(theta), r * Math.sin(theta)];
+        }, thetaMin, thetaMax, options);
+    }
+
+    /**
+     * Sample a curve given as t => [x, y], breaking it where a coordinate
+     * is undefined or jumps
+     * @param {Function} curve - t => [x, y]
+     * @param {number} tMin - Start parameter
+     * @param {number} tMax - End parameter
+     * @param {Object} options - { samples }
+     * @returns {Object} { segments, discontinuities, asymptotes, range }
+     */
+    sampleCurve(curve, tMin, tMax, options = {}) {
+        if (!(tMax > tMin)) {
+            throw new Error('The parameter range must be increasing');
+        }
+
+        const samples = options.samples || this.samples * 2;
+        const points = [];
+        for (let i = 0; i <= samples; i++) {
+            const t = tMin + (tMax - tMin) * i / samples;
+            const [x, y] = curve(t);
+            points.push({ t: t, x: x, y: y });
+        }
+
+        const finite = points.filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+        const xRange = this.estimateRange(finite.map(point => point.x));
+        const yRange = this.estimateRange(finite.map(point => point.y));
+        const resolution = Math.max(xRange.yMax - xRange.yMin, yRange.yMax - yRange.yMin) / 50;
+
+        // Trace each coordinate as a function of t and keep the breaks of either
+        const coordinate = (index) => (t) => curve(t)[index];
+        const breaks = new Set();
+        [0, 1].forEach(index => {
+            const traced = this.trace(coordinate(index), points.map(point => ({ x: point.t, y: index === 0 ? point.x : point.y })), resolution);
+            traced.breaks.forEach(t => breaks.add(t));
+        });
+
+        const segments = [];
+        let current = [];
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i];
+            const broken = i > 0 && Array.from(breaks).some(t => t > points[i - 1].t && t < point.t);
+            if (!Number.isFinite(point.x) || !Number.isFinite(point.y) || broken) {
+                if (current.length > 1) segments.push(current);
+                current = [];
+            }
+            if (Number.isFinite(point.x) && Number.isFinite(point.y)) {
+                current.push({ x: point.x, y: point.y });
+            }
+        }
+        if (current.length > 1) segments.push(current);
+
+        return { segments: segments, discontinuities: [], asymptotes: [], range: yRange, xRange: xRange };
+    }
+
+    /**
+     * Connect samples of f into segments, adding points where the curve is
+     * steep and breaking it at jumps and undefined points
+     * @param {Function} f - Function of one variable
+     * @param {Array} points - Uniform samples { x, y }
+     * @param {number} resolution - Vertical change that needs extra samples
+     * @returns {Object} { segments, discontinuities, asymptotes, breaks }
+     */
+    trace(f, points, resolution) {
+        const segments = [];
+        const discontinuities = [];
+        const asymptotes = [];
+        const breaks = [];
+        let current = [];
+
+        const finish = () => {
+            if (current.length > 1) segments.push(current);
+            current = [];
+        };
+
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i];
+            if (!Number.isFinite(point.y)) {
+                // A single undefined sample between huge values is a pole hit exactly, as 1/x at 0
+                const before = points[i - 1];
+                const after = points[i + 1];
+                if (before && after && Number.isFinite(before.y) && Number.isFinite(after.y) &&
+                    Math.min(Math.abs(before.y), Math.abs(after.y)) > 10 * resolution) {
+                    asymptotes.push(point.x);
+                    breaks.push(point.x);
+                }
+                finish();
+                continue;
+            }
+
+            const previous = current[current.length - 1];
+            if (previous && Math.abs(point.y - previous.y) > resolution) {
+                const jump = this.findJump(f, previous, point);
+                if (jump) {
+                    breaks.push(jump.x);
+                    (jump.asymptote ? asymptotes : discontinuities).push(jump.x);
+                    finish();
+                } else {
+                    current.push(...this.subdivide(f, previous, point));
+                }
+            }
+            current.push(point);
+        }
+        finish();
+
+        return { segments, discontinuities, asymptotes, breaks };
+    }
+
+    /**
+     * Look for a jump between two samples by repeatedly halving the interval
+     * that holds most of the change. For a continuous function the change
+     * shrinks with the interval; at a jump or pole it does not.
+     * @param {Function} f - Function of one variable
+     * @param {Object} a - Left sample { x, y }
+     * @param {Object} b - Right sample { x, y }
+     * @returns {Object|null} { x, asymptote } or null if continuous
+     */
+    findJump(f, a, b) {
+        const initial = Math.abs(b.y - a.y);
+        let left = a;
+        let right = b;
+
+        for (let depth = 0; depth < this.jumpDepth; depth++) {
+            const x = (left.x + right.x) / 2;
+            const middle = { x: x, y: f(x) };
+            if (!Number.isFinite(middle.y)) {
+                return { x: x, asymptote: true };
+            }
+            if (Math.abs(middle.y - left.y) >= Math.abs(right.y - middle.y)) {
+                right = middle;
+            } else {
+                left = middle;
+            }
+        }
+
+        const remaining = Math.abs(right.y - left.y);
+        if (remaining < initial / 2) {
+            return null;
+        }
+
+        // Values that grow far beyond the endpoints mean a pole, not a step
+        const scale = Math.max(Math.abs(a.y), Math.abs(b.y), initial);
+        return {
+            x: (left.x + right.x) / 2,
+            asymptote: Math.max(Math.abs(left.y), Math.abs(right.y)) > 10 * scale
+        };
+    }
+
+    /**
+     * Extra samples between two points on a steep part of the curve
+     * @param {Function} f - Function of one variable
+     * @param {Object} a - Left sample
+     * @param {Object} b - Right sample
+     * @returns {Array} Points strictly between a and b
+     */
+    subdivide(f, a, b) {
+        const points = [];
+        for (let i = 1; i < this.smoothingSteps; i++) {
+            const x = a.x + (b.x - a.x) * i / this.smoothingSteps;
+            const y = f(x);
+            if (Number.isFinite(y)) {
+                points.push({ x: x, y: y });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Choose a y range that shows the bulk of the values, ignoring the
+     * spikes next to asymptotes
+     * @param {Array} values - Sampled values
+     * @returns {Object} { yMin, yMax }
+     */
+    estimateRange(values) {
+        const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (finite.length === 0) {
+            return { yMin: -10, yMax: 10 };
+        }
+
+        const low = finite[Math.floor((finite.length - 1) * 0.02)];
+        const high = finite[Math.ceil((finite.length - 1) * 0.98)];
+        if (high - low < 1e-12) {
+            return { yMin: low - 1, yMax: high + 1 };
+        }
+
+        const padding = (high - low) * 0.1;
+        return { yMin: low - padding, yMax: high + padding };
+    }
+
+    /**
+     * Combine the ranges of several series
+     * @param {Array} ranges - { yMin, yMax } per series
+     * @returns {Object} { yMin, yMax }
+     */
+    fitRange(ranges) {
+        if (ranges.length === 0) {
+            return { yMin: -10, yMax: 10 };
+        }
+        return {
+            yMin: Math.min(...ranges.map(range => range.yMin)),
+            yMax: Math.max(...ranges.map(range => range.yMax))
+        };
+    }
+
+    /**
+     * Find the roots of f in [xMin, xMax] from sign changes (refined by
+     * bisection) and from minima of |f| that touch zero
+     * @param {string|Function} expression - Expression in x
+     * @param {number} xMin - Left end
+     * @param {number} xMax - Right end
+     * @param {Object} options - { samples, tolerance }
+     * @returns {Array} Sorted root x values
+     */
+    findRoots(expression, xMin, xMax, options = {}) {
+        const f = this.compile(expression, ['x']);
+        const samples = options.samples || this.samples;
+        const tolerance = options.tolerance || 1e-9;
+        const roots = [];
+
+        let x0 = xMin;
+        let y0 = f(x0);
+        let previous = NaN;
+        for (let i = 1; i <= samples; i++) {
+            const x1 = xMin + (xMax - xMin) * i / samples;
+            const y1 = f(x1);
+
+            // Only isolated zeros count; floor(x) is zero on a whole interval
+            if (y0 === 0 && previous !== 0 && y1 !== 0) {
+                roots.push(x0);
+            } else if (Number.isFinite(y0) && Number.isFinite(y1) && y0 * y1 < 0) {
+                const root = this.bisect(f, x0, x1);
+                // A sign change across a pole (tan at π/2) is not a root
+                if (Math.abs(f(root)) <= tolerance * (1 + Math.max(Math.abs(y0), Math.abs(y1)))) {
+                    roots.push(root);
+                }
+            }
+
+            previous = y0;
+            x0 = x1;
+            y0 = y1;
+        }
+        if (y0 === 0 && previous !== 0) {
+            roots.push(x0);
+        }
+
+        // Double roots such as x^2 touch zero without changing sign
+        for (const extremum of this.findExtrema(f, xMin, xMax, options)) {
+            if (Math.abs(extremum.y) <= tolerance) {
+                roots.push(extremum.x);
+            }
+        }
+
+        return this.uniqueSorted(roots, (xMax - xMin) * 1e-9);
+    }
+
+    /**
+     * Find local minima and maxima of f in [xMin, xMax]
+     * @param {string|Function} expression - Expression in x
+     * @param {number} xMin - Left end
+     * @param {number} xMax - Right end
+     * @param {Object} options - { samples }
+     * @returns {Array} { x, y, type: 'minimum' | 'maximum' } sorted by x
+     */
+    findExtrema(expression, xMin, xMax, options = {}) {
+        const f = this.compile(expression, ['x']);
+        const samples = options.samples || this.samples;
+        const xs = [];
+        const ys = [];
+        for (let i = 0; i <= samples; i++) {
+            xs.push(xMin + (xMax - xMin) * i / samples);
+            ys.push(f(xs[i]));
+        }
+
+        const extrema = [];
+        for (let i = 1; i < samples; i++) {
+            const [a, b, c] = [ys[i - 1], ys[i], ys[i + 1]];
+            if (![a, b, c].every(Number.isFinite)) continue;
+
+            const isMaximum = b > a && b >= c;
+            const isMinimum = b < a && b <= c;
+            if (!isMaximum && !isMinimum) continue;
+            // The edge of a flat step (floor(x)) is not an extremum
+            if (b === c && ys[i + 2] === c) continue;
+
+            const x = this.goldenSection(f, xs[i - 1], xs[i + 1], isMaximum);
+            const y = f(x);
+            // A peak far above its neighbours is a pole, not an extremum
+            const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), 1);
+            if (!Number.isFinite(y) || Math.abs(y - b) > 10 * scale) continue;
+
+            extrema.push({ x: x, y: y, type: isMaximum ? 'maximum' : 'minimum' });
+        }
+
+        const spacing = (xMax - xMin) * 1e-9;
+        return extrema.filter((point, i) => i === 0 || Math.abs(point.x - extrema[i - 1].x) > spacing);
+    }
+
+    /**
+     * Find the points where two functions are equal
+     * @param {string|Function} first - Expression in x
+     * @param {string|Function} second - Expression in x
+     * @param {number} xMin - Left end
+     * @param {number} xMax - Right end
+     * @returns {Array} { x, y } sorted by x
+     */
+    findIntersections(first, second, xMin, xMax) {
+        const f = this.compile(first, ['x']);
+        const g = this.compile(second, ['x']);
+        return this.findRoots(x => f(x) - g(x), xMin, xMax).map(x => ({ x: x, y: f(x) }));
+    }
+
+    /**
+     * Bisection on an interval where f changes sign
+     * @param {Function} f - Function
+     * @param {number} a - Left end
+     * @param {number} b - Right end
+     * @returns {number} Root estimate
+     */
+    bisect(f, a, b) {
+        let fa = f(a);
+        for (let i = 0; i < 200; i++) {
+            const m = (a + b) / 2;
+            if (m === a || m === b) break;
+            const fm = f(m);
+            if (fm === 0) return m;
+            if ((fm < 0) === (fa < 0)) {
+                a = m;
+                fa = fm;
+            } else {
+                b = m;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Golden-section search for the extremum of a unimodal function
+     * @param {Function} f - Function
+     * @param {number} a - Left end
+     * @param {number} b - Right end
+     * @param {boolean} maximize - Search for a maximum instead of a minimum
+     * @returns {number} x of the extremum
+     */
+    goldenSection(f, a, b, maximize) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        const g = maximize ? (x) => -f(x) : f;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = g(c);
+        let fd = g(d);
+
+        for (let i = 0; i < 100 && Math.abs(b - a) > 1e-12 * (1 + Math.abs(a) + Math.abs(b)); i++) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = g(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = g(d);
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Sort numbers and drop near-duplicates
+     * @param {Array} values - Numbers
+     * @param {number} epsilon - Values closer than this are merged
+     * @returns {Array} Sorted unique values
+     */
+    uniqueSorted(values, epsilon) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted.filter((value, i) => i === 0 || value - sorted[i - 1] > epsilon);
+    }
+}
+
+// Make available globally
+window.FunctionPlotter = FunctionPlotter;
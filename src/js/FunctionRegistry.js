@@ -14,6 +14,9 @@ class FunctionRegistry {
         
         this.initializeCategories();
         this.initializeAliases();
+        this.initializeMatrixFunctions();
+        this.initializeStatisticsFunctions();
+        this.initializeComplexFunctions();
     }
 
     /**
@@ -33,7 +36,16 @@ class FunctionRegistry {
         ]);
         
         this.functionCategories.set('statistical', [
-            'min', 'max', 'abs'
+            'min', 'max', 'abs', 'mean', 'median', 'mode', 'stdev', 'stdevp', 'var', 'varp', 'quantile', 'corr'
+        ]);
+
+        this.functionCategories.set('distributions', [
+            'normpdf', 'normcdf', 'norminv', 'tpdf', 'tcdf', 'tinv', 'chi2pdf', 'chi2cdf', 'chi2inv',
+            'binompdf', 'binomcdf', 'binominv', 'poissonpdf', 'poissoncdf', 'poissoninv'
+        ]);
+
+        this.functionCategories.set('regression', [
+            'linreg', 'polyreg', 'expreg'
         ]);
         
         this.functionCategories.set('rounding', [
@@ -43,6 +55,14 @@ class FunctionRegistry {
         this.functionCategories.set('random', [
             'random', 'randint'
         ]);
+
+        this.functionCategories.set('matrix', [
+            'det', 'inv', 'rank', 'eig', 'eigvec', 'solve', 'lu', 'qr', 'transpose', 'trace', 'identity'
+        ]);
+
+        this.functionCategories.set('complex', [
+            're', 'im', 'conj', 'arg'
+        ]);
     }
 
     /**
@@ -67,17 +87,244 @@ class FunctionRegistry {
         this.functionAliases.set('minimum', 'min');
         this.functionAliases.set('maximum', 'max');
         this.functionAliases.set('absolute', 'abs');
+        this.functionAliases.set('average', 'mean');
+        this.functionAliases.set('std', 'stdev');
+        this.functionAliases.set('variance', 'var');
+        this.functionAliases.set('percentile', 'quantile');
+    }
+
+    /**
+     * Install linear algebra functions into the operator table so the
+     * tokenizer and evaluator can call them. Requires NumericTypes.js.
+     */
+    initializeMatrixFunctions() {
+        if (typeof window.Matrix === 'undefined') {
+            return;
+        }
+
+        const requireMatrix = (name, value) => {
+            if (!(value instanceof Matrix)) {
+                throw new NumericError(`${name} requires a matrix argument`, 'INVALID_OPERATION');
+            }
+            return value;
+        };
+
+        const definitions = {
+            det: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('det', A).determinant(),
+                description: 'Matrix determinant'
+            },
+            inv: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('inv', A).inverse(),
+                description: 'Matrix inverse'
+            },
+            rank: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('rank', A).rank(),
+                description: 'Matrix rank'
+            },
+            eig: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('eig', A).eigenSymmetric().values,
+                description: 'Eigenvalues of a real symmetric matrix (ascending)'
+            },
+            eigvec: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('eigvec', A).eigenSymmetric().vectors,
+                description: 'Eigenvectors of a real symmetric matrix (as columns)'
+            },
+            solve: {
+                arity: 2,
+                evaluate: (A, b) => requireMatrix('solve', A).solve(requireMatrix('solve', b)),
+                description: 'Solve the linear system A x = b'
+            },
+            lu: {
+                arity: 1,
+                evaluate: (A) => {
+                    const { L, U, P } = requireMatrix('lu', A).lu();
+                    return new MatrixFactorization('lu', { L, U, P });
+                },
+                description: 'LU decomposition with partial pivoting (P A = L U)'
+            },
+            qr: {
+                arity: 1,
+                evaluate: (A) => {
+                    const { Q, R } = requireMatrix('qr', A).qr();
+                    return new MatrixFactorization('qr', { Q, R });
+                },
+                description: 'QR decomposition (A = Q R)'
+            },
+            transpose: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('transpose', A).transpose(),
+                description: 'Matrix transpose'
+            },
+            trace: {
+                arity: 1,
+                evaluate: (A) => requireMatrix('trace', A).trace(),
+                description: 'Sum of the diagonal elements'
+            },
+            identity: {
+                arity: 1,
+                evaluate: (n) => Matrix.identity(n),
+                description: 'n×n identity matrix'
+            }
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (!this.operatorTable.isFunction(name)) {
+                this.operatorTable.registerFunction(name, { ...definition, acceptsMatrix: true });
+            }
+        }
+    }
+
+    /**
+     * Install statistics, distribution and regression functions. List
+     * arguments may be written as vectors, mean([1, 2, 3]), or as plain
+     * arguments, mean(1, 2, 3). Requires Statistics.js.
+     */
+    initializeStatisticsFunctions() {
+        if (typeof window.Statistics === 'undefined') {
+            return;
+        }
+
+        const toList = (args) => args.flatMap(arg => OperatorTable.isMatrix(arg) ? arg.toArray().flat() : [arg]);
+        const requireList = (name, value) => {
+            if (!OperatorTable.isMatrix(value)) {
+                throw new Error(`${name} requires a list argument such as [1, 2, 3]`);
+            }
+            return value.toArray().flat();
+        };
+        // Distribution parameters after the first `required` are optional
+        const withParameters = (name, required, optional, fn) => (...args) => {
+            if (args.length < required || args.length > required + optional) {
+                const count = optional > 0 ? `${required} to ${required + optional}` : `${required}`;
+                throw new Error(`Function ${name} requires ${count} arguments, got ${args.length}`);
+            }
+            return fn(...args);
+        };
+        const list = (description, fn) => ({ arity: 'variadic', acceptsMatrix: true, evaluate: (...args) => fn(toList(args)), description });
+        const distribution = (name, required, optional, fn, description) => ({
+            arity: 'variadic', evaluate: withParameters(name, required, optional, fn), description
+        });
+
+        const definitions = {
+            mean: list('Arithmetic mean of a list', values => Statistics.mean(values)),
+            median: list('Median of a list', values => Statistics.median(values)),
+            mode: list('Most frequent value of a list (a vector when several values tie)', values => {
+                const modes = Statistics.mode(values);
+                return modes.length === 1 ? modes[0] : new Matrix(modes.map(value => [value]));
+            }),
+            stdev: list('Sample standard deviation', values => Statistics.stdev(values, true)),
+            stdevp: list('Population standard deviation', values => Statistics.stdev(values, false)),
+            var: list('Sample variance', values => Statistics.variance(values, true)),
+            varp: list('Population variance', values => Statistics.variance(values, false)),
+            quantile: {
+                arity: 2, acceptsMatrix: true,
+                evaluate: (values, p) => Statistics.quantile(requireList('quantile', values), p),
+                description: 'quantile(list, p): p-th quantile with linear interpolation'
+            },
+            corr: {
+                arity: 2, acceptsMatrix: true,
+                evaluate: (xs, ys) => Statistics.correlation(requireList('corr', xs), requireList('corr', ys)),
+                description: 'corr(xs, ys): Pearson correlation coefficient'
+            },
+            normpdf: distribution('normpdf', 1, 2, (x, mean, sd) => Statistics.normalPdf(x, mean, sd), 'normpdf(x, μ = 0, σ = 1): normal density'),
+            normcdf: distribution('normcdf', 1, 2, (x, mean, sd) => Statistics.normalCdf(x, mean, sd), 'normcdf(x, μ = 0, σ = 1): P(X ≤ x) for a normal distribution'),
+            norminv: distribution('norminv', 1, 2, (p, mean, sd) => Statistics.normalInv(p, mean, sd), 'norminv(p, μ = 0, σ = 1): normal quantile'),
+            tpdf: distribution('tpdf', 2, 0, (x, df) => Statistics.tPdf(x, df), "tpdf(x, df): Student's t density"),
+            tcdf: distribution('tcdf', 2, 0, (x, df) => Statistics.tCdf(x, df), "tcdf(x, df): P(T ≤ x) for Student's t"),
+            tinv: distribution('tinv', 2, 0, (p, df) => Statistics.tInv(p, df), "tinv(p, df): Student's t quantile"),
+            chi2pdf: distribution('chi2pdf', 2, 0, (x, k) => Statistics.chiSquarePdf(x, k), 'chi2pdf(x, k): chi-square density'),
+            chi2cdf: distribution('chi2cdf', 2, 0, (x, k) => Statistics.chiSquareCdf(x, k), 'chi2cdf(x, k): P(X ≤ x) for chi-square'),
+            chi2inv: distribution('chi2inv', 2, 0, (p, k) => Statistics.chiSquareInv(p, k), 'chi2inv(p, k): chi-square quantile'),
+            binompdf: distribution('binompdf', 3, 0, (k, n, p) => Statistics.binomialPdf(k, n, p), 'binompdf(k, n, p): P(X = k) for a binomial distribution'),
+            binomcdf: distribution('binomcdf', 3, 0, (k, n, p) => Statistics.binomialCdf(k, n, p), 'binomcdf(k, n, p): P(X ≤ k) for a binomial distribution'),
+            binominv: distribution('binominv', 3, 0, (q, n, p) => Statistics.binomialInv(q, n, p), 'binominv(q, n, p): smallest k with P(X ≤ k) ≥ q'),
+            poissonpdf: distribution('poissonpdf', 2, 0, (k, lambda) => Statistics.poissonPdf(k, lambda), 'poissonpdf(k, λ): P(X = k) for a Poisson distribution'),
+            poissoncdf: distribution('poissoncdf', 2, 0, (k, lambda) => Statistics.poissonCdf(k, lambda), 'poissoncdf(k, λ): P(X ≤ k) for a Poisson distribution'),
+            poissoninv: distribution('poissoninv', 2, 0, (q, lambda) => Statistics.poissonInv(q, lambda), 'poissoninv(q, λ): smallest k with P(X ≤ k) ≥ q'),
+            linreg: {
+                arity: 2, acceptsMatrix: true,
+                evaluate: (xs, ys) => Statistics.linearRegression(requireList('linreg', xs), requireList('linreg', ys)),
+                description: 'linreg(xs, ys): least-squares line with R²'
+            },
+            polyreg: {
+                arity: 3, acceptsMatrix: true,
+                evaluate: (xs, ys, degree) => Statistics.polynomialRegression(requireList('polyreg', xs), requireList('polyreg', ys), degree),
+                description: 'polyreg(xs, ys, degree): least-squares polynomial with R²'
+            },
+            expreg: {
+                arity: 2, acceptsMatrix: true,
+                evaluate: (xs, ys) => Statistics.exponentialRegression(requireList('expreg', xs), requireList('expreg', ys)),
+                description: 'expreg(xs, ys): least-squares fit of y = a·e^(bx) with R²'
+            }
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (!this.operatorTable.isFunction(name)) {
+                this.operatorTable.registerFunction(name, definition);
+            }
+        }
+    }
+
+    /**
+     * Install functions on the parts of complex numbers. Each takes real
+     * arguments too, so re(x) and conj(x) work outside complex mode.
+     * Requires NumericTypes.js.
+     */
+    initializeComplexFunctions() {
+        if (typeof window.Complex === 'undefined') {
+            return;
+        }
+
+        const definitions = {
+            re: {
+                arity: 1,
+                evaluate: (x) => x,
+                complex: (z) => z.real,
+                description: 'Real part of a complex number'
+            },
+            im: {
+                arity: 1,
+                evaluate: () => 0,
+                complex: (z) => z.imaginary,
+                description: 'Imaginary part of a complex number'
+            },
+            conj: {
+                arity: 1,
+                evaluate: (x) => x,
+                complex: (z) => z.conjugate(),
+                description: 'Complex conjugate'
+            },
+            arg: {
+                arity: 1,
+                evaluate: (x) => Math.atan2(0, x),
+                complex: (z) => z.argument(),
+                description: 'Argument (angle) of a complex number in radians'
+            }
+        };
+
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (!this.operatorTable.isFunction(name)) {
+                this.operatorTable.registerFunction(name, definition);
+            }
+        }
     }
 
     /**
-     * Register a user-defined function
+     * Register a user-defined function. User functions are also installed in
+     * the operator table so expressions can call them; redefining a user
+     * function replaces it, redefining a built-in is an error.
      * @param {string} name - Function name
      * @param {number} arity - Number of parameters
      * @param {Function} implementation - Function implementation
      * @param {string} description - Function description
      */
     registerUserFunction(name, arity, implementation, description = '') {
-        if (this.operatorTable.isFunction(name)) {
+        if (this.isBuiltInFunction(name)) {
             throw new Error(`Function ${name} already exists`);
         }
         
@@ -85,12 +332,34 @@ class FunctionRegistry {
             throw new Error('Implementation must be a function');
         }
         
-        this.userFunctions.set(name, {
+        const func = {
             arity: arity,
             evaluate: implementation,
             description: description,
             isUserDefined: true
-        });
+        };
+        this.userFunctions.set(name.toLowerCase(), func);
+        this.operatorTable.registerFunction(name, func);
+    }
+
+    /**
+     * Register a function typed into the calculator, e.g. "f(x) = x^2"
+     * @param {UserFunction} userFunction - Parsed definition
+     * @param {Function} implementation - Calls the definition with arguments
+     */
+    registerDefinedFunction(userFunction, implementation) {
+        this.registerUserFunction(userFunction.name, userFunction.params.length, implementation, userFunction.toString());
+        this.userFunctions.get(userFunction.name.toLowerCase()).userFunction = userFunction;
+    }
+
+    /**
+     * Check if a name is a built-in (not user-defined) function
+     * @param {string} name - Function name
+     * @returns {boolean} True if built-in
+     */
+    isBuiltInFunction(name) {
+        const func = this.operatorTable.getFunction(name);
+        return func !== null && !func.isUserDefined;
     }
 
     /**
@@ -127,7 +396,11 @@ class FunctionRegistry {
      * @returns {boolean} True if removed
      */
     removeUserFunction(name) {
-        return this.userFunctions.delete(name.toLowerCase());
+        if (!this.userFunctions.delete(name.toLowerCase())) {
+            return false;
+        }
+        this.operatorTable.unregisterFunction(name);
+        return true;
     }
 
     /**
@@ -268,6 +541,9 @@ class FunctionRegistry {
      * Clear all user-defined functions
      */
     clearUserFunctions() {
+        for (const name of this.userFunctions.keys()) {
+            this.operatorTable.unregisterFunction(name);
+        }
         this.userFunctions.clear();
     }
 
@@ -279,12 +555,18 @@ class FunctionRegistry {
     }
 
     /**
-     * Export user functions and aliases
+     * Export user functions and aliases. Functions defined in the calculator
+     * are exported as { params, body } so they survive JSON serialization.
      * @returns {Object} Exportable data
      */
     export() {
+        const userFunctions = {};
+        for (const [name, func] of this.userFunctions) {
+            userFunctions[name] = func.userFunction ? func.userFunction.toJSON() : func;
+        }
+
         return {
-            userFunctions: Object.fromEntries(this.userFunctions),
+            userFunctions: userFunctions,
             aliases: Object.fromEntries(this.functionAliases)
         };
     }
@@ -292,11 +574,21 @@ class FunctionRegistry {
     /**
      * Import user functions and aliases
      * @param {Object} data - Importable data
+     * @param {Function} compile - (name, params, body) => void, recompiles
+     *        exported definitions; without it they are skipped
      */
-    import(data) {
+    import(data, compile = null) {
         if (data.userFunctions) {
             for (const [name, func] of Object.entries(data.userFunctions)) {
-                this.userFunctions.set(name, func);
+                if (typeof func.body === 'string' && Array.isArray(func.params)) {
+                    if (compile) {
+                        compile(name, func.params, func.body);
+                    } else {
+                        console.warn(`Skipping function ${name}: no compiler for definitions`);
+                    }
+                } else if (typeof func.evaluate === 'function') {
+                    this.registerUserFunction(name, func.arity, func.evaluate, func.description);
+                }
             }
         }
         
@@ -346,6 +638,65 @@ class FunctionRegistry {
         
         return results;
     }
+
+    /**
+     * Suggest known names close to a misspelled one. Function names come
+     * from searchFunctions(); names containing the query also count, so
+     * "sqr" suggests sqrt.
+     * @param {string} name - Unknown name
+     * @param {Array} extraNames - Other candidates (variables, constants)
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Candidate names, closest first
+     */
+    suggest(name, extraNames = [], limit = 3) {
+        const lowerName = name.toLowerCase();
+        const maxDistance = Math.max(1, Math.floor(lowerName.length / 3));
+        const containing = new Set(this.searchFunctions(name)
+            .map(result => result.name)
+            .filter(candidate => lowerName.length >= 2 && candidate.toLowerCase().includes(lowerName)));
+        const candidates = new Set([...this.searchFunctions('').map(result => result.name), ...extraNames]);
+
+        const scored = [];
+        for (const candidate of candidates) {
+            if (candidate.toLowerCase() === lowerName) continue;
+            const distance = FunctionRegistry.editDistance(lowerName, candidate.toLowerCase());
+            // Replacing every character of a short name is not a near miss
+            if ((distance <= maxDistance && distance < lowerName.length) || containing.has(candidate)) {
+                scored.push({ name: candidate, distance: distance, contains: containing.has(candidate) });
+            }
+        }
+
+        return scored
+            .sort((a, b) => a.distance - b.distance || b.contains - a.contains || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map(entry => entry.name);
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and
+     * swaps of adjacent characters as one edit each
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Distance
+     */
+    static editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
 }
 
 // Make available globally
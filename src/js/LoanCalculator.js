@@ -6,24 +6,14 @@
 class LoanCalculator {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', rate: 0.85 },
-            'GBP': { symbol: '£', name: 'British Pound', rate: 0.73 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', rate: 110.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', rate: 1.25 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', rate: 1.35 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', rate: 0.92 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', rate: 6.45 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', rate: 74.0 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', rate: 5.2 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', rate: 15.0 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', rate: 20.0 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
+        this.dayCountConventions = {
+            'monthly': 'Monthly (rate ÷ 12)',
+            'actual/365': 'Actual/365',
+            'actual/360': 'Actual/360',
+            '30/360': '30/360'
+        };
     }
 
     /**
@@ -67,9 +57,14 @@ class LoanCalculator {
     }
 
     /**
-     * Generate detailed amortization schedule
+     * Generate detailed amortization schedule. With options the schedule is
+     * dated, with monthly payments (see calculateAdvancedLoan for the options).
      */
-    generateAmortizationSchedule(principal, monthlyRate, totalPayments, monthlyPayment) {
+    generateAmortizationSchedule(principal, monthlyRate, totalPayments, monthlyPayment, options = null) {
+        if (options) {
+            return this.buildDatedSchedule(principal, monthlyRate * 12 * 100, totalPayments, options).schedule;
+        }
+
         const schedule = [];
         let remainingBalance = principal;
         
@@ -92,6 +87,354 @@ class LoanCalculator {
         return schedule;
     }
 
+    /**
+     * Calculate a dated loan schedule with monthly payments.
+     *
+     * Options:
+     * - startDate: date the money is lent, 'YYYY-MM-DD' (default today)
+     * - firstPaymentDate: default one month after the start; later payments
+     *   fall on the same day of each month (the start date's day by default,
+     *   so a loan from Jan 31 pays on the last day of shorter months)
+     * - dayCount: 'monthly' (1/12 of a year per whole month, actual/365 for a
+     *   broken period), 'actual/365', 'actual/360' or '30/360'
+     * - rateChanges: [{ date, rate }] with the APR % in force from that date;
+     *   interest is split at the change and the payment re-amortized
+     * - holidays: [{ payment or date, months }] payments skipped; the interest
+     *   is capitalized and the term extended by the skipped months
+     * - interestOnly: [{ payment or date, months }] payments of interest only;
+     *   the term stays the same
+     * - balloon: balance left to repay with the final payment
+     *
+     * totalInterest includes capitalized interest, so principal plus
+     * totalInterest equals totalAmount.
+     */
+    calculateAdvancedLoan(principal, annualRate, years, options = {}) {
+        try {
+            const termMonths = Math.round(years * 12);
+            const built = this.buildDatedSchedule(principal, annualRate, termMonths, options);
+            const schedule = built.schedule;
+            const regular = schedule.find(row => row.type === 'regular');
+            const totalAmount = Money.sum(schedule.map(row => row.paymentAmount), this.selectedCurrency);
+            const totalInterest = Money.sum(schedule.map(row => row.interestPayment + row.capitalizedInterest), this.selectedCurrency);
+
+            const result = {
+                success: true,
+                principal: principal,
+                annualRate: annualRate,
+                termMonths: termMonths,
+                dayCount: built.dayCount,
+                dayCountName: this.dayCountConventions[built.dayCount],
+                startDate: built.startDate,
+                firstPaymentDate: schedule[0].date,
+                maturityDate: schedule[schedule.length - 1].date,
+                monthlyPayment: (regular || schedule[0]).paymentAmount,
+                finalPayment: schedule[schedule.length - 1].paymentAmount,
+                balloon: built.balloon,
+                totalPayments: schedule.length,
+                totalInterest: totalInterest,
+                capitalizedInterest: Money.sum(schedule.map(row => row.capitalizedInterest), this.selectedCurrency),
+                totalAmount: totalAmount,
+                events: built.events,
+                amortizationSchedule: schedule
+            };
+
+            this.addToHistory({ type: 'advanced-loan', principal: principal, annualRate: annualRate, totalInterest: totalInterest });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build the dated schedule behind calculateAdvancedLoan
+     * @returns {Object} { schedule, events, dayCount, startDate, balloon }
+     */
+    buildDatedSchedule(principal, annualRate, termMonths, options = {}) {
+        const loan = this.normalizeScheduleOptions(principal, annualRate, termMonths, options);
+        const round = value => Money.round(value, this.selectedCurrency);
+        const totalPayments = termMonths + loan.holidays.size;
+
+        const schedule = [];
+        const events = [];
+        let balance = round(principal);
+        let payment = null;
+        let previousPayment = null;
+        let paymentRate = null;
+        let periodStart = loan.startDate;
+
+        for (let number = 1; number <= totalPayments && balance > 0; number++) {
+            const date = this.paymentDate(loan, number);
+            const rate = this.rateOn(loan, date);
+            const interest = round(this.accrueInterest(balance, loan, periodStart, date));
+            const type = loan.holidays.has(number) ? 'holiday' : loan.interestOnly.has(number) ? 'interest-only' : 'regular';
+            const dateText = this.formatDate(date);
+            const row = {
+                payment: number,
+                date: dateText,
+                days: this.daysBetween(periodStart, date),
+                rate: rate,
+                openingBalance: balance,
+                paymentAmount: 0,
+                principalPayment: 0,
+                interestPayment: interest,
+                capitalizedInterest: 0,
+                remainingBalance: balance,
+                type: type
+            };
+
+            if (paymentRate !== null && rate !== paymentRate) {
+                events.push({ payment: number, date: dateText, type: 'rate-change', description: `Rate ${paymentRate.toFixed(3)}% → ${rate.toFixed(3)}%` });
+                payment = null;
+            }
+
+            if (number === totalPayments) {
+                // The final payment clears whatever is left, including any balloon
+                row.type = loan.balloon > 0 ? 'balloon' : 'final';
+                row.principalPayment = balance;
+                row.paymentAmount = round(balance + interest);
+            } else if (type === 'holiday') {
+                row.interestPayment = 0;
+                row.capitalizedInterest = interest;
+                balance = round(balance + interest);
+                payment = null;
+                if (!loan.holidays.has(number - 1)) {
+                    events.push({ payment: number, date: dateText, type: 'holiday', description: 'Payment holiday starts; interest is capitalized' });
+                }
+            } else if (type === 'interest-only') {
+                row.paymentAmount = interest;
+                payment = null;
+                if (!loan.interestOnly.has(number - 1)) {
+                    events.push({ payment: number, date: dateText, type: 'interest-only', description: 'Interest-only payments start' });
+                }
+            } else {
+                if (payment === null) {
+                    const remaining = this.countAmortizingPayments(loan, number, totalPayments);
+                    payment = round(this.amortizedPayment(balance, rate / 100 / 12, remaining, loan.balloon));
+                    if (payment !== previousPayment) {
+                        events.push({ payment: number, date: dateText, type: 'payment-change', description: `Payment set to ${payment.toFixed(2)}` });
+                        previousPayment = payment;
+                    }
+                }
+                row.principalPayment = round(Math.min(payment - interest, balance));
+                row.paymentAmount = round(row.principalPayment + interest);
+            }
+
+            paymentRate = rate;
+            balance = round(balance - row.principalPayment);
+            row.remainingBalance = balance;
+            schedule.push(row);
+            periodStart = date;
+        }
+
+        return {
+            schedule: schedule,
+            events: events,
+            dayCount: loan.dayCount,
+            startDate: this.formatDate(loan.startDate),
+            balloon: loan.balloon
+        };
+    }
+
+    /**
+     * Check the dated schedule options and resolve dates to payment numbers
+     */
+    normalizeScheduleOptions(principal, annualRate, termMonths, options) {
+        if (!(principal > 0)) {
+            throw new Error('Loan amount must be greater than zero');
+        }
+        if (!(annualRate >= 0)) {
+            throw new Error('Interest rate cannot be negative');
+        }
+        if (!Number.isInteger(termMonths) || termMonths < 1) {
+            throw new Error('Loan term must be at least one month');
+        }
+
+        const dayCount = options.dayCount || 'monthly';
+        if (!this.dayCountConventions[dayCount]) {
+            throw new Error(`Unknown day count convention: ${dayCount}`);
+        }
+
+        const today = new Date();
+        const startDate = options.startDate
+            ? this.parseDate(options.startDate)
+            : new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+        const firstPaymentDate = options.firstPaymentDate ? this.parseDate(options.firstPaymentDate) : this.addMonths(startDate, 1);
+        // Anchor on the intended day, not on a date clamped to a short month
+        const paymentDay = (options.firstPaymentDate ? firstPaymentDate : startDate).getUTCDate();
+        if (firstPaymentDate <= startDate) {
+            throw new Error('First payment must be after the start date');
+        }
+
+        const balloon = Number(options.balloon) || 0;
+        if (balloon < 0 || balloon >= principal) {
+            throw new Error('Balloon payment must be between zero and the loan amount');
+        }
+
+        const rateChanges = (options.rateChanges || []).map(change => {
+            const rate = Number(change.rate);
+            if (!isFinite(rate) || rate < 0) {
+                throw new Error(`Invalid rate change: ${change.rate}%`);
+            }
+            return { date: this.parseDate(change.date), rate: rate };
+        }).sort((a, b) => a.date - b.date);
+
+        const loan = { dayCount, startDate, firstPaymentDate, paymentDay, balloon, annualRate, rateChanges };
+        loan.holidays = this.resolvePeriods(options.holidays || [], loan, termMonths, 'Payment holiday');
+        loan.interestOnly = this.resolvePeriods(options.interestOnly || [], loan, termMonths, 'Interest-only period');
+
+        // The final payment clears the balance, so no period may reach it
+        const finalPayment = termMonths + loan.holidays.size;
+        [[loan.holidays, 'Payment holiday'], [loan.interestOnly, 'Interest-only period']].forEach(([payments, label]) => {
+            if (Math.max(0, ...payments) >= finalPayment) {
+                throw new Error(`${label} must end before the final payment`);
+            }
+        });
+        return loan;
+    }
+
+    /**
+     * Payment numbers covered by [{ payment or date, months }] periods
+     */
+    resolvePeriods(periods, loan, termMonths, label) {
+        const payments = new Set();
+        periods.forEach(period => {
+            let first = Number(period.payment);
+            if (period.date !== undefined && period.date !== null && period.date !== '') {
+                const date = this.parseDate(period.date);
+                first = 1;
+                while (this.paymentDate(loan, first) < date) first++;
+            }
+            const months = Number(period.months);
+            if (!Number.isInteger(first) || first < 1 || first > termMonths) {
+                throw new Error(`${label} must start within the loan term`);
+            }
+            if (!Number.isInteger(months) || months < 1) {
+                throw new Error(`${label} needs a whole number of months`);
+            }
+            for (let number = first; number < first + months; number++) {
+                payments.add(number);
+            }
+        });
+        return payments;
+    }
+
+    /**
+     * Interest on a balance from one date to the next under the loan's day
+     * count, splitting the period wherever the rate changes
+     */
+    accrueInterest(balance, loan, from, to) {
+        const boundaries = [from, ...loan.rateChanges.map(change => change.date).filter(date => date > from && date < to), to];
+        const periodDays = this.daysBetween(from, to);
+        const periodYears = loan.dayCount === 'monthly' ? this.monthlyYearFraction(loan, from, to) : 0;
+        let interest = 0;
+        for (let index = 1; index < boundaries.length; index++) {
+            const start = boundaries[index - 1];
+            const end = boundaries[index];
+            let fraction;
+            if (loan.dayCount === 'monthly') {
+                fraction = periodDays > 0 ? this.daysBetween(start, end) / periodDays * periodYears : 0;
+            } else if (loan.dayCount === '30/360') {
+                fraction = this.days360(start, end) / 360;
+            } else {
+                fraction = this.daysBetween(start, end) / (loan.dayCount === 'actual/360' ? 360 : 365);
+            }
+            interest += balance * this.rateOn(loan, start) / 100 * fraction;
+        }
+        return interest;
+    }
+
+    /**
+     * Years in a period under the monthly day count: 1/12 for each whole
+     * month counted back from the payment date, plus actual/365 for a broken
+     * period before them (a deferred or early first payment)
+     */
+    monthlyYearFraction(loan, from, to) {
+        let months = 0;
+        while (this.addMonths(to, -(months + 1), loan.paymentDay) >= from) months++;
+        return months / 12 + this.daysBetween(from, this.addMonths(to, -months, loan.paymentDay)) / 365;
+    }
+
+    /**
+     * APR % in force on a date
+     */
+    rateOn(loan, date) {
+        return loan.rateChanges.reduce((rate, change) => (change.date <= date ? change.rate : rate), loan.annualRate);
+    }
+
+    /**
+     * Regular payments from a payment number to the end of the schedule
+     */
+    countAmortizingPayments(loan, from, totalPayments) {
+        let count = 0;
+        for (let number = from; number <= totalPayments; number++) {
+            if (!loan.holidays.has(number) && !loan.interestOnly.has(number)) count++;
+        }
+        return Math.max(count, 1);
+    }
+
+    /**
+     * Level payment that brings a balance down to the balloon amount
+     */
+    amortizedPayment(balance, periodRate, payments, balloon = 0) {
+        if (periodRate === 0) {
+            return (balance - balloon) / payments;
+        }
+        const growth = Math.pow(1 + periodRate, payments);
+        return (balance * growth - balloon) * periodRate / (growth - 1);
+    }
+
+    /**
+     * Date at UTC midnight from 'YYYY-MM-DD' or a Date
+     */
+    parseDate(value) {
+        if (value instanceof Date && !isNaN(value)) {
+            return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+        }
+        const match = String(value || '').match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+        if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+            throw new Error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+        }
+        return date;
+    }
+
+    /**
+     * Same day a number of months later, moved back to the month's last day when needed
+     */
+    addMonths(date, months, day = date.getUTCDate()) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(day, lastDay));
+        return target;
+    }
+
+    /**
+     * Due date of a payment number on the loan's payment day
+     */
+    paymentDate(loan, number) {
+        return this.addMonths(loan.firstPaymentDate, number - 1, loan.paymentDay);
+    }
+
+    formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    daysBetween(from, to) {
+        return Math.round((to - from) / 86400000);
+    }
+
+    /**
+     * Days between two dates on the 30/360 (US) basis
+     */
+    days360(from, to) {
+        let startDay = from.getUTCDate();
+        let endDay = to.getUTCDate();
+        if (startDay === 31) startDay = 30;
+        if (endDay === 31 && startDay === 30) endDay = 30;
+        return (to.getUTCFullYear() - from.getUTCFullYear()) * 360 +
+            (to.getUTCMonth() - from.getUTCMonth()) * 30 + (endDay - startDay);
+    }
+
     /**
      * Calculate extra payment scenarios
      */
@@ -216,6 +559,123 @@ class LoanCalculator {
         }
     }
 
+    /**
+     * Export an amortization schedule (classic or dated) as CSV
+     */
+    exportScheduleCSV(result) {
+        if (!result || !result.success || !result.amortizationSchedule) {
+            throw new Error('No amortization schedule to export');
+        }
+
+        const header = ['Payment', 'Date', 'Days', 'Rate %', 'Opening Balance', 'Payment Amount', 'Principal',
+            'Interest', 'Capitalized Interest', 'Balance', 'Type'];
+        const amount = value => (value === undefined ? '' : Money.round(value, this.selectedCurrency).toFixed(Money.minorUnits(this.selectedCurrency)));
+        const lines = [header.map(value => this.csvField(value)).join(',')];
+        result.amortizationSchedule.forEach(row => {
+            lines.push([
+                row.payment,
+                row.date || '',
+                row.days !== undefined ? row.days : '',
+                row.rate !== undefined ? row.rate : '',
+                amount(row.openingBalance),
+                amount(row.paymentAmount),
+                amount(row.principalPayment),
+                amount(row.interestPayment),
+                amount(row.capitalizedInterest),
+                amount(row.remainingBalance),
+                row.type || 'regular'
+            ].map(value => this.csvField(value)).join(','));
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Printable PDF of an amortization schedule, built with pdf-lib
+     * @returns {Promise<Uint8Array>} PDF bytes
+     */
+    async exportSchedulePDF(result, title = 'Loan Amortization Schedule') {
+        if (!result || !result.success || !result.amortizationSchedule) {
+            throw new Error('No amortization schedule to export');
+        }
+        if (typeof PDFLib === 'undefined') {
+            throw new Error('PDF library not loaded');
+        }
+
+        const { PDFDocument, StandardFonts, rgb } = PDFLib;
+        const pdf = await PDFDocument.create();
+        const font = await pdf.embedFont(StandardFonts.Helvetica);
+        const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+        // Standard PDF fonts lack symbols like ₹, so amounts use currency codes
+        const money = value => Money.format(value, this.selectedCurrency, { symbol: 'code' });
+
+        const columns = [
+            { title: '#', width: 30, value: row => String(row.payment) },
+            { title: 'Date', width: 62, value: row => row.date || '' },
+            { title: 'Rate %', width: 42, value: row => (row.rate !== undefined ? row.rate.toFixed(3) : '') },
+            { title: 'Payment', width: 84, value: row => money(row.paymentAmount) },
+            { title: 'Principal', width: 84, value: row => money(row.principalPayment) },
+            { title: 'Interest', width: 84, value: row => money(row.interestPayment) },
+            { title: 'Balance', width: 90, value: row => money(row.remainingBalance) },
+            { title: 'Type', width: 56, value: row => row.type || 'regular' }
+        ];
+        const summary = [
+            `Loan amount: ${money(result.principal !== undefined ? result.principal : result.totalAmount - result.totalInterest)}`,
+            `Payment: ${money(result.monthlyPayment)}   Payments: ${result.amortizationSchedule.length}`,
+            `Total interest: ${money(result.totalInterest)}   Total paid: ${money(result.totalAmount)}`,
+            result.dayCountName ? `Day count: ${result.dayCountName}   First payment: ${result.firstPaymentDate}   Maturity: ${result.maturityDate}` : ''
+        ].filter(Boolean);
+
+        const margin = 40;
+        const rowHeight = 13;
+        let page = null;
+        let y = 0;
+        const newPage = () => {
+            page = pdf.addPage([612, 792]);
+            y = 792 - margin;
+            if (pdf.getPageCount() === 1) {
+                page.drawText(title, { x: margin, y: y - 14, size: 16, font: bold });
+                y -= 32;
+                summary.forEach(line => {
+                    page.drawText(line, { x: margin, y: y, size: 9, font: font });
+                    y -= 13;
+                });
+                y -= 8;
+            }
+            let x = margin;
+            columns.forEach(column => {
+                page.drawText(column.title, { x: x, y: y, size: 8, font: bold });
+                x += column.width;
+            });
+            y -= 4;
+            page.drawLine({ start: { x: margin, y: y }, end: { x: 612 - margin, y: y }, thickness: 0.5, color: rgb(0.6, 0.6, 0.6) });
+            y -= rowHeight;
+        };
+
+        newPage();
+        result.amortizationSchedule.forEach(row => {
+            if (y < margin) newPage();
+            let x = margin;
+            columns.forEach(column => {
+                page.drawText(column.value(row), { x: x, y: y, size: 8, font: font });
+                x += column.width;
+            });
+            y -= rowHeight;
+        });
+
+        pdf.getPages().forEach((entry, index) => {
+            entry.drawText(`Page ${index + 1} of ${pdf.getPageCount()}`, { x: 612 - margin - 60, y: 20, size: 8, font: font });
+        });
+        return pdf.save();
+    }
+
+    /**
+     * Quote a CSV field when needed
+     */
+    csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     /**
      * Set selected currency
      */
@@ -238,38 +698,25 @@ class LoanCalculator {
      * Convert amount between currencies
      */
     convertCurrency(amount, fromCurrency, toCurrency) {
-        if (!this.currencies[fromCurrency] || !this.currencies[toCurrency]) {
+        if (!Money.isSupported(fromCurrency) || !Money.isSupported(toCurrency)) {
             return amount;
         }
         
-        // Convert to USD first, then to target currency
-        const usdAmount = amount / this.currencies[fromCurrency].rate;
-        return usdAmount * this.currencies[toCurrency].rate;
+        return Money.convert(amount, fromCurrency, toCurrency);
     }
 
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
-            }).format(amount);
-        }
+    formatCurrency(amount, currency = null, decimals = 2) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
+    }
 
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 2;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    /**
+     * Format percentage
+     */
+    formatPercentage(value, decimals = 2) {
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
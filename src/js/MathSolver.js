@@ -70,7 +70,9 @@ class MathSolver {
             fraction: /^(\d+\.?\d*)\s*\/\s*(\d+\.?\d*)\s*([+\-*/])\s*(\d+\.?\d*)\s*\/\s*(\d+\.?\d*)$/,
             percentage: /^(\d+\.?\d*)\s*%\s*of\s*(\d+\.?\d*)$/,
             area: /^area\s+of\s+(circle|rectangle|triangle|square|trapezoid)/i,
-            volume: /^volume\s+of\s+(sphere|cube|cylinder|cone|pyramid)/i
+            volume: /^volume\s+of\s+(sphere|cube|cylinder|cone|pyramid)/i,
+            statistics: /\b(mean|average|median|mode|standard deviation|stdev|variance|percentile|quantile|quartiles|summary|correlation|regression)\b|^(norm|t|chi2|binom|poisson)(pdf|cdf|inv)\s*\(/,
+            distribution: /^(norm|t|chi2|binom|poisson)(pdf|cdf|inv)\s*\(([^)]*)\)$/
         };
     }
 
@@ -121,6 +123,15 @@ class MathSolver {
                 case 'statistics':
                     solution = this.solveStatisticsProblem(normalizedProblem);
                     break;
+                case 'system':
+                    solution = this.solveSystemProblem(normalizedProblem);
+                    break;
+                case 'equation':
+                    solution = this.solveEquationProblem(normalizedProblem);
+                    break;
+                case 'graph':
+                    solution = this.solveGraphProblem(normalizedProblem);
+                    break;
                 default:
                     solution = this.solveGeneralProblem(normalizedProblem);
             }
@@ -168,6 +179,7 @@ class MathSolver {
      * Identify problem type
      */
     identifyProblemType(problem) {
+        if (/^(plot|graph)\b/.test(problem)) return 'graph';
         if (this.patterns.linear.test(problem)) return 'linear';
         if (this.patterns.quadratic.test(problem)) return 'quadratic';
         if (this.patterns.polynomial.test(problem)) return 'polynomial';
@@ -175,10 +187,15 @@ class MathSolver {
         if (this.patterns.percentage.test(problem)) return 'percentage';
         if (this.patterns.area.test(problem)) return 'area';
         if (this.patterns.volume.test(problem)) return 'volume';
-        if (problem.includes('derivative') || problem.includes('d/dx')) return 'derivative';
-        if (problem.includes('integral') || problem.includes('∫')) return 'integral';
+        if (/derivative|differentiat/.test(problem) || /d\/d[a-z]/.test(problem)) return 'derivative';
+        if (/integral|integrat/.test(problem) || problem.includes('∫')) return 'integral';
+        // Before trigonometry: "standard deviation" contains "tan"
+        if (this.patterns.statistics.test(problem)) return 'statistics';
+        const text = this.extractEquationText(problem);
+        const parts = this.splitList(text);
+        if (parts.length > 1 && parts.every(part => part.split('=').length === 2)) return 'system';
+        if (text.split('=').length === 2 && /[a-z]/.test(text)) return 'equation';
         if (problem.includes('sin') || problem.includes('cos') || problem.includes('tan')) return 'trigonometry';
-        if (problem.includes('mean') || problem.includes('median') || problem.includes('standard deviation')) return 'statistics';
         
         return 'general';
     }
@@ -269,33 +286,7 @@ class MathSolver {
      * Solve polynomial equation
      */
     solvePolynomialEquation(problem) {
-        // This is a simplified version - in practice, you'd need more sophisticated algorithms
-        const match = problem.match(/(\d+\.?\d*)\s*[xX]\^(\d+)\s*([+\-])\s*(\d+\.?\d*)\s*[xX]\s*([+\-])\s*(\d+\.?\d*)\s*=\s*(\d+\.?\d*)/);
-        if (!match) throw new Error('Invalid polynomial equation format');
-
-        const [, a, power, op1, b, op2, c, d] = match;
-        const coefficientA = parseFloat(a);
-        const coefficientB = parseFloat(b) * (op1 === '+' ? 1 : -1);
-        const coefficientC = parseFloat(c) * (op2 === '+' ? 1 : -1);
-        const result = parseFloat(d);
-
-        const steps = [
-            `Given equation: ${a}x^${power} ${op1} ${b}x ${op2} ${c} = ${d}`,
-            `This is a ${power}th degree polynomial equation`,
-            `For higher degree polynomials, numerical methods or factoring may be needed`
-        ];
-
-        // For demonstration, we'll solve a simple case
-        if (parseInt(power) === 2) {
-            return this.solveQuadraticEquation(problem);
-        }
-
-        return {
-            answer: 'Complex solution - use numerical methods',
-            steps: steps,
-            explanation: 'Higher degree polynomial equations require advanced solving techniques',
-            graphData: null
-        };
+        return this.solveEquationProblem(problem);
     }
 
     /**
@@ -419,10 +410,75 @@ class MathSolver {
         };
     }
 
+    /**
+     * Get the shared expression tree, creating it on first use
+     */
+    getExpressionTree() {
+        if (!this.expressionTree) {
+            if (typeof window.ExpressionTree === 'undefined' || typeof window.OperatorTable === 'undefined') {
+                throw new Error('Symbolic math engine is not loaded');
+            }
+            this.expressionTree = new ExpressionTree(new OperatorTable());
+        }
+        return this.expressionTree;
+    }
+
+    /**
+     * Extract the function and variable from a calculus problem such as
+     * "d/dx x^2*sin(x)", "derivative of x^3 with respect to x" or
+     * "integrate x^2 dx"
+     */
+    extractCalculusExpression(problem, keyword) {
+        const words = keyword === 'integral' ? 'integral|integrate|integration' : 'derivative|differentiate|differentiation';
+        let variable = 'x';
+        let expression = problem;
+
+        const leibniz = expression.match(/d\/d([a-z])\b/);
+        if (leibniz) {
+            variable = leibniz[1];
+            expression = expression.slice(leibniz.index + leibniz[0].length);
+        }
+
+        const respect = expression.match(/\s*(?:with respect to|wrt)\s+([a-z])\s*$/);
+        if (respect) {
+            variable = respect[1];
+            expression = expression.slice(0, respect.index);
+        }
+
+        const differential = expression.match(/\s*d([a-z])\s*$/);
+        if (keyword === 'integral' && differential) {
+            variable = differential[1];
+            expression = expression.slice(0, differential.index);
+        }
+
+        expression = expression
+            .replace(new RegExp(`^.*?\\b(?:${words})\\b\\s*(of\\s+)?`), '')
+            .replace(/^\s*(find|the|of)\s+/g, '')
+            .replace(/^\s*(f\([a-z]\)|y)\s*=\s*/, '')
+            .replace(/∫/g, '')
+            .trim();
+
+        return { expression, variable };
+    }
+
     /**
      * Solve derivative
      */
     solveDerivative(problem) {
+        const { expression, variable } = this.extractCalculusExpression(problem, 'derivative');
+        if (expression) {
+            const differentiator = new SymbolicDifferentiator(this.getExpressionTree());
+            const result = differentiator.differentiate(expression, variable);
+            const tree = this.getExpressionTree();
+            const original = tree.toString(tree.parse(expression));
+
+            return {
+                answer: result.text,
+                steps: [`Given: d/d${variable}[${original}]`, ...result.steps],
+                explanation: `The derivative of ${original} with respect to ${variable} is ${result.text}`
+            };
+        }
+
         const steps = [
             'Derivative calculation detected',
             'This requires advanced calculus techniques',
@@ -436,20 +492,449 @@ class MathSolver {
         };
     }
 
+    /**
+     * Get the numerical methods (integration, root finding), creating them on first use
+     */
+    getScientificFunctions() {
+        if (!this.scientificFunctions) {
+            if (typeof window.ScientificFunctions === 'undefined' || typeof window.ScientificModes === 'undefined') {
+                throw new Error('Numerical methods engine is not loaded');
+            }
+            this.scientificFunctions = new ScientificFunctions(new ScientificModes());
+        }
+        return this.scientificFunctions;
+    }
+
+    /**
+     * Extract "from a to b" limits from an integral problem
+     * @returns {Object} { problem, lower, upper, definite }
+     */
+    extractIntegralBounds(problem) {
+        const match = problem.match(/\bfrom\s+(\S+)\s+to\s+(\S+)/);
+        if (!match) {
+            return { problem, definite: false };
+        }
+
+        const tree = this.getExpressionTree();
+        const parseBound = (text) => {
+            const infinity = text.match(/^([+-]?)(∞|inf|infinity)$/);
+            if (infinity) {
+                return infinity[1] === '-' ? -Infinity : Infinity;
+            }
+            const value = tree.evaluate(tree.parse(text));
+            if (isNaN(value)) {
+                throw new Error(`Invalid integration limit: ${text}`);
+            }
+            return value;
+        };
+
+        return {
+            problem: problem.slice(0, match.index) + problem.slice(match.index + match[0].length),
+            lower: parseBound(match[1]),
+            upper: parseBound(match[2]),
+            lowerText: match[1],
+            upperText: match[2],
+            definite: true
+        };
+    }
+
     /**
      * Solve integral
      */
     solveIntegral(problem) {
-        const steps = [
-            'Integral calculation detected',
-            'This requires advanced calculus techniques',
-            'Please provide the specific function for integration'
-        ];
+        const bounds = this.extractIntegralBounds(problem);
+        const { expression, variable } = this.extractCalculusExpression(bounds.problem, 'integral');
+
+        if (!expression) {
+            const steps = [
+                'Integral calculation detected',
+                'This requires advanced calculus techniques',
+                'Please provide the specific function for integration'
+            ];
+
+            return {
+                answer: 'Function needed',
+                steps: steps,
+                explanation: 'Please provide the specific function to calculate its integral'
+            };
+        }
+
+        const tree = this.getExpressionTree();
+        const integrand = tree.parse(expression);
+        const original = tree.toString(integrand);
+        const symbolic = new SymbolicIntegrator(tree).integrate(integrand, variable);
+
+        if (!bounds.definite) {
+            if (!symbolic) {
+                return {
+                    answer: 'No closed form found',
+                    steps: [
+                        `Given: ∫ ${original} d${variable}`,
+                        'No rule (power, table, linearity or u-substitution) applies to this integrand',
+                        `Add limits such as "from 0 to 1" to integrate it numerically`
+                    ],
+                    explanation: `No elementary antiderivative of ${original} was found`
+                };
+            }
+
+            return {
+                answer: `${symbolic.text} + C`,
+                steps: [`Given: ∫ ${original} d${variable}`, ...symbolic.steps],
+                explanation: `The indefinite integral of ${original} with respect to ${variable} is ${symbolic.text} + C`
+            };
+        }
+
+        const { lower, upper, lowerText, upperText } = bounds;
+        const given = `Given: ∫ from ${lowerText} to ${upperText} of ${original} d${variable}`;
+        const f = MathSolver.safeFunction(tree.compile(integrand, variable));
+        const finite = isFinite(lower) && isFinite(upper);
+        const singularities = finite ? this.findSingularities(f, lower, upper) : [];
+        const where = singularities.map(point => `${variable} = ${tree.formatNumber(point)}`).join(', ');
+        const improper = singularities.length > 0
+            ? [`The integrand is unbounded or undefined at ${where}, so this is an improper integral`] : [];
+
+        if (symbolic && finite) {
+            const F = MathSolver.safeFunction(tree.compile(symbolic.antiderivative, variable));
+            const definite = this.evaluateAntiderivative(F, lower, upper, singularities);
+            if (definite.divergent !== null) {
+                const point = `${variable} = ${tree.formatNumber(definite.divergent)}`;
+                return {
+                    answer: 'Diverges',
+                    steps: [
+                        given,
+                        ...symbolic.steps,
+                        ...improper,
+                        `F(${variable}) grows without bound as ${variable} approaches ${tree.formatNumber(definite.divergent)}`,
+                        'The improper integral diverges'
+                    ],
+                    explanation: `The integral of ${original} from ${lowerText} to ${upperText} diverges because of the singularity at ${point}`
+                };
+            }
+            if (isFinite(definite.value)) {
+                const answer = tree.formatNumber(definite.value);
+                const evaluation = singularities.length > 0
+                    ? [`F(${variable}) has a finite limit at ${where}, so the improper integral converges`, `= ${answer}`]
+                    : [`= ${tree.formatNumber(F(upper))} - ${tree.formatNumber(F(lower))} = ${answer}`];
+                return {
+                    answer: answer,
+                    steps: [
+                        given,
+                        ...symbolic.steps,
+                        ...improper,
+                        `Apply the Fundamental Theorem of Calculus: F(${upperText}) - F(${lowerText})`,
+                        ...evaluation
+                    ],
+                    explanation: `The definite integral of ${original} from ${lowerText} to ${upperText} is ${answer}`
+                };
+            }
+        }
+
+        // Integrate numerically, piece by piece between the singularities
+        const a = Math.min(lower, upper);
+        const b = Math.max(lower, upper);
+        const cuts = [a, ...singularities.filter(point => point > a && point < b), b];
+        const pieces = cuts.slice(1).map((end, index) => {
+            try {
+                return this.getScientificFunctions().numericalIntegral(f, cuts[index], end);
+            } catch (error) {
+                if (singularities.length === 0) throw error;
+                return { value: NaN, error: Infinity, evaluations: 0, converged: false, method: 'Gauss–Kronrod (G7/K15)' };
+            }
+        });
+        const direction = upper < lower ? -1 : 1;
+        const numeric = {
+            value: direction * pieces.reduce((sum, piece) => sum + piece.value, 0),
+            error: pieces.reduce((sum, piece) => sum + piece.error, 0),
+            evaluations: pieces.reduce((sum, piece) => sum + piece.evaluations, 0),
+            converged: pieces.every(piece => piece.converged && isFinite(piece.value)),
+            method: pieces[0].method
+        };
+
+        if (singularities.length > 0 && !numeric.converged) {
+            return {
+                answer: 'Diverges',
+                steps: [
+                    given,
+                    symbolic ? 'The antiderivative cannot be evaluated at these limits' : 'No closed-form antiderivative was found',
+                    ...improper,
+                    `Numerical integration with ${numeric.method} does not converge near ${where}`,
+                    'The improper integral appears to diverge'
+                ],
+                explanation: `The integral of ${original} from ${lowerText} to ${upperText} appears to diverge because of the singularity at ${where}`
+            };
+        }
+
+        const answer = `≈ ${tree.formatNumber(numeric.value)}`;
+        const error = numeric.error.toExponential(2);
 
         return {
-            answer: 'Function needed',
-            steps: steps,
-            explanation: 'Please provide the specific function to calculate its integral'
+            answer: answer,
+            steps: [
+                given,
+                symbolic ? 'The antiderivative cannot be evaluated at these limits' : 'No closed-form antiderivative was found',
+                ...improper,
+                ...(singularities.length > 0 ? [`Split the interval at ${where} and integrate each piece`] : []),
+                `Integrate numerically with ${numeric.method} (${numeric.evaluations} function evaluations)`,
+                `Estimated absolute error: ${error}`,
+                ...(numeric.converged ? [] : ['Warning: the requested tolerance was not reached']),
+                `Result: ${tree.formatNumber(numeric.value)}`
+            ],
+            explanation: `The definite integral of ${original} from ${lowerText} to ${upperText} is approximately ${tree.formatNumber(numeric.value)} (error ≈ ${error})`
+        };
+    }
+
+    /**
+     * Points in [lower, upper] where the integrand is undefined or unbounded.
+     * Samples the interval, then zooms in on every local maximum of |f|: a
+     * pole keeps growing as the window shrinks, a smooth peak does not.
+     */
+    findSingularities(f, lower, upper) {
+        const a = Math.min(lower, upper);
+        const b = Math.max(lower, upper);
+        const width = b - a;
+        if (!(width > 0)) return [];
+
+        const cells = 400;
+        const xs = Array.from({ length: cells + 1 }, (_, index) => (index === cells ? b : a + width * index / cells));
+        const ys = xs.map(x => Math.abs(f(x)));
+        const points = [];
+        const add = x => {
+            if (!points.some(point => Math.abs(point - x) <= width * 1e-9)) points.push(x);
+        };
+
+        ys.forEach((y, index) => {
+            if (!isFinite(y)) {
+                add(xs[index]);
+                return;
+            }
+            const left = index > 0 ? ys[index - 1] : -Infinity;
+            const right = index < cells ? ys[index + 1] : -Infinity;
+            if (!(y >= left && y >= right) || y === 0) return;
+
+            let lo = xs[Math.max(index - 1, 0)];
+            let hi = xs[Math.min(index + 1, cells)];
+            let best = xs[index];
+            let peak = y;
+            for (let iteration = 0; iteration < 40 && hi - lo > width * 1e-15; iteration++) {
+                const step = (hi - lo) / 8;
+                for (let k = 0; k <= 8; k++) {
+                    const x = lo + step * k;
+                    const value = Math.abs(f(x));
+                    if (!isFinite(value)) {
+                        add(x);
+                        return;
+                    }
+                    if (value > peak) {
+                        peak = value;
+                        best = x;
+                    }
+                }
+                lo = Math.max(lo, best - step);
+                hi = Math.min(hi, best + step);
+            }
+            if (peak > 1e6 * Math.max(y, 1)) add(best);
+        });
+
+        return points.sort((x, y) => x - y);
+    }
+
+    /**
+     * Definite integral from an antiderivative, taking one-sided limits of F
+     * at the singular points
+     * @returns {Object} { value, divergent } divergent is the point where F
+     * has no finite limit, or null
+     */
+    evaluateAntiderivative(F, lower, upper, singularities) {
+        const a = Math.min(lower, upper);
+        const b = Math.max(lower, upper);
+        const width = b - a;
+
+        // Limit of F approaching x from one side (+1 from the right, -1 from the left)
+        const limit = (x, side) => {
+            if (!singularities.includes(x)) return F(x);
+            const near = [1e-6, 1e-9, 1e-12].map(scale => F(x + side * width * scale));
+            if (!near.every(isFinite)) return null;
+            const first = Math.abs(near[0] - near[1]);
+            const second = Math.abs(near[1] - near[2]);
+            // Converging values settle down as the step shrinks; logarithms and poles do not
+            if (second > 1e-9 * Math.max(1, Math.abs(near[2])) && second > 0.5 * first) return null;
+            const exact = F(x);
+            if (isFinite(exact) && Math.abs(exact - near[2]) <= Math.max(first, 1e-12)) return exact;
+            const closest = F(x + side * width * 1e-15);
+            return isFinite(closest) && Math.abs(closest - near[2]) <= Math.max(second, 1e-12) ? closest : near[2];
+        };
+
+        let value = 0;
+        const cuts = [a, ...singularities.filter(point => point > a && point < b), b];
+        for (let index = 1; index < cuts.length; index++) {
+            const start = limit(cuts[index - 1], 1);
+            if (start === null) return { value: NaN, divergent: cuts[index - 1] };
+            const end = limit(cuts[index], -1);
+            if (end === null) return { value: NaN, divergent: cuts[index] };
+            value += end - start;
+        }
+        return { value: upper < lower ? -value : value, divergent: null };
+    }
+
+    /**
+     * Wrap a compiled function so domain errors give NaN instead of throwing
+     */
+    static safeFunction(f) {
+        return x => {
+            try {
+                return f(x);
+            } catch (error) {
+                return NaN;
+            }
+        };
+    }
+
+    /**
+     * Get the equation solver, creating it on first use
+     */
+    getEquationSolver() {
+        if (!this.equationSolver) {
+            if (typeof window.EquationSolver === 'undefined') {
+                throw new Error('Equation solver is not loaded');
+            }
+            this.equationSolver = new EquationSolver(this.getExpressionTree(), this.getScientificFunctions());
+        }
+        return this.equationSolver;
+    }
+
+    /**
+     * Strip a leading "solve" and a trailing "for x" / "for x, y" from an equation problem
+     */
+    extractEquationText(problem) {
+        return problem
+            .replace(/^solve\b\s*(the\s+)?(system\s+)?(of\s+equations\s*)?:?\s*/, '')
+            .replace(/\s+for\s+[a-z](\s*(,|\s+and\s+)\s*[a-z])*\s*$/, '')
+            .trim();
+    }
+
+    /**
+     * Solve a system of linear equations separated by ";", "," or "and",
+     * e.g. "2x + 3y = 5; x - y = 1"
+     */
+    solveSystemProblem(problem) {
+        const text = this.extractEquationText(problem);
+        const tree = this.getExpressionTree();
+        const result = this.getEquationSolver().solveLinearSystem(this.splitList(text));
+        const { variables } = result;
+
+        if (result.status === 'none') {
+            return {
+                answer: 'No solution',
+                steps: result.steps,
+                explanation: 'The equations contradict each other, so the system has no solution'
+            };
+        }
+
+        if (result.status === 'infinite') {
+            const answer = variables
+                .filter(name => !result.free.includes(name))
+                .map(name => `${name} = ${result.expressions[name]}`)
+                .concat(result.free.map(name => `${name} free`))
+                .join(', ');
+            return {
+                answer: answer,
+                steps: result.steps,
+                explanation: `The system has infinitely many solutions with ${result.free.join(', ')} as free ${result.free.length === 1 ? 'variable' : 'variables'}`
+            };
+        }
+
+        const answer = variables.map(name => `${name} = ${tree.formatNumber(result.values[name])}`).join(', ');
+        return {
+            answer: answer,
+            values: result.values,
+            steps: result.steps,
+            explanation: `The system of ${variables.length} linear equations has the unique solution ${answer}`
+        };
+    }
+
+    /**
+     * Solve one equation in one unknown: polynomials of any degree (real and
+     * complex roots) or other equations numerically, optionally "from a to b"
+     */
+    solveEquationProblem(problem) {
+        const bounds = this.extractIntegralBounds(problem);
+        if (bounds.definite && !(Number.isFinite(bounds.lower) && Number.isFinite(bounds.upper))) {
+            throw new Error('The search range must be finite');
+        }
+        const text = this.extractEquationText(bounds.problem);
+        const tree = this.getExpressionTree();
+        const solver = this.getEquationSolver();
+        const node = solver.parseEquation(text);
+        const names = [...solver.variables(node)];
+
+        if (names.length === 0) {
+            throw new Error('The equation has no unknowns');
+        }
+        if (names.length > 1) {
+            throw new Error(`The equation has several unknowns (${names.join(', ')}); give one equation per unknown, e.g. "x + y = 3; x - y = 1"`);
+        }
+
+        const variable = names[0];
+        const range = bounds.definite ? { min: bounds.lower, max: bounds.upper } : { min: -10, max: 10 };
+        const expression = tree.toString(tree.substitute(node, variable, ExpressionTree.variable('x')));
+        const graphData = {
+            type: 'plot',
+            equation: `y = ${expression}`,
+            series: [{ type: 'function', expression: expression, label: `y = ${expression}` }],
+            viewport: { xMin: range.min, xMax: range.max }
+        };
+        const coefficients = solver.polynomialCoefficients(node, variable);
+
+        if (coefficients && coefficients.length === 1) {
+            const identity = Math.abs(coefficients[0]) < 1e-12;
+            return {
+                answer: identity ? 'All real numbers' : 'No solution',
+                steps: [`Move all terms to one side: ${tree.formatNumber(coefficients[0])} = 0`],
+                explanation: identity ?
+                    `The equation holds for every value of ${variable}` :
+                    `The ${variable} terms cancel and leave a false statement, so there is no solution`
+            };
+        }
+
+        if (coefficients) {
+            const result = solver.polynomialRoots(coefficients, variable);
+            let roots = result.roots;
+            if (bounds.definite) {
+                roots = roots.filter(root => typeof root.value === 'number' && root.value >= range.min && root.value <= range.max);
+            }
+            const count = (real) => roots
+                .filter(root => (typeof root.value === 'number') === real)
+                .reduce((sum, root) => sum + root.multiplicity, 0);
+            const answer = roots.length > 0 ?
+                `${variable} = ${roots.map(root => solver.formatRoot(root.value) + (root.multiplicity > 1 ? ` (×${root.multiplicity})` : '')).join(', ')}` :
+                `No real solutions in [${bounds.lowerText}, ${bounds.upperText}]`;
+
+            return {
+                answer: answer,
+                roots: roots,
+                steps: result.steps,
+                explanation: bounds.definite ?
+                    `The degree ${result.degree} polynomial has ${count(true)} real ${count(true) === 1 ? 'root' : 'roots'} between ${bounds.lowerText} and ${bounds.upperText}, counted with multiplicity` :
+                    `The degree ${result.degree} polynomial has ${count(true)} real and ${count(false)} complex roots, counted with multiplicity`,
+                graphData: graphData
+            };
+        }
+
+        const result = solver.solveNonlinear(node, variable, range);
+        const format = value => tree.formatNumber(parseFloat(value.toPrecision(10)));
+        const rangeText = `[${format(range.min)}, ${format(range.max)}]`;
+        const hint = bounds.definite ? '' : '; add "from a to b" to search elsewhere';
+
+        return {
+            answer: result.roots.length > 0 ?
+                `${variable} ≈ ${result.roots.map(format).join(', ')}` :
+                `No real solutions in ${rangeText}`,
+            roots: result.roots,
+            steps: result.steps,
+            explanation: result.roots.length > 0 ?
+                `Found ${result.roots.length} real ${result.roots.length === 1 ? 'solution' : 'solutions'} in ${rangeText}${hint}` :
+                `The equation has no real solutions in ${rangeText}${hint}`,
+            graphData: graphData
         };
     }
 
@@ -471,19 +956,281 @@ class MathSolver {
     }
 
     /**
-     * Solve statistics problem
+     * Solve statistics problem: descriptive statistics ("mean of 2, 4, 4, 5",
+     * "90th percentile of ..."), correlation and regression
+     * ("linear regression x = 1, 2, 3 y = 2, 4, 7") and distribution
+     * functions ("normcdf(1.96)", "binompdf(3, 10, 0.5)")
      */
     solveStatisticsProblem(problem) {
-        const steps = [
-            'Statistical calculation detected',
-            'This requires data analysis techniques',
-            'Please provide the specific data set or statistical question'
-        ];
+        if (typeof window.Statistics === 'undefined') {
+            throw new Error('Statistics engine is not loaded');
+        }
+
+        const call = problem.match(this.patterns.distribution);
+        if (call) {
+            return this.solveDistributionProblem(call[1], call[2], this.parseNumberList(call[3]));
+        }
+        if (/\b(regression|correlation)\b/.test(problem)) {
+            return this.solveRegressionProblem(problem);
+        }
+        return this.solveDescriptiveProblem(problem);
+    }
+
+    /**
+     * Read all numbers in a piece of text
+     */
+    parseNumberList(text) {
+        return (text.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/g) || []).map(Number);
+    }
+
+    /**
+     * Format a statistic for steps and answers
+     */
+    formatStatistic(value) {
+        return parseFloat(value.toPrecision(6));
+    }
+
+    /**
+     * Mean, median, mode, variance, standard deviation, percentiles and a
+     * five-number summary, with the working shown
+     */
+    solveDescriptiveProblem(problem) {
+        const dataText = problem.includes(' of ') ? problem.slice(problem.indexOf(' of ') + 4) :
+            problem.includes(':') ? problem.slice(problem.indexOf(':') + 1) : problem;
+        const data = this.parseNumberList(dataText);
+        if (data.length === 0) {
+            return {
+                answer: 'Data needed',
+                steps: ['Statistical calculation detected', 'Please list the data, e.g. "mean of 2, 4, 4, 5, 7"'],
+                explanation: 'Please provide the specific data set for statistical analysis'
+            };
+        }
+
+        const f = (value) => this.formatStatistic(value);
+        const n = data.length;
+        const sorted = [...data].sort((a, b) => a - b);
+        const population = problem.includes('population');
+        const steps = [`Data (n = ${n}): ${data.join(', ')}`];
+        let answer;
+        let explanation;
+
+        const percentile = problem.match(/(\d+(?:\.\d+)?)(?:st|nd|rd|th)?\s+(?:percentile|quantile)/);
+        if (problem.includes('standard deviation') || problem.includes('stdev') || problem.includes('variance')) {
+            const mean = Statistics.mean(data);
+            const squares = data.reduce((total, value) => total + (value - mean) ** 2, 0);
+            const divisor = population ? n : n - 1;
+            const variance = Statistics.variance(data, !population);
+            steps.push(`Mean: x̄ = ${f(Statistics.sum(data))} / ${n} = ${f(mean)}`);
+            steps.push(`Sum of squared deviations: Σ(x - x̄)² = ${f(squares)}`);
+            steps.push(`${population ? 'Population' : 'Sample'} variance: ${f(squares)} / ${divisor}${population ? '' : ' (n - 1)'} = ${f(variance)}`);
+            if (problem.includes('variance') && !problem.includes('standard deviation')) {
+                answer = f(variance);
+                explanation = `The ${population ? 'population' : 'sample'} variance is ${answer}`;
+            } else {
+                answer = f(Math.sqrt(variance));
+                steps.push(`Standard deviation: √${f(variance)} = ${answer}`);
+                explanation = `The ${population ? 'population' : 'sample'} standard deviation is ${answer}`;
+            }
+        } else if (percentile) {
+            const p = parseFloat(percentile[1]) / (problem.includes('percentile') ? 100 : 1);
+            const position = (n - 1) * p;
+            answer = f(Statistics.quantile(data, p));
+            steps.push(`Sorted: ${sorted.join(', ')}`);
+            steps.push(`Position: (n - 1) × ${f(p)} = ${f(position)} (counting from 0)`);
+            if (!Number.isInteger(position)) {
+                steps.push(`Interpolate between ${sorted[Math.floor(position)]} and ${sorted[Math.ceil(position)]}: ${answer}`);
+            }
+            explanation = `The ${percentile[1]}${problem.includes('percentile') ? 'th percentile' : ' quantile'} is ${answer}`;
+        } else if (problem.includes('median')) {
+            answer = f(Statistics.median(data));
+            steps.push(`Sorted: ${sorted.join(', ')}`);
+            steps.push(n % 2 === 1 ?
+                `Middle value (position ${(n + 1) / 2}) = ${answer}` :
+                `Average of the two middle values ${sorted[n / 2 - 1]} and ${sorted[n / 2]} = ${answer}`);
+            explanation = `The median is ${answer}`;
+        } else if (problem.includes('mode')) {
+            const modes = Statistics.mode(data);
+            const counts = new Map();
+            sorted.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            steps.push(`Frequencies: ${Array.from(counts).map(([value, count]) => `${value} (×${count})`).join(', ')}`);
+            if (modes.length === counts.size) {
+                answer = 'No mode';
+                explanation = 'Every value appears equally often, so there is no mode';
+            } else {
+                answer = modes.length === 1 ? modes[0] : modes;
+                explanation = `The mode${modes.length > 1 ? 's are' : ' is'} ${modes.join(', ')} (appearing ${counts.get(modes[0])} times)`;
+            }
+        } else if (problem.includes('mean') || problem.includes('average')) {
+            answer = f(Statistics.mean(data));
+            steps.push(`Sum: ${f(Statistics.sum(data))}`);
+            steps.push(`Mean: ${f(Statistics.sum(data))} / ${n} = ${answer}`);
+            explanation = `The mean is ${answer}`;
+        } else {
+            const summary = {
+                n: n,
+                mean: f(Statistics.mean(data)),
+                median: f(Statistics.median(data)),
+                stdev: n > 1 ? f(Statistics.stdev(data)) : 0,
+                min: sorted[0],
+                q1: f(Statistics.quantile(data, 0.25)),
+                q3: f(Statistics.quantile(data, 0.75)),
+                max: sorted[n - 1]
+            };
+            steps.push(`Sorted: ${sorted.join(', ')}`);
+            steps.push(`Mean = ${summary.mean}, median = ${summary.median}, sample standard deviation = ${summary.stdev}`);
+            steps.push(`Five-number summary: min ${summary.min}, Q1 ${summary.q1}, median ${summary.median}, Q3 ${summary.q3}, max ${summary.max}`);
+            answer = summary;
+            explanation = `Mean ${summary.mean}, median ${summary.median}, standard deviation ${summary.stdev}`;
+        }
+
+        return { answer, steps, explanation };
+    }
+
+    /**
+     * Correlation and least-squares regression from "x = ..., y = ..." lists
+     * or "(x, y)" points
+     */
+    solveRegressionProblem(problem) {
+        let xs;
+        let ys;
+        const points = Array.from(problem.matchAll(/\(\s*(-?[\d.]+(?:e[+-]?\d+)?)\s*,\s*(-?[\d.]+(?:e[+-]?\d+)?)\s*\)/g));
+        const yIndex = problem.search(/\by\s*[=:]/);
+        const xIndex = problem.search(/\bx\s*[=:]/);
+        if (points.length > 0) {
+            xs = points.map(match => Number(match[1]));
+            ys = points.map(match => Number(match[2]));
+        } else if (xIndex >= 0 && yIndex > xIndex) {
+            xs = this.parseNumberList(problem.slice(xIndex + 1, yIndex));
+            ys = this.parseNumberList(problem.slice(yIndex + 1));
+        } else {
+            throw new Error('Please give the data as "x = 1, 2, 3 y = 2, 4, 6" or as points (1, 2), (2, 4)');
+        }
+
+        const f = (value) => this.formatStatistic(value);
+        const steps = [`Data (n = ${xs.length}): x = ${xs.join(', ')}; y = ${ys.join(', ')}`];
+
+        if (!problem.includes('regression')) {
+            const r = Statistics.correlation(xs, ys);
+            steps.push(`Means: x̄ = ${f(Statistics.mean(xs))}, ȳ = ${f(Statistics.mean(ys))}`);
+            steps.push('r = Σ(x - x̄)(y - ȳ) / √(Σ(x - x̄)² · Σ(y - ȳ)²)');
+            steps.push(`r = ${f(r)}, r² = ${f(r * r)}`);
+            return {
+                answer: f(r),
+                steps: steps,
+                explanation: `The correlation coefficient is r = ${f(r)}`
+            };
+        }
+
+        let fit;
+        if (problem.includes('exponential')) {
+            fit = Statistics.exponentialRegression(xs, ys);
+            steps.push('Model y = a·e^(bx); taking logarithms gives the line ln y = ln a + b·x');
+            steps.push(`ln y = ${ys.map(y => f(Math.log(y))).join(', ')}`);
+            steps.push(`Fit the line: b = ${f(fit.coefficients[1])}, ln a = ${f(Math.log(fit.coefficients[0]))}, so a = ${f(fit.coefficients[0])}`);
+        } else if (/\b(quadratic|cubic|polynomial)\b/.test(problem)) {
+            const degreeMatch = problem.match(/degree\s*(\d+)/);
+            const degree = problem.includes('cubic') ? 3 : degreeMatch ? parseInt(degreeMatch[1]) : 2;
+            fit = Statistics.polynomialRegression(xs, ys, degree);
+            const terms = Array.from({ length: degree + 1 }, (_, k) => k === 0 ? 'b0' : k === 1 ? 'b1·x' : `b${k}·x^${k}`);
+            const largest = Math.max(...fit.coefficients.map(Math.abs));
+            steps.push(`Model y = ${terms.join(' + ')}`);
+            steps.push(`Solve the normal equations (XᵀX)b = Xᵀy, where X has columns ${terms.map((term, k) => k === 0 ? '1' : term.slice(term.indexOf('·') + 1)).join(', ')}`);
+            steps.push(`Coefficients: ${fit.coefficients.map((c, k) => `b${k} = ${f(Math.abs(c) < 1e-10 * largest ? 0 : c)}`).join(', ')}`);
+        } else {
+            fit = Statistics.linearRegression(xs, ys);
+            const mx = Statistics.mean(xs);
+            const my = Statistics.mean(ys);
+            const sxx = xs.reduce((total, x) => total + (x - mx) ** 2, 0);
+            const sxy = xs.reduce((total, x, i) => total + (x - mx) * (ys[i] - my), 0);
+            steps.push(`Means: x̄ = ${f(mx)}, ȳ = ${f(my)}`);
+            steps.push(`Sxx = Σ(x - x̄)² = ${f(sxx)}, Sxy = Σ(x - x̄)(y - ȳ) = ${f(sxy)}`);
+            steps.push(`Slope: b = Sxy / Sxx = ${f(fit.coefficients[1])}`);
+            steps.push(`Intercept: a = ȳ - b·x̄ = ${f(fit.coefficients[0])}`);
+        }
+
+        const equation = fit.equation(value => this.formatStatistic(value).toString());
+        steps.push(`Best fit: ${equation}`);
+        steps.push(`R² = 1 - SSres / SStot = ${f(fit.r2)}`);
 
         return {
-            answer: 'Data needed',
+            answer: equation,
             steps: steps,
-            explanation: 'Please provide the specific data set for statistical analysis'
+            explanation: `The least-squares ${fit.model} fit is ${equation} with R² = ${f(fit.r2)}`,
+            coefficients: fit.coefficients,
+            r2: fit.r2
+        };
+    }
+
+    /**
+     * Evaluate a distribution function such as normcdf(1.96, 0, 1) and
+     * explain the formula behind it
+     */
+    solveDistributionProblem(family, kind, args) {
+        const f = (value) => this.formatStatistic(value);
+        const name = `${family}${kind}`;
+        const functions = {
+            norm: { pdf: Statistics.normalPdf, cdf: Statistics.normalCdf, inv: Statistics.normalInv, label: 'normal', params: ['μ', 'σ'], min: 1, defaults: [0, 1] },
+            t: { pdf: Statistics.tPdf, cdf: Statistics.tCdf, inv: Statistics.tInv, label: "Student's t", params: ['df'], min: 2 },
+            chi2: { pdf: Statistics.chiSquarePdf, cdf: Statistics.chiSquareCdf, inv: Statistics.chiSquareInv, label: 'chi-square', params: ['k'], min: 2 },
+            binom: { pdf: Statistics.binomialPdf, cdf: Statistics.binomialCdf, inv: Statistics.binomialInv, label: 'binomial', params: ['n', 'p'], min: 3 },
+            poisson: { pdf: Statistics.poissonPdf, cdf: Statistics.poissonCdf, inv: Statistics.poissonInv, label: 'Poisson', params: ['λ'], min: 2 }
+        };
+        const distribution = functions[family];
+        const maxArgs = distribution.params.length + 1;
+        if (args.length < distribution.min || args.length > maxArgs) {
+            throw new Error(`${name} takes ${distribution.min === maxArgs ? maxArgs : `${distribution.min} to ${maxArgs}`} arguments, got ${args.length}`);
+        }
+        const values = [...args, ...(distribution.defaults || []).slice(args.length - 1)];
+        const [x, ...params] = values;
+        const result = distribution[kind](...values);
+        const parameterText = distribution.params.map((param, i) => `${param} = ${params[i]}`).join(', ');
+        const steps = [`${distribution.label[0].toUpperCase()}${distribution.label.slice(1)} distribution with ${parameterText}`];
+
+        switch (name) {
+            case 'normpdf':
+            case 'normcdf': {
+                const z = (x - params[0]) / params[1];
+                steps.push(`Standardize: z = (x - μ) / σ = (${x} - ${params[0]}) / ${params[1]} = ${f(z)}`);
+                steps.push(kind === 'pdf' ?
+                    `f(x) = e^(-z²/2) / (σ√(2π)) = ${f(result)}` :
+                    `P(X ≤ ${x}) = Φ(${f(z)}) = ${f(result)}`);
+                break;
+            }
+            case 'norminv':
+                steps.push(`Find z with Φ(z) = ${x}: z = ${f((result - params[0]) / params[1])}`);
+                steps.push(`x = μ + σ·z = ${f(result)}`);
+                break;
+            case 'binompdf':
+                steps.push(`P(X = ${x}) = C(${params[0]}, ${x}) · ${params[1]}^${x} · (1 - ${params[1]})^${params[0] - x}`);
+                steps.push(`C(${params[0]}, ${x}) = ${f(Statistics.binomialCoefficient(params[0], x))}; P(X = ${x}) = ${f(result)}`);
+                break;
+            case 'binomcdf':
+                steps.push(`P(X ≤ ${x}) = Σ C(${params[0]}, i) · ${params[1]}^i · (1 - ${params[1]})^(${params[0]} - i) for i = 0..${Math.floor(x)}`);
+                steps.push(`P(X ≤ ${x}) = ${f(result)}`);
+                break;
+            case 'poissonpdf':
+                steps.push(`P(X = ${x}) = λ^${x} · e^(-λ) / ${x}! = ${params[0]}^${x} · e^(-${params[0]}) / ${x}! = ${f(result)}`);
+                break;
+            case 'poissoncdf':
+                steps.push(`P(X ≤ ${x}) = Σ λ^i · e^(-λ) / i! for i = 0..${Math.floor(x)} = ${f(result)}`);
+                break;
+            default:
+                if (kind === 'pdf') {
+                    steps.push(`Density at ${x}: ${f(result)}`);
+                } else if (kind === 'cdf') {
+                    steps.push(`P(X ≤ ${x}) from the regularized incomplete ${family === 't' ? 'beta' : 'gamma'} function = ${f(result)}`);
+                } else {
+                    steps.push(`Search for the value whose cumulative probability is ${x}: ${f(result)}`);
+                }
+        }
+
+        const meaning = kind === 'pdf' ? (family === 'binom' || family === 'poisson' ? `P(X = ${x})` : `f(${x})`) :
+            kind === 'cdf' ? `P(X ≤ ${x})` : `the ${x} quantile`;
+
+        return {
+            answer: f(result),
+            steps: steps,
+            explanation: `For the ${distribution.label} distribution with ${parameterText}, ${meaning} = ${f(result)}`
         };
     }
 
@@ -516,18 +1263,189 @@ class MathSolver {
     }
 
     /**
-     * Generate linear graph data
+     * Get the function plotter, creating it on first use
      */
-    generateLinearGraphData(a, b, c) {
+    getFunctionPlotter() {
+        if (!this.functionPlotter) {
+            if (typeof window.FunctionPlotter === 'undefined' || typeof window.OperatorTable === 'undefined') {
+                throw new Error('Plotting engine is not loaded');
+            }
+            this.functionPlotter = new FunctionPlotter(new OperatorTable());
+        }
+        return this.functionPlotter;
+    }
+
+    /**
+     * Split text at commas, semicolons and "and" that are not inside parentheses,
+     * e.g. "max(x, 1), sin(x) and cos(x)" -> ["max(x, 1)", "sin(x)", "cos(x)"]
+     */
+    splitList(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if ((char === ',' || char === ';') && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+
+        return parts
+            .flatMap(part => part.split(/\s+and\s+/))
+            .map(part => part.trim())
+            .filter(part => part.length > 0);
+    }
+
+    /**
+     * Plot functions, a parametric curve or a polar curve and analyze them:
+     * "plot sin(x), cos(x) from -pi to pi", "plot x = cos(t), y = sin(t)",
+     * "plot r = 1 + cos(theta) from 0 to 2pi"
+     */
+    solveGraphProblem(problem) {
+        const plotter = this.getFunctionPlotter();
+        const bounds = this.extractIntegralBounds(problem);
+        if (bounds.definite && !(Number.isFinite(bounds.lower) && Number.isFinite(bounds.upper))) {
+            throw new Error('Plot ranges must be finite');
+        }
+
+        const text = bounds.problem.replace(/^(plot|graph)\b\s*(of\s+)?/, '').trim();
+        const parts = this.splitList(text);
+        if (parts.length === 0) {
+            throw new Error('Please provide a function to plot, e.g. "plot sin(x) from -pi to pi"');
+        }
+
+        const format = (value) => parseFloat(value.toFixed(4));
+        const definitions = parts.map(part => part.match(/^([a-z]\w*(?:\([a-z]\))?)\s*=\s*(.+)$/));
+        const lhs = definitions.map(match => match ? match[1] : null);
+        const steps = [];
+        let series;
+        let viewport = {};
+        let answer;
+        let explanation;
+
+        if (lhs.includes('x') && lhs.includes('y')) {
+            // Parametric curve
+            const tMin = bounds.definite ? bounds.lower : 0;
+            const tMax = bounds.definite ? bounds.upper : 2 * Math.PI;
+            const x = definitions[lhs.indexOf('x')][2];
+            const y = definitions[lhs.indexOf('y')][2];
+            series = [{ type: 'parametric', x: x, y: y, tMin: tMin, tMax: tMax }];
+            steps.push(`Parametric curve: x = ${x}, y = ${y}`);
+            steps.push(`Sample t from ${format(tMin)} to ${format(tMax)}`);
+            answer = `(${x}, ${y})`;
+            explanation = `Plotted the parametric curve x = ${x}, y = ${y} for ${format(tMin)} ≤ t ≤ ${format(tMax)}`;
+        } else if (parts.length === 1 && (lhs[0] === 'r' || lhs[0] === 'r(theta)' || lhs[0] === 'r(θ)')) {
+            // Polar curve
+            const thetaMin = bounds.definite ? bounds.lower : 0;
+            const thetaMax = bounds.definite ? bounds.upper : 2 * Math.PI;
+            const r = definitions[0][2];
+            series = [{ type: 'polar', r: r, thetaMin: thetaMin, thetaMax: thetaMax }];
+            steps.push(`Polar curve: r = ${r}`);
+            steps.push(`Sample θ from ${format(thetaMin)} to ${format(thetaMax)} and convert with x = r·cos θ, y = r·sin θ`);
+            answer = `r = ${r}`;
+            explanation = `Plotted the polar curve r = ${r} for ${format(thetaMin)} ≤ θ ≤ ${format(thetaMax)}`;
+        } else {
+            // Functions of x
+            const expressions = parts.map((part, i) => {
+                if (lhs[i] === 'y' || lhs[i] === 'f(x)' || /^[a-z]\(x\)$/.test(lhs[i] || '')) {
+                    return definitions[i][2].trim();
+                }
+                if (part.includes('=')) {
+                    throw new Error(`Cannot plot "${part}"; write it as y = expression`);
+                }
+                return part;
+            });
+            viewport = {
+                xMin: bounds.definite ? bounds.lower : -10,
+                xMax: bounds.definite ? bounds.upper : 10
+            };
+            series = expressions.map(expression => ({ type: 'function', expression: expression }));
+            steps.push(`Plot ${expressions.map(expression => `y = ${expression}`).join(', ')} for ${format(viewport.xMin)} ≤ x ≤ ${format(viewport.xMax)}`);
+        }
+
+        const plot = plotter.plot(series, viewport, { analyze: true });
+
+        plot.series.forEach(item => {
+            if (item.type !== 'function') return;
+            if (item.asymptotes.length > 0) {
+                steps.push(`${item.label}: vertical asymptotes at x ≈ ${item.asymptotes.map(format).join(', ')}`);
+            }
+            if (item.discontinuities.length > 0) {
+                steps.push(`${item.label}: jump discontinuities at x ≈ ${item.discontinuities.map(format).join(', ')}`);
+            }
+            steps.push(item.roots.length > 0 ?
+                `${item.label}: roots at x ≈ ${item.roots.map(format).join(', ')}` :
+                `${item.label}: no roots in the range`);
+            item.extrema.forEach(point => {
+                steps.push(`${item.label}: local ${point.type} at (${format(point.x)}, ${format(point.y)})`);
+            });
+        });
+
+        if (series[0].type === 'function') {
+            if (series.length === 1) {
+                const roots = plot.series[0].roots.map(format);
+                answer = roots.length > 0 ? roots : 'No roots in range';
+                explanation = roots.length > 0 ?
+                    `${plot.series[0].label} crosses the x-axis at x ≈ ${roots.join(', ')}` :
+                    `${plot.series[0].label} has no roots between ${format(viewport.xMin)} and ${format(viewport.xMax)}`;
+            } else {
+                const points = plot.intersections.map(point => `(${format(point.x)}, ${format(point.y)})`);
+                steps.push(points.length > 0 ? `Intersections: ${points.join(', ')}` : 'The curves do not intersect in the range');
+                answer = points.length > 0 ? points : 'No intersections in range';
+                explanation = points.length > 0 ?
+                    `The curves intersect at ${points.join(', ')}` :
+                    'The curves do not intersect in the plotted range';
+            }
+        }
+
+        return {
+            answer: answer,
+            steps: steps,
+            explanation: explanation,
+            graphData: {
+                type: 'plot',
+                equation: plot.series.map(item => item.label).join(', '),
+                series: series,
+                viewport: plot.viewport,
+                roots: plot.series.map(item => item.roots || []),
+                extrema: plot.series.map(item => item.extrema || []),
+                intersections: plot.intersections
+            }
+        };
+    }
+
+    /**
+     * Sample y = f(x) on [-10, 10] with the plotter when it is loaded,
+     * otherwise at fixed steps
+     */
+    sampleGraphPoints(expression, f, step) {
+        if (typeof window.FunctionPlotter !== 'undefined') {
+            const sampled = this.getFunctionPlotter().sampleFunction(expression, -10, 10);
+            return sampled.segments.flat();
+        }
+
         const points = [];
-        for (let x = -10; x <= 10; x++) {
-            const y = a * x + b;
-            points.push({ x, y });
+        for (let x = -10; x <= 10; x += step) {
+            points.push({ x, y: f(x) });
         }
+        return points;
+    }
+
+    /**
+     * Generate linear graph data
+     */
+    generateLinearGraphData(a, b, c) {
+        const expression = `${a}*x + (${b})`;
         return {
             type: 'line',
-            points: points,
-            equation: `y = ${a}x + ${b}`
+            points: this.sampleGraphPoints(expression, x => a * x + b, 1),
+            equation: `y = ${a}x + ${b}`,
+            series: [{ type: 'function', expression: expression, label: `y = ${a}x + ${b}` }]
         };
     }
 
@@ -535,15 +1453,12 @@ class MathSolver {
      * Generate quadratic graph data
      */
     generateQuadraticGraphData(a, b, c) {
-        const points = [];
-        for (let x = -10; x <= 10; x += 0.5) {
-            const y = a * x * x + b * x + c;
-            points.push({ x, y });
-        }
+        const expression = `${a}*x^2 + (${b})*x + (${c})`;
         return {
             type: 'parabola',
-            points: points,
-            equation: `y = ${a}x² + ${b}x + ${c}`
+            points: this.sampleGraphPoints(expression, x => a * x * x + b * x + c, 0.5),
+            equation: `y = ${a}x² + ${b}x + ${c}`,
+            series: [{ type: 'function', expression: expression, label: `y = ${a}x² + ${b}x + ${c}` }]
         };
     }
 
@@ -0,0 +1,284 @@
+/**
+ * Money
+ * Shared currency table, minor-unit arithmetic, locale formatting and
+ * conversion for the finance calculators
+ */
+
+class Money {
+    /**
+     * Supported currencies. rate is units per US dollar and only used when
+     * no CurrencyConverter is available; locale is the default for formatting.
+     */
+    static get CURRENCIES() {
+        return {
+            'USD': { symbol: '$', name: 'US Dollar', flag: '🇺🇸', rate: 1.0 },
+            'EUR': { symbol: '€', name: 'Euro', flag: '🇪🇺', rate: 0.92 },
+            'GBP': { symbol: '£', name: 'British Pound', flag: '🇬🇧', rate: 0.79 },
+            'JPY': { symbol: '¥', name: 'Japanese Yen', flag: '🇯🇵', rate: 150.0 },
+            'CAD': { symbol: 'C$', name: 'Canadian Dollar', flag: '🇨🇦', rate: 1.36 },
+            'AUD': { symbol: 'A$', name: 'Australian Dollar', flag: '🇦🇺', rate: 1.52 },
+            'CHF': { symbol: 'CHF', name: 'Swiss Franc', flag: '🇨🇭', rate: 0.88 },
+            'CNY': { symbol: '¥', name: 'Chinese Yuan', flag: '🇨🇳', rate: 7.25 },
+            'INR': { symbol: '₹', name: 'Indian Rupee', flag: '🇮🇳', rate: 88.67, locale: 'en-IN' },
+            'BRL': { symbol: 'R$', name: 'Brazilian Real', flag: '🇧🇷', rate: 5.45 },
+            'SGD': { symbol: 'S$', name: 'Singapore Dollar', flag: '🇸🇬', rate: 1.35 },
+            'AED': { symbol: 'د.إ', name: 'UAE Dirham', flag: '🇦🇪', rate: 3.67 },
+            'SAR': { symbol: '﷼', name: 'Saudi Riyal', flag: '🇸🇦', rate: 3.75 },
+            'ZAR': { symbol: 'R', name: 'South African Rand', flag: '🇿🇦', rate: 18.5 },
+            'MXN': { symbol: '$', name: 'Mexican Peso', flag: '🇲🇽', rate: 17.2 },
+            'KRW': { symbol: '₩', name: 'South Korean Won', flag: '🇰🇷', rate: 1350.0 },
+            'THB': { symbol: '฿', name: 'Thai Baht', flag: '🇹🇭', rate: 36.5 },
+            'NZD': { symbol: 'NZ$', name: 'New Zealand Dollar', flag: '🇳🇿', rate: 1.62 },
+            'NOK': { symbol: 'kr', name: 'Norwegian Krone', flag: '🇳🇴', rate: 10.8 },
+            'SEK': { symbol: 'kr', name: 'Swedish Krona', flag: '🇸🇪', rate: 10.9 }
+        };
+    }
+
+    /**
+     * Copy of the currency table for a calculator's `currencies` property
+     */
+    static createCurrencyTable() {
+        const table = {};
+        Object.entries(Money.CURRENCIES).forEach(([code, info]) => {
+            table[code] = { symbol: info.symbol, name: info.name, flag: info.flag, rate: info.rate };
+        });
+        return table;
+    }
+
+    static isSupported(currency) {
+        return Object.prototype.hasOwnProperty.call(Money.CURRENCIES, currency);
+    }
+
+    /**
+     * Number of minor units (decimal places) for a currency: 2 for USD, 0 for JPY
+     */
+    static minorUnits(currency) {
+        if (!Money.minorUnitCache.has(currency)) {
+            let digits = 2;
+            try {
+                digits = new Intl.NumberFormat('en-US', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+            } catch (error) {
+                // Unknown ISO code: keep the common two decimals
+            }
+            Money.minorUnitCache.set(currency, digits);
+        }
+        return Money.minorUnitCache.get(currency);
+    }
+
+    /**
+     * Amount as an integer count of minor units, rounded half away from
+     * zero. Binary noise is removed first so 1.005 becomes 101 cents.
+     */
+    static toMinor(amount, currency = 'USD') {
+        const value = Number(amount);
+        if (!isFinite(value)) {
+            throw new Error(`Invalid amount: ${amount}`);
+        }
+        return Money.roundHalfAway(value * Math.pow(10, Money.minorUnits(currency)));
+    }
+
+    /**
+     * Integer minor units back to an amount
+     */
+    static fromMinor(minor, currency = 'USD') {
+        return minor / Math.pow(10, Money.minorUnits(currency));
+    }
+
+    /**
+     * Round to the currency's minor unit
+     */
+    static round(amount, currency = 'USD') {
+        return Money.fromMinor(Money.toMinor(amount, currency), currency);
+    }
+
+    /**
+     * Exact sum of amounts, added as minor units
+     */
+    static sum(amounts, currency = 'USD') {
+        return Money.fromMinor(amounts.reduce((total, amount) => total + Money.toMinor(amount, currency), 0), currency);
+    }
+
+    /**
+     * Amount times a factor, rounded to the minor unit
+     */
+    static multiply(amount, factor, currency = 'USD') {
+        return Money.fromMinor(Money.roundHalfAway(Money.toMinor(amount, currency) * factor), currency);
+    }
+
+    /**
+     * Round to an integer, halves away from zero, ignoring binary noise
+     * beyond 15 significant digits
+     */
+    static roundHalfAway(value) {
+        const rounded = Math.round(Number(Math.abs(value).toPrecision(15)));
+        return value < 0 && rounded !== 0 ? -rounded : rounded;
+    }
+
+    /**
+     * Split an amount by ratios (or into n equal parts) so the parts add
+     * up to the amount exactly; leftover minor units go to the parts with
+     * the largest remainders.
+     * @returns {Array<number>}
+     */
+    static allocate(amount, ratios, currency = 'USD') {
+        const weights = typeof ratios === 'number' ? Array(ratios).fill(1) : ratios;
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (weights.length === 0 || !(totalWeight > 0) || weights.some(weight => weight < 0)) {
+            throw new Error('Allocation needs non-negative ratios with a positive total');
+        }
+
+        const total = Money.toMinor(amount, currency);
+        const sign = total < 0 ? -1 : 1;
+        const exact = weights.map(weight => Math.abs(total) * weight / totalWeight);
+        const parts = exact.map(share => Math.floor(share));
+        let leftover = Math.abs(total) - parts.reduce((sum, part) => sum + part, 0);
+
+        exact.map((share, index) => ({ index, remainder: share - parts[index] }))
+            .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+            .forEach(({ index }) => {
+                if (leftover > 0) {
+                    parts[index]++;
+                    leftover--;
+                }
+            });
+
+        return parts.map(part => Money.fromMinor(sign * part, currency));
+    }
+
+    /**
+     * Locale used for a currency: the global override, else the currency's
+     * own (en-IN for rupees, giving lakh/crore grouping), else en-US
+     */
+    static localeFor(currency) {
+        if (Money.locale) return Money.locale;
+        const info = Money.CURRENCIES[currency];
+        return info && info.locale ? info.locale : 'en-US';
+    }
+
+    /**
+     * Use one locale for every currency (null restores per-currency locales)
+     */
+    static setLocale(locale) {
+        Money.locale = locale || null;
+        Money.formatterCache.clear();
+    }
+
+    /**
+     * Format an amount of money
+     * @param {Object} options - { locale, decimals, symbol: true | false | 'code', compact }
+     *        decimals never exceeds the currency's minor units (JPY has none);
+     *        compact gives 1.2M, or 12.35 L / 1.2 Cr in Indian locales
+     */
+    static format(amount, currency = 'USD', options = {}) {
+        const value = Number(amount) || 0;
+        const locale = options.locale || Money.localeFor(currency);
+        const minorUnits = Money.minorUnits(currency);
+        const decimals = options.decimals !== undefined ? Math.min(options.decimals, minorUnits) : minorUnits;
+        const info = Money.CURRENCIES[currency];
+        const symbol = options.symbol === 'code' ? `${currency} ` : options.symbol === false ? '' : (info ? info.symbol : `${currency} `);
+
+        if (options.compact) {
+            return `${value < 0 ? '-' : ''}${symbol}${Money.formatCompactNumber(Math.abs(value), locale)}`;
+        }
+
+        // Round once, in minor units, so -0.004 does not print as -0.00
+        const factor = Math.pow(10, decimals);
+        const display = Money.roundHalfAway(Money.round(value, currency) * factor) / factor;
+        const formatter = Money.formatter(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+        return `${display < 0 ? '-' : ''}${symbol}${formatter.format(Math.abs(display))}`;
+    }
+
+    /**
+     * Format a plain number with locale grouping
+     */
+    static formatNumber(value, options = {}) {
+        const decimals = options.decimals !== undefined ? options.decimals : 2;
+        const locale = options.locale || Money.locale || 'en-US';
+        return Money.formatter(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(Number(value) || 0);
+    }
+
+    /**
+     * Format a percentage value (5 → "5.00%")
+     */
+    static formatPercentage(value, decimals = 2, locale = null) {
+        return `${Money.formatNumber(value, { decimals: decimals, locale: locale })}%`;
+    }
+
+    /**
+     * Short form of a large number: lakh and crore for Indian locales,
+     * otherwise the locale's compact notation
+     */
+    static formatCompactNumber(value, locale) {
+        if (/-IN$/.test(locale)) {
+            if (value >= 1e7) return `${Money.formatter(locale, { maximumFractionDigits: 2 }).format(value / 1e7)} Cr`;
+            if (value >= 1e5) return `${Money.formatter(locale, { maximumFractionDigits: 2 }).format(value / 1e5)} L`;
+            return Money.formatter(locale, { maximumFractionDigits: 0 }).format(value);
+        }
+        return Money.formatter(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+    }
+
+    /**
+     * Cached Intl.NumberFormat
+     */
+    static formatter(locale, options) {
+        const key = `${locale}|${JSON.stringify(options)}`;
+        if (!Money.formatterCache.has(key)) {
+            Money.formatterCache.set(key, new Intl.NumberFormat(locale, options));
+        }
+        return Money.formatterCache.get(key);
+    }
+
+    /**
+     * Convert between currencies with the shared CurrencyConverter (and so
+     * its live or stored rates); the table rates are used without one
+     */
+    static convert(amount, fromCurrency, toCurrency) {
+        if (fromCurrency === toCurrency) return amount;
+
+        const converter = Money.getConverter();
+        if (converter) {
+            const result = converter.convertCurrency(amount, fromCurrency, toCurrency);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return result.convertedAmount;
+        }
+
+        const from = Money.CURRENCIES[fromCurrency];
+        const to = Money.CURRENCIES[toCurrency];
+        if (!from || !to) {
+            throw new Error('Currency not supported');
+        }
+        return amount / from.rate * to.rate;
+    }
+
+    /**
+     * Converter used by convert(). Created on first use when the
+     * CurrencyConverter script is loaded, starting from stored rates.
+     */
+    static getConverter() {
+        if (!Money.converter && typeof CurrencyConverter !== 'undefined') {
+            Money.converter = new CurrencyConverter();
+            Money.converter.loadStoredRates()
+                .catch(error => console.warn('⚠️ Failed to read stored rates:', error.message));
+        }
+        return Money.converter || null;
+    }
+
+    /**
+     * Share an already initialized converter
+     */
+    static setConverter(converter) {
+        Money.converter = converter;
+    }
+}
+
+Money.minorUnitCache = new Map();
+Money.formatterCache = new Map();
+Money.locale = null;
+Money.converter = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
@@ -6,28 +6,7 @@
 class MortgageCalculator {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', flag: '🇺🇸', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', flag: '🇪🇺', rate: 0.92 },
-            'GBP': { symbol: '£', name: 'British Pound', flag: '🇬🇧', rate: 0.79 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', flag: '🇯🇵', rate: 150.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', flag: '🇨🇦', rate: 1.36 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', flag: '🇦🇺', rate: 1.52 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', flag: '🇨🇭', rate: 0.88 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', flag: '🇨🇳', rate: 7.25 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', flag: '🇮🇳', rate: 88.67 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', flag: '🇧🇷', rate: 5.45 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', flag: '🇸🇬', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', flag: '🇦🇪', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', flag: '🇸🇦', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', flag: '🇿🇦', rate: 18.5 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', flag: '🇲🇽', rate: 17.2 },
-            'KRW': { symbol: '₩', name: 'South Korean Won', flag: '🇰🇷', rate: 1350.0 },
-            'THB': { symbol: '฿', name: 'Thai Baht', flag: '🇹🇭', rate: 36.5 },
-            'NZD': { symbol: 'NZ$', name: 'New Zealand Dollar', flag: '🇳🇿', rate: 1.62 },
-            'NOK': { symbol: 'kr', name: 'Norwegian Krone', flag: '🇳🇴', rate: 10.8 },
-            'SEK': { symbol: 'kr', name: 'Swedish Krona', flag: '🇸🇪', rate: 10.9 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
     }
 
@@ -356,33 +335,15 @@ class MortgageCalculator {
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        }
-
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 0;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    formatCurrency(amount, currency = null, decimals = 0) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
     }
 
     /**
      * Format percentage
      */
     formatPercentage(value, decimals = 2) {
-        return `${value.toFixed(decimals)}%`;
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
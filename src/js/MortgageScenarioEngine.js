@@ -0,0 +1,504 @@
+/**
+ * Mortgage Scenario Engine
+ * Month-by-month mortgage simulation with ARM caps driven by an index path,
+ * PMI cancellation, prepayments and recasting, changing escrow, and
+ * side-by-side comparison of scenarios with refinance break-even points
+ */
+
+class MortgageScenarioEngine {
+    constructor() {
+        this.history = [];
+        this.pmiRequestLTV = 80;   // borrower may ask to cancel PMI at 80% of the original value
+        this.pmiAutomaticLTV = 78; // lender must cancel PMI at 78% on the original schedule
+    }
+
+    /**
+     * Simulate one scenario.
+     *
+     * Scenario fields:
+     * - name, loanAmount, interestRate (initial APR %), termYears (or termMonths)
+     * - propertyValue: original value used for LTV (needed for PMI)
+     * - closingCosts: paid up front, counted in comparisons
+     * - startDate: first payment month as 'YYYY-MM' (optional)
+     * - arm: { fixedMonths, adjustmentMonths, margin, initialCap, periodicCap,
+     *          lifetimeCap, floor, rounding, indexPath }
+     *   indexPath is either [{ month, rate }] (index from that month on) or a
+     *   plain list of index rates, one per adjustment; the last value carries on
+     * - extraPayment: extra principal every month
+     * - prepayments: [{ month, amount, recast, recastFee }]; a recast
+     *   re-amortizes the lower balance over the remaining term
+     * - pmi: { annualRate, requestLTV, automaticLTV, request } with annualRate
+     *   a percentage of the original loan amount
+     * - escrow: { propertyTax, insurance, annualIncrease, changes: [{ month, propertyTax, insurance }] }
+     *   with yearly amounts; annualIncrease (%) applies every 12 months
+     */
+    simulate(scenario) {
+        try {
+            const loan = this.normalizeScenario(scenario);
+            const schedule = [];
+            const events = [];
+
+            let balance = loan.loanAmount;
+            let scheduledBalance = loan.loanAmount; // balance on the required payments only, for PMI
+            let rate = loan.interestRate;
+            let payment = this.amortize(balance, rate, loan.termMonths);
+            let scheduledPayment = payment;
+            let adjustments = 0;
+
+            const pmi = loan.pmi;
+            let pmiActive = pmi !== null && this.ltv(balance, loan) > pmi.requestLTV;
+            let pmiCancelled = null;
+
+            let tax = loan.escrow.propertyTax;
+            let insurance = loan.escrow.insurance;
+
+            const totals = { interest: 0, principal: 0, extra: 0, prepayments: 0, recastFees: 0, pmi: 0, escrow: 0 };
+            let cumulativeCost = loan.closingCosts;
+            let month = 0;
+
+            while (balance > 0 && month < loan.termMonths) {
+                month++;
+                const date = loan.startDate ? this.formatMonth(loan.startDate, month - 1) : null;
+                const remaining = loan.termMonths - month + 1;
+
+                // ARM adjustment: new rate within the caps, payment re-amortized
+                if (loan.arm && this.isAdjustmentMonth(loan.arm, month)) {
+                    const newRate = this.adjustRate(loan.arm, rate, loan.interestRate, adjustments, month);
+                    adjustments++;
+                    if (newRate !== rate) {
+                        events.push({ month: month, date: date, type: 'rate-change', description: `Rate ${rate.toFixed(3)}% → ${newRate.toFixed(3)}%` });
+                    }
+                    rate = newRate;
+                    payment = this.amortize(balance, rate, remaining);
+                    scheduledPayment = this.amortize(scheduledBalance, rate, remaining);
+                }
+
+                // Escrow changes and yearly increases
+                if (month > 1 && (month - 1) % 12 === 0 && loan.escrow.annualIncrease) {
+                    tax *= 1 + loan.escrow.annualIncrease / 100;
+                    insurance *= 1 + loan.escrow.annualIncrease / 100;
+                }
+                for (const change of loan.escrow.changes.filter(item => item.month === month)) {
+                    if (change.propertyTax !== undefined) tax = Number(change.propertyTax);
+                    if (change.insurance !== undefined) insurance = Number(change.insurance);
+                    events.push({ month: month, date: date, type: 'escrow-change', description: `Escrow ${this.round((tax + insurance) / 12).toFixed(2)}/month` });
+                }
+
+                const monthlyRate = rate / 100 / 12;
+                const interest = this.round(balance * monthlyRate);
+                const principal = this.round(remaining === 1 ? balance : Math.min(payment - interest, balance));
+                let remainingBalance = this.round(balance - principal);
+
+                const extra = this.round(Math.min(loan.extraPayment, remainingBalance));
+                remainingBalance = this.round(remainingBalance - extra);
+
+                let prepayment = 0;
+                let recastFee = 0;
+                let recast = false;
+                for (const item of loan.prepayments.filter(entry => entry.month === month)) {
+                    const amount = this.round(Math.min(item.amount, remainingBalance));
+                    prepayment += amount;
+                    remainingBalance = this.round(remainingBalance - amount);
+                    events.push({ month: month, date: date, type: 'prepayment', description: `Prepayment ${amount.toFixed(2)}` });
+                    if (item.recast) {
+                        recast = true;
+                        recastFee += item.recastFee;
+                    }
+                }
+                if (recast && remainingBalance > 0) {
+                    payment = this.amortize(remainingBalance, rate, remaining - 1);
+                    events.push({ month: month, date: date, type: 'recast', description: `Payment recast to ${payment.toFixed(2)}` });
+                }
+
+                const pmiPayment = pmiActive ? this.round(loan.loanAmount * pmi.annualRate / 100 / 12) : 0;
+                const escrow = this.round((tax + insurance) / 12);
+
+                balance = remainingBalance;
+                const scheduledInterest = scheduledBalance * monthlyRate;
+                scheduledBalance = Math.max(0, scheduledBalance - (scheduledPayment - scheduledInterest));
+
+                // PMI stops once the loan is paid down far enough, or at the midpoint of the term
+                if (pmiActive) {
+                    let reason = null;
+                    if (pmi.request && this.ltv(balance, loan) <= pmi.requestLTV) {
+                        reason = `LTV reached ${pmi.requestLTV}% (borrower request)`;
+                    } else if (this.ltv(scheduledBalance, loan) <= pmi.automaticLTV) {
+                        reason = `Scheduled LTV reached ${pmi.automaticLTV}% (automatic)`;
+                    } else if (month >= Math.ceil(loan.termMonths / 2)) {
+                        reason = 'Midpoint of the loan term (automatic)';
+                    }
+                    if (reason) {
+                        pmiActive = false;
+                        pmiCancelled = { month: month, date: date, reason: reason };
+                        events.push({ month: month, date: date, type: 'pmi-cancelled', description: `PMI cancelled: ${reason}` });
+                    }
+                }
+
+                const totalPayment = this.round(interest + principal + extra + prepayment + recastFee + pmiPayment + escrow);
+                cumulativeCost = this.round(cumulativeCost + totalPayment);
+
+                totals.interest += interest;
+                totals.principal += principal;
+                totals.extra += extra;
+                totals.prepayments += prepayment;
+                totals.recastFees += recastFee;
+                totals.pmi += pmiPayment;
+                totals.escrow += escrow;
+
+                schedule.push({
+                    month: month,
+                    date: date,
+                    rate: rate,
+                    payment: this.round(interest + principal),
+                    interest: interest,
+                    principal: principal,
+                    extraPayment: extra,
+                    prepayment: this.round(prepayment),
+                    recastFee: recastFee,
+                    pmi: pmiPayment,
+                    escrow: escrow,
+                    totalPayment: totalPayment,
+                    balance: balance,
+                    ltv: loan.propertyValue ? this.round(this.ltv(balance, loan)) : null,
+                    cumulativeCost: cumulativeCost
+                });
+            }
+
+            const rates = schedule.map(row => row.rate);
+            const payments = schedule.map(row => row.payment);
+            const result = {
+                success: true,
+                name: loan.name,
+                loanAmount: loan.loanAmount,
+                termMonths: loan.termMonths,
+                closingCosts: loan.closingCosts,
+                initialPayment: schedule.length > 0 ? schedule[0].payment : 0,
+                initialTotalPayment: schedule.length > 0 ? schedule[0].totalPayment : 0,
+                maxPayment: Math.max(...payments, 0),
+                minRate: Math.min(...rates),
+                maxRate: Math.max(...rates),
+                payoffMonth: month,
+                payoffDate: loan.startDate ? this.formatMonth(loan.startDate, month - 1) : null,
+                totalInterest: this.round(totals.interest),
+                totalPrincipal: this.round(totals.principal + totals.extra + totals.prepayments),
+                totalPMI: this.round(totals.pmi),
+                totalEscrow: this.round(totals.escrow),
+                totalRecastFees: this.round(totals.recastFees),
+                totalCost: cumulativeCost,
+                pmiCancelled: pmiCancelled,
+                events: events,
+                schedule: schedule
+            };
+            this.addToHistory({ type: 'mortgage-scenario', name: loan.name, totalInterest: result.totalInterest, payoffMonth: month });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Compare scenarios against a baseline (the first one unless options.baseline
+     * names or indexes another). For each scenario the break-even month is the
+     * first month from which its net cost (closing costs and everything paid so
+     * far, plus the balance still owed) stays at or below the baseline's.
+     */
+    compareScenarios(scenarios, options = {}) {
+        try {
+            if (!Array.isArray(scenarios) || scenarios.length === 0) {
+                throw new Error('Add at least one scenario');
+            }
+
+            const results = scenarios.map((scenario, index) => {
+                const result = this.simulate({ name: `Scenario ${index + 1}`, ...scenario });
+                if (!result.success) {
+                    throw new Error(`${scenario.name || `Scenario ${index + 1}`}: ${result.error}`);
+                }
+                return result;
+            });
+
+            const baselineIndex = typeof options.baseline === 'string'
+                ? results.findIndex(result => result.name === options.baseline)
+                : (options.baseline || 0);
+            const baseline = results[baselineIndex];
+            if (!baseline) {
+                throw new Error(`Unknown baseline scenario: ${options.baseline}`);
+            }
+
+            const horizon = Math.max(...results.map(result => result.payoffMonth));
+            const comparison = results.map(result => {
+                const isBaseline = result === baseline;
+                const monthlySavings = this.round(baseline.initialTotalPayment - result.initialTotalPayment);
+                const extraCosts = this.round(result.closingCosts - baseline.closingCosts);
+                return {
+                    name: result.name,
+                    baseline: isBaseline,
+                    initialPayment: result.initialPayment,
+                    initialTotalPayment: result.initialTotalPayment,
+                    maxPayment: result.maxPayment,
+                    maxRate: result.maxRate,
+                    payoffMonth: result.payoffMonth,
+                    payoffDate: result.payoffDate,
+                    totalInterest: result.totalInterest,
+                    totalPMI: result.totalPMI,
+                    pmiCancelledMonth: result.pmiCancelled ? result.pmiCancelled.month : null,
+                    totalCost: result.totalCost,
+                    savings: isBaseline ? 0 : this.round(baseline.totalCost - result.totalCost),
+                    monthlySavings: isBaseline ? 0 : monthlySavings,
+                    simpleBreakEvenMonths: !isBaseline && monthlySavings > 0 && extraCosts > 0
+                        ? Math.ceil(extraCosts / monthlySavings)
+                        : null,
+                    breakEvenMonth: isBaseline ? null : this.breakEvenMonth(result, baseline, horizon)
+                };
+            });
+
+            return {
+                success: true,
+                baseline: baseline.name,
+                horizonMonths: horizon,
+                comparison: comparison,
+                results: results
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * First month from which a scenario's net cost stays at or below the
+     * baseline's through the horizon; null if it never does
+     */
+    breakEvenMonth(result, baseline, horizon) {
+        let breakEven = null;
+        for (let month = 0; month <= horizon; month++) {
+            const ahead = this.netCostAt(result, month) <= this.netCostAt(baseline, month) + 0.005;
+            if (ahead && breakEven === null) {
+                breakEven = month;
+            } else if (!ahead) {
+                breakEven = null;
+            }
+        }
+        return breakEven;
+    }
+
+    /**
+     * Money paid up to and including a month plus the balance still owed
+     */
+    netCostAt(result, month) {
+        if (month <= 0) {
+            return result.closingCosts + result.loanAmount;
+        }
+        const row = result.schedule[Math.min(month, result.schedule.length) - 1];
+        return row.cumulativeCost + (month <= result.schedule.length ? row.balance : 0);
+    }
+
+    /**
+     * Whether an ARM rate resets in a month: first after the fixed period,
+     * then every adjustment period
+     */
+    isAdjustmentMonth(arm, month) {
+        return month > arm.fixedMonths && (month - arm.fixedMonths - 1) % arm.adjustmentMonths === 0;
+    }
+
+    /**
+     * Fully indexed rate (index + margin, rounded) limited by the initial or
+     * periodic cap, the lifetime cap and the floor
+     */
+    adjustRate(arm, currentRate, initialRate, adjustments, month) {
+        const index = this.indexRate(arm, adjustments, month);
+        let rate = index + arm.margin;
+        if (arm.rounding > 0) {
+            rate = Math.round(rate / arm.rounding) * arm.rounding;
+        }
+
+        const cap = adjustments === 0 ? arm.initialCap : arm.periodicCap;
+        rate = Math.min(Math.max(rate, currentRate - cap), currentRate + cap);
+        rate = Math.min(Math.max(rate, arm.floor), initialRate + arm.lifetimeCap);
+        return Math.round(rate * 1000) / 1000;
+    }
+
+    /**
+     * Index value at an adjustment
+     */
+    indexRate(arm, adjustments, month) {
+        const path = arm.indexPath;
+        if (typeof path[0] === 'number') {
+            return path[Math.min(adjustments, path.length - 1)];
+        }
+        let index = path[0].rate;
+        for (const point of path) {
+            if (point.month <= month) index = point.rate;
+        }
+        return index;
+    }
+
+    /**
+     * Level payment that repays a balance over a number of months
+     */
+    amortize(balance, annualRate, months) {
+        if (months <= 0) return balance;
+        const monthlyRate = annualRate / 100 / 12;
+        if (monthlyRate === 0) {
+            return this.round(balance / months);
+        }
+        const factor = Math.pow(1 + monthlyRate, months);
+        return this.round(balance * monthlyRate * factor / (factor - 1));
+    }
+
+    /**
+     * Loan-to-value percentage against the original property value
+     */
+    ltv(balance, loan) {
+        return loan.propertyValue ? balance / loan.propertyValue * 100 : Infinity;
+    }
+
+    /**
+     * Check a scenario and fill in defaults
+     */
+    normalizeScenario(scenario) {
+        if (!scenario || typeof scenario !== 'object') {
+            throw new Error('Scenario must be an object');
+        }
+
+        const loanAmount = Number(scenario.loanAmount);
+        const interestRate = Number(scenario.interestRate);
+        const termMonths = scenario.termMonths !== undefined
+            ? Math.round(Number(scenario.termMonths))
+            : Math.round(Number(scenario.termYears) * 12);
+
+        if (!(loanAmount > 0)) {
+            throw new Error('Loan amount must be greater than zero');
+        }
+        if (!(interestRate >= 0)) {
+            throw new Error('Interest rate must be zero or more');
+        }
+        if (!(termMonths > 0)) {
+            throw new Error('Loan term must be greater than zero');
+        }
+
+        const propertyValue = scenario.propertyValue ? Number(scenario.propertyValue) : null;
+        let pmi = null;
+        if (scenario.pmi && Number(scenario.pmi.annualRate) > 0) {
+            if (!propertyValue) {
+                throw new Error('PMI needs the property value to work out the loan-to-value ratio');
+            }
+            pmi = {
+                annualRate: Number(scenario.pmi.annualRate),
+                requestLTV: scenario.pmi.requestLTV !== undefined ? Number(scenario.pmi.requestLTV) : this.pmiRequestLTV,
+                automaticLTV: scenario.pmi.automaticLTV !== undefined ? Number(scenario.pmi.automaticLTV) : this.pmiAutomaticLTV,
+                request: scenario.pmi.request !== false
+            };
+        }
+
+        let arm = null;
+        if (scenario.arm) {
+            const source = scenario.arm;
+            const indexPath = source.indexPath || [];
+            if (indexPath.length === 0) {
+                throw new Error('ARM scenarios need an index path');
+            }
+            const margin = Number(source.margin) || 0;
+            arm = {
+                fixedMonths: Math.max(0, Math.round(Number(source.fixedMonths) || 0)),
+                adjustmentMonths: Math.max(1, Math.round(Number(source.adjustmentMonths) || 12)),
+                margin: margin,
+                initialCap: source.initialCap !== undefined ? Number(source.initialCap) : Infinity,
+                periodicCap: source.periodicCap !== undefined ? Number(source.periodicCap) : Infinity,
+                lifetimeCap: source.lifetimeCap !== undefined ? Number(source.lifetimeCap) : Infinity,
+                floor: source.floor !== undefined ? Number(source.floor) : margin,
+                rounding: source.rounding !== undefined ? Number(source.rounding) : 0.125,
+                indexPath: indexPath
+            };
+        }
+
+        const escrow = scenario.escrow || {};
+        const prepayments = (scenario.prepayments || []).map(item => {
+            const month = Math.round(Number(item.month));
+            const amount = Number(item.amount);
+            if (!(month >= 1) || !(amount > 0)) {
+                throw new Error('Prepayments need a month of 1 or more and a positive amount');
+            }
+            return { month: month, amount: amount, recast: Boolean(item.recast), recastFee: Number(item.recastFee) || 0 };
+        });
+
+        return {
+            name: scenario.name || 'Scenario',
+            loanAmount: loanAmount,
+            interestRate: interestRate,
+            termMonths: termMonths,
+            propertyValue: propertyValue,
+            closingCosts: Number(scenario.closingCosts) || 0,
+            startDate: this.parseStartDate(scenario.startDate),
+            arm: arm,
+            extraPayment: Math.max(0, Number(scenario.extraPayment) || 0),
+            prepayments: prepayments,
+            pmi: pmi,
+            escrow: {
+                propertyTax: Number(escrow.propertyTax) || 0,
+                insurance: Number(escrow.insurance) || 0,
+                annualIncrease: Number(escrow.annualIncrease) || 0,
+                changes: (escrow.changes || []).map(change => ({ ...change, month: Math.round(Number(change.month)) }))
+            }
+        };
+    }
+
+    /**
+     * Parse an optional 'YYYY-MM' start month
+     */
+    parseStartDate(startDate) {
+        if (!startDate) return null;
+        const match = String(startDate).match(/^(\d{4})-(\d{1,2})/);
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+            throw new Error(`Invalid start date: ${startDate} (use YYYY-MM)`);
+        }
+        return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    }
+
+    /**
+     * Format the month a number of months after the start as YYYY-MM
+     */
+    formatMonth(startDate, offset) {
+        const date = new Date(startDate.getFullYear(), startDate.getMonth() + offset, 1);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Round to cents
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Add to history
+     */
+    addToHistory(calculation) {
+        this.history.unshift({
+            ...calculation,
+            timestamp: new Date()
+        });
+
+        // Keep only last 20 calculations
+        if (this.history.length > 20) {
+            this.history = this.history.slice(0, 20);
+        }
+    }
+
+    /**
+     * Get history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Clear history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MortgageScenarioEngine;
+}
@@ -1,8 +1,8 @@
 /**
  * NumericTypes.js - Numeric type system for scientific calculator
  * 
- * Implements IEEE-754 floating point, arbitrary precision, and complex numbers
- * with proper type promotion and error handling.
+ * Implements IEEE-754 floating point, arbitrary precision, exact fractions,
+ * complex numbers and dense matrices with proper type promotion and error handling.
  */
 
 // IEEE-754 Double precision constants
@@ -24,6 +24,11 @@ class Complex {
         this.imaginary = imaginary;
     }
 
+    // Build r∠θ from a magnitude and an angle in radians
+    static fromPolar(magnitude, angle) {
+        return new Complex(magnitude * Math.cos(angle), magnitude * Math.sin(angle));
+    }
+
     // Basic operations
     add(other) {
         if (typeof other === 'number') {
@@ -62,9 +67,22 @@ class Complex {
     }
 
     power(exponent) {
+        if (exponent instanceof Complex && exponent.imaginary === 0) {
+            exponent = exponent.real;
+        }
         if (typeof exponent === 'number' && Number.isInteger(exponent)) {
             return this.integerPower(exponent);
         }
+        if (exponent === 0.5) {
+            return this.sqrt();
+        }
+        if (this.real === 0 && this.imaginary === 0) {
+            // 0^w is 0 when Re(w) > 0 and undefined otherwise
+            if ((exponent instanceof Complex ? exponent.real : exponent) > 0) {
+                return new Complex(0, 0);
+            }
+            throw new Error('Zero raised to a power with non-positive real part');
+        }
         // For non-integer powers, use exponential form: z^w = e^(w * ln(z))
         const ln = this.ln();
         const w_ln_z = exponent instanceof Complex ? exponent.multiply(ln) : new Complex(exponent, 0).multiply(ln);
@@ -89,13 +107,23 @@ class Complex {
         return result;
     }
 
+    negate() {
+        return new Complex(-this.real, -this.imaginary);
+    }
+
+    equals(other) {
+        const value = TypePromoter.toComplex(other);
+        return this.real === value.real && this.imaginary === value.imaginary;
+    }
+
     // Complex functions
     magnitude() {
         return Math.sqrt(this.real * this.real + this.imaginary * this.imaginary);
     }
 
     argument() {
-        return Math.atan2(this.imaginary, this.real);
+        // Adding 0 turns -0 into 0, so the negative real axis is always +π
+        return Math.atan2(this.imaginary + 0, this.real);
     }
 
     conjugate() {
@@ -124,6 +152,18 @@ class Complex {
         return new Complex(Math.log(magnitude), this.argument());
     }
 
+    log10() {
+        return this.ln().divide(Math.LN10);
+    }
+
+    // Principal square root, computed directly so sqrt(-4) is exactly 2i
+    sqrt() {
+        const magnitude = this.magnitude();
+        const real = Math.sqrt((magnitude + this.real) / 2);
+        const imaginary = Math.sqrt((magnitude - this.real) / 2);
+        return new Complex(real, this.imaginary < 0 ? -imaginary : imaginary);
+    }
+
     // Trigonometric functions
     sin() {
         const e_iz = new Complex(-this.imaginary, this.real).exp();
@@ -143,16 +183,64 @@ class Complex {
         return sin_z.divide(cos_z);
     }
 
-    // String representation
-    toString() {
-        if (this.imaginary === 0) {
-            return this.real.toString();
+    // asin(z) = -i * ln(i*z + sqrt(1 - z^2))
+    asin() {
+        const i = new Complex(0, 1);
+        const sqrt_term = new Complex(1, 0).subtract(this.multiply(this)).sqrt();
+        return i.multiply(this).add(sqrt_term).ln().multiply(new Complex(0, -1));
+    }
+
+    // acos(z) = π/2 - asin(z)
+    acos() {
+        return new Complex(Math.PI / 2, 0).subtract(this.asin());
+    }
+
+    // atan(z) = (i/2) * ln((1 - i*z)/(1 + i*z))
+    atan() {
+        const i_z = new Complex(0, 1).multiply(this);
+        const ln_term = new Complex(1, 0).subtract(i_z).divide(new Complex(1, 0).add(i_z)).ln();
+        return new Complex(0, 0.5).multiply(ln_term);
+    }
+
+    // Hyperbolic functions
+    sinh() {
+        return this.exp().subtract(this.negate().exp()).divide(2);
+    }
+
+    cosh() {
+        return this.exp().add(this.negate().exp()).divide(2);
+    }
+
+    tanh() {
+        return this.sinh().divide(this.cosh());
+    }
+
+    // String representation, e.g. "3 - 4i". Parts below the rounding noise
+    // of the other part are dropped, so e^(iπ) shows as -1.
+    toString(formatValue = value => value.toString()) {
+        const noise = 1e-14 * this.magnitude();
+        const real = Math.abs(this.real) > noise ? this.real : 0;
+        const imaginary = Math.abs(this.imaginary) > noise ? this.imaginary : 0;
+
+        const imaginaryText = formatValue(Math.abs(imaginary));
+        if (imaginary === 0 || Number(imaginaryText) === 0) {
+            return formatValue(real);
         }
-        if (this.real === 0) {
-            return this.imaginary === 1 ? 'i' : this.imaginary === -1 ? '-i' : `${this.imaginary}i`;
+        const imag_part = imaginaryText === '1' ? 'i' : `${imaginaryText}i`;
+        const realText = formatValue(real);
+        if (real === 0 || Number(realText) === 0) {
+            return imaginary < 0 ? `-${imag_part}` : imag_part;
         }
-        const imag_part = this.imaginary === 1 ? 'i' : this.imaginary === -1 ? '-i' : `${this.imaginary}i`;
-        return `${this.real}${this.imaginary > 0 ? '+' : ''}${imag_part}`;
+        return `${realText} ${imaginary < 0 ? '-' : '+'} ${imag_part}`;
+    }
+
+    // Polar representation r∠θ; fromRadians converts the angle for display
+    toPolarString(formatValue = value => value.toString(), fromRadians = angle => angle) {
+        const magnitude = this.magnitude();
+        if (magnitude === 0) {
+            return formatValue(0);
+        }
+        return `${formatValue(magnitude)}∠${formatValue(fromRadians(this.argument()))}`;
     }
 
     // Check if it's a real number
@@ -169,72 +257,380 @@ class Complex {
     }
 }
 
-// Arbitrary precision decimal class (simplified)
+// Arbitrary precision decimal class
+// Values are stored as a signed BigInt coefficient and a base-10 scale:
+// value = coefficient × 10^-scale. Results are rounded to `precision`
+// significant digits using `roundingMode` (same names as ScientificModes).
 class Decimal {
-    constructor(value, precision = 50) {
+    constructor(value, precision = 50, roundingMode = 'nearest') {
         this.precision = precision;
-        if (typeof value === 'string') {
-            this.value = this.parseDecimal(value);
-        } else if (typeof value === 'number') {
-            this.value = this.parseDecimal(value.toString());
-        } else {
-            this.value = { integer: '0', fractional: '0', negative: false };
+        this.roundingMode = roundingMode;
+        this.coefficient = 0n;
+        this.scale = 0;
+
+        if (value instanceof Decimal) {
+            this.coefficient = value.coefficient;
+            this.scale = value.scale;
+        } else if (typeof value === 'bigint') {
+            this.coefficient = value;
+        } else if (typeof value === 'string' || typeof value === 'number') {
+            const parsed = this.parseDecimal(value.toString());
+            const digits = (parsed.integer + parsed.fractional).replace(/^0+(?=\d)/, '');
+            this.coefficient = BigInt(digits) * (parsed.negative ? -1n : 1n);
+            this.scale = parsed.fractional.length;
         }
+
+        this.normalize();
     }
 
-    parseDecimal(str) {
-        const trimmed = str.trim();
-        const negative = trimmed.startsWith('-');
-        const clean = negative ? trimmed.slice(1) : trimmed;
-        
-        if (clean.includes('.')) {
-            const [integer, fractional] = clean.split('.');
-            return {
-                integer: integer || '0',
-                fractional: fractional || '0',
-                negative
-            };
-        } else {
+    static get ROUNDING_MODES() {
+        return ['nearest', 'up', 'down', 'toward_zero'];
+    }
+
+    /**
+     * Build a Decimal directly from a coefficient and scale
+     */
+    static fromScaled(coefficient, scale, precision = 50, roundingMode = 'nearest') {
+        const result = new Decimal(null, precision, roundingMode);
+        result.coefficient = coefficient;
+        result.scale = scale;
+        return result.normalize();
+    }
+
+    /**
+     * Coerce numbers, strings, bigints and Decimals to a Decimal
+     */
+    static from(value, precision = 50, roundingMode = 'nearest') {
+        if (value instanceof Decimal) return value;
+        return new Decimal(value, precision, roundingMode);
+    }
+
+    static pow10(n) {
+        return 10n ** BigInt(n);
+    }
+
+    static digitCount(n) {
+        return (n < 0n ? -n : n).toString().length;
+    }
+
+    /**
+     * Drop digits from a scaled coefficient, rounding the kept part.
+     * `inexact` signals that non-zero digits were already discarded
+     * beyond `coefficient` (a sticky bit from division or sqrt).
+     */
+    static roundScaled(coefficient, scale, targetScale, mode, inexact = false) {
+        if (targetScale >= scale) {
             return {
-                integer: clean || '0',
-                fractional: '0',
-                negative
+                coefficient: coefficient * Decimal.pow10(targetScale - scale),
+                scale: targetScale
             };
         }
+
+        const divisor = Decimal.pow10(scale - targetScale);
+        let quotient = coefficient / divisor;
+        const remainder = coefficient % divisor;
+        const absRemainder = remainder < 0n ? -remainder : remainder;
+        const discarded = absRemainder !== 0n || inexact;
+        const negative = coefficient < 0n;
+
+        switch (mode) {
+            case 'up':
+                if (discarded && !negative) quotient += 1n;
+                break;
+            case 'down':
+                if (discarded && negative) quotient -= 1n;
+                break;
+            case 'toward_zero':
+                break;
+            case 'nearest':
+            default:
+                // Half away from zero
+                if (2n * absRemainder >= divisor) {
+                    quotient += negative ? -1n : 1n;
+                }
+                break;
+        }
+
+        return { coefficient: quotient, scale: targetScale };
+    }
+
+    parseDecimal(str) {
+        const trimmed = str.trim();
+        const match = trimmed.match(/^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+        if (!match || (match[2] === '' && (match[3] === undefined || match[3] === ''))) {
+            throw new NumericError(`Invalid decimal: ${str}`, 'INVALID_OPERATION');
+        }
+
+        const negative = match[1] === '-';
+        let integer = match[2] || '0';
+        let fractional = match[3] || '';
+        const exponent = match[4] ? parseInt(match[4], 10) : 0;
+
+        // Shift the decimal point for scientific notation
+        if (exponent > 0) {
+            fractional = fractional.padEnd(exponent, '0');
+            integer += fractional.slice(0, exponent);
+            fractional = fractional.slice(exponent);
+        } else if (exponent < 0) {
+            integer = integer.padStart(-exponent + 1, '0');
+            fractional = integer.slice(exponent) + fractional;
+            integer = integer.slice(0, exponent);
+        }
+
+        return {
+            integer: integer.replace(/^0+(?=\d)/, '') || '0',
+            fractional: fractional,
+            negative
+        };
+    }
+
+    /**
+     * Strip trailing zeros and keep the scale non-negative
+     */
+    normalize() {
+        if (this.scale < 0) {
+            this.coefficient *= Decimal.pow10(-this.scale);
+            this.scale = 0;
+        }
+        while (this.scale > 0 && this.coefficient % 10n === 0n) {
+            this.coefficient /= 10n;
+            this.scale--;
+        }
+        if (this.coefficient === 0n) {
+            this.scale = 0;
+        }
+        return this;
+    }
+
+    /**
+     * Round to the configured number of significant digits
+     */
+    roundToPrecision(coefficient, scale, precision, inexact = false) {
+        const excess = Decimal.digitCount(coefficient) - precision;
+        if (excess > 0 || inexact) {
+            const rounded = Decimal.roundScaled(
+                coefficient, scale, scale - Math.max(excess, 0), this.roundingMode, inexact
+            );
+            coefficient = rounded.coefficient;
+            scale = rounded.scale;
+        }
+        return Decimal.fromScaled(coefficient, scale, precision, this.roundingMode);
+    }
+
+    coerce(other) {
+        return Decimal.from(other, this.precision, this.roundingMode);
+    }
+
+    // Legacy view of the digits, kept for callers that read `value`
+    get value() {
+        const digits = (this.coefficient < 0n ? -this.coefficient : this.coefficient)
+            .toString()
+            .padStart(this.scale + 1, '0');
+        const split = digits.length - this.scale;
+        return {
+            integer: digits.slice(0, split),
+            fractional: digits.slice(split) || '0',
+            negative: this.coefficient < 0n
+        };
     }
 
     add(other) {
-        // Simplified addition - in real implementation would handle carry properly
-        const a = parseFloat(this.toString());
-        const b = parseFloat(other.toString());
-        return new Decimal((a + b).toString(), Math.max(this.precision, other.precision));
+        other = this.coerce(other);
+        const scale = Math.max(this.scale, other.scale);
+        const sum = this.coefficient * Decimal.pow10(scale - this.scale) +
+            other.coefficient * Decimal.pow10(scale - other.scale);
+        return this.roundToPrecision(sum, scale, Math.max(this.precision, other.precision));
     }
 
     subtract(other) {
-        const a = parseFloat(this.toString());
-        const b = parseFloat(other.toString());
-        return new Decimal((a - b).toString(), Math.max(this.precision, other.precision));
+        return this.add(this.coerce(other).negate());
     }
 
     multiply(other) {
-        const a = parseFloat(this.toString());
-        const b = parseFloat(other.toString());
-        return new Decimal((a * b).toString(), Math.max(this.precision, other.precision));
+        other = this.coerce(other);
+        return this.roundToPrecision(
+            this.coefficient * other.coefficient,
+            this.scale + other.scale,
+            Math.max(this.precision, other.precision)
+        );
     }
 
     divide(other) {
-        const a = parseFloat(this.toString());
-        const b = parseFloat(other.toString());
-        if (b === 0) throw new Error('Division by zero');
-        return new Decimal((a / b).toString(), Math.max(this.precision, other.precision));
+        other = this.coerce(other);
+        if (other.isZero()) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+
+        const precision = Math.max(this.precision, other.precision);
+        // Two guard digits beyond the requested precision
+        const shift = Math.max(
+            0,
+            precision + 2 - Decimal.digitCount(this.coefficient) + Decimal.digitCount(other.coefficient)
+        );
+        const numerator = this.coefficient * Decimal.pow10(shift);
+        const quotient = numerator / other.coefficient;
+        const inexact = numerator % other.coefficient !== 0n;
+
+        return this.roundToPrecision(quotient, this.scale - other.scale + shift, precision, inexact);
+    }
+
+    /**
+     * Remainder with the sign of the dividend, like the % operator
+     */
+    modulo(other) {
+        other = this.coerce(other);
+        if (other.isZero()) {
+            throw new NumericError('Modulo by zero', 'DIVISION_BY_ZERO');
+        }
+        const scale = Math.max(this.scale, other.scale);
+        const a = this.coefficient * Decimal.pow10(scale - this.scale);
+        const b = other.coefficient * Decimal.pow10(scale - other.scale);
+        return Decimal.fromScaled(a % b, scale, Math.max(this.precision, other.precision), this.roundingMode);
+    }
+
+    /**
+     * Raise to a power. Integer exponents are computed exactly (up to
+     * precision), half-integers go through sqrt, anything else falls back
+     * to IEEE-754 because the result is irrational anyway.
+     */
+    power(exponent) {
+        const exp = this.coerce(exponent);
+
+        if (exp.isInteger()) {
+            let n = exp.coefficient < 0n ? -exp.coefficient : exp.coefficient;
+            if (this.isZero() && exp.isNegative()) {
+                throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+            }
+
+            // Keep guard digits while squaring so the final rounding is clean
+            const workingPrecision = this.precision + 10;
+            let result = Decimal.fromScaled(1n, 0, workingPrecision, this.roundingMode);
+            let base = Decimal.fromScaled(this.coefficient, this.scale, workingPrecision, this.roundingMode);
+            while (n > 0n) {
+                if (n & 1n) result = result.multiply(base);
+                n >>= 1n;
+                if (n > 0n) base = base.multiply(base);
+            }
+
+            if (exp.isNegative()) {
+                const one = Decimal.fromScaled(1n, 0, this.precision, this.roundingMode);
+                return one.divide(Decimal.fromScaled(result.coefficient, result.scale, this.precision, this.roundingMode));
+            }
+            return this.roundToPrecision(result.coefficient, result.scale, this.precision);
+        }
+
+        const doubled = exp.multiply(2);
+        if (doubled.isInteger()) {
+            return this.sqrt().power(doubled);
+        }
+
+        const value = Math.pow(this.toNumber(), exp.toNumber());
+        if (!isFinite(value)) {
+            throw new NumericError('Invalid operation', 'INVALID_OPERATION');
+        }
+        return new Decimal(value, this.precision, this.roundingMode);
+    }
+
+    sqrt() {
+        if (this.isNegative()) {
+            throw new NumericError('Square root of negative decimal', 'INVALID_OPERATION');
+        }
+        if (this.isZero()) {
+            return Decimal.fromScaled(0n, 0, this.precision, this.roundingMode);
+        }
+
+        // Choose a result scale that yields precision + 2 digits
+        const magnitude = Decimal.digitCount(this.coefficient) - this.scale;
+        let targetScale = this.precision + 2 - Math.ceil(magnitude / 2);
+        targetScale = Math.max(targetScale, Math.ceil(this.scale / 2));
+        const radicand = this.coefficient * Decimal.pow10(2 * targetScale - this.scale);
+
+        const root = Decimal.integerSqrt(radicand);
+        return this.roundToPrecision(root, targetScale, this.precision, root * root !== radicand);
+    }
+
+    static integerSqrt(n) {
+        if (n < 2n) return n;
+        // Newton iteration from an overestimate
+        let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+        let next = (x + n / x) >> 1n;
+        while (next < x) {
+            x = next;
+            next = (x + n / x) >> 1n;
+        }
+        return x;
+    }
+
+    negate() {
+        return Decimal.fromScaled(-this.coefficient, this.scale, this.precision, this.roundingMode);
+    }
+
+    abs() {
+        return this.isNegative() ? this.negate() : this;
+    }
+
+    /**
+     * Round to a fixed number of decimal places
+     */
+    round(decimalPlaces = 0, mode = this.roundingMode) {
+        const rounded = Decimal.roundScaled(this.coefficient, this.scale, decimalPlaces, mode);
+        return Decimal.fromScaled(rounded.coefficient, rounded.scale, this.precision, this.roundingMode);
+    }
+
+    // Comparison
+    compareTo(other) {
+        other = this.coerce(other);
+        const scale = Math.max(this.scale, other.scale);
+        const a = this.coefficient * Decimal.pow10(scale - this.scale);
+        const b = other.coefficient * Decimal.pow10(scale - other.scale);
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    equals(other) {
+        return this.compareTo(other) === 0;
+    }
+
+    lessThan(other) {
+        return this.compareTo(other) < 0;
+    }
+
+    greaterThan(other) {
+        return this.compareTo(other) > 0;
+    }
+
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    isNegative() {
+        return this.coefficient < 0n;
+    }
+
+    isInteger() {
+        return this.scale === 0;
     }
 
     toString() {
-        const sign = this.value.negative ? '-' : '';
-        if (this.value.fractional === '0') {
-            return sign + this.value.integer;
+        const { integer, fractional, negative } = this.value;
+        const sign = negative ? '-' : '';
+        if (this.scale === 0) {
+            return sign + integer;
         }
-        return sign + this.value.integer + '.' + this.value.fractional;
+        return sign + integer + '.' + fractional;
+    }
+
+    /**
+     * Fixed-point string, rounded with the current rounding mode
+     */
+    toFixed(decimalPlaces = 0) {
+        const rounded = Decimal.roundScaled(this.coefficient, this.scale, decimalPlaces, this.roundingMode);
+        const negative = rounded.coefficient < 0n;
+        const digits = (negative ? -rounded.coefficient : rounded.coefficient)
+            .toString()
+            .padStart(decimalPlaces + 1, '0');
+        const split = digits.length - decimalPlaces;
+        const body = decimalPlaces > 0 ? `${digits.slice(0, split)}.${digits.slice(split)}` : digits;
+        return (negative ? '-' : '') + body;
     }
 
     toNumber() {
@@ -242,6 +638,770 @@ class Decimal {
     }
 }
 
+// Exact rational number class
+// Stored as BigInt numerator / denominator in lowest terms with a positive
+// denominator, so 1/3 + 1/6 is exactly 1/2.
+class Fraction {
+    constructor(numerator, denominator = 1n) {
+        numerator = Fraction.toBigInt(numerator);
+        denominator = Fraction.toBigInt(denominator);
+        if (denominator === 0n) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const divisor = Fraction.gcd(numerator, denominator);
+        this.numerator = numerator / divisor;
+        this.denominator = denominator / divisor;
+    }
+
+    static toBigInt(value) {
+        if (typeof value === 'bigint') return value;
+        if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+        throw new NumericError(`Fraction parts must be integers, got ${value}`, 'INVALID_OPERATION');
+    }
+
+    static gcd(a, b) {
+        a = a < 0n ? -a : a;
+        b = b < 0n ? -b : b;
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a === 0n ? 1n : a;
+    }
+
+    /**
+     * Coerce a Fraction, integer, bigint, Decimal or string ("3/4", "0.25",
+     * "1e-3") to an exact Fraction. Non-integer numbers are read from their
+     * shortest decimal form, so 0.1 becomes 1/10.
+     */
+    static from(value) {
+        if (value instanceof Fraction) return value;
+        if (typeof value === 'bigint') return new Fraction(value);
+        if (value instanceof Decimal) {
+            return new Fraction(value.coefficient, Decimal.pow10(value.scale));
+        }
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                throw new NumericError(`Cannot convert ${value} to a fraction`, 'INVALID_OPERATION');
+            }
+            return Number.isInteger(value) && Number.isSafeInteger(value) ?
+                new Fraction(value) : Fraction.from(new Decimal(value.toString()));
+        }
+        if (typeof value === 'string') {
+            const ratio = value.trim().match(/^([+-]?\d+)\s*\/\s*([+-]?\d+)$/);
+            if (ratio) {
+                return new Fraction(BigInt(ratio[1]), BigInt(ratio[2]));
+            }
+            return Fraction.from(new Decimal(value));
+        }
+        throw new NumericError(`Cannot convert ${typeof value} to Fraction`, 'INVALID_OPERATION');
+    }
+
+    /**
+     * Continued fraction terms [a0; a1, a2, ...] of a number
+     * @param {number} x - Value
+     * @param {number} maxTerms - Maximum number of terms
+     * @returns {Array<number>} Terms
+     */
+    static continuedFraction(x, maxTerms = 20) {
+        const terms = [];
+        let value = x;
+        for (let i = 0; i < maxTerms && isFinite(value); i++) {
+            const term = Math.floor(value);
+            terms.push(term);
+            const rest = value - term;
+            if (Math.abs(rest) < 1e-15 * Math.max(1, Math.abs(value))) break;
+            value = 1 / rest;
+        }
+        return terms;
+    }
+
+    /**
+     * Nearest fraction to a floating-point number, from the convergents of
+     * its continued fraction. Returns null when no fraction with a
+     * denominator up to maxDenominator is within the relative tolerance,
+     * e.g. for π or √2. The default tolerance is a few units in the last
+     * place, enough to absorb rounding such as sin(π/6) = 0.49999999999999994.
+     * @param {number} x - Value
+     * @param {number} maxDenominator - Largest denominator to accept
+     * @param {number} tolerance - Relative tolerance
+     * @returns {Fraction|null} Fraction or null
+     */
+    static approximate(x, maxDenominator = 100000, tolerance = 1e-14) {
+        if (!isFinite(x)) return null;
+        if (Number.isSafeInteger(x)) return new Fraction(x);
+
+        // Convergents h/k: h(n) = a(n)·h(n-1) + h(n-2), likewise for k
+        let [h0, h1, k0, k1] = [0, 1, 1, 0];
+        for (const term of Fraction.continuedFraction(x, 40)) {
+            [h0, h1] = [h1, term * h1 + h0];
+            [k0, k1] = [k1, term * k1 + k0];
+            if (k1 > maxDenominator || !Number.isSafeInteger(h1)) break;
+            if (Math.abs(x - h1 / k1) <= tolerance * Math.abs(x)) {
+                return new Fraction(h1, k1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Integer k-th root of a non-negative BigInt, or null if it is not exact
+     */
+    static exactRoot(n, k) {
+        if (n < 2n) return n;
+        // Integer Newton iteration from a power of two above the root; it
+        // falls monotonically to floor(n^(1/k)), at any size of n
+        let x = 1n << BigInt(Math.ceil(n.toString(2).length / Number(k)));
+        for (;;) {
+            const next = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+            if (next >= x) break;
+            x = next;
+        }
+        return x ** k === n ? x : null;
+    }
+
+    add(other) {
+        other = Fraction.from(other);
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    subtract(other) {
+        return this.add(Fraction.from(other).negate());
+    }
+
+    multiply(other) {
+        other = Fraction.from(other);
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    divide(other) {
+        other = Fraction.from(other);
+        if (other.isZero()) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    /**
+     * Remainder with the sign of the dividend, like the % operator
+     */
+    modulo(other) {
+        other = Fraction.from(other);
+        if (other.isZero()) {
+            throw new NumericError('Modulo by zero', 'DIVISION_BY_ZERO');
+        }
+        const a = this.numerator * other.denominator;
+        const b = other.numerator * this.denominator;
+        return new Fraction(a % b, this.denominator * other.denominator);
+    }
+
+    /**
+     * Raise to a power. Integer exponents and rational exponents whose root
+     * is exact ((4/9)^(1/2) = 2/3) stay exact; anything else returns a
+     * plain number because the result is irrational.
+     */
+    power(exponent) {
+        if (typeof exponent === 'number' && !Number.isInteger(exponent)) {
+            return Math.pow(this.toNumber(), exponent);
+        }
+        const exp = Fraction.from(exponent);
+
+        const negativeExponent = exp.numerator < 0n;
+        const p = negativeExponent ? -exp.numerator : exp.numerator;
+        if (this.isZero() && negativeExponent) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        if (p > 100000n) {
+            return Math.pow(this.toNumber(), exp.toNumber());
+        }
+
+        let base = this;
+        if (exp.denominator !== 1n) {
+            const q = exp.denominator;
+            // Odd roots of negative numbers are real
+            const negative = this.isNegative();
+            if (negative && q % 2n === 0n) {
+                return Math.pow(this.toNumber(), exp.toNumber());
+            }
+            const numerator = Fraction.exactRoot(negative ? -this.numerator : this.numerator, q);
+            const denominator = Fraction.exactRoot(this.denominator, q);
+            if (numerator === null || denominator === null) {
+                const root = Math.pow(Math.abs(this.toNumber()), 1 / Number(q));
+                const value = Math.pow(negative ? -root : root, Number(p));
+                return negativeExponent ? 1 / value : value;
+            }
+            base = new Fraction(negative ? -numerator : numerator, denominator);
+        }
+
+        const result = new Fraction(base.numerator ** p, base.denominator ** p);
+        return negativeExponent ? result.reciprocal() : result;
+    }
+
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    abs() {
+        return this.isNegative() ? this.negate() : this;
+    }
+
+    reciprocal() {
+        if (this.isZero()) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        return new Fraction(this.denominator, this.numerator);
+    }
+
+    // Comparison
+    compareTo(other) {
+        other = Fraction.from(other);
+        const a = this.numerator * other.denominator;
+        const b = other.numerator * this.denominator;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    equals(other) {
+        return this.compareTo(other) === 0;
+    }
+
+    lessThan(other) {
+        return this.compareTo(other) < 0;
+    }
+
+    greaterThan(other) {
+        return this.compareTo(other) > 0;
+    }
+
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    isNegative() {
+        return this.numerator < 0n;
+    }
+
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    /**
+     * Exact continued fraction terms [a0; a1, a2, ...]
+     */
+    toContinuedFraction() {
+        const terms = [];
+        let [numerator, denominator] = [this.numerator, this.denominator];
+        while (denominator !== 0n) {
+            // Floor division for negative numerators
+            let term = numerator / denominator;
+            if (numerator % denominator !== 0n && numerator < 0n) term -= 1n;
+            terms.push(term);
+            [numerator, denominator] = [denominator, numerator - term * denominator];
+        }
+        return terms;
+    }
+
+    // Improper form: "7/2", or "3" for integers
+    toString() {
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+
+    // Mixed number: "3 1/2", "-1 1/4"; proper fractions stay "1/2"
+    toMixedString() {
+        const negative = this.isNegative();
+        const numerator = negative ? -this.numerator : this.numerator;
+        const whole = numerator / this.denominator;
+        const rest = numerator % this.denominator;
+        if (whole === 0n || rest === 0n) {
+            return this.toString();
+        }
+        return `${negative ? '-' : ''}${whole} ${rest}/${this.denominator}`;
+    }
+
+    toDecimal(precision = 50, roundingMode = 'nearest') {
+        return new Decimal(this.numerator, precision, roundingMode).divide(new Decimal(this.denominator, precision, roundingMode));
+    }
+
+    toNumber() {
+        // Scale huge parts down together so the quotient does not overflow
+        const excess = Math.max(this.numerator.toString().length, this.denominator.toString().length) - 300;
+        if (excess > 0) {
+            const divisor = Decimal.pow10(excess);
+            return Number(this.numerator / divisor) / Number(this.denominator / divisor);
+        }
+        return Number(this.numerator) / Number(this.denominator);
+    }
+}
+
+// Dense real matrix class
+// Stored row-major as an array of row arrays. Vector literals such as
+// [1, 2, 3] become n×1 column vectors so A * [1, 2] is a matrix-vector product.
+class Matrix {
+    constructor(data) {
+        if (!Array.isArray(data) || data.length === 0 || !Array.isArray(data[0]) || data[0].length === 0) {
+            throw new NumericError('Matrix must have at least one row and one column', 'DIMENSION_MISMATCH');
+        }
+        const cols = data[0].length;
+        for (const row of data) {
+            if (!Array.isArray(row) || row.length !== cols) {
+                throw new NumericError('Matrix rows must all have the same length', 'DIMENSION_MISMATCH');
+            }
+            for (const value of row) {
+                if (typeof value !== 'number') {
+                    throw new NumericError('Matrix elements must be real numbers', 'INVALID_OPERATION');
+                }
+            }
+        }
+
+        this.data = data.map(row => [...row]);
+        this.rows = data.length;
+        this.cols = cols;
+    }
+
+    static isMatrix(value) {
+        return value instanceof Matrix;
+    }
+
+    // Build a matrix from the elements of a [ ... ] literal
+    static fromElements(elements) {
+        if (elements.length === 0) {
+            throw new NumericError('Empty matrix literal', 'DIMENSION_MISMATCH');
+        }
+        if (elements.every(element => typeof element === 'number')) {
+            return new Matrix(elements.map(value => [value]));
+        }
+        if (elements.some(element => element instanceof Complex)) {
+            throw new NumericError('Matrix entries must be real numbers; complex matrices are not supported', 'INVALID_OPERATION');
+        }
+        if (elements.every(element => element instanceof Matrix && (element.cols === 1 || element.rows === 1))) {
+            return new Matrix(elements.map(element => element.toArray().flat()));
+        }
+        throw new NumericError('Matrix rows must be lists of numbers, e.g. [[1, 2], [3, 4]]', 'INVALID_OPERATION');
+    }
+
+    static identity(n) {
+        if (!Number.isInteger(n) || n < 1) {
+            throw new NumericError('Identity size must be a positive integer', 'INVALID_OPERATION');
+        }
+        return new Matrix(Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))));
+    }
+
+    static zeros(rows, cols) {
+        return new Matrix(Array.from({ length: rows }, () => new Array(cols).fill(0)));
+    }
+
+    // Operator entry points; either operand may be a plain number
+    static add(a, b) {
+        return Matrix.requireMatrix(a, '+').add(Matrix.requireMatrix(b, '+'));
+    }
+
+    static subtract(a, b) {
+        return Matrix.requireMatrix(a, '-').subtract(Matrix.requireMatrix(b, '-'));
+    }
+
+    static multiply(a, b) {
+        if (!(a instanceof Matrix)) return b.scale(a);
+        return a.multiply(b);
+    }
+
+    static divide(a, b) {
+        if (!(a instanceof Matrix)) return b.inverse().scale(a);
+        return a.divide(b);
+    }
+
+    static power(a, b) {
+        if (!(a instanceof Matrix) || b instanceof Matrix) {
+            throw new NumericError('Only a square matrix can be raised to an integer power', 'INVALID_OPERATION');
+        }
+        return a.power(b);
+    }
+
+    static requireMatrix(value, symbol) {
+        if (!(value instanceof Matrix)) {
+            throw new NumericError(`Cannot apply ${symbol} to a matrix and a scalar`, 'DIMENSION_MISMATCH');
+        }
+        return value;
+    }
+
+    get(row, col) {
+        return this.data[row][col];
+    }
+
+    isSquare() {
+        return this.rows === this.cols;
+    }
+
+    isVector() {
+        return this.cols === 1;
+    }
+
+    requireSquare(operation) {
+        if (!this.isSquare()) {
+            throw new NumericError(`${operation} requires a square matrix, got ${this.rows}×${this.cols}`, 'DIMENSION_MISMATCH');
+        }
+    }
+
+    map(fn) {
+        return new Matrix(this.data.map((row, i) => row.map((value, j) => fn(value, i, j))));
+    }
+
+    add(other) {
+        this.requireSameShape(other, 'add');
+        return this.map((value, i, j) => value + other.data[i][j]);
+    }
+
+    subtract(other) {
+        this.requireSameShape(other, 'subtract');
+        return this.map((value, i, j) => value - other.data[i][j]);
+    }
+
+    requireSameShape(other, operation) {
+        if (this.rows !== other.rows || this.cols !== other.cols) {
+            throw new NumericError(`Cannot ${operation} ${this.rows}×${this.cols} and ${other.rows}×${other.cols} matrices`, 'DIMENSION_MISMATCH');
+        }
+    }
+
+    scale(k) {
+        return this.map(value => value * k);
+    }
+
+    negate() {
+        return this.scale(-1);
+    }
+
+    multiply(other) {
+        if (!(other instanceof Matrix)) {
+            return this.scale(other);
+        }
+        if (this.cols !== other.rows) {
+            throw new NumericError(`Cannot multiply ${this.rows}×${this.cols} by ${other.rows}×${other.cols}: inner dimensions differ`, 'DIMENSION_MISMATCH');
+        }
+        const result = Matrix.zeros(this.rows, other.cols).data;
+        for (let i = 0; i < this.rows; i++) {
+            for (let k = 0; k < this.cols; k++) {
+                const aik = this.data[i][k];
+                for (let j = 0; j < other.cols; j++) {
+                    result[i][j] += aik * other.data[k][j];
+                }
+            }
+        }
+        return new Matrix(result);
+    }
+
+    divide(other) {
+        if (other instanceof Matrix) {
+            return this.multiply(other.inverse());
+        }
+        if (other === 0) {
+            throw new NumericError('Division by zero', 'DIVISION_BY_ZERO');
+        }
+        return this.scale(1 / other);
+    }
+
+    power(n) {
+        this.requireSquare('Matrix power');
+        if (!Number.isInteger(n)) {
+            throw new NumericError('Matrix exponent must be an integer', 'INVALID_OPERATION');
+        }
+        let base = n < 0 ? this.inverse() : this;
+        let exponent = Math.abs(n);
+        let result = Matrix.identity(this.rows);
+        while (exponent > 0) {
+            if (exponent & 1) result = result.multiply(base);
+            base = base.multiply(base);
+            exponent >>= 1;
+        }
+        return result;
+    }
+
+    transpose() {
+        return new Matrix(Array.from({ length: this.cols }, (_, j) => this.data.map(row => row[j])));
+    }
+
+    trace() {
+        this.requireSquare('Trace');
+        return this.data.reduce((sum, row, i) => sum + row[i], 0);
+    }
+
+    maxAbs() {
+        return Math.max(...this.data.flat().map(Math.abs));
+    }
+
+    // LU decomposition with partial pivoting: P A = L U
+    lu() {
+        this.requireSquare('LU decomposition');
+        const n = this.rows;
+        const U = this.toArray();
+        const L = Matrix.identity(n).data;
+        const permutation = Array.from({ length: n }, (_, i) => i);
+        const tolerance = 1e-12 * Math.max(1, this.maxAbs());
+        let swaps = 0;
+        let singular = false;
+
+        for (let k = 0; k < n; k++) {
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(U[i][k]) > Math.abs(U[pivot][k])) pivot = i;
+            }
+            if (Math.abs(U[pivot][k]) <= tolerance) {
+                singular = true;
+                continue;
+            }
+            if (pivot !== k) {
+                [U[k], U[pivot]] = [U[pivot], U[k]];
+                [permutation[k], permutation[pivot]] = [permutation[pivot], permutation[k]];
+                for (let j = 0; j < k; j++) {
+                    [L[k][j], L[pivot][j]] = [L[pivot][j], L[k][j]];
+                }
+                swaps++;
+            }
+            for (let i = k + 1; i < n; i++) {
+                const factor = U[i][k] / U[k][k];
+                L[i][k] = factor;
+                for (let j = k; j < n; j++) {
+                    U[i][j] -= factor * U[k][j];
+                }
+                U[i][k] = 0;
+            }
+        }
+
+        const P = new Matrix(permutation.map(row => Array.from({ length: n }, (_, j) => (j === row ? 1 : 0))));
+        return { L: new Matrix(L), U: new Matrix(U), P, permutation, swaps, singular };
+    }
+
+    determinant() {
+        const { U, swaps, singular } = this.lu();
+        if (singular) return 0;
+        const product = U.data.reduce((result, row, i) => result * row[i], 1);
+        return swaps % 2 === 0 ? product : -product;
+    }
+
+    // Solve A x = b for a column vector or matrix of right-hand sides
+    solve(b) {
+        this.requireSquare('solve');
+        const rhs = b instanceof Matrix ? b : Matrix.fromElements([].concat(b));
+        if (rhs.rows !== this.rows) {
+            throw new NumericError(`Right-hand side has ${rhs.rows} rows, expected ${this.rows}`, 'DIMENSION_MISMATCH');
+        }
+
+        const { L, U, permutation, singular } = this.lu();
+        if (singular) {
+            throw new NumericError('Matrix is singular', 'SINGULAR_MATRIX');
+        }
+
+        const n = this.rows;
+        const x = Matrix.zeros(n, rhs.cols).data;
+        for (let c = 0; c < rhs.cols; c++) {
+            // Forward substitution: L y = P b
+            const y = new Array(n);
+            for (let i = 0; i < n; i++) {
+                let sum = rhs.data[permutation[i]][c];
+                for (let j = 0; j < i; j++) sum -= L.data[i][j] * y[j];
+                y[i] = sum;
+            }
+            // Back substitution: U x = y
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = y[i];
+                for (let j = i + 1; j < n; j++) sum -= U.data[i][j] * x[j][c];
+                x[i][c] = sum / U.data[i][i];
+            }
+        }
+        return new Matrix(x);
+    }
+
+    inverse() {
+        this.requireSquare('Inverse');
+        return this.solve(Matrix.identity(this.rows));
+    }
+
+    rank() {
+        const a = this.toArray();
+        const tolerance = 1e-10 * Math.max(1, this.maxAbs());
+        let rank = 0;
+
+        for (let col = 0; col < this.cols && rank < this.rows; col++) {
+            let pivot = rank;
+            for (let i = rank + 1; i < this.rows; i++) {
+                if (Math.abs(a[i][col]) > Math.abs(a[pivot][col])) pivot = i;
+            }
+            if (Math.abs(a[pivot][col]) <= tolerance) continue;
+            [a[rank], a[pivot]] = [a[pivot], a[rank]];
+            for (let i = rank + 1; i < this.rows; i++) {
+                const factor = a[i][col] / a[rank][col];
+                for (let j = col; j < this.cols; j++) {
+                    a[i][j] -= factor * a[rank][j];
+                }
+            }
+            rank++;
+        }
+        return rank;
+    }
+
+    // QR decomposition by Householder reflections: A = Q R with diag(R) >= 0
+    qr() {
+        const m = this.rows;
+        const n = this.cols;
+        const R = this.toArray();
+        const Q = Matrix.identity(m).data;
+
+        for (let k = 0; k < Math.min(m - 1, n); k++) {
+            const x = [];
+            for (let i = k; i < m; i++) x.push(R[i][k]);
+            const norm = Math.hypot(...x);
+            if (norm === 0) continue;
+
+            const v = [...x];
+            v[0] += (x[0] >= 0 ? 1 : -1) * norm;
+            const vNorm = Math.hypot(...v);
+            if (vNorm === 0) continue;
+            for (let i = 0; i < v.length; i++) v[i] /= vNorm;
+
+            // R = H R, Q = Q H with H = I - 2 v v^T
+            for (let j = 0; j < n; j++) {
+                let dot = 0;
+                for (let i = 0; i < v.length; i++) dot += v[i] * R[k + i][j];
+                for (let i = 0; i < v.length; i++) R[k + i][j] -= 2 * dot * v[i];
+            }
+            for (let i = 0; i < m; i++) {
+                let dot = 0;
+                for (let l = 0; l < v.length; l++) dot += Q[i][k + l] * v[l];
+                for (let l = 0; l < v.length; l++) Q[i][k + l] -= 2 * dot * v[l];
+            }
+        }
+
+        for (let i = 0; i < Math.min(m, n); i++) {
+            if (R[i][i] < 0) {
+                for (let j = 0; j < n; j++) R[i][j] = -R[i][j];
+                for (let r = 0; r < m; r++) Q[r][i] = -Q[r][i];
+            }
+            for (let r = i + 1; r < m; r++) R[r][i] = 0;
+        }
+
+        return { Q: new Matrix(Q), R: new Matrix(R) };
+    }
+
+    isSymmetric(tolerance = 1e-10) {
+        if (!this.isSquare()) return false;
+        const scale = Math.max(1, this.maxAbs());
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = i + 1; j < this.cols; j++) {
+                if (Math.abs(this.data[i][j] - this.data[j][i]) > tolerance * scale) return false;
+            }
+        }
+        return true;
+    }
+
+    // Eigen-decomposition of a real symmetric matrix by cyclic Jacobi rotations.
+    // Eigenvalues are sorted ascending; eigenvectors are the matching columns.
+    eigenSymmetric(maxSweeps = 100) {
+        this.requireSquare('eig');
+        if (!this.isSymmetric()) {
+            throw new NumericError('eig requires a real symmetric matrix', 'INVALID_OPERATION');
+        }
+
+        const n = this.rows;
+        const a = this.toArray();
+        const v = Matrix.identity(n).data;
+        const scale = Math.max(1, this.maxAbs());
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let off = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+            }
+            if (Math.sqrt(off) <= 1e-14 * scale) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) <= 1e-300) continue;
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+        const vectors = v.map(row => order.map(j => row[j]));
+        // Make the largest component of each eigenvector positive for stable output
+        for (let j = 0; j < n; j++) {
+            let largest = 0;
+            for (let i = 1; i < n; i++) {
+                if (Math.abs(vectors[i][j]) > Math.abs(vectors[largest][j])) largest = i;
+            }
+            if (vectors[largest][j] < 0) {
+                for (let i = 0; i < n; i++) vectors[i][j] = -vectors[i][j];
+            }
+        }
+
+        return {
+            values: new Matrix(order.map(i => [a[i][i]])),
+            vectors: new Matrix(vectors)
+        };
+    }
+
+    equals(other, tolerance = 0) {
+        if (!(other instanceof Matrix) || this.rows !== other.rows || this.cols !== other.cols) return false;
+        return this.data.every((row, i) => row.every((value, j) => Math.abs(value - other.data[i][j]) <= tolerance));
+    }
+
+    toArray() {
+        return this.data.map(row => [...row]);
+    }
+
+    // Column vectors print as [1, 2]; everything else as nested rows
+    toString(formatValue = (value) => parseFloat(value.toPrecision(12)).toString()) {
+        const format = (value) => formatValue(Math.abs(value) < 1e-14 ? 0 : value);
+        if (this.isVector()) {
+            return `[${this.data.map(row => format(row[0])).join(', ')}]`;
+        }
+        return `[${this.data.map(row => `[${row.map(format).join(', ')}]`).join(', ')}]`;
+    }
+}
+
+// Named result of a matrix decomposition, e.g. lu(A) => { L, U, P }
+class MatrixFactorization {
+    constructor(name, factors) {
+        this.name = name;
+        this.factors = factors;
+    }
+
+    get(name) {
+        return this.factors[name];
+    }
+
+    toString(formatValue) {
+        return Object.entries(this.factors)
+            .map(([name, matrix]) => `${name} = ${matrix.toString(formatValue)}`)
+            .join(', ');
+    }
+}
+
 // Type promotion system
 class TypePromoter {
     static promote(a, b) {
@@ -259,11 +1419,23 @@ class TypePromoter {
 
         // If one is decimal, promote both to decimal
         if (a instanceof Decimal || b instanceof Decimal) {
-            const decimalA = a instanceof Decimal ? a : new Decimal(a.toString());
-            const decimalB = b instanceof Decimal ? b : new Decimal(b.toString());
+            const toDecimal = (value) => value instanceof Fraction ? value.toDecimal() : new Decimal(value.toString());
+            const decimalA = a instanceof Decimal ? a : toDecimal(a);
+            const decimalB = b instanceof Decimal ? b : toDecimal(b);
             return { a: decimalA, b: decimalB, resultType: 'decimal' };
         }
 
+        // Fractions stay exact with integers; any other float is already
+        // rounded, so the fraction is demoted to a number
+        if (a instanceof Fraction || b instanceof Fraction) {
+            const isExact = (value) => value instanceof Fraction || typeof value === 'bigint' || Number.isInteger(value);
+            if (isExact(a) && isExact(b)) {
+                return { a: Fraction.from(a), b: Fraction.from(b), resultType: 'fraction' };
+            }
+            const toNumber = (value) => value instanceof Fraction ? value.toNumber() : value;
+            return { a: toNumber(a), b: toNumber(b), resultType: 'number' };
+        }
+
         // Default to numbers
         return { a, b, resultType: 'number' };
     }
@@ -271,13 +1443,14 @@ class TypePromoter {
     static toComplex(value) {
         if (value instanceof Complex) return value;
         if (typeof value === 'number') return new Complex(value, 0);
-        if (value instanceof Decimal) return new Complex(value.toNumber(), 0);
+        if (value instanceof Decimal || value instanceof Fraction) return new Complex(value.toNumber(), 0);
         throw new Error(`Cannot convert ${typeof value} to Complex`);
     }
 
     static toDecimal(value, precision = 50) {
         if (value instanceof Decimal) return value;
         if (typeof value === 'number') return new Decimal(value.toString(), precision);
+        if (value instanceof Fraction) return value.toDecimal(precision);
         if (value instanceof Complex) {
             if (!value.isReal()) {
                 throw new Error('Cannot convert complex number to decimal');
@@ -286,6 +1459,16 @@ class TypePromoter {
         }
         throw new Error(`Cannot convert ${typeof value} to Decimal`);
     }
+
+    static toFraction(value) {
+        if (value instanceof Complex) {
+            if (!value.isReal()) {
+                throw new Error('Cannot convert complex number to fraction');
+            }
+            return Fraction.from(value.real);
+        }
+        return Fraction.from(value);
+    }
 }
 
 // Error handling for numeric operations
@@ -331,6 +1514,9 @@ class IEEE754Handler {
 // Make available globally for compatibility
 window.Complex = Complex;
 window.Decimal = Decimal;
+window.Fraction = Fraction;
+window.Matrix = Matrix;
+window.MatrixFactorization = MatrixFactorization;
 window.TypePromoter = TypePromoter;
 window.NumericError = NumericError;
 window.IEEE754Handler = IEEE754Handler;
@@ -340,6 +1526,9 @@ window.IEEE754 = IEEE754;
 window.NumericTypes = {
     Complex,
     Decimal,
+    Fraction,
+    Matrix,
+    MatrixFactorization,
     TypePromoter,
     NumericError,
     IEEE754Handler,
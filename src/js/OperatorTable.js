@@ -26,7 +26,8 @@ class OperatorTable {
             arity: 'unary',
             precedence: 8,
             associativity: 'right',
-            evaluate: (a) => +a,
+            evaluate: (a) => OperatorTable.isMatrix(a) ? a : +a,
+            complex: (z) => z,
             symbol: '+'
         });
 
@@ -34,17 +35,34 @@ class OperatorTable {
             arity: 'unary',
             precedence: 8,
             associativity: 'right',
-            evaluate: (a) => -a,
+            evaluate: (a) => OperatorTable.isMatrix(a) ? a.negate() : -a,
+            complex: (z) => z.negate(),
             symbol: '-'
         });
 
+        // Postfix transpose (precedence 9): [[1,2],[3,4]]'
+        this.operators.set("'", {
+            arity: 'unary',
+            postfix: true,
+            precedence: 9,
+            associativity: 'left',
+            evaluate: (a) => {
+                if (!OperatorTable.isMatrix(a)) {
+                    throw new NumericError('Transpose requires a matrix', 'INVALID_OPERATION');
+                }
+                return a.transpose();
+            },
+            symbol: "'"
+        });
+
         // Binary operators
         // Exponentiation (precedence 7, right-associative)
         this.operators.set('^', {
             arity: 'binary',
             precedence: 7,
             associativity: 'right',
-            evaluate: (a, b) => Math.pow(a, b),
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.power(a, b) : Math.pow(a, b),
+            complex: (z, w) => z.power(w),
             symbol: '^'
         });
 
@@ -52,7 +70,8 @@ class OperatorTable {
             arity: 'binary',
             precedence: 7,
             associativity: 'right',
-            evaluate: (a, b) => Math.pow(a, b),
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.power(a, b) : Math.pow(a, b),
+            complex: (z, w) => z.power(w),
             symbol: '**'
         });
 
@@ -61,7 +80,8 @@ class OperatorTable {
             arity: 'binary',
             precedence: 6,
             associativity: 'left',
-            evaluate: (a, b) => a * b,
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.multiply(a, b) : a * b,
+            complex: (z, w) => z.multiply(w),
             symbol: '*'
         });
 
@@ -69,7 +89,8 @@ class OperatorTable {
             arity: 'binary',
             precedence: 6,
             associativity: 'left',
-            evaluate: (a, b) => a * b,
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.multiply(a, b) : a * b,
+            complex: (z, w) => z.multiply(w),
             symbol: '×'
         });
 
@@ -78,9 +99,11 @@ class OperatorTable {
             precedence: 6,
             associativity: 'left',
             evaluate: (a, b) => {
+                if (OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b)) return Matrix.divide(a, b);
                 if (b === 0) throw new Error('Division by zero');
                 return a / b;
             },
+            complex: (z, w) => z.divide(w),
             symbol: '/'
         });
 
@@ -89,9 +112,11 @@ class OperatorTable {
             precedence: 6,
             associativity: 'left',
             evaluate: (a, b) => {
+                if (OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b)) return Matrix.divide(a, b);
                 if (b === 0) throw new Error('Division by zero');
                 return a / b;
             },
+            complex: (z, w) => z.divide(w),
             symbol: '÷'
         });
 
@@ -111,7 +136,8 @@ class OperatorTable {
             arity: 'binary',
             precedence: 5,
             associativity: 'left',
-            evaluate: (a, b) => a + b,
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.add(a, b) : a + b,
+            complex: (z, w) => z.add(w),
             symbol: '+'
         });
 
@@ -119,9 +145,94 @@ class OperatorTable {
             arity: 'binary',
             precedence: 5,
             associativity: 'left',
-            evaluate: (a, b) => a - b,
+            evaluate: (a, b) => OperatorTable.isMatrix(a) || OperatorTable.isMatrix(b) ? Matrix.subtract(a, b) : a - b,
+            complex: (z, w) => z.subtract(w),
             symbol: '-'
         });
+
+        // Comparisons (precedence 4, below arithmetic): true is 1, false is 0
+        const comparisons = {
+            '<': (a, b) => a < b,
+            '>': (a, b) => a > b,
+            '<=': (a, b) => a <= b,
+            '>=': (a, b) => a >= b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b
+        };
+        for (const [symbol, compare] of Object.entries(comparisons)) {
+            this.operators.set(symbol, {
+                arity: 'binary',
+                precedence: 4,
+                associativity: 'left',
+                evaluate: (a, b) => compare(a, b) ? 1 : 0,
+                symbol: symbol
+            });
+        }
+        // Complex numbers are unordered; only equality is defined
+        this.operators.get('==').complex = (z, w) => z.equals(w) ? 1 : 0;
+        this.operators.get('!=').complex = (z, w) => z.equals(w) ? 0 : 1;
+
+        // Bitwise operators on integers (below comparisons, as in C).
+        // BigInt operands stay BigInt; programmer mode wraps them to its word size.
+        const bitwise = {
+            '<<': { precedence: 4.5, apply: (a, b) => a << b },
+            '>>': { precedence: 4.5, apply: (a, b) => a >> b },
+            '&': { precedence: 3.5, apply: (a, b) => a & b },
+            'xor': { precedence: 3.25, apply: (a, b) => a ^ b },
+            '|': { precedence: 3, apply: (a, b) => a | b }
+        };
+        for (const [symbol, { precedence, apply }] of Object.entries(bitwise)) {
+            this.operators.set(symbol, {
+                arity: 'binary',
+                precedence: precedence,
+                associativity: 'left',
+                bitwise: true,
+                evaluate: (a, b) => OperatorTable.bitwise(a, b, apply),
+                symbol: symbol
+            });
+        }
+
+        this.operators.set('unary~', {
+            arity: 'unary',
+            precedence: 8,
+            associativity: 'right',
+            bitwise: true,
+            evaluate: (a) => typeof a === 'bigint' ? ~a : Number(~OperatorTable.toBigInt(a)),
+            symbol: '~'
+        });
+
+        // Implicit multiplication between a value and its unit (e.g. "5 km").
+        // Binds tighter than * and / so "10 m / 2 s" means (10 m)/(2 s); the
+        // tokenizer uses * instead after a number fraction such as "1/2 m".
+        this.operators.set('unit*', {
+            arity: 'binary',
+            precedence: 6.5,
+            associativity: 'left',
+            evaluate: (a, b) => a * b,
+            symbol: ''
+        });
+
+        // Polar complex input: "2∠45" is magnitude 2 at angle 45 in the
+        // evaluator's angle mode. Binds tighter than * and / like unit*.
+        this.operators.set('∠', {
+            arity: 'binary',
+            precedence: 6.5,
+            associativity: 'left',
+            polar: true,
+            evaluate: (r, theta) => Complex.fromPolar(r, theta),
+            symbol: '∠'
+        });
+
+        // Unit conversion (precedence 1, lowest): "5 km to m"
+        this.operators.set('to', {
+            arity: 'binary',
+            precedence: 1,
+            associativity: 'left',
+            evaluate: () => {
+                throw new Error('Unit conversion requires a unit on both sides');
+            },
+            symbol: 'to'
+        });
     }
 
     /**
@@ -132,18 +243,21 @@ class OperatorTable {
         this.functions.set('sin', {
             arity: 1,
             evaluate: (x) => Math.sin(x),
+            complex: (z) => z.sin(),
             description: 'Sine function'
         });
 
         this.functions.set('cos', {
             arity: 1,
             evaluate: (x) => Math.cos(x),
+            complex: (z) => z.cos(),
             description: 'Cosine function'
         });
 
         this.functions.set('tan', {
             arity: 1,
             evaluate: (x) => Math.tan(x),
+            complex: (z) => z.tan(),
             description: 'Tangent function'
         });
 
@@ -153,6 +267,7 @@ class OperatorTable {
                 if (x < -1 || x > 1) throw new Error('Domain error: asin input must be between -1 and 1');
                 return Math.asin(x);
             },
+            complex: (z) => z.asin(),
             description: 'Arcsine function'
         });
 
@@ -162,12 +277,14 @@ class OperatorTable {
                 if (x < -1 || x > 1) throw new Error('Domain error: acos input must be between -1 and 1');
                 return Math.acos(x);
             },
+            complex: (z) => z.acos(),
             description: 'Arccosine function'
         });
 
         this.functions.set('atan', {
             arity: 1,
             evaluate: (x) => Math.atan(x),
+            complex: (z) => z.atan(),
             description: 'Arctangent function'
         });
 
@@ -178,6 +295,7 @@ class OperatorTable {
                 if (x <= 0) throw new Error('Domain error: log input must be positive');
                 return Math.log10(x);
             },
+            complex: (z) => z.log10(),
             description: 'Base-10 logarithm'
         });
 
@@ -187,12 +305,14 @@ class OperatorTable {
                 if (x <= 0) throw new Error('Domain error: ln input must be positive');
                 return Math.log(x);
             },
+            complex: (z) => z.ln(),
             description: 'Natural logarithm'
         });
 
         this.functions.set('exp', {
             arity: 1,
             evaluate: (x) => Math.exp(x),
+            complex: (z) => z.exp(),
             description: 'Exponential function (e^x)'
         });
 
@@ -203,18 +323,21 @@ class OperatorTable {
                 if (x < 0) throw new Error('Domain error: sqrt input must be non-negative');
                 return Math.sqrt(x);
             },
+            complex: (z) => z.sqrt(),
             description: 'Square root'
         });
 
         this.functions.set('cbrt', {
             arity: 1,
             evaluate: (x) => Math.cbrt(x),
+            complex: (z) => z.power(1 / 3),
             description: 'Cube root'
         });
 
         this.functions.set('pow', {
             arity: 2,
             evaluate: (x, y) => Math.pow(x, y),
+            complex: (z, w) => z.power(w),
             description: 'Power function (x^y)'
         });
 
@@ -234,6 +357,7 @@ class OperatorTable {
         this.functions.set('abs', {
             arity: 1,
             evaluate: (x) => Math.abs(x),
+            complex: (z) => z.magnitude(),
             description: 'Absolute value'
         });
 
@@ -267,6 +391,16 @@ class OperatorTable {
             evaluate: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
             description: 'Random integer between min and max (inclusive)'
         });
+
+        // Conditional. Inside user-defined functions only the chosen branch
+        // is evaluated, which is what lets recursive definitions stop.
+        this.functions.set('if', {
+            arity: 3,
+            conditional: true,
+            evaluate: (condition, whenTrue, whenFalse) => condition !== 0 ? whenTrue : whenFalse,
+            complex: (condition, whenTrue, whenFalse) => condition.equals(0) ? whenFalse : whenTrue,
+            description: 'if(condition, a, b) returns a when condition is non-zero, otherwise b'
+        });
     }
 
     /**
@@ -282,6 +416,78 @@ class OperatorTable {
         this.constants.set('τ', 2 * Math.PI);
     }
 
+    /**
+     * Check if a value is a matrix (NumericTypes.js may not be loaded)
+     * @param {*} value - Operand
+     * @returns {boolean} True if matrix
+     */
+    static isMatrix(value) {
+        return typeof window.Matrix !== 'undefined' && value instanceof window.Matrix;
+    }
+
+    /**
+     * Convert an operand of a bitwise operator to BigInt
+     * @param {number|bigint} value - Operand
+     * @returns {bigint} Integer value
+     */
+    static toBigInt(value) {
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        if (!Number.isInteger(value)) {
+            throw new Error(`Bitwise operators require integers, got ${value}`);
+        }
+        return BigInt(value);
+    }
+
+    /**
+     * Apply a bitwise operation, returning a number unless an operand was a BigInt
+     * @param {number|bigint} a - Left operand
+     * @param {number|bigint} b - Right operand
+     * @param {Function} operation - (bigint, bigint) => bigint
+     * @returns {number|bigint} Result
+     */
+    static bitwise(a, b, operation) {
+        const result = operation(OperatorTable.toBigInt(a), OperatorTable.toBigInt(b));
+        return typeof a === 'bigint' || typeof b === 'bigint' ? result : Number(result);
+    }
+
+    /**
+     * Register an additional built-in function
+     * @param {string} name - Function name
+     * @param {Object} definition - { arity, evaluate, description }
+     */
+    registerFunction(name, definition) {
+        this.functions.set(name.toLowerCase(), definition);
+    }
+
+    /**
+     * Remove a registered function
+     * @param {string} name - Function name
+     * @returns {boolean} True if removed
+     */
+    unregisterFunction(name) {
+        return this.functions.delete(name.toLowerCase());
+    }
+
+    /**
+     * Register an additional constant
+     * @param {string} name - Constant name
+     * @param {*} value - Constant value
+     */
+    registerConstant(name, value) {
+        this.constants.set(name.toLowerCase(), value);
+    }
+
+    /**
+     * Remove a registered constant
+     * @param {string} name - Constant name
+     * @returns {boolean} True if removed
+     */
+    unregisterConstant(name) {
+        return this.constants.delete(name.toLowerCase());
+    }
+
     /**
      * Get operator information
      * @param {string} symbol - Operator symbol
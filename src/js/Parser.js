@@ -12,6 +12,8 @@ class Parser {
         this.position = 0;
         this.outputQueue = [];
         this.operatorStack = [];
+        this.argumentCounts = [];
+        this.steps = null;
     }
 
     /**
@@ -24,13 +26,17 @@ class Parser {
         this.position = 0;
         this.outputQueue = [];
         this.operatorStack = [];
+        this.argumentCounts = [];
 
         while (this.position < this.tokens.length) {
             const token = this.tokens[this.position];
+            const outputLength = this.outputQueue.length;
             
             switch (token.type) {
                 case 'NUMBER':
                 case 'CONSTANT':
+                case 'UNIT':
+                case 'IDENTIFIER':
                     this.outputQueue.push(token);
                     break;
                     
@@ -47,37 +53,157 @@ class Parser {
                     break;
                     
                 case 'LEFT_PAREN':
+                case 'LEFT_BRACKET':
                     this.operatorStack.push(token);
+                    this.argumentCounts.push(1);
                     break;
                     
                 case 'RIGHT_PAREN':
                     this.handleRightParen();
                     break;
+
+                case 'RIGHT_BRACKET':
+                    this.handleRightBracket();
+                    break;
                     
                 default:
-                    throw new Error(`Unexpected token type: ${token.type}`);
+                    throw this.syntaxError(`Unexpected token type: ${token.type}`, token);
+            }
+
+            if (this.steps) {
+                this.recordStep(token, outputLength);
             }
             
             this.position++;
         }
 
         // Pop remaining operators
+        const outputLength = this.outputQueue.length;
         while (this.operatorStack.length > 0) {
             const op = this.operatorStack.pop();
             if (op.type === 'LEFT_PAREN') {
-                throw new Error('Mismatched parentheses');
+                throw this.syntaxError('Mismatched parentheses', op);
+            }
+            if (op.type === 'LEFT_BRACKET') {
+                throw this.syntaxError('Mismatched brackets', op);
             }
             this.outputQueue.push(op);
         }
 
+        if (this.steps && this.outputQueue.length > outputLength) {
+            this.recordStep(null, outputLength);
+        }
+
         return this.outputQueue;
     }
 
+    /**
+     * Parse tokens and record every step of the Shunting Yard algorithm:
+     * the token read, what was done with it and the output queue and
+     * operator stack afterwards. A syntax error ends the trace early.
+     * @param {Array} tokens - Array of tokens from tokenizer
+     * @returns {Object} { rpn, steps, error }
+     */
+    trace(tokens) {
+        this.steps = [];
+        try {
+            const rpn = this.parse(tokens);
+            return { rpn: rpn, steps: this.steps, error: null };
+        } catch (error) {
+            return { rpn: null, steps: this.steps, error: error };
+        } finally {
+            this.steps = null;
+        }
+    }
+
+    /**
+     * Record the state after handling a token
+     * @param {Object|null} token - Token just handled (null for the final pops)
+     * @param {number} outputLength - Output queue length before the token
+     */
+    recordStep(token, outputLength) {
+        const label = token ? Parser.tokenLabel(token) : '';
+        const moved = this.outputQueue.slice(outputLength).map(Parser.tokenLabel).join(' ');
+        const top = this.operatorStack.length > 0 ? Parser.tokenLabel(this.operatorStack[this.operatorStack.length - 1]) : '';
+        let action;
+
+        switch (token ? token.type : 'END') {
+            case 'END':
+                action = `Pop ${moved} to the output`;
+                break;
+            case 'FUNCTION':
+            case 'LEFT_PAREN':
+            case 'LEFT_BRACKET':
+                action = `Push ${label} onto the stack`;
+                break;
+            case 'OPERATOR': {
+                const opInfo = this.operatorTable.getOperator(token.value);
+                if (opInfo && opInfo.postfix) {
+                    // Postfix operators go straight to the output
+                    action = `Send ${label} to the output`;
+                } else {
+                    action = moved ? `Pop ${moved} to the output, then push ${top}` : `Push ${top} onto the stack`;
+                }
+                break;
+            }
+            case 'COMMA':
+                action = moved ? `Pop ${moved} to the output and start the next argument` : 'Start the next argument';
+                break;
+            case 'RIGHT_PAREN':
+            case 'RIGHT_BRACKET': {
+                const opener = token.type === 'RIGHT_PAREN' ? '(' : '[';
+                action = moved ? `Pop ${moved} to the output and drop the matching ${opener}` : `Drop the matching ${opener}`;
+                break;
+            }
+            default:
+                action = `Send ${label} to the output`;
+        }
+
+        this.steps.push({
+            token: token,
+            label: label,
+            action: action,
+            output: this.outputQueue.map(Parser.tokenLabel),
+            stack: this.operatorStack.map(Parser.tokenLabel)
+        });
+    }
+
+    /**
+     * Create an error that carries the span of the offending token
+     * @param {string} message - Error message
+     * @param {Object} token - Token with position and end
+     * @returns {Error} Error with position and end properties
+     */
+    syntaxError(message, token) {
+        const error = new Error(message);
+        if (token) {
+            error.position = token.position;
+            error.end = token.end !== undefined ? token.end : token.position + String(token.value).length;
+        }
+        return error;
+    }
+
     /**
      * Handle operator tokens
      * @param {Object} token - Operator token
      */
     handleOperator(token) {
+        // Postfix operators (transpose) apply to the operand just completed
+        const postfixInfo = this.operatorTable.getOperator(token.value);
+        if (postfixInfo && postfixInfo.postfix) {
+            if (this.isUnaryContext(token)) {
+                throw this.syntaxError(`Operator ${token.value} must follow an operand`, token);
+            }
+            this.outputQueue.push({
+                type: 'UNARY_OPERATOR',
+                value: token.value,
+                position: token.position,
+                end: token.end,
+                operatorInfo: postfixInfo
+            });
+            return;
+        }
+
         // Check context first to determine if this should be unary or binary
         if (this.isUnaryContext(token)) {
             // This is a unary operator
@@ -86,13 +212,13 @@ class Parser {
             if (unaryOpInfo) {
                 this.handleUnaryOperator(token, unaryOpInfo);
             } else {
-                throw new Error(`Unknown unary operator: ${token.value}`);
+                throw this.syntaxError(`Unknown unary operator: ${token.value}`, token);
             }
         } else {
             // This is a binary operator
             const opInfo = this.operatorTable.getOperator(token.value);
             if (!opInfo) {
-                throw new Error(`Unknown operator: ${token.value}`);
+                throw this.syntaxError(`Unknown operator: ${token.value}`, token);
             }
             this.handleBinaryOperator(token, opInfo);
         }
@@ -112,6 +238,7 @@ class Parser {
             type: 'UNARY_OPERATOR',
             value: unaryKey,
             position: token.position,
+            end: token.end,
             operatorInfo: unaryOpInfo || opInfo
         };
         
@@ -134,6 +261,11 @@ class Parser {
             
             const topOpInfo = top.operatorInfo || this.operatorTable.getOperator(top.value);
             if (!topOpInfo) break;
+
+            // A prefix sign binds looser than a right-associative power: -x^2 = -(x^2)
+            if (top.type === 'UNARY_OPERATOR' && opInfo.associativity === 'right') {
+                break;
+            }
             
             // Check precedence and associativity
             if ((opInfo.associativity === 'left' && opInfo.precedence <= topOpInfo.precedence) ||
@@ -151,18 +283,30 @@ class Parser {
      * Handle comma tokens (function argument separators)
      */
     handleComma() {
-        // Pop operators until we find a left parenthesis
+        // Pop operators until we find a left parenthesis or bracket
         while (this.operatorStack.length > 0) {
             const top = this.operatorStack[this.operatorStack.length - 1];
-            if (top.type === 'LEFT_PAREN') {
+            if (top.type === 'LEFT_PAREN' || top.type === 'LEFT_BRACKET') {
                 break;
             }
             this.outputQueue.push(this.operatorStack.pop());
         }
         
         if (this.operatorStack.length === 0) {
-            throw new Error('Comma outside function call');
+            throw this.syntaxError('Comma outside function call', this.tokens[this.position]);
         }
+
+        this.argumentCounts[this.argumentCounts.length - 1]++;
+    }
+
+    /**
+     * Count the arguments of the group being closed; "()" and "[]" have none
+     * @returns {number} Argument count
+     */
+    closeArgumentGroup() {
+        const count = this.argumentCounts.pop();
+        const previous = this.tokens[this.position - 1];
+        return previous && (previous.type === 'LEFT_PAREN' || previous.type === 'LEFT_BRACKET') ? 0 : count;
     }
 
     /**
@@ -172,18 +316,49 @@ class Parser {
         // Pop operators until we find a left parenthesis
         while (this.operatorStack.length > 0) {
             const top = this.operatorStack.pop();
+            if (top.type === 'LEFT_BRACKET') {
+                throw this.syntaxError('Mismatched parentheses', this.tokens[this.position]);
+            }
             if (top.type === 'LEFT_PAREN') {
+                const argCount = this.closeArgumentGroup();
                 // Check if there's a function on the stack
                 if (this.operatorStack.length > 0 && 
                     this.operatorStack[this.operatorStack.length - 1].type === 'FUNCTION') {
-                    this.outputQueue.push(this.operatorStack.pop());
+                    const func = this.operatorStack.pop();
+                    func.argCount = argCount;
+                    this.outputQueue.push(func);
                 }
                 return;
             }
             this.outputQueue.push(top);
         }
         
-        throw new Error('Mismatched parentheses');
+        throw this.syntaxError('Mismatched parentheses', this.tokens[this.position]);
+    }
+
+    /**
+     * Handle right bracket tokens: emit a MATRIX token that collects
+     * the preceding elements into a vector or matrix
+     */
+    handleRightBracket() {
+        while (this.operatorStack.length > 0) {
+            const top = this.operatorStack.pop();
+            if (top.type === 'LEFT_PAREN') {
+                throw this.syntaxError('Mismatched brackets', this.tokens[this.position]);
+            }
+            if (top.type === 'LEFT_BRACKET') {
+                const count = this.closeArgumentGroup();
+                const close = this.tokens[this.position];
+                if (count === 0) {
+                    throw this.syntaxError(`Empty matrix literal at position ${top.position}`, { position: top.position, end: close.end });
+                }
+                this.outputQueue.push({ type: 'MATRIX', value: count, position: top.position, end: close.end });
+                return;
+            }
+            this.outputQueue.push(top);
+        }
+
+        throw this.syntaxError('Mismatched brackets', this.tokens[this.position]);
     }
 
     /**
@@ -195,10 +370,14 @@ class Parser {
         // Unary if at start of expression
         if (this.position === 0) return true;
         
-        // Unary if previous token is operator, left paren, or comma
+        // Unary if previous token is operator, left paren/bracket, or comma
         const prevToken = this.tokens[this.position - 1];
-        return prevToken.type === 'OPERATOR' || 
-               prevToken.type === 'LEFT_PAREN' || 
+        if (prevToken.type === 'OPERATOR') {
+            const prevInfo = this.operatorTable.getOperator(prevToken.value);
+            return !(prevInfo && prevInfo.postfix);
+        }
+        return prevToken.type === 'LEFT_PAREN' || 
+               prevToken.type === 'LEFT_BRACKET' || 
                prevToken.type === 'COMMA';
     }
 
@@ -262,6 +441,8 @@ class Parser {
             switch (token.type) {
                 case 'NUMBER':
                 case 'CONSTANT':
+                case 'UNIT':
+                case 'IDENTIFIER':
                     operandCount++;
                     break;
                 case 'OPERATOR':
@@ -278,6 +459,9 @@ class Parser {
                             if (operandCount < 1) {
                                 errors.push(`Function ${token.value} requires at least one argument`);
                             }
+                        } else if (funcInfo.arity === 0) {
+                            // random(), k(): the call itself supplies a value
+                            operandCount++;
                         } else {
                             // For fixed arity functions, check exact count
                             if (operandCount < funcInfo.arity) {
@@ -298,6 +482,87 @@ class Parser {
         return errors;
     }
 
+    /**
+     * Check the parsed expression by replaying the evaluation stack. Each
+     * stack entry keeps the span of the subexpression it came from, so a
+     * missing operand points at its operator and a missing operator at the
+     * stray operand.
+     * @returns {Array} Diagnostics { severity, code, message, start, end }
+     */
+    diagnose() {
+        const diagnostics = [];
+        const diagnostic = (code, message, span) => ({
+            severity: 'error',
+            code: code,
+            message: message,
+            start: span.start,
+            end: span.end,
+            suggestions: []
+        });
+
+        if (this.outputQueue.length === 0) {
+            diagnostics.push(diagnostic('empty', 'Empty expression', { start: 0, end: 0 }));
+            return diagnostics;
+        }
+
+        const stack = [];
+        for (const token of this.outputQueue) {
+            const span = {
+                start: token.position,
+                end: token.end !== undefined ? token.end : token.position + String(token.value).length
+            };
+            let needed = 0;
+
+            switch (token.type) {
+                case 'OPERATOR':
+                    needed = 2;
+                    break;
+                case 'UNARY_OPERATOR':
+                    needed = 1;
+                    break;
+                case 'MATRIX':
+                    needed = token.value;
+                    break;
+                case 'FUNCTION': {
+                    const funcInfo = this.operatorTable.getFunction(token.value);
+                    if (!funcInfo) {
+                        diagnostics.push(diagnostic('unknown-function', `Unknown function: ${token.value}`, span));
+                        needed = token.argCount || 0;
+                    } else if (funcInfo.arity === 'variadic') {
+                        needed = token.argCount !== undefined ? token.argCount : stack.length;
+                        if (needed === 0) {
+                            diagnostics.push(diagnostic('argument-count', `Function ${token.value} requires at least one argument`, span));
+                        }
+                    } else {
+                        needed = funcInfo.arity;
+                        if (token.argCount !== undefined && token.argCount !== funcInfo.arity) {
+                            diagnostics.push(diagnostic('argument-count',
+                                `Function ${token.value} requires ${funcInfo.arity} arguments, got ${token.argCount}`, span));
+                            needed = token.argCount;
+                        }
+                    }
+                    break;
+                }
+            }
+
+            if (stack.length < needed) {
+                diagnostics.push(diagnostic('missing-operand', `Missing operand for ${Parser.tokenLabel(token)}`, span));
+            }
+
+            for (const operand of stack.splice(Math.max(stack.length - needed, 0))) {
+                span.start = Math.min(span.start, operand.start);
+                span.end = Math.max(span.end, operand.end);
+            }
+            stack.push(span);
+        }
+
+        for (const extra of stack.slice(1)) {
+            diagnostics.push(diagnostic('missing-operator', `Missing operator before position ${extra.start}`, extra));
+        }
+
+        return diagnostics;
+    }
+
     /**
      * Get detailed information about the parsed expression
      * @returns {Object} Parse information
@@ -309,10 +574,30 @@ class Parser {
             operatorCount: this.outputQueue.filter(t => t.type === 'OPERATOR').length,
             unaryOperatorCount: this.outputQueue.filter(t => t.type === 'UNARY_OPERATOR').length,
             functionCount: this.outputQueue.filter(t => t.type === 'FUNCTION').length,
-            operandCount: this.outputQueue.filter(t => t.type === 'NUMBER' || t.type === 'CONSTANT').length,
+            operandCount: this.outputQueue.filter(t => ['NUMBER', 'CONSTANT', 'UNIT', 'IDENTIFIER'].includes(t.type)).length,
             rpn: this.toString()
         };
     }
+
+    /**
+     * Short label for a token in step-through displays
+     * @param {Object} token - Token
+     * @returns {string} Label such as "3.5", "+", "neg", "sin" or "[2]"
+     */
+    static tokenLabel(token) {
+        switch (token.type) {
+            case 'NUMBER':
+                return token.raw !== undefined ? token.raw : String(token.value);
+            case 'UNARY_OPERATOR':
+                if (token.value === 'unary-') return 'neg';
+                if (token.value === 'unary+') return 'pos';
+                return token.value.replace(/^unary/, '');
+            case 'MATRIX':
+                return `[${token.value}]`;
+            default:
+                return String(token.value);
+        }
+    }
 }
 
 // Make available globally
@@ -0,0 +1,209 @@
+/**
+ * Payroll Engine
+ * Country-pluggable take-home pay: each country pack turns its inputs into
+ * annual earnings, deductions and employer contributions, and the engine
+ * adds the totals, the monthly pay slips and the annual summary
+ */
+
+class PayrollEngine {
+    /**
+     * @param {SalaryCalculator} calculator - Supplies tax rules and progressive tax
+     * @param {Object} options - { packs } extra country packs to register
+     */
+    constructor(calculator, options = {}) {
+        this.calculator = calculator;
+        this.taxRules = calculator.taxRules;
+        this.packs = {};
+        this.currency = 'USD';
+
+        // Built-in packs, when their script is loaded
+        const builtIn = [
+            typeof USPayrollPack !== 'undefined' ? USPayrollPack : null,
+            typeof UKPayrollPack !== 'undefined' ? UKPayrollPack : null,
+            typeof IndiaPayrollPack !== 'undefined' ? IndiaPayrollPack : null,
+            typeof GermanyPayrollPack !== 'undefined' ? GermanyPayrollPack : null
+        ];
+        builtIn.filter(Boolean).forEach(Pack => this.registerPack(new Pack()));
+        (options.packs || []).forEach(pack => this.registerPack(pack));
+    }
+
+    /**
+     * Add or replace a country pack
+     */
+    registerPack(pack) {
+        if (!pack || !pack.code || typeof pack.calculate !== 'function') {
+            throw new Error('Payroll packs need a code and a calculate method');
+        }
+        this.packs[pack.code] = pack;
+        return pack;
+    }
+
+    /**
+     * Registered countries
+     * @returns {Array} [{ code, name, currency }]
+     */
+    getPacks() {
+        return Object.values(this.packs).map(pack => ({ code: pack.code, name: pack.name, currency: pack.currency }));
+    }
+
+    getPack(country) {
+        const pack = this.packs[country];
+        if (!pack) {
+            throw new Error(`No payroll rules for ${country}`);
+        }
+        return pack;
+    }
+
+    /**
+     * Tax years a country pack can calculate
+     * @returns {Array} [{ year, label, loaded }]
+     */
+    getYears(country) {
+        const pack = this.getPack(country);
+        return typeof pack.years === 'function' ? pack.years(this) : [];
+    }
+
+    /**
+     * Load whatever data a pack needs for a year (tax rule files)
+     */
+    async load(country, year = null) {
+        const pack = this.getPack(country);
+        return typeof pack.load === 'function' ? pack.load(this, year) : null;
+    }
+
+    loadTaxRules(country, year = null) {
+        return this.calculator.loadTaxRules(country, year);
+    }
+
+    getTaxRules(country, year = null) {
+        return this.calculator.getTaxRules(country, year);
+    }
+
+    /**
+     * Tax on an amount over tax rule bands ({ upTo, rate } in percent)
+     */
+    progressiveTax(amount, bands) {
+        return TaxRules.progressiveTax(amount, TaxRules.toBrackets(bands)).tax;
+    }
+
+    /**
+     * Non-negative number from a form value
+     */
+    amount(value) {
+        if (value === undefined || value === null || value === '') return 0;
+        const number = Number(value);
+        if (!isFinite(number) || number < 0) {
+            throw new Error(`Invalid amount: ${value}`);
+        }
+        return number;
+    }
+
+    /**
+     * Round to the minor unit of the currency being calculated
+     */
+    round(value) {
+        return Money.round(value, this.currency);
+    }
+
+    /**
+     * Calculate annual and monthly take-home pay for a country
+     * @param {Object} input - Pack fields plus { year }
+     */
+    calculate(country, input = {}) {
+        try {
+            const pack = this.getPack(country);
+            this.currency = pack.currency;
+            const annual = pack.calculate(input, this);
+
+            const sum = lines => Money.sum(lines.map(line => line.amount), pack.currency);
+            const gross = sum(annual.earnings);
+            const totals = {};
+            annual.deductions.forEach(line => {
+                totals[line.type] = Money.sum([totals[line.type] || 0, line.amount], pack.currency);
+            });
+            const totalDeductions = sum(annual.deductions);
+            const employerTotal = sum(annual.employerContributions);
+            const netPay = Money.round(gross - totalDeductions, pack.currency);
+            const payslips = this.buildPayslips(pack, annual);
+
+            const result = {
+                success: true,
+                country: pack.code,
+                countryName: pack.name,
+                currency: pack.currency,
+                year: annual.year,
+                taxYear: annual.label,
+                regime: annual.regime || null,
+                regimeName: annual.regimeName || null,
+                earnings: annual.earnings,
+                deductions: annual.deductions,
+                employerContributions: annual.employerContributions,
+                summary: {
+                    gross: gross,
+                    taxableIncome: annual.taxableIncome,
+                    tax: totals.tax || 0,
+                    social: totals.social || 0,
+                    pension: totals.pension || 0,
+                    loan: totals.loan || 0,
+                    totalDeductions: totalDeductions,
+                    netPay: netPay,
+                    averageMonthlyNet: Money.round(netPay / 12, pack.currency),
+                    employerContributions: employerTotal,
+                    employerCost: Money.round(gross + employerTotal, pack.currency),
+                    effectiveTaxRate: gross > 0 ? (totals.tax || 0) / gross * 100 : 0,
+                    deductionRate: gross > 0 ? totalDeductions / gross * 100 : 0
+                },
+                payslips: payslips,
+                comparison: annual.comparison || null,
+                details: annual.details || {},
+                notes: annual.notes || []
+            };
+
+            this.calculator.addToHistory({ type: 'payroll', country: pack.code, gross: gross, netPay: netPay });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Twelve pay slips in tax-year order. Lines are split evenly to the
+     * minor unit unless the pack gives their monthly amounts.
+     */
+    buildPayslips(pack, annual) {
+        const split = line => {
+            if (line.monthly) {
+                if (line.monthly.length !== 12) {
+                    throw new Error(`${line.name} needs 12 monthly amounts`);
+                }
+                return line.monthly;
+            }
+            return Money.allocate(line.amount, 12, pack.currency);
+        };
+        const earnings = annual.earnings.map(line => ({ line: line, months: split(line) }));
+        const deductions = annual.deductions.map(line => ({ line: line, months: split(line) }));
+        const employer = annual.employerContributions.map(line => ({ line: line, months: split(line) }));
+        const startYear = Number(annual.year) || new Date().getFullYear();
+
+        return Array.from({ length: 12 }, (_, index) => {
+            const date = new Date(Date.UTC(startYear, (pack.taxYearStartMonth || 0) + index, 1));
+            const lines = items => items.map(item => ({ name: item.line.name, type: item.line.type, amount: item.months[index] }));
+            const slip = {
+                period: index + 1,
+                month: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+                earnings: lines(earnings),
+                deductions: lines(deductions),
+                employerContributions: lines(employer)
+            };
+            slip.gross = Money.sum(slip.earnings.map(line => line.amount), pack.currency);
+            slip.totalDeductions = Money.sum(slip.deductions.map(line => line.amount), pack.currency);
+            slip.netPay = Money.round(slip.gross - slip.totalDeductions, pack.currency);
+            return slip;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayrollEngine;
+}
@@ -0,0 +1,485 @@
+/**
+ * Payroll Country Packs
+ * Take-home pay rules for PayrollEngine. A pack has a code, name, currency,
+ * taxYearStartMonth (0 = January), fields describing its inputs, years(engine)
+ * listing the tax years it can calculate, an optional async load(engine, year)
+ * and calculate(input, engine), which returns the annual figures:
+ * { year, label, earnings, deductions, employerContributions, taxableIncome,
+ *   notes, comparison, details }. Each deduction is { name, amount, type } with
+ * type 'tax', 'social', 'pension' or 'loan', and may give monthly amounts
+ * when they are not spread evenly.
+ */
+
+/**
+ * India: TDS under the old or new regime from the tax rule files, employee
+ * PF, professional tax and HRA exemption
+ */
+class IndiaPayrollPack {
+    constructor() {
+        this.code = 'IN';
+        this.name = 'India';
+        this.currency = 'INR';
+        this.taxYearStartMonth = 3; // April
+        this.pfRate = 12;
+        this.pfWageCeiling = 15000; // monthly wages for statutory PF
+        this.section80CLimit = 150000;
+        // Monthly professional tax slabs on monthly gross; Maharashtra charges 300 in February
+        this.professionalTax = {
+            'MH': { name: 'Maharashtra', slabs: [{ over: 7500, amount: 175 }, { over: 10000, amount: 200, february: 300 }] },
+            'KA': { name: 'Karnataka', slabs: [{ over: 24999, amount: 200 }] },
+            'WB': { name: 'West Bengal', slabs: [{ over: 10000, amount: 110 }, { over: 15000, amount: 130 }, { over: 25000, amount: 150 }, { over: 40000, amount: 200 }] },
+            'none': { name: 'None', slabs: [] }
+        };
+        this.fields = [
+            { name: 'basic', label: 'Basic salary (annual)', type: 'number', default: 600000 },
+            { name: 'hra', label: 'HRA received (annual)', type: 'number', default: 240000 },
+            { name: 'allowances', label: 'Other allowances (annual)', type: 'number', default: 360000 },
+            { name: 'rentPaid', label: 'Rent paid (annual)', type: 'number', default: 300000 },
+            { name: 'metro', label: 'Metro city (Delhi, Mumbai, Kolkata, Chennai)', type: 'checkbox', default: true },
+            { name: 'state', label: 'Professional tax state', type: 'select', default: 'MH',
+                options: Object.entries(this.professionalTax).map(([value, state]) => ({ value: value, label: state.name })) },
+            { name: 'pfOnFullBasic', label: 'PF on full basic (not capped at ₹15,000 a month)', type: 'checkbox', default: false },
+            { name: 'section80C', label: 'Other 80C investments (old regime)', type: 'number', default: 0 },
+            { name: 'otherDeductions', label: '80D and other deductions (old regime)', type: 'number', default: 0 },
+            { name: 'regime', label: 'Tax regime', type: 'select', default: 'new',
+                options: [{ value: 'new', label: 'New regime' }, { value: 'old', label: 'Old regime' }] }
+        ];
+    }
+
+    years(engine) {
+        return engine.taxRules ? engine.taxRules.getYears('IN') : [];
+    }
+
+    async load(engine, year) {
+        return engine.loadTaxRules('IN', year);
+    }
+
+    calculate(input, engine) {
+        const rules = engine.getTaxRules('IN', input.year);
+        const basic = engine.amount(input.basic);
+        const hra = engine.amount(input.hra);
+        const allowances = engine.amount(input.allowances);
+        const rentPaid = engine.amount(input.rentPaid);
+        const gross = basic + hra + allowances;
+
+        const pfWage = input.pfOnFullBasic ? basic : Math.min(basic, this.pfWageCeiling * 12);
+        const providentFund = engine.round(pfWage * this.pfRate / 100);
+        const professionalTax = this.monthlyProfessionalTax(input.state || 'MH', gross / 12);
+        const professionalTaxTotal = professionalTax.reduce((sum, amount) => sum + amount, 0);
+
+        // HRA exemption: the least of HRA received, rent over 10% of basic and 50% (metro) or 40% of basic
+        const hraExemption = rentPaid > 0
+            ? engine.round(Math.max(0, Math.min(hra, rentPaid - basic * 0.1, basic * (input.metro ? 0.5 : 0.4))))
+            : 0;
+        const section80C = Math.min(this.section80CLimit, providentFund + engine.amount(input.section80C));
+        const oldRegimeDeductions = hraExemption + professionalTaxTotal + section80C + engine.amount(input.otherDeductions);
+
+        // The rule files decide which regimes accept these deductions
+        const comparison = Object.keys(rules.regimes).map(regime => {
+            const result = engine.taxRules.calculate(rules, { income: gross, regime: regime, deductions: oldRegimeDeductions });
+            return {
+                regime: regime,
+                name: result.regimeName,
+                taxableIncome: result.taxableIncome,
+                incomeTax: result.incomeTax,
+                netPay: engine.round(gross - result.incomeTax - providentFund - professionalTaxTotal)
+            };
+        });
+        const best = comparison.reduce((lowest, entry) => (entry.incomeTax < lowest.incomeTax ? entry : lowest));
+        comparison.forEach(entry => { entry.best = entry === best; });
+        const chosen = comparison.find(entry => entry.regime === (input.regime || rules.defaultRegime));
+        if (!chosen) {
+            throw new Error(`Unknown regime for India ${rules.label}: ${input.regime}`);
+        }
+
+        return {
+            year: rules.year,
+            label: rules.label,
+            regime: chosen.regime,
+            regimeName: chosen.name,
+            earnings: [
+                { name: 'Basic salary', amount: basic },
+                { name: 'House rent allowance', amount: hra },
+                { name: 'Other allowances', amount: allowances }
+            ],
+            deductions: [
+                { name: 'Income tax (TDS)', amount: chosen.incomeTax, type: 'tax' },
+                { name: 'Employee PF', amount: providentFund, type: 'pension' },
+                { name: 'Professional tax', amount: professionalTaxTotal, type: 'tax', monthly: professionalTax }
+            ],
+            employerContributions: [
+                { name: 'Employer PF (EPF + EPS)', amount: providentFund }
+            ],
+            taxableIncome: chosen.taxableIncome,
+            comparison: comparison,
+            details: { hraExemption: hraExemption, section80C: section80C, pfWage: pfWage },
+            notes: ['TDS is spread evenly over the year.', 'HRA exemption, professional tax and 80C/80D only reduce tax under the old regime.']
+        };
+    }
+
+    /**
+     * Professional tax for each month of the financial year (April first)
+     */
+    monthlyProfessionalTax(state, monthlyGross) {
+        const table = this.professionalTax[state];
+        if (!table) {
+            throw new Error(`Unknown professional tax state: ${state}`);
+        }
+        const slab = table.slabs.filter(item => monthlyGross > item.over).pop();
+        return Array.from({ length: 12 }, (_, index) => {
+            if (!slab) return 0;
+            return index === 10 && slab.february !== undefined ? slab.february : slab.amount;
+        });
+    }
+}
+
+/**
+ * United Kingdom: PAYE income tax and employee NI from the tax rule files,
+ * student loan repayments and pension salary sacrifice
+ */
+class UKPayrollPack {
+    constructor() {
+        this.code = 'UK';
+        this.name = 'United Kingdom';
+        this.currency = 'GBP';
+        this.taxYearStartMonth = 3; // 6 April
+        // Payroll figures not in the tax rule files, by tax year
+        this.parameters = {
+            2024: {
+                studentLoans: {
+                    'plan1': { name: 'Plan 1', threshold: 24990, rate: 9 },
+                    'plan2': { name: 'Plan 2', threshold: 27295, rate: 9 },
+                    'plan4': { name: 'Plan 4', threshold: 31395, rate: 9 },
+                    'plan5': { name: 'Plan 5', threshold: 25000, rate: 9 },
+                    'postgraduate': { name: 'Postgraduate', threshold: 21000, rate: 6 }
+                },
+                employerNI: { threshold: 9100, rate: 13.8 }
+            }
+        };
+        this.fields = [
+            { name: 'salary', label: 'Salary (annual)', type: 'number', default: 45000 },
+            { name: 'pensionSacrifice', label: 'Pension salary sacrifice (%)', type: 'number', default: 5 },
+            { name: 'employerPension', label: 'Employer pension (%)', type: 'number', default: 3 },
+            { name: 'studentLoan', label: 'Student loan', type: 'select', default: 'none',
+                options: [{ value: 'none', label: 'None' }, { value: 'plan1', label: 'Plan 1' }, { value: 'plan2', label: 'Plan 2' },
+                    { value: 'plan4', label: 'Plan 4 (Scotland)' }, { value: 'plan5', label: 'Plan 5' }] },
+            { name: 'postgraduateLoan', label: 'Postgraduate loan', type: 'checkbox', default: false }
+        ];
+    }
+
+    years(engine) {
+        return engine.taxRules ? engine.taxRules.getYears('UK') : [];
+    }
+
+    async load(engine, year) {
+        return engine.loadTaxRules('UK', year);
+    }
+
+    calculate(input, engine) {
+        const rules = engine.getTaxRules('UK', input.year);
+        const parameters = this.parametersFor(rules.year);
+        const salary = engine.amount(input.salary);
+        const sacrifice = engine.round(salary * engine.amount(input.pensionSacrifice) / 100);
+        const pay = salary - sacrifice;
+
+        // Salary sacrifice lowers the pay that tax, NI and student loans are worked out on
+        const result = engine.taxRules.calculate(rules, { income: pay });
+        const studentLoans = [];
+        if (input.studentLoan && input.studentLoan !== 'none') {
+            studentLoans.push(this.studentLoan(parameters, input.studentLoan, pay, engine));
+        }
+        if (input.postgraduateLoan) {
+            studentLoans.push(this.studentLoan(parameters, 'postgraduate', pay, engine));
+        }
+
+        const niBands = salaryAmount => engine.progressiveTax(salaryAmount, [
+            { upTo: parameters.employerNI.threshold, rate: 0 },
+            { rate: parameters.employerNI.rate }
+        ]);
+        const employerNI = engine.round(niBands(pay));
+        const employerPension = engine.round(salary * engine.amount(input.employerPension) / 100);
+        const allowance = result.personalAllowance;
+
+        return {
+            year: rules.year,
+            label: rules.label,
+            earnings: [{ name: 'Salary', amount: salary }],
+            deductions: [
+                { name: 'Pension (salary sacrifice)', amount: sacrifice, type: 'pension' },
+                { name: 'Income tax (PAYE)', amount: result.incomeTax, type: 'tax' },
+                { name: 'National Insurance', amount: result.totalSocialContributions, type: 'social' },
+                ...studentLoans
+            ].filter(line => line.amount > 0 || line.type !== 'pension'),
+            employerContributions: [
+                { name: 'Employer pension', amount: employerPension + sacrifice },
+                { name: 'Employer NI', amount: employerNI }
+            ],
+            taxableIncome: result.taxableIncome,
+            details: {
+                taxCode: allowance > 0 ? `${Math.floor(allowance / 10)}L` : '0T',
+                personalAllowance: allowance,
+                employerNISaving: engine.round(niBands(salary) - employerNI)
+            },
+            notes: ['Tax code assumes no benefits in kind or underpaid tax.', 'England, Wales and Northern Ireland income tax bands.']
+        };
+    }
+
+    /**
+     * Payroll figures for a tax year, falling back to the latest known year
+     */
+    parametersFor(year) {
+        const years = Object.keys(this.parameters).map(Number).sort((a, b) => a - b);
+        const known = years.filter(item => item <= year);
+        return this.parameters[known.length > 0 ? known[known.length - 1] : years[0]];
+    }
+
+    studentLoan(parameters, plan, pay, engine) {
+        const loan = parameters.studentLoans[plan];
+        if (!loan) {
+            throw new Error(`Unknown student loan plan: ${plan}`);
+        }
+        return {
+            name: `Student loan (${loan.name})`,
+            amount: engine.round(engine.progressiveTax(pay, [{ upTo: loan.threshold, rate: 0 }, { rate: loan.rate }])),
+            type: 'loan'
+        };
+    }
+}
+
+/**
+ * Germany: wage tax by tax class from the §32a EStG formula, solidarity
+ * surcharge, church tax and the employee share of social insurance
+ */
+class GermanyPayrollPack {
+    constructor() {
+        this.code = 'DE';
+        this.name = 'Germany';
+        this.currency = 'EUR';
+        this.taxYearStartMonth = 0;
+        // Income tax formula zones, social insurance rates (% of pay, both
+        // shares) and contribution ceilings by year
+        this.parameters = {
+            2024: {
+                label: '2024',
+                basicAllowance: 11784,
+                zone2: { upTo: 17005, a: 954.80, b: 1400 },
+                zone3: { upTo: 66760, a: 181.19, b: 2397, c: 991.21 },
+                zone4: { upTo: 277825, rate: 0.42, less: 10636.31 },
+                zone5: { rate: 0.45, less: 18971.06 },
+                solidarityThreshold: 18130,
+                pension: { rate: 18.6, ceiling: 90600 },
+                unemployment: { rate: 2.6, ceiling: 90600 },
+                health: { rate: 14.6, additional: 1.7, ceiling: 62100 },
+                care: { rate: 3.4, childless: 0.6, ceiling: 62100 }
+            },
+            2025: {
+                label: '2025',
+                basicAllowance: 12096,
+                zone2: { upTo: 17443, a: 932.30, b: 1400 },
+                zone3: { upTo: 68480, a: 176.64, b: 2397, c: 1015.13 },
+                zone4: { upTo: 277825, rate: 0.42, less: 10911.92 },
+                zone5: { rate: 0.45, less: 19246.67 },
+                solidarityThreshold: 19950,
+                pension: { rate: 18.6, ceiling: 96600 },
+                unemployment: { rate: 2.6, ceiling: 96600 },
+                health: { rate: 14.6, additional: 2.5, ceiling: 66150 },
+                care: { rate: 3.6, childless: 0.6, ceiling: 66150 }
+            }
+        };
+        this.employeeAllowance = 1230; // Arbeitnehmer-Pauschbetrag
+        this.specialExpensesAllowance = 36; // Sonderausgaben-Pauschbetrag
+        this.singleParentRelief = { first: 4260, additional: 240 };
+        this.taxClasses = {
+            '1': 'I (single)',
+            '2': 'II (single parent)',
+            '3': 'III (married, higher earner)',
+            '4': 'IV (married, similar earnings)',
+            '5': 'V (married, lower earner)',
+            '6': 'VI (second job)'
+        };
+        this.fields = [
+            { name: 'salary', label: 'Gross salary (annual)', type: 'number', default: 60000 },
+            { name: 'taxClass', label: 'Tax class', type: 'select', default: '1',
+                options: Object.entries(this.taxClasses).map(([value, label]) => ({ value: value, label: label })) },
+            { name: 'children', label: 'Children', type: 'number', default: 0 },
+            { name: 'churchTax', label: 'Church tax', type: 'select', default: '0',
+                options: [{ value: '0', label: 'None' }, { value: '8', label: '8% (Bavaria, Baden-Württemberg)' }, { value: '9', label: '9% (other states)' }] },
+            { name: 'healthAdditional', label: 'Health insurer additional rate (%)', type: 'number', default: '' }
+        ];
+    }
+
+    years() {
+        return Object.keys(this.parameters).map(Number).sort((a, b) => a - b)
+            .map(year => ({ year: year, label: this.parameters[year].label, loaded: true }));
+    }
+
+    calculate(input, engine) {
+        const years = this.years();
+        const year = input.year ? Number(input.year) : years[years.length - 1].year;
+        const parameters = this.parameters[year];
+        if (!parameters) {
+            throw new Error(`No German payroll figures for ${year}`);
+        }
+        const taxClass = String(input.taxClass || '1');
+        if (!this.taxClasses[taxClass]) {
+            throw new Error(`Unknown tax class: ${input.taxClass}`);
+        }
+
+        const salary = engine.amount(input.salary);
+        const children = Math.max(0, Math.floor(engine.amount(input.children)));
+        const additional = input.healthAdditional === '' || input.healthAdditional === undefined || input.healthAdditional === null
+            ? parameters.health.additional
+            : engine.amount(input.healthAdditional);
+
+        // Employee shares: half of each rate; childless employees pay the care
+        // surcharge alone, parents of two or more under 25 pay 0.25% less per child
+        const share = (insurance, rate) => engine.round(Math.min(salary, insurance.ceiling) * rate / 100);
+        const careRate = parameters.care.rate / 2 +
+            (children === 0 ? parameters.care.childless : -0.25 * Math.max(0, Math.min(children, 5) - 1));
+        const pension = share(parameters.pension, parameters.pension.rate / 2);
+        const unemployment = share(parameters.unemployment, parameters.unemployment.rate / 2);
+        const health = share(parameters.health, (parameters.health.rate + additional) / 2);
+        const care = share(parameters.care, careRate);
+
+        // Taxable income after the standard allowances and the social
+        // insurance allowed as provision expenses
+        let allowances = pension + health + care;
+        if (taxClass !== '6') {
+            allowances += this.employeeAllowance + this.specialExpensesAllowance;
+        }
+        if (taxClass === '2' && children > 0) {
+            allowances += this.singleParentRelief.first + this.singleParentRelief.additional * (children - 1);
+        }
+        const taxableIncome = Math.max(0, Math.floor(salary - allowances));
+
+        let incomeTax;
+        if (taxClass === '3') {
+            incomeTax = 2 * this.incomeTax(taxableIncome / 2, parameters);
+        } else if (taxClass === '5' || taxClass === '6') {
+            incomeTax = Math.max(
+                2 * (this.incomeTax(taxableIncome * 1.25, parameters) - this.incomeTax(taxableIncome * 0.75, parameters)),
+                taxableIncome * 0.14
+            );
+        } else {
+            incomeTax = this.incomeTax(taxableIncome, parameters);
+        }
+        incomeTax = Math.floor(incomeTax);
+
+        // Solidarity surcharge only above the exemption, phased in at 11.9% of the excess
+        const threshold = parameters.solidarityThreshold * (taxClass === '3' ? 2 : 1);
+        const solidarity = incomeTax <= threshold ? 0 : engine.round(Math.min(incomeTax * 0.055, (incomeTax - threshold) * 0.119));
+        const churchTax = engine.round(incomeTax * engine.amount(input.churchTax) / 100);
+
+        return {
+            year: year,
+            label: parameters.label,
+            earnings: [{ name: 'Gross salary', amount: salary }],
+            deductions: [
+                { name: 'Wage tax (Lohnsteuer)', amount: incomeTax, type: 'tax' },
+                { name: 'Solidarity surcharge', amount: solidarity, type: 'tax' },
+                { name: 'Church tax', amount: churchTax, type: 'tax' },
+                { name: 'Pension insurance', amount: pension, type: 'social' },
+                { name: 'Unemployment insurance', amount: unemployment, type: 'social' },
+                { name: 'Health insurance', amount: health, type: 'social' },
+                { name: 'Long-term care insurance', amount: care, type: 'social' }
+            ].filter(line => line.amount > 0 || line.type === 'social'),
+            employerContributions: [
+                { name: 'Employer pension insurance', amount: pension },
+                { name: 'Employer unemployment insurance', amount: unemployment },
+                { name: 'Employer health insurance', amount: share(parameters.health, (parameters.health.rate + additional) / 2) },
+                { name: 'Employer care insurance', amount: share(parameters.care, parameters.care.rate / 2) }
+            ],
+            taxableIncome: taxableIncome,
+            details: { taxClass: this.taxClasses[taxClass], healthAdditionalRate: additional },
+            notes: [
+                'Wage tax is estimated from the annual income tax formula; the official monthly wage tax tables can differ by a few euros.',
+                'Child allowances only reduce solidarity surcharge and church tax in the annual assessment and are not applied here.'
+            ]
+        };
+    }
+
+    /**
+     * Income tax on taxable income under §32a EStG
+     */
+    incomeTax(income, parameters) {
+        const x = Math.floor(income);
+        if (x <= parameters.basicAllowance) return 0;
+        if (x <= parameters.zone2.upTo) {
+            const y = (x - parameters.basicAllowance) / 10000;
+            return (parameters.zone2.a * y + parameters.zone2.b) * y;
+        }
+        if (x <= parameters.zone3.upTo) {
+            const z = (x - parameters.zone2.upTo) / 10000;
+            return (parameters.zone3.a * z + parameters.zone3.b) * z + parameters.zone3.c;
+        }
+        if (x <= parameters.zone4.upTo) {
+            return parameters.zone4.rate * x - parameters.zone4.less;
+        }
+        return parameters.zone5.rate * x - parameters.zone5.less;
+    }
+}
+
+/**
+ * United States: the existing federal, FICA and state calculation
+ */
+class USPayrollPack {
+    constructor() {
+        this.code = 'US';
+        this.name = 'United States';
+        this.currency = 'USD';
+        this.taxYearStartMonth = 0;
+        this.fields = [
+            { name: 'salary', label: 'Gross salary (annual)', type: 'number', default: 75000 },
+            { name: 'filingStatus', label: 'Filing status', type: 'select', default: 'single',
+                options: [{ value: 'single', label: 'Single' }, { value: 'married', label: 'Married filing jointly' }] },
+            { name: 'state', label: 'State', type: 'select', default: 'CA',
+                options: ['CA', 'NY', 'TX', 'FL', 'WA', 'NV', 'SD', 'TN', 'WY', 'other'].map(state => ({ value: state, label: state === 'other' ? 'Other state' : state })) },
+            { name: 'preTaxDeductions', label: '401(k) and other pre-tax deductions', type: 'number', default: 0 },
+            { name: 'postTaxDeductions', label: 'Post-tax deductions', type: 'number', default: 0 }
+        ];
+    }
+
+    years(engine) {
+        return engine.taxRules ? engine.taxRules.getYears('US') : [];
+    }
+
+    async load(engine, year) {
+        return engine.loadTaxRules('US', year);
+    }
+
+    calculate(input, engine) {
+        const salary = engine.amount(input.salary);
+        const preTax = engine.amount(input.preTaxDeductions);
+        const postTax = engine.amount(input.postTaxDeductions);
+        const result = engine.calculator.calculateTakeHomePayUS(salary, input.filingStatus || 'single', input.state || 'CA', 0, preTax, postTax, input.year || null);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return {
+            year: Number(input.year) || engine.getTaxRules('US').year,
+            label: result.taxYear,
+            earnings: [{ name: 'Gross salary', amount: salary }],
+            deductions: [
+                { name: 'Pre-tax deductions', amount: preTax, type: 'pension' },
+                { name: 'Federal income tax', amount: result.federalTax, type: 'tax' },
+                { name: 'State income tax', amount: result.stateTax, type: 'tax' },
+                { name: 'Social Security', amount: result.socialSecurityTax, type: 'social' },
+                { name: 'Medicare', amount: result.medicareTax + result.additionalMedicareTax, type: 'social' },
+                { name: 'Post-tax deductions', amount: postTax, type: 'pension' }
+            ].filter(line => line.amount > 0 || line.type !== 'pension'),
+            employerContributions: [
+                { name: 'Employer Social Security', amount: result.socialSecurityTax },
+                { name: 'Employer Medicare', amount: result.medicareTax }
+            ],
+            taxableIncome: result.federalTaxableIncome,
+            details: { marginalTaxRate: result.marginalTaxRate },
+            notes: []
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndiaPayrollPack, UKPayrollPack, GermanyPayrollPack, USPayrollPack };
+}
@@ -0,0 +1,426 @@
+/**
+ * PlotView.js - Interactive canvas view for FunctionPlotter output
+ *
+ * Draws one or more sampled series with grid, axes and markers for roots,
+ * extrema and intersections. Drag to pan, use the mouse wheel to zoom and
+ * double-click to reset; the curves are resampled for every new viewport.
+ * The same scene can be exported as SVG markup or a PNG data URL.
+ */
+
+class PlotView {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {FunctionPlotter} plotter - Sampler used for every redraw
+     */
+    constructor(canvas, plotter = new FunctionPlotter()) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.plotter = plotter;
+
+        this.series = [];
+        this.plotData = null;
+        this.viewport = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+        this.initialViewport = { ...this.viewport };
+        this.showMarkers = true;
+
+        this.dragStart = null;
+        this.handlers = {};
+        this.attachEvents();
+    }
+
+    /**
+     * Plot new series; missing viewport limits are fitted to the curves
+     * @param {Array} series - Series specs accepted by FunctionPlotter.plot()
+     * @param {Object} viewport - { xMin, xMax, yMin, yMax }
+     * @returns {Object} Plot data
+     */
+    setSeries(series, viewport = {}) {
+        this.series = series;
+        this.plotData = this.plotter.plot(series, viewport, { analyze: true });
+        this.viewport = { ...this.plotData.viewport };
+        this.initialViewport = { ...this.viewport };
+        this.render();
+        return this.plotData;
+    }
+
+    /**
+     * Resample the series for the current viewport and redraw
+     */
+    update() {
+        if (this.series.length > 0) {
+            this.plotData = this.plotter.plot(this.series, this.viewport, { analyze: this.showMarkers });
+        }
+        this.render();
+    }
+
+    /**
+     * Move the view by a number of pixels
+     * @param {number} dx - Horizontal pixels (positive moves the content right)
+     * @param {number} dy - Vertical pixels (positive moves the content down)
+     */
+    pan(dx, dy) {
+        const xShift = dx * (this.viewport.xMax - this.viewport.xMin) / this.canvas.width;
+        const yShift = dy * (this.viewport.yMax - this.viewport.yMin) / this.canvas.height;
+        this.viewport = {
+            xMin: this.viewport.xMin - xShift,
+            xMax: this.viewport.xMax - xShift,
+            yMin: this.viewport.yMin + yShift,
+            yMax: this.viewport.yMax + yShift
+        };
+        this.update();
+    }
+
+    /**
+     * Zoom around a screen point
+     * @param {number} factor - Values below 1 zoom in, above 1 zoom out
+     * @param {number} px - Screen x of the fixed point (default: center)
+     * @param {number} py - Screen y of the fixed point (default: center)
+     */
+    zoom(factor, px = this.canvas.width / 2, py = this.canvas.height / 2) {
+        const center = this.toWorld(px, py);
+        this.viewport = {
+            xMin: center.x - (center.x - this.viewport.xMin) * factor,
+            xMax: center.x + (this.viewport.xMax - center.x) * factor,
+            yMin: center.y - (center.y - this.viewport.yMin) * factor,
+            yMax: center.y + (this.viewport.yMax - center.y) * factor
+        };
+        this.update();
+    }
+
+    /**
+     * Return to the viewport of the last setSeries() call
+     */
+    resetView() {
+        this.viewport = { ...this.initialViewport };
+        this.update();
+    }
+
+    /**
+     * Convert world coordinates to screen pixels
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {Object} { x, y } in pixels
+     */
+    toScreen(x, y) {
+        const { xMin, xMax, yMin, yMax } = this.viewport;
+        return {
+            x: (x - xMin) / (xMax - xMin) * this.canvas.width,
+            y: this.canvas.height - (y - yMin) / (yMax - yMin) * this.canvas.height
+        };
+    }
+
+    /**
+     * Convert screen pixels to world coordinates
+     * @param {number} px - Screen x
+     * @param {number} py - Screen y
+     * @returns {Object} { x, y } in world units
+     */
+    toWorld(px, py) {
+        const { xMin, xMax, yMin, yMax } = this.viewport;
+        return {
+            x: xMin + px / this.canvas.width * (xMax - xMin),
+            y: yMin + (this.canvas.height - py) / this.canvas.height * (yMax - yMin)
+        };
+    }
+
+    /**
+     * Grid spacing of 1, 2 or 5 times a power of ten giving about ten lines
+     * @param {number} range - Visible range
+     * @returns {number} Step
+     */
+    niceStep(range) {
+        const raw = range / 10;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const normalized = raw / magnitude;
+        const factor = normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10;
+        return factor * magnitude;
+    }
+
+    /**
+     * Format an axis label
+     * @param {number} value - Tick value
+     * @returns {string} Label
+     */
+    formatTick(value) {
+        const rounded = parseFloat(value.toPrecision(6));
+        return Object.is(rounded, -0) ? '0' : rounded.toString();
+    }
+
+    /**
+     * Build the drawing primitives shared by the canvas and SVG output
+     * @returns {Array} Items { kind: 'line' | 'path' | 'circle' | 'text', ... }
+     */
+    buildScene() {
+        const { width, height } = this.canvas;
+        const { xMin, xMax, yMin, yMax } = this.viewport;
+        const scene = [];
+
+        // Grid and tick labels
+        const xStep = this.niceStep(xMax - xMin);
+        const yStep = this.niceStep(yMax - yMin);
+        const axis = this.toScreen(0, 0);
+        const labelY = Math.min(Math.max(axis.y + 14, 14), height - 4);
+        const labelX = Math.min(Math.max(axis.x + 4, 4), width - 40);
+
+        for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax; x += xStep) {
+            const px = this.toScreen(x, 0).x;
+            scene.push({ kind: 'line', x1: px, y1: 0, x2: px, y2: height, color: '#e5e7eb', width: 1 });
+            if (Math.abs(x) > xStep / 2) {
+                scene.push({ kind: 'text', x: px + 2, y: labelY, text: this.formatTick(x), color: '#6b7280' });
+            }
+        }
+        for (let y = Math.ceil(yMin / yStep) * yStep; y <= yMax; y += yStep) {
+            const py = this.toScreen(0, y).y;
+            scene.push({ kind: 'line', x1: 0, y1: py, x2: width, y2: py, color: '#e5e7eb', width: 1 });
+            if (Math.abs(y) > yStep / 2) {
+                scene.push({ kind: 'text', x: labelX, y: py - 2, text: this.formatTick(y), color: '#6b7280' });
+            }
+        }
+
+        // Axes
+        if (xMin <= 0 && xMax >= 0) {
+            scene.push({ kind: 'line', x1: axis.x, y1: 0, x2: axis.x, y2: height, color: '#374151', width: 1.5 });
+        }
+        if (yMin <= 0 && yMax >= 0) {
+            scene.push({ kind: 'line', x1: 0, y1: axis.y, x2: width, y2: axis.y, color: '#374151', width: 1.5 });
+        }
+
+        if (!this.plotData) {
+            return scene;
+        }
+
+        // Curves; points far off-screen are clamped so paths stay drawable
+        const clamp = (value, size) => Math.min(Math.max(value, -size), 2 * size);
+        for (const item of this.plotData.series) {
+            for (const asymptote of item.asymptotes || []) {
+                const px = this.toScreen(asymptote, 0).x;
+                scene.push({ kind: 'line', x1: px, y1: 0, x2: px, y2: height, color: item.color, width: 1, dashed: true });
+            }
+            for (const segment of item.segments) {
+                const points = segment.map(point => {
+                    const screen = this.toScreen(point.x, point.y);
+                    return [clamp(screen.x, width), clamp(screen.y, height)];
+                });
+                scene.push({ kind: 'path', points: points, color: item.color, width: 2 });
+            }
+        }
+
+        // Markers
+        if (this.showMarkers) {
+            for (const item of this.plotData.series) {
+                for (const root of item.roots || []) {
+                    const screen = this.toScreen(root, 0);
+                    scene.push({ kind: 'circle', x: screen.x, y: screen.y, r: 4, color: item.color });
+                }
+                for (const extremum of item.extrema || []) {
+                    const screen = this.toScreen(extremum.x, extremum.y);
+                    scene.push({ kind: 'circle', x: screen.x, y: screen.y, r: 4, color: item.color, hollow: true });
+                }
+            }
+            for (const point of this.plotData.intersections || []) {
+                const screen = this.toScreen(point.x, point.y);
+                scene.push({ kind: 'circle', x: screen.x, y: screen.y, r: 5, color: '#111827', hollow: true });
+            }
+        }
+
+        // Legend
+        this.plotData.series.forEach((item, index) => {
+            scene.push({ kind: 'line', x1: 10, y1: 16 + index * 18, x2: 30, y2: 16 + index * 18, color: item.color, width: 3 });
+            scene.push({ kind: 'text', x: 36, y: 20 + index * 18, text: item.label, color: '#111827' });
+        });
+
+        return scene;
+    }
+
+    /**
+     * Draw the current view on the canvas
+     */
+    render() {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = '12px sans-serif';
+
+        for (const item of this.buildScene()) {
+            ctx.strokeStyle = item.color;
+            ctx.fillStyle = item.color;
+            ctx.lineWidth = item.width || 1;
+            ctx.setLineDash(item.dashed ? [6, 4] : []);
+
+            switch (item.kind) {
+                case 'line':
+                    ctx.beginPath();
+                    ctx.moveTo(item.x1, item.y1);
+                    ctx.lineTo(item.x2, item.y2);
+                    ctx.stroke();
+                    break;
+                case 'path':
+                    ctx.beginPath();
+                    item.points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                    ctx.stroke();
+                    break;
+                case 'circle':
+                    ctx.beginPath();
+                    ctx.arc(item.x, item.y, item.r, 0, 2 * Math.PI);
+                    if (item.hollow) {
+                        ctx.fillStyle = '#ffffff';
+                        ctx.fill();
+                        ctx.stroke();
+                    } else {
+                        ctx.fill();
+                    }
+                    break;
+                case 'text':
+                    ctx.fillText(item.text, item.x, item.y);
+                    break;
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Export the current view as an SVG document
+     * @returns {string} SVG markup
+     */
+    toSVG() {
+        const { width, height } = this.canvas;
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const num = (value) => parseFloat(value.toFixed(2));
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+        ];
+
+        for (const item of this.buildScene()) {
+            const dash = item.dashed ? ' stroke-dasharray="6 4"' : '';
+            switch (item.kind) {
+                case 'line':
+                    parts.push(`<line x1="${num(item.x1)}" y1="${num(item.y1)}" x2="${num(item.x2)}" y2="${num(item.y2)}" stroke="${item.color}" stroke-width="${item.width}"${dash}/>`);
+                    break;
+                case 'path': {
+                    const d = item.points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${num(x)} ${num(y)}`).join(' ');
+                    parts.push(`<path d="${d}" fill="none" stroke="${item.color}" stroke-width="${item.width}" stroke-linejoin="round"/>`);
+                    break;
+                }
+                case 'circle':
+                    parts.push(`<circle cx="${num(item.x)}" cy="${num(item.y)}" r="${item.r}" fill="${item.hollow ? '#ffffff' : item.color}" stroke="${item.color}"/>`);
+                    break;
+                case 'text':
+                    parts.push(`<text x="${num(item.x)}" y="${num(item.y)}" fill="${item.color}" font-family="sans-serif" font-size="12">${escape(item.text)}</text>`);
+                    break;
+            }
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Export the current view as a PNG data URL
+     * @returns {string} data:image/png URL
+     */
+    toPNG() {
+        this.render();
+        return this.canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Download the current view
+     * @param {string} format - 'svg' or 'png'
+     * @param {string} filename - File name without extension
+     */
+    download(format = 'png', filename = 'plot') {
+        const link = document.createElement('a');
+        if (format === 'svg') {
+            const blob = new Blob([this.toSVG()], { type: 'image/svg+xml' });
+            link.href = URL.createObjectURL(blob);
+            link.download = `${filename}.svg`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } else if (format === 'png') {
+            link.href = this.toPNG();
+            link.download = `${filename}.png`;
+            link.click();
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Mouse and touch handling for pan and zoom
+     */
+    attachEvents() {
+        if (typeof this.canvas.addEventListener !== 'function') return;
+
+        const position = (event) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const point = event.touches ? event.touches[0] : event;
+            // Account for CSS scaling of the canvas element
+            return {
+                x: (point.clientX - rect.left) * this.canvas.width / rect.width,
+                y: (point.clientY - rect.top) * this.canvas.height / rect.height
+            };
+        };
+
+        this.handlers = {
+            mousedown: (event) => {
+                this.dragStart = position(event);
+            },
+            mousemove: (event) => {
+                if (!this.dragStart) return;
+                const current = position(event);
+                this.pan(current.x - this.dragStart.x, current.y - this.dragStart.y);
+                this.dragStart = current;
+            },
+            mouseup: () => {
+                this.dragStart = null;
+            },
+            mouseleave: () => {
+                this.dragStart = null;
+            },
+            wheel: (event) => {
+                event.preventDefault();
+                const point = position(event);
+                this.zoom(event.deltaY > 0 ? 1.2 : 1 / 1.2, point.x, point.y);
+            },
+            dblclick: () => {
+                this.resetView();
+            },
+            touchstart: (event) => {
+                this.dragStart = position(event);
+            },
+            touchmove: (event) => {
+                if (!this.dragStart) return;
+                event.preventDefault();
+                const current = position(event);
+                this.pan(current.x - this.dragStart.x, current.y - this.dragStart.y);
+                this.dragStart = current;
+            },
+            touchend: () => {
+                this.dragStart = null;
+            }
+        };
+
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.canvas.addEventListener(type, handler, { passive: false });
+        }
+    }
+
+    /**
+     * Remove event listeners
+     */
+    destroy() {
+        if (typeof this.canvas.removeEventListener !== 'function') return;
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.canvas.removeEventListener(type, handler);
+        }
+        this.handlers = {};
+    }
+}
+
+// Make available globally
+window.PlotView = PlotView;
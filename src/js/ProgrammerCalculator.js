@@ -0,0 +1,402 @@
+/**
+ * ProgrammerCalculator.js - Integer calculator for programmer mode
+ *
+ * Evaluates expressions with BigInt arithmetic in a fixed word size
+ * (8/16/32/64 bit, signed or unsigned). Every intermediate result wraps
+ * around like a machine register, and results are shown in hexadecimal,
+ * decimal, octal and binary at the same time.
+ */
+
+class ProgrammerCalculator {
+    constructor() {
+        try {
+            this.operatorTable = new OperatorTable();
+            this.tokenizer = new Tokenizer(this.operatorTable);
+            this.parser = new Parser(this.operatorTable);
+
+            // Word settings
+            this.wordSize = 64;
+            this.signed = true;
+
+            // Calculator state
+            this.history = [];
+            this.lastResult = null;
+            this.lastExpression = '';
+            this.isInitialized = true;
+
+            console.log('✅ ProgrammerCalculator initialized successfully');
+        } catch (error) {
+            console.error('❌ Failed to initialize ProgrammerCalculator:', error);
+            this.isInitialized = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Supported word sizes in bits
+     */
+    static get WORD_SIZES() {
+        return [8, 16, 32, 64];
+    }
+
+    /**
+     * Set the word size; the last result is wrapped to the new size
+     * @param {number} bits - 8, 16, 32 or 64
+     */
+    setWordSize(bits) {
+        if (!ProgrammerCalculator.WORD_SIZES.includes(bits)) {
+            throw new Error(`Invalid word size: ${bits}. Must be one of ${ProgrammerCalculator.WORD_SIZES.join(', ')}`);
+        }
+        this.wordSize = bits;
+        if (this.lastResult !== null) {
+            this.lastResult = this.wrap(this.lastResult);
+        }
+    }
+
+    /**
+     * Choose signed (two's complement) or unsigned interpretation
+     * @param {boolean} signed - True for signed
+     */
+    setSigned(signed) {
+        this.signed = Boolean(signed);
+        if (this.lastResult !== null) {
+            this.lastResult = this.wrap(this.lastResult);
+        }
+    }
+
+    /**
+     * Get the current word settings
+     * @returns {Object} { wordSize, signed, min, max }
+     */
+    getWordSettings() {
+        return {
+            wordSize: this.wordSize,
+            signed: this.signed,
+            min: this.wrap(this.signed ? 1n << BigInt(this.wordSize - 1) : 0n),
+            max: this.wrap(this.signed ? (1n << BigInt(this.wordSize - 1)) - 1n : -1n)
+        };
+    }
+
+    /**
+     * Wrap a value to the current word size (overflow wraps around)
+     * @param {bigint} value - Value to wrap
+     * @returns {bigint} Wrapped value
+     */
+    wrap(value) {
+        return this.signed ? BigInt.asIntN(this.wordSize, value) : BigInt.asUintN(this.wordSize, value);
+    }
+
+    /**
+     * Calculate an integer expression
+     * @param {string} expression - Expression such as "0xFF & ~0b1010"
+     * @returns {Object} Calculation result with all four bases
+     */
+    calculate(expression) {
+        if (!expression || typeof expression !== 'string') {
+            throw new Error('Expression must be a non-empty string');
+        }
+
+        const startTime = performance.now();
+
+        try {
+            const tokens = this.tokenizer.tokenize(expression);
+            const tokenErrors = this.tokenizer.validate();
+            if (tokenErrors.length > 0) {
+                throw new Error(`Tokenization errors: ${tokenErrors.join(', ')}`);
+            }
+
+            const rpnTokens = this.parser.parse(tokens);
+            const parseErrors = this.parser.validate();
+            if (parseErrors.length > 0) {
+                throw new Error(`Parse errors: ${parseErrors.join(', ')}`);
+            }
+
+            const result = this.evaluate(rpnTokens);
+            const endTime = performance.now();
+
+            this.lastResult = result;
+            this.lastExpression = expression;
+            this.history.push({
+                expression: expression,
+                result: result,
+                timestamp: new Date(),
+                wordSize: this.wordSize,
+                signed: this.signed
+            });
+
+            return {
+                success: true,
+                result: result,
+                expression: expression,
+                formattedResult: this.formatResult(result),
+                bases: this.formatBases(result),
+                wordSize: this.wordSize,
+                signed: this.signed,
+                executionTime: endTime - startTime
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                expression: expression,
+                executionTime: performance.now() - startTime,
+                result: null
+            };
+        }
+    }
+
+    /**
+     * Evaluate RPN tokens with BigInt arithmetic
+     * @param {Array} rpnTokens - Tokens in RPN order
+     * @returns {bigint} Result
+     */
+    evaluate(rpnTokens) {
+        const stack = [];
+
+        for (const token of rpnTokens) {
+            switch (token.type) {
+                case 'NUMBER':
+                    stack.push(this.wrap(this.parseLiteral(token)));
+                    break;
+
+                case 'OPERATOR': {
+                    if (stack.length < 2) {
+                        throw new Error(`Insufficient operands for operator ${token.value}`);
+                    }
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.wrap(this.applyOperator(token.value, a, b)));
+                    break;
+                }
+
+                case 'UNARY_OPERATOR': {
+                    if (stack.length < 1) {
+                        throw new Error(`Insufficient operands for unary operator ${token.value}`);
+                    }
+                    stack.push(this.wrap(this.applyUnaryOperator(token.value, stack.pop())));
+                    break;
+                }
+
+                case 'FUNCTION':
+                    throw new Error(`Functions are not available in programmer mode: ${token.value}`);
+
+                default:
+                    throw new Error(`Programmer mode only supports integers and operators, got ${token.value}`);
+            }
+        }
+
+        if (stack.length !== 1) {
+            throw new Error('Too many operands - incomplete expression');
+        }
+
+        return stack[0];
+    }
+
+    /**
+     * Read a number token as a BigInt
+     * @param {Object} token - Number token
+     * @returns {bigint} Integer value
+     */
+    parseLiteral(token) {
+        const raw = token.raw !== undefined ? token.raw : String(token.value);
+        if (!/^(\d+|0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+)$/.test(raw)) {
+            throw new Error(`Programmer mode only supports integers, got ${raw}`);
+        }
+        return BigInt(raw);
+    }
+
+    /**
+     * Apply a binary operator
+     * @param {string} symbol - Operator symbol
+     * @param {bigint} a - Left operand
+     * @param {bigint} b - Right operand
+     * @returns {bigint} Unwrapped result
+     */
+    applyOperator(symbol, a, b) {
+        switch (symbol) {
+            case '+':
+                return a + b;
+            case '-':
+                return a - b;
+            case '*':
+            case '×':
+                return a * b;
+            case '/':
+            case '÷':
+                if (b === 0n) throw new Error('Division by zero');
+                return a / b;
+            case '%':
+                if (b === 0n) throw new Error('Modulo by zero');
+                return a % b;
+            case '^':
+            case '**':
+                return this.power(a, b);
+            case '<<':
+                if (b < 0n) throw new Error('Shift count must be non-negative');
+                // Shifting past the word width clears every bit
+                return b >= BigInt(this.wordSize) ? 0n : a << b;
+            case '>>':
+                if (b < 0n) throw new Error('Shift count must be non-negative');
+                return a >> (b >= BigInt(this.wordSize) ? BigInt(this.wordSize) : b);
+        }
+
+        const opInfo = this.operatorTable.getOperator(symbol);
+        if (!opInfo || !opInfo.bitwise) {
+            throw new Error(`Operator ${symbol} is not available in programmer mode`);
+        }
+        return opInfo.evaluate(a, b);
+    }
+
+    /**
+     * Apply a unary operator
+     * @param {string} symbol - 'unary-', 'unary+' or 'unary~'
+     * @param {bigint} a - Operand
+     * @returns {bigint} Unwrapped result
+     */
+    applyUnaryOperator(symbol, a) {
+        switch (symbol) {
+            case 'unary-':
+                return -a;
+            case 'unary+':
+                return a;
+            case 'unary~':
+                return ~a;
+            default:
+                throw new Error(`Operator ${symbol} is not available in programmer mode`);
+        }
+    }
+
+    /**
+     * Integer power by repeated squaring, wrapping at every step so large
+     * exponents never build huge intermediate values
+     * @param {bigint} base - Base
+     * @param {bigint} exponent - Non-negative exponent
+     * @returns {bigint} Wrapped result
+     */
+    power(base, exponent) {
+        if (exponent < 0n) {
+            throw new Error('Negative exponents are not supported in programmer mode');
+        }
+        let result = 1n;
+        let factor = this.wrap(base);
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = this.wrap(result * factor);
+            }
+            factor = this.wrap(factor * factor);
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Format a result in decimal
+     * @param {bigint} value - Result
+     * @returns {string} Decimal text
+     */
+    formatResult(value) {
+        return value.toString();
+    }
+
+    /**
+     * Format a value in all four bases. Hexadecimal, octal and binary show
+     * the bit pattern, so negative signed values appear in two's complement.
+     * @param {bigint} value - Value to format
+     * @returns {Object} { hex, dec, oct, bin }
+     */
+    formatBases(value) {
+        const bits = BigInt.asUintN(this.wordSize, value);
+        return {
+            hex: this.groupDigits(bits.toString(16).toUpperCase(), 4),
+            dec: value.toString(),
+            oct: bits.toString(8),
+            bin: this.groupDigits(bits.toString(2).padStart(Math.min(this.wordSize, 8), '0'), 4)
+        };
+    }
+
+    /**
+     * Split digits into groups from the right, e.g. "11111111" -> "1111 1111"
+     * @param {string} digits - Digit string
+     * @param {number} size - Group size
+     * @returns {string} Grouped digits
+     */
+    groupDigits(digits, size) {
+        const groups = [];
+        for (let end = digits.length; end > 0; end -= size) {
+            groups.unshift(digits.substring(Math.max(0, end - size), end));
+        }
+        return groups.join(' ');
+    }
+
+    /**
+     * Get a one-line-per-base summary for display
+     * @param {bigint} value - Value to format
+     * @returns {string} Summary text
+     */
+    formatAllBases(value) {
+        const bases = this.formatBases(value);
+        return `HEX ${bases.hex}\nDEC ${bases.dec}\nOCT ${bases.oct}\nBIN ${bases.bin}`;
+    }
+
+    /**
+     * Get calculation history
+     * @returns {Array} Calculation history
+     */
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Clear calculation history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+
+    /**
+     * Reset calculator to initial state
+     */
+    reset() {
+        this.clearHistory();
+        this.lastResult = null;
+        this.lastExpression = '';
+    }
+
+    /**
+     * Get calculator statistics
+     * @returns {Object} Calculator statistics
+     */
+    getStatistics() {
+        return {
+            totalCalculations: this.history.length,
+            lastExpression: this.lastExpression,
+            lastResult: this.lastResult,
+            wordSize: this.wordSize,
+            signed: this.signed,
+            isInitialized: this.isInitialized
+        };
+    }
+
+    /**
+     * Get help information
+     * @returns {Object} Help information
+     */
+    getHelp() {
+        return {
+            operators: ['+', '-', '*', '/', '%', '^', '&', '|', 'xor', '<<', '>>', '~'],
+            literals: ['255', '0xFF', '0o377', '0b11111111'],
+            wordSizes: ProgrammerCalculator.WORD_SIZES,
+            examples: [
+                '0xFF & 0b1010',
+                '1 << 10',
+                '~0',
+                '0x7F + 1',
+                '12 xor 10'
+            ]
+        };
+    }
+}
+
+// Make available globally
+window.ProgrammerCalculator = ProgrammerCalculator;
@@ -0,0 +1,427 @@
+/**
+ * Retirement Monte Carlo Simulation
+ * Run thousands of random return and inflation paths through the saving and
+ * withdrawal years, and report the probability of success, percentile bands
+ * and the distribution of balances at each age
+ */
+
+class RetirementMonteCarlo {
+    constructor(options = {}) {
+        this.history = [];
+        this.workerUrl = options.workerUrl || '/src/js/RetirementMonteCarloWorker.js?v=1&t=1726745000';
+        this.worker = null;
+        this.jobId = 0;
+        this.percentiles = [5, 10, 25, 50, 75, 90, 95];
+        this.withdrawalStrategies = {
+            'four-percent': '4% rule (inflation-adjusted fixed amount)',
+            'fixed-percent': 'Fixed % of the current balance',
+            'guardrails': 'Guardrails (adjust spending when the rate drifts)'
+        };
+    }
+
+    /**
+     * Run the simulation.
+     *
+     * Options:
+     * - currentAge, retirementAge, endAge (default 95)
+     * - currentSavings, annualContribution, contributionGrowth (% a year)
+     * - returnMean, returnStdDev, inflationMean, inflationStdDev (% a year)
+     * - withdrawal: { strategy, rate, upperGuardrail, lowerGuardrail, adjustment }
+     *   rate is the initial withdrawal % (default 4); guardrails cut or raise
+     *   spending by adjustment % when the current rate moves more than the
+     *   guardrail % above or below the initial rate
+     * - minimumWithdrawal: yearly spending in today's money that counts as
+     *   a shortfall when not met (default 0: only running out fails)
+     * - simulations (default 5000), seed (default: random), bins (default 20)
+     *
+     * Each year before retirement the balance earns that year's return and
+     * then receives the contribution; from retirement the withdrawal comes
+     * out at the start of the year and the rest earns the return. All
+     * reported balances are in today's money, deflated by each path's inflation.
+     *
+     * @param {Object} options - Simulation options
+     * @param {Function} onProgress - (done, total) called as paths complete
+     */
+    simulate(options = {}, onProgress = null) {
+        try {
+            const settings = this.normalizeOptions(options);
+            const random = RetirementMonteCarlo.createRandom(settings.seed);
+            const years = settings.endAge - settings.currentAge;
+            const simulations = settings.simulations;
+
+            // balances[year] holds the real balance of every path at the end of that year
+            const balances = Array.from({ length: years + 1 }, () => new Float64Array(simulations));
+            const withdrawals = Array.from({ length: years + 1 }, () => new Float64Array(simulations));
+            const depletedAt = new Array(years + 1).fill(0);
+            let successes = 0;
+
+            for (let path = 0; path < simulations; path++) {
+                const outcome = this.simulatePath(settings, random, balances, withdrawals, path);
+                if (outcome.success) {
+                    successes++;
+                }
+                if (outcome.depletedYear !== null) {
+                    depletedAt[outcome.depletedYear]++;
+                }
+                if (onProgress && (path + 1) % 500 === 0) {
+                    onProgress(path + 1, simulations);
+                }
+            }
+
+            const ages = [];
+            let depletedSoFar = 0;
+            for (let year = 0; year <= years; year++) {
+                depletedSoFar += depletedAt[year];
+                const sortedBalances = balances[year].sort();
+                const sortedWithdrawals = withdrawals[year].sort();
+                ages.push({
+                    age: settings.currentAge + year,
+                    retired: settings.currentAge + year >= settings.retirementAge,
+                    balance: this.percentileSummary(sortedBalances),
+                    withdrawal: this.percentileSummary(sortedWithdrawals),
+                    mean: this.round(sortedBalances.reduce((sum, value) => sum + value, 0) / simulations),
+                    depletedProbability: this.round(depletedSoFar / simulations * 100),
+                    distribution: this.histogram(sortedBalances, settings.bins)
+                });
+            }
+
+            const retirementYear = settings.retirementAge - settings.currentAge;
+            const result = {
+                success: true,
+                seed: settings.seed,
+                simulations: simulations,
+                strategy: settings.withdrawal.strategy,
+                strategyName: this.withdrawalStrategies[settings.withdrawal.strategy],
+                successProbability: this.round(successes / simulations * 100),
+                medianBalanceAtRetirement: ages[retirementYear].balance.p50,
+                medianBalanceAtEnd: ages[years].balance.p50,
+                medianFirstWithdrawal: ages[Math.min(retirementYear + 1, years)].withdrawal.p50,
+                percentiles: this.percentiles,
+                ages: ages
+            };
+            this.addToHistory({ type: 'monte-carlo', seed: settings.seed, strategy: result.strategy, successProbability: result.successProbability });
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Run one path, writing its real balance and withdrawal for each year
+     * @returns {Object} { success, depletedYear }
+     */
+    simulatePath(settings, random, balances, withdrawals, path) {
+        const withdrawal = settings.withdrawal;
+        const retirementYear = settings.retirementAge - settings.currentAge;
+        const years = balances.length - 1;
+
+        let balance = settings.currentSavings;
+        let contribution = settings.annualContribution;
+        let priceIndex = 1;
+        let spending = 0;
+        let initialRate = 0;
+        let success = true;
+        let depletedYear = null;
+
+        balances[0][path] = balance;
+        for (let year = 1; year <= years; year++) {
+            const annualReturn = Math.max(-0.99, (settings.returnMean + settings.returnStdDev * RetirementMonteCarlo.normal(random)) / 100);
+            const inflation = Math.max(-0.99, (settings.inflationMean + settings.inflationStdDev * RetirementMonteCarlo.normal(random)) / 100);
+            priceIndex *= 1 + inflation;
+            let withdrawn = 0;
+
+            if (year <= retirementYear) {
+                balance = balance * (1 + annualReturn) + contribution;
+                contribution *= 1 + settings.contributionGrowth / 100;
+            } else {
+                if (year === retirementYear + 1) {
+                    initialRate = withdrawal.rate / 100;
+                    spending = balance * initialRate;
+                } else if (withdrawal.strategy !== 'fixed-percent') {
+                    spending *= 1 + inflation;
+                }
+
+                if (withdrawal.strategy === 'fixed-percent') {
+                    spending = balance * initialRate;
+                } else if (withdrawal.strategy === 'guardrails' && year > retirementYear + 1 && balance > 0) {
+                    const currentRate = spending / balance;
+                    if (currentRate > initialRate * (1 + withdrawal.upperGuardrail / 100)) {
+                        spending *= 1 - withdrawal.adjustment / 100;
+                    } else if (currentRate < initialRate * (1 - withdrawal.lowerGuardrail / 100)) {
+                        spending *= 1 + withdrawal.adjustment / 100;
+                    }
+                }
+
+                withdrawn = Math.min(spending, balance);
+                balance = (balance - withdrawn) * (1 + annualReturn);
+
+                const shortfall = withdrawn < spending - 0.005 ||
+                    withdrawn / priceIndex < settings.minimumWithdrawal - 0.005;
+                if (shortfall) {
+                    success = false;
+                }
+                if (balance <= 0.005 && depletedYear === null) {
+                    depletedYear = year;
+                    success = false;
+                }
+            }
+
+            balance = Math.max(0, balance);
+            balances[year][path] = balance / priceIndex;
+            withdrawals[year][path] = withdrawn / priceIndex;
+        }
+
+        return { success: success, depletedYear: depletedYear };
+    }
+
+    /**
+     * Run the simulation in a Web Worker so the page stays responsive.
+     * Falls back to running on the page where workers are unavailable.
+     * @param {Object} options - Simulation options
+     * @param {Function} onProgress - (done, total)
+     * @returns {Promise<Object>} Simulation result
+     */
+    run(options = {}, onProgress = null) {
+        // Fix the seed here so a run can be repeated whichever side executes it
+        const settings = { ...options, seed: options.seed !== undefined && options.seed !== '' ? options.seed : RetirementMonteCarlo.randomSeed() };
+
+        if (typeof Worker === 'undefined') {
+            return new Promise(resolve => setTimeout(() => resolve(this.simulate(settings, onProgress)), 0));
+        }
+
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+        }
+
+        const id = ++this.jobId;
+        return new Promise((resolve, reject) => {
+            const handleMessage = event => {
+                const message = event.data;
+                if (message.id !== id) return;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.done, message.total);
+                    return;
+                }
+                this.worker.removeEventListener('message', handleMessage);
+                this.worker.removeEventListener('error', handleError);
+                if (message.result.success) {
+                    this.addToHistory({ type: 'monte-carlo', seed: message.result.seed, strategy: message.result.strategy, successProbability: message.result.successProbability });
+                }
+                resolve(message.result);
+            };
+            const handleError = event => {
+                this.worker.removeEventListener('message', handleMessage);
+                this.worker.removeEventListener('error', handleError);
+                this.terminate();
+                reject(new Error(event.message || 'Simulation worker failed'));
+            };
+            this.worker.addEventListener('message', handleMessage);
+            this.worker.addEventListener('error', handleError);
+            this.worker.postMessage({ id: id, options: settings });
+        });
+    }
+
+    /**
+     * Stop the worker; a new one starts on the next run
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Check options and fill in defaults
+     */
+    normalizeOptions(options) {
+        const number = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+        const settings = {
+            currentAge: Math.round(number(options.currentAge, 35)),
+            retirementAge: Math.round(number(options.retirementAge, 65)),
+            endAge: Math.round(number(options.endAge, 95)),
+            currentSavings: number(options.currentSavings, 0),
+            annualContribution: number(options.annualContribution, 0),
+            contributionGrowth: number(options.contributionGrowth, 0),
+            returnMean: number(options.returnMean, 7),
+            returnStdDev: number(options.returnStdDev, 15),
+            inflationMean: number(options.inflationMean, 2.5),
+            inflationStdDev: number(options.inflationStdDev, 1),
+            minimumWithdrawal: number(options.minimumWithdrawal, 0),
+            simulations: Math.round(number(options.simulations, 5000)),
+            bins: Math.round(number(options.bins, 20)),
+            seed: options.seed !== undefined && options.seed !== '' ? options.seed : RetirementMonteCarlo.randomSeed()
+        };
+
+        const withdrawal = options.withdrawal || {};
+        const strategy = withdrawal.strategy || 'four-percent';
+        if (!this.withdrawalStrategies[strategy]) {
+            throw new Error(`Unknown withdrawal strategy: ${strategy}`);
+        }
+        settings.withdrawal = {
+            strategy: strategy,
+            rate: number(withdrawal.rate, strategy === 'guardrails' ? 5 : 4),
+            upperGuardrail: number(withdrawal.upperGuardrail, 20),
+            lowerGuardrail: number(withdrawal.lowerGuardrail, 20),
+            adjustment: number(withdrawal.adjustment, 10)
+        };
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (typeof value === 'number' && !isFinite(value)) {
+                throw new Error(`Invalid value for ${key}`);
+            }
+        }
+        if (settings.currentAge < 0 || settings.retirementAge < settings.currentAge || settings.endAge <= settings.retirementAge) {
+            throw new Error('Ages must satisfy current age ≤ retirement age < end age');
+        }
+        if (settings.endAge - settings.currentAge > 100) {
+            throw new Error('Simulation cannot span more than 100 years');
+        }
+        if (settings.simulations < 1 || settings.simulations > 100000) {
+            throw new Error('Number of simulations must be between 1 and 100,000');
+        }
+        if (settings.currentSavings < 0 || settings.annualContribution < 0) {
+            throw new Error('Savings and contributions cannot be negative');
+        }
+        if (settings.returnStdDev < 0 || settings.inflationStdDev < 0) {
+            throw new Error('Standard deviations cannot be negative');
+        }
+        if (settings.withdrawal.rate <= 0) {
+            throw new Error('Withdrawal rate must be greater than zero');
+        }
+        settings.bins = Math.max(1, settings.bins);
+
+        return settings;
+    }
+
+    /**
+     * Percentiles of a sorted array, as { p5, p10, ... }
+     */
+    percentileSummary(sorted) {
+        const summary = {};
+        for (const percentile of this.percentiles) {
+            summary[`p${percentile}`] = this.round(RetirementMonteCarlo.percentile(sorted, percentile));
+        }
+        return summary;
+    }
+
+    /**
+     * Equal-width histogram of a sorted array between its 1st and 99th
+     * percentiles; values outside fall into the end bins
+     */
+    histogram(sorted, bins) {
+        const low = RetirementMonteCarlo.percentile(sorted, 1);
+        const high = RetirementMonteCarlo.percentile(sorted, 99);
+        const width = (high - low) / bins;
+        if (!(width > 0)) {
+            return [{ from: this.round(sorted[0]), to: this.round(sorted[sorted.length - 1]), count: sorted.length }];
+        }
+
+        const counts = new Array(bins).fill(0);
+        for (const value of sorted) {
+            counts[Math.min(bins - 1, Math.max(0, Math.floor((value - low) / width)))]++;
+        }
+        return counts.map((count, index) => ({
+            from: this.round(low + index * width),
+            to: this.round(low + (index + 1) * width),
+            count: count
+        }));
+    }
+
+    /**
+     * Linearly interpolated percentile of a sorted array
+     */
+    static percentile(sorted, percentile) {
+        if (sorted.length === 0) return 0;
+        const position = (sorted.length - 1) * percentile / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Seedable PRNG (mulberry32). Text seeds are hashed to 32 bits, so the
+     * same seed always replays the same paths.
+     * @param {number|string} seed - Seed
+     * @returns {Function} () => number in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : RetirementMonteCarlo.hashSeed(String(seed));
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a text seed
+     */
+    static hashSeed(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * A new random 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    static normal(random) {
+        let u = 0;
+        while (u === 0) u = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+
+    /**
+     * Round to cents
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Add to history
+     */
+    addToHistory(calculation) {
+        this.history.unshift({
+            ...calculation,
+            timestamp: new Date()
+        });
+
+        // Keep only last 20 calculations
+        if (this.history.length > 20) {
+            this.history = this.history.slice(0, 20);
+        }
+    }
+
+    /**
+     * Get history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Clear history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetirementMonteCarlo;
+}
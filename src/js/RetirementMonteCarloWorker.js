@@ -0,0 +1,19 @@
+/**
+ * RetirementMonteCarloWorker.js - Runs RetirementMonteCarlo off the page
+ *
+ * Messages in:  { id, options }
+ * Messages out: { id, type: 'progress', done, total } while running, then
+ *               { id, type: 'result', result }
+ */
+
+importScripts('RetirementMonteCarlo.js?v=1&t=1726745000');
+
+const simulator = new RetirementMonteCarlo();
+
+self.onmessage = function(event) {
+    const { id, options } = event.data;
+    const result = simulator.simulate(options, (done, total) => {
+        self.postMessage({ id: id, type: 'progress', done: done, total: total });
+    });
+    self.postMessage({ id: id, type: 'result', result: result });
+};
@@ -6,80 +6,54 @@
 class SalaryCalculator {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', flag: '🇺🇸', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', flag: '🇪🇺', rate: 0.92 },
-            'GBP': { symbol: '£', name: 'British Pound', flag: '🇬🇧', rate: 0.79 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', flag: '🇯🇵', rate: 150.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', flag: '🇨🇦', rate: 1.36 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', flag: '🇦🇺', rate: 1.52 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', flag: '🇨🇭', rate: 0.88 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', flag: '🇨🇳', rate: 7.25 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', flag: '🇮🇳', rate: 88.67 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', flag: '🇧🇷', rate: 5.45 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', flag: '🇸🇬', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', flag: '🇦🇪', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', flag: '🇸🇦', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', flag: '🇿🇦', rate: 18.5 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', flag: '🇲🇽', rate: 17.2 },
-            'KRW': { symbol: '₩', name: 'South Korean Won', flag: '🇰🇷', rate: 1350.0 },
-            'THB': { symbol: '฿', name: 'Thai Baht', flag: '🇹🇭', rate: 36.5 },
-            'NZD': { symbol: 'NZ$', name: 'New Zealand Dollar', flag: '🇳🇿', rate: 1.62 },
-            'NOK': { symbol: 'kr', name: 'Norwegian Krone', flag: '🇳🇴', rate: 10.8 },
-            'SEK': { symbol: 'kr', name: 'Swedish Krona', flag: '🇸🇪', rate: 10.9 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
+        this.taxRules = typeof TaxRules !== 'undefined' ? TaxRules.shared : null;
+        this.payroll = typeof PayrollEngine !== 'undefined' ? new PayrollEngine(this) : null;
     }
 
     /**
-     * Calculate take-home pay (US)
+     * Calculate take-home pay (US). The year's rules must be loaded first:
+     * await loadTaxRules('US', year) before calling.
+     * @param {number|null} year - Tax year; the latest loaded year when omitted
      */
-    calculateTakeHomePayUS(grossSalary, filingStatus = 'single', state = 'CA', allowances = 0, preTaxDeductions = 0, postTaxDeductions = 0) {
+    calculateTakeHomePayUS(grossSalary, filingStatus = 'single', state = 'CA', allowances = 0, preTaxDeductions = 0, postTaxDeductions = 0, year = null) {
         try {
-            // Federal tax brackets 2024
-            const federalBrackets = {
-                'single': [
-                    { min: 0, max: 11000, rate: 0.10 },
-                    { min: 11000, max: 44725, rate: 0.12 },
-                    { min: 44725, max: 95375, rate: 0.22 },
-                    { min: 95375, max: 182050, rate: 0.24 },
-                    { min: 182050, max: 231250, rate: 0.32 },
-                    { min: 231250, max: 578125, rate: 0.35 },
-                    { min: 578125, max: Infinity, rate: 0.37 }
-                ],
-                'married': [
-                    { min: 0, max: 22000, rate: 0.10 },
-                    { min: 22000, max: 89450, rate: 0.12 },
-                    { min: 89450, max: 190750, rate: 0.22 },
-                    { min: 190750, max: 364200, rate: 0.24 },
-                    { min: 364200, max: 462500, rate: 0.32 },
-                    { min: 462500, max: 693750, rate: 0.35 },
-                    { min: 693750, max: Infinity, rate: 0.37 }
-                ]
-            };
-
+            const rules = this.getTaxRules('US', year);
             const taxableIncome = grossSalary - preTaxDeductions;
-            const federalTax = this.calculateProgressiveTax(taxableIncome, federalBrackets[filingStatus]);
+            const result = this.taxRules.calculate(rules, {
+                income: taxableIncome,
+                filingStatus: filingStatus,
+                subdivision: state
+            });
+            const federalTax = result.incomeTax;
             
-            // FICA taxes (Social Security + Medicare)
-            const socialSecurityTax = Math.min(taxableIncome * 0.062, 160200 * 0.062); // 6.2% up to wage base
-            const medicareTax = taxableIncome * 0.0145; // 1.45%
-            const additionalMedicareTax = taxableIncome > 200000 ? (taxableIncome - 200000) * 0.009 : 0; // 0.9% for high earners
+            // FICA taxes (Social Security + Medicare) from the year's wage bases and rates
+            const contribution = name => {
+                const item = result.socialContributions.find(entry => entry.name === name);
+                return item ? item.amount : 0;
+            };
+            const socialSecurityTax = contribution('Social Security');
+            const medicareTax = contribution('Medicare');
+            const additionalMedicareTax = contribution('Additional Medicare');
             
-            const ficaTax = socialSecurityTax + medicareTax + additionalMedicareTax;
+            const ficaTax = result.totalSocialContributions;
             
-            // State tax (simplified - using CA as example)
-            const stateTax = this.calculateStateTax(taxableIncome, state);
+            // State tax from the year's state rules
+            const stateTax = result.subdivision ? result.subdivision.tax : 0;
             
             const totalTaxes = federalTax + ficaTax + stateTax;
             const netPay = grossSalary - totalTaxes - postTaxDeductions;
             
             return {
                 success: true,
+                taxYear: result.label,
                 grossSalary: grossSalary,
                 preTaxDeductions: preTaxDeductions,
                 postTaxDeductions: postTaxDeductions,
+                standardDeduction: result.standardDeduction,
                 taxableIncome: taxableIncome,
+                federalTaxableIncome: result.taxableIncome,
                 federalTax: federalTax,
                 stateTax: stateTax,
                 ficaTax: ficaTax,
@@ -89,13 +63,49 @@ class SalaryCalculator {
                 totalTaxes: totalTaxes,
                 netPay: netPay,
                 effectiveTaxRate: (totalTaxes / grossSalary) * 100,
-                marginalTaxRate: this.getMarginalTaxRate(taxableIncome, federalBrackets[filingStatus])
+                marginalTaxRate: result.marginalRate
             };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Take-home pay with monthly pay slips for a country with a payroll pack
+     * @param {Object} input - The pack's fields plus { year }
+     */
+    calculatePayroll(country, input = {}) {
+        if (!this.payroll) {
+            return { success: false, error: 'Payroll engine not available' };
+        }
+        return this.payroll.calculate(country, input);
+    }
+
+    /**
+     * Load the tax rules for a country and year (latest when no year is given)
+     */
+    async loadTaxRules(country = 'US', year = null) {
+        if (!this.taxRules) {
+            throw new Error('Tax rules not available');
+        }
+        return this.taxRules.load(country, year);
+    }
+
+    /**
+     * Loaded rules for a country and year; throws when loadTaxRules has not
+     * finished for them
+     */
+    getTaxRules(country, year = null) {
+        if (!this.taxRules) {
+            throw new Error('Tax rules not available');
+        }
+        const rules = this.taxRules.get(country, year);
+        if (!rules) {
+            throw new Error(`Tax rules for ${country}${year ? ' ' + year : ''} are not loaded`);
+        }
+        return rules;
+    }
+
     /**
      * Calculate salary comparison
      */
@@ -252,42 +262,19 @@ class SalaryCalculator {
     }
 
     /**
-     * Calculate progressive tax
+     * Calculate progressive tax over { min, max, rate } brackets
      */
     calculateProgressiveTax(income, brackets) {
-        let tax = 0;
-        let remainingIncome = income;
-        
-        for (const bracket of brackets) {
-            if (remainingIncome <= 0) break;
-            
-            const taxableInBracket = Math.min(remainingIncome, bracket.max - bracket.min);
-            tax += taxableInBracket * bracket.rate;
-            remainingIncome -= taxableInBracket;
-        }
-        
-        return tax;
+        return TaxRules.progressiveTax(income, brackets).tax;
     }
 
     /**
-     * Calculate state tax (simplified)
+     * Calculate state tax
      */
-    calculateStateTax(income, state) {
-        // Simplified state tax calculation
-        const stateRates = {
-            'CA': 0.093, // California
-            'NY': 0.088, // New York
-            'TX': 0.0,   // Texas (no state income tax)
-            'FL': 0.0,   // Florida (no state income tax)
-            'WA': 0.0,   // Washington (no state income tax)
-            'NV': 0.0,   // Nevada (no state income tax)
-            'SD': 0.0,   // South Dakota (no state income tax)
-            'TN': 0.0,   // Tennessee (no state income tax)
-            'WY': 0.0    // Wyoming (no state income tax)
-        };
-        
-        const rate = stateRates[state] || 0.05; // Default 5% if state not found
-        return income * rate;
+    calculateStateTax(income, state, year = null) {
+        const subdivisions = this.getTaxRules('US', year).subdivisions;
+        const region = subdivisions.regions[state] || subdivisions.default;
+        return TaxRules.progressiveTax(income, TaxRules.toBrackets(region.brackets)).tax;
     }
 
     /**
@@ -354,33 +341,15 @@ class SalaryCalculator {
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        }
-
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 0;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    formatCurrency(amount, currency = null, decimals = 0) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
     }
 
     /**
      * Format percentage
      */
     formatPercentage(value, decimals = 2) {
-        return `${value.toFixed(decimals)}%`;
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
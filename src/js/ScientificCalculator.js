@@ -12,9 +12,10 @@ class ScientificCalculator {
             
             // Initialize the base AdvancedCalculator functionality
             this.operatorTable = new window.OperatorTable();
-            this.tokenizer = new window.Tokenizer(this.operatorTable);
+            this.dimensionEngine = typeof window.DimensionEngine !== 'undefined' ? new window.DimensionEngine() : null;
+            this.tokenizer = new window.Tokenizer(this.operatorTable, this.dimensionEngine);
             this.parser = new window.Parser(this.operatorTable);
-            this.evaluator = new window.Evaluator(this.operatorTable);
+            this.evaluator = new window.Evaluator(this.operatorTable, this.dimensionEngine);
             this.functionRegistry = new window.FunctionRegistry(this.operatorTable);
             
             // Calculator state
@@ -113,6 +114,23 @@ class ScientificCalculator {
         registerIfNotExists('cbrt', 1, (x) => this.scientificFunctions.cbrt(x), 'Cube root function');
         registerIfNotExists('nthroot', 2, (x, n) => this.scientificFunctions.nthRoot(x, n), 'Nth root function');
 
+        // ScientificFunctions take Complex arguments directly, so these also
+        // serve as the complex forms the evaluator calls in complex mode
+        const complexCapable = [
+            'csc', 'sec', 'cot', 'sinh', 'cosh', 'tanh', 'csch', 'sech', 'coth',
+            'asinh', 'acosh', 'atanh', 'log10', 'log2', 'logb'
+        ];
+        for (const name of complexCapable) {
+            const func = this.functionRegistry.getFunction(name);
+            if (func && func.isUserDefined) {
+                func.complex = func.evaluate;
+            }
+        }
+        const nthroot = this.functionRegistry.getFunction('nthroot');
+        if (nthroot && nthroot.isUserDefined) {
+            nthroot.complex = (z, n) => z.power(n.reciprocal());
+        }
+
         // Special functions
         registerIfNotExists('factorial', 1, (x) => this.scientificFunctions.factorial(x), 'Factorial function');
         registerIfNotExists('gamma', 1, (x) => this.scientificFunctions.gamma(x), 'Gamma function');
@@ -175,8 +193,10 @@ class ScientificCalculator {
             const tokens = Array.from(this.tokenizer.tokenize(expression));
             const rpnTokens = this.parser.parse(tokens);
             
-            // Use the standard evaluator (it already handles functions and operators correctly)
-            const result = this.evaluator.evaluate(rpnTokens);
+            // Decimal and fraction modes need exact arithmetic; everything else uses the standard evaluator
+            const result = ['decimal', 'fraction'].includes(this.modes.getPrecisionMode()) ?
+                this.evaluateWithModes(rpnTokens) :
+                this.evaluator.evaluate(rpnTokens);
             
             // Add to history
             this.history.push({
@@ -208,57 +228,60 @@ class ScientificCalculator {
         const stack = [];
         
         for (const token of rpnTokens) {
-            if (token.type === 'Number') {
-                stack.push(this.parseNumber(token.value));
-            } else if (token.type === 'Identifier') {
-                // Handle constants and functions
-                if (this.operatorTable.isConstant(token.value)) {
-                    stack.push(this.operatorTable.getConstant(token.value));
-                } else if (this.functionRegistry.hasFunction(token.value)) {
+            switch (token.type) {
+                case 'NUMBER':
+                    stack.push(this.parseNumber(token.raw !== undefined ? token.raw : token.value));
+                    break;
+
+                case 'CONSTANT':
+                    stack.push(this.applyPrecisionMode(this.operatorTable.getConstant(token.value)));
+                    break;
+
+                case 'UNIT':
+                    throw new Error(`Units are not supported in ${this.modes.getPrecisionMode()} precision mode`);
+
+                case 'FUNCTION': {
                     const func = this.functionRegistry.getFunction(token.value);
-                    const arity = func.arity;
-                    
-                    if (arity === -1) { // Variable arity
-                        const args = [];
-                        while (stack.length > 0) {
-                            args.unshift(stack.pop());
-                        }
-                        stack.push(func.evaluate(...args));
-                    } else {
-                        const args = [];
-                        for (let i = 0; i < arity; i++) {
-                            if (stack.length === 0) {
-                                throw new Error(`Not enough arguments for function ${token.value}`);
-                            }
-                            args.unshift(stack.pop());
-                        }
-                        stack.push(func.evaluate(...args));
+                    if (!func) {
+                        throw new Error(`Unknown function: ${token.value}`);
                     }
-                } else {
-                    throw new Error(`Unknown identifier: ${token.value}`);
+
+                    const variadic = func.arity === 'variadic' || func.arity === -1;
+                    const arity = variadic ? stack.length : func.arity;
+                    if (stack.length < arity) {
+                        throw new Error(`Not enough arguments for function ${token.value}`);
+                    }
+
+                    const args = stack.splice(stack.length - arity, arity);
+                    stack.push(this.applyFunctionWithModes(token.value, func, args));
+                    break;
                 }
-            } else if (token.type === 'Operator') {
-                const operator = this.operatorTable.getOperator(token.value);
-                if (!operator) {
-                    throw new Error(`Unknown operator: ${token.value}`);
+
+                case 'OPERATOR': {
+                    if (stack.length < 2) {
+                        throw new Error(`Not enough operands for operator ${token.value}`);
+                    }
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.applyOperatorWithModes(token.value, a, b));
+                    break;
                 }
-                
-                if (operator.arity === 1) {
+
+                case 'UNARY_OPERATOR': {
                     if (stack.length === 0) {
                         throw new Error(`Not enough operands for operator ${token.value}`);
                     }
                     const operand = stack.pop();
-                    const result = operator.evaluate(operand);
-                    stack.push(this.applyPrecisionMode(result));
-                } else if (operator.arity === 2) {
-                    if (stack.length < 2) {
-                        throw new Error(`Not enough operands for operator ${token.value}`);
+                    if (operand instanceof Decimal || operand instanceof Fraction) {
+                        stack.push(token.value === 'unary-' ? operand.negate() : operand);
+                    } else {
+                        stack.push(this.applyPrecisionMode(token.operatorInfo.evaluate(operand)));
                     }
-                    const b = stack.pop();
-                    const a = stack.pop();
-                    const result = operator.evaluate(a, b);
-                    stack.push(this.applyPrecisionMode(result));
+                    break;
                 }
+
+                default:
+                    throw new Error(`Unknown token type: ${token.type}`);
             }
         }
         
@@ -269,11 +292,96 @@ class ScientificCalculator {
         return stack[0];
     }
 
+    // Apply a binary operator, using exact Decimal arithmetic when possible
+    applyOperatorWithModes(symbol, a, b) {
+        if (a instanceof Decimal || b instanceof Decimal) {
+            const left = this.applyPrecisionMode(a);
+            switch (symbol) {
+                case '+':
+                    return left.add(b);
+                case '-':
+                    return left.subtract(b);
+                case '*':
+                case '×':
+                    return left.multiply(b);
+                case '/':
+                case '÷':
+                    return left.divide(b);
+                case '%':
+                    return left.modulo(b);
+                case '^':
+                case '**':
+                    return left.power(b);
+            }
+        }
+
+        if (a instanceof Fraction || b instanceof Fraction) {
+            const promoted = TypePromoter.promote(a, b);
+            if (promoted.resultType === 'fraction') {
+                const left = promoted.a;
+                switch (symbol) {
+                    case '+':
+                        return left.add(promoted.b);
+                    case '-':
+                        return left.subtract(promoted.b);
+                    case '*':
+                    case '×':
+                        return left.multiply(promoted.b);
+                    case '/':
+                    case '÷':
+                        return left.divide(promoted.b);
+                    case '%':
+                        return left.modulo(promoted.b);
+                    case '^':
+                    case '**':
+                        return this.applyPrecisionMode(left.power(promoted.b));
+                }
+            }
+        }
+
+        const operator = this.operatorTable.getOperator(symbol);
+        if (!operator) {
+            throw new Error(`Unknown operator: ${symbol}`);
+        }
+        return this.applyPrecisionMode(operator.evaluate(this.toNumber(a), this.toNumber(b)));
+    }
+
+    // Apply a function; sqrt and abs stay exact on Decimals and Fractions, others go through floats
+    applyFunctionWithModes(name, func, args) {
+        if (args.length === 1 && args[0] instanceof Decimal) {
+            switch (name.toLowerCase()) {
+                case 'sqrt':
+                    return args[0].sqrt();
+                case 'abs':
+                    return args[0].abs();
+            }
+        }
+        if (args.length === 1 && args[0] instanceof Fraction) {
+            switch (name.toLowerCase()) {
+                case 'sqrt':
+                    // Exact for perfect squares such as 9/4, otherwise a float
+                    return this.applyPrecisionMode(args[0].power(new Fraction(1n, 2n)));
+                case 'abs':
+                    return args[0].abs();
+            }
+        }
+
+        return this.applyPrecisionMode(func.evaluate(...args.map(arg => this.toNumber(arg))));
+    }
+
+    // Plain number view of an exact value
+    toNumber(value) {
+        return value instanceof Decimal || value instanceof Fraction ? value.toNumber() : value;
+    }
+
     // Parse number based on precision mode
     parseNumber(value) {
         switch (this.modes.getPrecisionMode()) {
             case 'decimal':
-                return new Decimal(value.toString(), this.modes.getPrecision());
+                return new Decimal(value.toString(), this.modes.getPrecision(), this.modes.getRoundingMode());
+            case 'fraction':
+                // Read the literal exactly: 0.1 is 1/10, not the nearest double
+                return Fraction.from(value.toString());
             case 'bigint':
                 if (Number.isInteger(parseFloat(value))) {
                     return BigInt(Math.floor(parseFloat(value)));
@@ -292,7 +400,14 @@ class ScientificCalculator {
                 if (result instanceof Decimal) {
                     return result;
                 }
-                return new Decimal(result.toString(), this.modes.getPrecision());
+                return new Decimal(result.toString(), this.modes.getPrecision(), this.modes.getRoundingMode());
+            case 'fraction':
+                // Floats from functions become the nearest fraction when one is
+                // close enough (sin(30°) = 1/2); irrational results stay floats
+                if (typeof result === 'number') {
+                    return Fraction.approximate(result) || result;
+                }
+                return result;
             case 'bigint':
                 if (Number.isInteger(result)) {
                     return BigInt(Math.floor(result));
@@ -311,15 +426,16 @@ class ScientificCalculator {
     // Format result for display
     formatResult(result) {
         if (result instanceof Complex) {
-            if (result.isReal()) {
-                return this.formatNumber(result.real);
-            }
-            return result.toString();
+            return this.evaluator.formatComplex(result, value => this.formatNumber(value));
         }
         
         if (result instanceof Decimal) {
             return result.toString();
         }
+
+        if (result instanceof Fraction) {
+            return this.modes.getFractionFormat() === 'mixed' ? result.toMixedString() : result.toString();
+        }
         
         if (typeof result === 'bigint') {
             return result.toString();
@@ -353,6 +469,7 @@ class ScientificCalculator {
     // Mode management methods
     setAngleMode(mode) {
         this.modes.setAngleMode(mode);
+        this.evaluator.setAngleMode(mode);
     }
 
     setPrecisionMode(mode) {
@@ -361,6 +478,16 @@ class ScientificCalculator {
 
     setComplexMode(mode) {
         this.modes.setComplexMode(mode);
+        this.evaluator.setComplexMode(mode);
+    }
+
+    setComplexFormat(format) {
+        this.modes.setComplexFormat(format);
+        this.evaluator.setComplexFormat(format);
+    }
+
+    setFractionFormat(format) {
+        this.modes.setFractionFormat(format);
     }
 
     setPrecision(precision) {
@@ -379,11 +506,24 @@ class ScientificCalculator {
             return (f(x + h) - f(x - h)) / (2 * h);
         };
         
-        return this.scientificFunctions.newtonMethod(f, fPrime, initialGuess, tolerance);
+        try {
+            return this.scientificFunctions.newtonMethod(f, fPrime, initialGuess, tolerance);
+        } catch (error) {
+            // Newton stalls on flat spots and can cycle; bisect a sign change near the guess instead
+            const bracket = this.scientificFunctions.findBracket(f, initialGuess);
+            if (!bracket) {
+                throw error;
+            }
+            return this.scientificFunctions.bisectionMethod(f, bracket[0], bracket[1], tolerance);
+        }
     }
 
-    integrate(f, a, b, n = 100) {
-        return this.scientificFunctions.simpsonRule(f, a, b, n);
+    integrate(f, a, b, n) {
+        // A fixed panel count keeps the composite Simpson rule; otherwise integrate adaptively
+        if (n !== undefined) {
+            return this.scientificFunctions.simpsonRule(f, a, b, n);
+        }
+        return this.scientificFunctions.numericalIntegral(f, a, b).value;
     }
 
     // Get available functions and constants
@@ -402,8 +542,8 @@ Scientific Calculator Help:
 
 Modes:
 • Angle: Radians, Degrees, Grads
-• Precision: IEEE-754, BigInt, Decimal
-• Complex: Off, On, Auto
+• Precision: IEEE-754, BigInt, Decimal, Fraction (display: improper or mixed)
+• Complex: Off, On, Auto (display: rectangular or polar)
 
 Functions:
 • Trig: sin, cos, tan, csc, sec, cot, asin, acos, atan
@@ -412,8 +552,9 @@ Functions:
 • Power: pow(x,y), sqrt, cbrt, nthroot(x,n)
 • Special: factorial, gamma, comb(n,k), perm(n,k)
 • Statistical: abs, ceil, floor, round, min, max
+• Complex: re, im, conj, arg
 
-Constants: pi, e, tau, phi, euler, ln2, ln10, sqrt2, sqrt1_2
+Constants: pi, e, tau, phi, euler, ln2, ln10, sqrt2, sqrt1_2, i (complex mode on)
 
 Examples:
 • sin(30) - in degree mode
@@ -422,6 +563,9 @@ Examples:
 • comb(10,3) = 120
 • pow(2,3) = 8
 • sqrt(-1) - in complex mode
+• (3 + 4i) * (1 - 2i) - in complex mode
+• 2∠45 - polar input, angle in the current angle mode
+• 1/3 + 1/6 = 1/2 - in fraction mode
         `.trim();
     }
 }
@@ -24,33 +24,44 @@ class ScientificFunctions {
         console.log('✅ Scientific Functions initialized');
     }
 
+    // Out-of-domain real input: a complex result in complex mode, otherwise an error
+    complexResult(x, name, message) {
+        if (this.modes.getComplexMode() === 'off') {
+            throw new Error(message);
+        }
+        return this[name](new window.Complex(x, 0));
+    }
+
     // Trigonometric functions
     sin(x) {
-        const radians = this.modes.toRadians(x);
+        // Complex arguments are always in radians
         if (x instanceof window.Complex) {
             return x.sin();
         }
-        return Math.sin(radians);
+        return Math.sin(this.modes.toRadians(x));
     }
 
     cos(x) {
-        const radians = this.modes.toRadians(x);
+        // Complex arguments are always in radians
         if (x instanceof window.Complex) {
             return x.cos();
         }
-        return Math.cos(radians);
+        return Math.cos(this.modes.toRadians(x));
     }
 
     tan(x) {
-        const radians = this.modes.toRadians(x);
+        // Complex arguments are always in radians
         if (x instanceof window.Complex) {
             return x.tan();
         }
-        return Math.tan(radians);
+        return Math.tan(this.modes.toRadians(x));
     }
 
     csc(x) {
         const sin_x = this.sin(x);
+        if (sin_x instanceof window.Complex) {
+            return sin_x.reciprocal();
+        }
         if (sin_x === 0) {
             throw new Error('Cosecant of zero');
         }
@@ -59,6 +70,9 @@ class ScientificFunctions {
 
     sec(x) {
         const cos_x = this.cos(x);
+        if (cos_x instanceof window.Complex) {
+            return cos_x.reciprocal();
+        }
         if (cos_x === 0) {
             throw new Error('Secant of zero');
         }
@@ -67,6 +81,9 @@ class ScientificFunctions {
 
     cot(x) {
         const tan_x = this.tan(x);
+        if (tan_x instanceof window.Complex) {
+            return tan_x.reciprocal();
+        }
         if (tan_x === 0) {
             throw new Error('Cotangent of zero');
         }
@@ -76,15 +93,11 @@ class ScientificFunctions {
     // Inverse trigonometric functions
     asin(x) {
         if (x instanceof window.Complex) {
-            // asin(z) = -i * ln(i*z + sqrt(1 - z^2))
-            const i = new window.Complex(0, 1);
-            const sqrt_term = this.sqrt(new window.Complex(1, 0).subtract(x.multiply(x)));
-            const ln_term = i.multiply(x).add(sqrt_term).ln();
-            return i.multiply(ln_term).multiply(new window.Complex(-1, 0));
+            return x.asin();
         }
         
-        if (Math.abs(x) > 1 && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: asin(x) for |x| > 1');
+        if (Math.abs(x) > 1) {
+            return this.complexResult(x, 'asin', 'Domain error: asin(x) for |x| > 1');
         }
         
         const result = Math.asin(x);
@@ -93,13 +106,11 @@ class ScientificFunctions {
 
     acos(x) {
         if (x instanceof window.Complex) {
-            // acos(z) = π/2 - asin(z)
-            const pi_half = new window.Complex(Math.PI / 2, 0);
-            return pi_half.subtract(this.asin(x));
+            return x.acos();
         }
         
-        if (Math.abs(x) > 1 && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: acos(x) for |x| > 1');
+        if (Math.abs(x) > 1) {
+            return this.complexResult(x, 'acos', 'Domain error: acos(x) for |x| > 1');
         }
         
         const result = Math.acos(x);
@@ -108,12 +119,7 @@ class ScientificFunctions {
 
     atan(x) {
         if (x instanceof window.Complex) {
-            // atan(z) = (i/2) * ln((1 - i*z)/(1 + i*z))
-            const i = new window.Complex(0, 1);
-            const numerator = new window.Complex(1, 0).subtract(i.multiply(x));
-            const denominator = new window.Complex(1, 0).add(i.multiply(x));
-            const ln_term = numerator.divide(denominator).ln();
-            return i.multiply(ln_term).divide(new window.Complex(2, 0));
+            return x.atan();
         }
         
         const result = Math.atan(x);
@@ -123,21 +129,21 @@ class ScientificFunctions {
     // Hyperbolic functions
     sinh(x) {
         if (x instanceof window.Complex) {
-            return x.sin();
+            return x.sinh();
         }
         return (Math.exp(x) - Math.exp(-x)) / 2;
     }
 
     cosh(x) {
         if (x instanceof window.Complex) {
-            return x.cos();
+            return x.cosh();
         }
         return (Math.exp(x) + Math.exp(-x)) / 2;
     }
 
     tanh(x) {
         if (x instanceof window.Complex) {
-            return x.tan();
+            return x.tanh();
         }
         const exp_2x = Math.exp(2 * x);
         return (exp_2x - 1) / (exp_2x + 1);
@@ -145,6 +151,9 @@ class ScientificFunctions {
 
     csch(x) {
         const sinh_x = this.sinh(x);
+        if (sinh_x instanceof window.Complex) {
+            return sinh_x.reciprocal();
+        }
         if (sinh_x === 0) {
             throw new Error('Hyperbolic cosecant of zero');
         }
@@ -153,6 +162,9 @@ class ScientificFunctions {
 
     sech(x) {
         const cosh_x = this.cosh(x);
+        if (cosh_x instanceof window.Complex) {
+            return cosh_x.reciprocal();
+        }
         if (cosh_x === 0) {
             throw new Error('Hyperbolic secant of zero');
         }
@@ -161,6 +173,9 @@ class ScientificFunctions {
 
     coth(x) {
         const tanh_x = this.tanh(x);
+        if (tanh_x instanceof window.Complex) {
+            return tanh_x.reciprocal();
+        }
         if (tanh_x === 0) {
             throw new Error('Hyperbolic cotangent of zero');
         }
@@ -184,8 +199,8 @@ class ScientificFunctions {
             return x.add(sqrt_term).ln();
         }
         
-        if (x < 1 && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: acosh(x) for x < 1');
+        if (x < 1) {
+            return this.complexResult(x, 'acosh', 'Domain error: acosh(x) for x < 1');
         }
         
         return Math.log(x + Math.sqrt(x * x - 1));
@@ -200,7 +215,10 @@ class ScientificFunctions {
             return ln_term.divide(new window.Complex(2, 0));
         }
         
-        if (Math.abs(x) >= 1 && this.modes.getComplexMode() === 'off') {
+        if (Math.abs(x) > 1) {
+            return this.complexResult(x, 'atanh', 'Domain error: atanh(x) for |x| >= 1');
+        }
+        if (Math.abs(x) === 1) {
             throw new Error('Domain error: atanh(x) for |x| >= 1');
         }
         
@@ -220,7 +238,10 @@ class ScientificFunctions {
             return x.ln();
         }
         
-        if (x <= 0 && this.modes.getComplexMode() === 'off') {
+        if (x < 0) {
+            return this.complexResult(x, 'ln', 'Domain error: ln(x) for x <= 0');
+        }
+        if (x === 0) {
             throw new Error('Domain error: ln(x) for x <= 0');
         }
         
@@ -232,7 +253,10 @@ class ScientificFunctions {
             return x.ln().divide(new window.Complex(Math.LN10, 0));
         }
         
-        if (x <= 0 && this.modes.getComplexMode() === 'off') {
+        if (x < 0) {
+            return this.complexResult(x, 'log10', 'Domain error: log10(x) for x <= 0');
+        }
+        if (x === 0) {
             throw new Error('Domain error: log10(x) for x <= 0');
         }
         
@@ -244,7 +268,10 @@ class ScientificFunctions {
             return x.ln().divide(new window.Complex(Math.LN2, 0));
         }
         
-        if (x <= 0 && this.modes.getComplexMode() === 'off') {
+        if (x < 0) {
+            return this.complexResult(x, 'log2', 'Domain error: log2(x) for x <= 0');
+        }
+        if (x === 0) {
             throw new Error('Domain error: log2(x) for x <= 0');
         }
         
@@ -259,6 +286,9 @@ class ScientificFunctions {
         }
         
         if (x <= 0 || base <= 0 || base === 1) {
+            if (x !== 0 && base !== 0 && base !== 1 && this.modes.getComplexMode() !== 'off') {
+                return this.logb(new window.Complex(x, 0), new window.Complex(base, 0));
+            }
             throw new Error('Domain error: logb(x, base) for invalid arguments');
         }
         
@@ -273,8 +303,11 @@ class ScientificFunctions {
             return complex_x.power(complex_y);
         }
         
-        if (x < 0 && !Number.isInteger(y) && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: pow(x, y) for x < 0 and non-integer y');
+        if (x < 0 && !Number.isInteger(y)) {
+            if (this.modes.getComplexMode() === 'off') {
+                throw new Error('Domain error: pow(x, y) for x < 0 and non-integer y');
+            }
+            return this.pow(new window.Complex(x, 0), y);
         }
         
         return Math.pow(x, y);
@@ -282,12 +315,11 @@ class ScientificFunctions {
 
     sqrt(x) {
         if (x instanceof window.Complex) {
-            // sqrt(z) = z^(1/2)
-            return x.power(new window.Complex(0.5, 0));
+            return x.sqrt();
         }
         
-        if (x < 0 && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: sqrt(x) for x < 0');
+        if (x < 0) {
+            return this.complexResult(x, 'sqrt', 'Domain error: sqrt(x) for x < 0');
         }
         
         return Math.sqrt(x);
@@ -305,11 +337,15 @@ class ScientificFunctions {
             return x.power(new window.Complex(1/n, 0));
         }
         
-        if (x < 0 && n % 2 === 0 && this.modes.getComplexMode() === 'off') {
-            throw new Error('Domain error: nthRoot(x, n) for x < 0 and even n');
+        if (x < 0 && n % 2 === 0) {
+            if (this.modes.getComplexMode() === 'off') {
+                throw new Error('Domain error: nthRoot(x, n) for x < 0 and even n');
+            }
+            return this.nthRoot(new window.Complex(x, 0), n);
         }
         
-        return Math.pow(x, 1/n);
+        // Odd roots of negative numbers stay real: nthroot(-8, 3) = -2
+        return x < 0 && Number.isInteger(n) && n % 2 !== 0 ? -Math.pow(-x, 1/n) : Math.pow(x, 1/n);
     }
 
     // Special functions
@@ -438,6 +474,88 @@ class ScientificFunctions {
         throw new Error('Newton method did not converge');
     }
 
+    /**
+     * Bisection on a bracket [a, b] where f changes sign
+     * @param {Function} f - Function
+     * @param {number} a - Left end
+     * @param {number} b - Right end
+     * @param {number} tolerance - Bracket width to stop at
+     * @param {number} maxIterations - Maximum halvings
+     * @returns {number} Root
+     */
+    bisectionMethod(f, a, b, tolerance = 1e-12, maxIterations = 200) {
+        let fa = f(a);
+        const fb = f(b);
+        if (fa === 0) return a;
+        if (fb === 0) return b;
+        if (Math.sign(fa) === Math.sign(fb)) {
+            throw new Error('Bisection needs f(a) and f(b) of opposite sign');
+        }
+
+        for (let i = 0; i < maxIterations; i++) {
+            const mid = (a + b) / 2;
+            const fm = f(mid);
+            if (fm === 0 || (b - a) / 2 < tolerance * Math.max(1, Math.abs(mid))) {
+                return mid;
+            }
+            if (Math.sign(fm) === Math.sign(fa)) {
+                a = mid;
+                fa = fm;
+            } else {
+                b = mid;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Search outwards from a guess for an interval where f changes sign
+     * @param {Function} f - Function
+     * @param {number} guess - Starting point
+     * @param {number} maxExpansions - How many times the search width doubles
+     * @returns {Array|null} [a, b] or null if no sign change was found
+     */
+    findBracket(f, guess, maxExpansions = 50) {
+        let step = 0.1 * Math.max(1, Math.abs(guess));
+        for (let i = 0; i < maxExpansions; i++) {
+            const a = guess - step;
+            const b = guess + step;
+            const fa = f(a);
+            const fb = f(b);
+            if (isFinite(fa) && isFinite(fb) && Math.sign(fa) !== Math.sign(fb)) {
+                return [a, b];
+            }
+            step *= 2;
+        }
+        return null;
+    }
+
+    /**
+     * Root of f inside a sign-change bracket [a, b]. Newton's method starts
+     * at the midpoint; if it fails or leaves the bracket, bisection is used.
+     * @param {Function} f - Function
+     * @param {number} a - Left end
+     * @param {number} b - Right end
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {Object} { root, method: 'newton' | 'bisection' }
+     */
+    bracketedRoot(f, a, b, tolerance = 1e-12) {
+        const fPrime = (x) => {
+            const h = 1e-7 * Math.max(1, Math.abs(x));
+            return (f(x + h) - f(x - h)) / (2 * h);
+        };
+
+        try {
+            const root = this.newtonMethod(f, fPrime, (a + b) / 2, tolerance);
+            if (root >= a && root <= b) {
+                return { root: root, method: 'newton' };
+            }
+        } catch (error) {
+            // Fall through to bisection
+        }
+        return { root: this.bisectionMethod(f, a, b, tolerance), method: 'bisection' };
+    }
+
     simpsonRule(f, a, b, n = 100) {
         if (n % 2 !== 0) n++; // Ensure n is even
         
@@ -453,6 +571,185 @@ class ScientificFunctions {
         return (h / 3) * sum;
     }
 
+    /**
+     * Adaptive Simpson quadrature with Richardson error estimate
+     * @param {Function} f - Integrand
+     * @param {number} a - Lower limit
+     * @param {number} b - Upper limit
+     * @param {number} tolerance - Absolute error tolerance
+     * @param {number} maxDepth - Maximum bisection depth
+     * @returns {Object} { value, error, evaluations, converged }
+     */
+    adaptiveSimpson(f, a, b, tolerance = 1e-10, maxDepth = 50) {
+        let evaluations = 0;
+        let converged = true;
+        const evaluate = (x) => {
+            evaluations++;
+            const y = f(x);
+            if (!isFinite(y)) {
+                throw new Error(`Integrand is not finite at x = ${x}`);
+            }
+            return y;
+        };
+
+        const simpson = (fa, fm, fb, h) => (h / 6) * (fa + 4 * fm + fb);
+
+        const refine = (a, b, fa, fm, fb, whole, eps, depth) => {
+            const m = (a + b) / 2;
+            const lm = (a + m) / 2;
+            const rm = (m + b) / 2;
+            const flm = evaluate(lm);
+            const frm = evaluate(rm);
+            const left = simpson(fa, flm, fm, m - a);
+            const right = simpson(fm, frm, fb, b - m);
+            const delta = left + right - whole;
+
+            if (Math.abs(delta) <= 15 * eps || depth >= maxDepth) {
+                if (depth >= maxDepth) converged = false;
+                return { value: left + right + delta / 15, error: Math.abs(delta) / 15 };
+            }
+
+            const l = refine(a, m, fa, flm, fm, left, eps / 2, depth + 1);
+            const r = refine(m, b, fm, frm, fb, right, eps / 2, depth + 1);
+            return { value: l.value + r.value, error: l.error + r.error };
+        };
+
+        const fa = evaluate(a);
+        const fb = evaluate(b);
+        const fm = evaluate((a + b) / 2);
+        const result = refine(a, b, fa, fm, fb, simpson(fa, fm, fb, b - a), tolerance, 0);
+
+        return { ...result, evaluations, converged };
+    }
+
+    /**
+     * Adaptive Gauss–Kronrod (G7/K15) quadrature. Infinite limits are
+     * mapped onto a finite interval before integrating.
+     * @param {Function} f - Integrand
+     * @param {number} a - Lower limit (may be -Infinity)
+     * @param {number} b - Upper limit (may be Infinity)
+     * @param {number} tolerance - Absolute/relative error tolerance
+     * @param {number} maxIntervals - Maximum number of subintervals
+     * @returns {Object} { value, error, intervals, evaluations, converged }
+     */
+    gaussKronrod(f, a, b, tolerance = 1e-10, maxIntervals = 200) {
+        if (a === b) {
+            return { value: 0, error: 0, intervals: 0, evaluations: 0, converged: true };
+        }
+        if (a > b) {
+            const result = this.gaussKronrod(f, b, a, tolerance, maxIntervals);
+            return { ...result, value: -result.value };
+        }
+
+        // Map infinite ranges onto finite ones
+        let g = f;
+        let lo = a;
+        let hi = b;
+        if (a === -Infinity && b === Infinity) {
+            g = (t) => f(t / (1 - t * t)) * (1 + t * t) / ((1 - t * t) * (1 - t * t));
+            lo = -1;
+            hi = 1;
+        } else if (b === Infinity) {
+            g = (t) => f(a + t / (1 - t)) / ((1 - t) * (1 - t));
+            lo = 0;
+            hi = 1;
+        } else if (a === -Infinity) {
+            g = (t) => f(b - t / (1 - t)) / ((1 - t) * (1 - t));
+            lo = 0;
+            hi = 1;
+        }
+
+        const nodes = [
+            0.9914553711208126, 0.9491079123427585,
+            0.8648644233597691, 0.7415311855993945,
+            0.5860872354676911, 0.4058451513773972,
+            0.20778495500789848, 0
+        ];
+        const kronrodWeights = [
+            0.022935322010529224, 0.06309209262997856,
+            0.10479001032225019, 0.14065325971552592,
+            0.1690047266392679, 0.19035057806478542,
+            0.20443294007529889, 0.20948214108472782
+        ];
+        // Gauss weights for the odd Kronrod nodes (indices 1, 3, 5, 7)
+        const gaussWeights = [
+            0.1294849661688697, 0.27970539148927664,
+            0.3818300505051189, 0.4179591836734694
+        ];
+
+        let evaluations = 0;
+        const rule = (a, b) => {
+            const center = (a + b) / 2;
+            const half = (b - a) / 2;
+            let kronrod = 0;
+            let gauss = 0;
+
+            for (let i = 0; i < nodes.length; i++) {
+                const offset = half * nodes[i];
+                const values = offset === 0 ? [g(center)] : [g(center - offset), g(center + offset)];
+                evaluations += values.length;
+                const sum = values.reduce((total, y) => total + y, 0);
+                if (!isFinite(sum)) {
+                    throw new Error(`Integrand is not finite near x = ${center}`);
+                }
+                kronrod += kronrodWeights[i] * sum;
+                if (i % 2 === 1) {
+                    gauss += gaussWeights[(i - 1) / 2] * sum;
+                }
+            }
+
+            return { a, b, value: kronrod * half, error: Math.abs((kronrod - gauss) * half) };
+        };
+
+        const intervals = [rule(lo, hi)];
+        const total = (key) => intervals.reduce((sum, interval) => sum + interval[key], 0);
+
+        while (intervals.length < maxIntervals) {
+            const error = total('error');
+            if (error <= Math.max(tolerance, tolerance * Math.abs(total('value')))) {
+                break;
+            }
+
+            // Bisect the interval with the largest error estimate
+            let worst = 0;
+            for (let i = 1; i < intervals.length; i++) {
+                if (intervals[i].error > intervals[worst].error) worst = i;
+            }
+            const { a: left, b: right } = intervals[worst];
+            const middle = (left + right) / 2;
+            intervals.splice(worst, 1, rule(left, middle), rule(middle, right));
+        }
+
+        const value = total('value');
+        const error = total('error');
+        return {
+            value,
+            error,
+            intervals: intervals.length,
+            evaluations,
+            converged: error <= Math.max(tolerance, tolerance * Math.abs(value))
+        };
+    }
+
+    /**
+     * Numerically integrate with an error estimate. Uses adaptive
+     * Gauss–Kronrod and falls back to adaptive Simpson when it fails
+     * to converge on a finite interval.
+     * @returns {Object} { value, error, method, evaluations, converged }
+     */
+    numericalIntegral(f, a, b, tolerance = 1e-10) {
+        const kronrod = this.gaussKronrod(f, a, b, tolerance);
+        if (kronrod.converged || !isFinite(a) || !isFinite(b)) {
+            return { ...kronrod, method: 'Gauss–Kronrod (G7/K15)' };
+        }
+
+        const simpson = this.adaptiveSimpson(f, a, b, tolerance);
+        if (simpson.converged || simpson.error < kronrod.error) {
+            return { ...simpson, method: 'Adaptive Simpson' };
+        }
+        return { ...kronrod, method: 'Gauss–Kronrod (G7/K15)' };
+    }
+
     // Get constants
     getConstant(name) {
         const upperName = name.toUpperCase();
@@ -7,8 +7,10 @@
 class ScientificModes {
     constructor() {
         this.angleMode = 'rad'; // 'rad', 'deg', 'grad'
-        this.precisionMode = 'ieee754'; // 'ieee754', 'bigint', 'decimal'
+        this.precisionMode = 'ieee754'; // 'ieee754', 'bigint', 'decimal', 'fraction'
+        this.fractionFormat = 'improper'; // 'improper' (7/2), 'mixed' (3 1/2)
         this.complexMode = 'off'; // 'off', 'on', 'auto'
+        this.complexFormat = 'rectangular'; // 'rectangular', 'polar'
         this.precision = 50; // For decimal mode
         this.roundingMode = 'nearest'; // 'nearest', 'up', 'down', 'toward_zero'
         
@@ -58,7 +60,7 @@ class ScientificModes {
 
     // Precision mode management
     setPrecisionMode(mode) {
-        if (!['ieee754', 'bigint', 'decimal'].includes(mode)) {
+        if (!['ieee754', 'bigint', 'decimal', 'fraction'].includes(mode)) {
             throw new Error(`Invalid precision mode: ${mode}`);
         }
         this.precisionMode = mode;
@@ -69,6 +71,19 @@ class ScientificModes {
         return this.precisionMode;
     }
 
+    // Fraction display: 7/2 or 3 1/2
+    setFractionFormat(format) {
+        if (!['improper', 'mixed'].includes(format)) {
+            throw new Error(`Invalid fraction format: ${format}`);
+        }
+        this.fractionFormat = format;
+        console.log(`Fraction format set to: ${format}`);
+    }
+
+    getFractionFormat() {
+        return this.fractionFormat;
+    }
+
     // Set precision for decimal mode
     setPrecision(precision) {
         if (precision < 1 || precision > 1000) {
@@ -95,6 +110,19 @@ class ScientificModes {
         return this.complexMode;
     }
 
+    // Complex display: 3 + 4i or 5∠53.13
+    setComplexFormat(format) {
+        if (!['rectangular', 'polar'].includes(format)) {
+            throw new Error(`Invalid complex format: ${format}`);
+        }
+        this.complexFormat = format;
+        console.log(`Complex format set to: ${format}`);
+    }
+
+    getComplexFormat() {
+        return this.complexFormat;
+    }
+
     // Rounding mode management
     setRoundingMode(mode) {
         if (!['nearest', 'up', 'down', 'toward_zero'].includes(mode)) {
@@ -129,7 +157,9 @@ class ScientificModes {
         return {
             angle: this.angleMode,
             precision: this.precisionMode,
+            fractionFormat: this.fractionFormat,
             complex: this.complexMode,
+            complexFormat: this.complexFormat,
             precisionValue: this.precision,
             rounding: this.roundingMode
         };
@@ -139,7 +169,9 @@ class ScientificModes {
     reset() {
         this.angleMode = 'rad';
         this.precisionMode = 'ieee754';
+        this.fractionFormat = 'improper';
         this.complexMode = 'off';
+        this.complexFormat = 'rectangular';
         this.precision = 50;
         this.roundingMode = 'nearest';
         console.log('Scientific modes reset to defaults');
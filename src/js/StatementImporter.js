@@ -0,0 +1,252 @@
+/**
+ * StatementImporter.js - Bank statement parsing for the budget ledger
+ *
+ * Reads CSV, OFX (SGML or XML) and QIF statements into plain transactions:
+ * { date: 'YYYY-MM-DD', amount, payee, memo, reference, category } where
+ * spending is negative and money received is positive. category is only
+ * set when the file carries one (QIF L lines).
+ */
+
+class StatementImporter {
+    constructor() {
+        this.formats = {
+            'csv': 'CSV',
+            'ofx': 'OFX / QFX',
+            'qif': 'QIF'
+        };
+    }
+
+    /**
+     * Parse a statement, detecting the format from the file name or content.
+     *
+     * Options:
+     * - format: 'csv', 'ofx' or 'qif' (detected when omitted)
+     * - fileName: used for format detection
+     * - dateOrder: 'dmy' or 'mdy' for dates like 03/04/2024; 'auto' (default)
+     *   decides from the file's dates
+     * @returns {Object} { success, format, account, currency, transactions, errors }
+     */
+    parse(text, options = {}) {
+        try {
+            const content = String(text || '').replace(/^\uFEFF/, '');
+            if (content.trim() === '') {
+                throw new Error('The statement file is empty');
+            }
+
+            const format = options.format || this.detectFormat(content, options.fileName);
+            if (!this.formats[format]) {
+                throw new Error(`Unsupported statement format: ${format}`);
+            }
+
+            const parsed = format === 'ofx' ? this.parseOFX(content)
+                : format === 'qif' ? this.parseQIF(content, options.dateOrder)
+                : this.parseCSV(content, options.dateOrder);
+            if (parsed.transactions.length === 0) {
+                throw new Error(parsed.errors.length > 0 ? parsed.errors[0] : 'No transactions found');
+            }
+
+            return {
+                success: true,
+                format: format,
+                formatName: this.formats[format],
+                account: parsed.account || null,
+                currency: parsed.currency || null,
+                transactions: parsed.transactions,
+                errors: parsed.errors
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Statement format from the file extension, else the content
+     */
+    detectFormat(text, fileName = '') {
+        const extension = String(fileName || '').toLowerCase().split('.').pop();
+        if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+        if (extension === 'qif') return 'qif';
+        if (/OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+        if (/^\s*!(Type|Account)/im.test(text)) return 'qif';
+        return 'csv';
+    }
+
+    /**
+     * CSV statement. Columns are found by header: a date, either one
+     * signed amount column or separate debit and credit columns, and a
+     * payee or description. Without a header the columns are date,
+     * amount, payee, memo.
+     */
+    parseCSV(text, dateOrder = 'auto') {
+        const lines = CsvParser.lines(text);
+        const delimiter = CsvParser.detectDelimiter(lines[0]);
+        const first = CsvParser.parseLine(lines[0], delimiter).map(cell => cell.toLowerCase());
+        const hasHeader = first.some(cell => /date|amount|debit|credit|payee|description/.test(cell)) &&
+            !CsvParser.parseDate(first[0]);
+
+        let columns = { date: 0, amount: 1, debit: -1, credit: -1, payee: 2, memo: 3, reference: -1, category: -1 };
+        if (hasHeader) {
+            const find = pattern => first.findIndex(cell => pattern.test(cell));
+            columns = {
+                date: find(/^(transaction |posting |posted |booking )?date|^posted/),
+                amount: first.findIndex(cell => /amount|value/.test(cell) && !/debit|credit|withdrawal|deposit|paid|money/.test(cell)),
+                debit: find(/debit|withdrawal|paid out|money out|outflow/),
+                credit: find(/credit|deposit|paid in|money in|inflow/),
+                payee: find(/payee|description|merchant|name|narrative|details/),
+                memo: find(/memo|notes?$|particulars/),
+                reference: find(/reference|check|cheque|fitid|transaction id/),
+                category: find(/category/)
+            };
+            if (columns.date === -1) {
+                columns.date = find(/date/);
+            }
+            if (columns.date === -1 || (columns.amount === -1 && columns.debit === -1 && columns.credit === -1)) {
+                throw new Error('CSV header needs a date column and an amount (or debit and credit) column');
+            }
+        }
+
+        const rows = lines.slice(hasHeader ? 1 : 0).map(line => CsvParser.parseLine(line, delimiter));
+        const order = dateOrder && dateOrder !== 'auto' ? dateOrder : CsvParser.detectDateOrder(rows.map(cells => cells[columns.date]));
+        const cell = (cells, index) => (index >= 0 && cells[index] !== undefined ? cells[index] : '');
+
+        const transactions = [];
+        const errors = [];
+        rows.forEach((cells, index) => {
+            const row = index + (hasHeader ? 2 : 1);
+            const date = StatementImporter.parseDate(cell(cells, columns.date), order);
+            let amount = null;
+            if (columns.amount >= 0 && cell(cells, columns.amount) !== '') {
+                amount = CsvParser.parseAmount(cell(cells, columns.amount));
+            } else if (columns.debit >= 0 || columns.credit >= 0) {
+                const debit = cell(cells, columns.debit) === '' ? 0 : CsvParser.parseAmount(cell(cells, columns.debit));
+                const credit = cell(cells, columns.credit) === '' ? 0 : CsvParser.parseAmount(cell(cells, columns.credit));
+                amount = debit === null || credit === null ? null : Math.abs(credit) - Math.abs(debit);
+            }
+
+            if (!date) {
+                errors.push(`Row ${row}: invalid date "${cell(cells, columns.date)}"`);
+            } else if (amount === null) {
+                errors.push(`Row ${row}: invalid amount`);
+            } else {
+                transactions.push({
+                    date: date,
+                    amount: amount,
+                    payee: cell(cells, columns.payee),
+                    memo: cell(cells, columns.memo),
+                    reference: cell(cells, columns.reference),
+                    category: cell(cells, columns.category)
+                });
+            }
+        });
+        return { transactions: transactions, errors: errors };
+    }
+
+    /**
+     * OFX/QFX statement, in the SGML (1.x) or XML (2.x) flavour
+     */
+    parseOFX(text) {
+        const field = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? StatementImporter.decodeEntities(match[1].trim()) : '';
+        };
+
+        const transactions = [];
+        const errors = [];
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+        blocks.forEach((block, index) => {
+            const posted = field(block, 'DTPOSTED');
+            const match = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+            const date = match ? StatementImporter.parseDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+            const amount = CsvParser.parseAmount(field(block, 'TRNAMT'));
+            if (!date) {
+                errors.push(`Transaction ${index + 1}: invalid date "${posted}"`);
+            } else if (amount === null) {
+                errors.push(`Transaction ${index + 1}: invalid amount "${field(block, 'TRNAMT')}"`);
+            } else {
+                transactions.push({
+                    date: date,
+                    amount: amount,
+                    payee: field(block, 'NAME') || field(block, 'PAYEE'),
+                    memo: field(block, 'MEMO'),
+                    reference: field(block, 'FITID') || field(block, 'CHECKNUM'),
+                    category: ''
+                });
+            }
+        });
+
+        return {
+            account: field(text, 'ACCTID') || null,
+            currency: field(text, 'CURDEF') || null,
+            transactions: transactions,
+            errors: errors
+        };
+    }
+
+    /**
+     * QIF statement: one field per line (D date, T amount, P payee, M memo,
+     * N number, L category), records ending with ^
+     */
+    parseQIF(text, dateOrder = 'auto') {
+        const records = [];
+        let record = {};
+        text.split(/\r?\n/).forEach(line => {
+            const code = line.charAt(0);
+            const value = line.slice(1).trim();
+            if (code === '^') {
+                if (Object.keys(record).length > 0) records.push(record);
+                record = {};
+            } else if (code === '!' || line.trim() === '') {
+                return;
+            } else if (record[code] === undefined) {
+                // Split lines (S, E, $) repeat codes; the first value is the one that counts
+                record[code] = value;
+            }
+        });
+        if (Object.keys(record).length > 0) records.push(record);
+
+        // QIF dates use ' before two-digit years from 2000 (1/31'24)
+        const dates = records.map(item => String(item.D || '').replace(/'\s*/, '/'));
+        const order = dateOrder && dateOrder !== 'auto' ? dateOrder : CsvParser.detectDateOrder(dates);
+        const transactions = [];
+        const errors = [];
+        records.forEach((item, index) => {
+            const date = StatementImporter.parseDate(dates[index], order);
+            const amount = CsvParser.parseAmount(item.T !== undefined ? item.T : item.U);
+            if (!date) {
+                errors.push(`Record ${index + 1}: invalid date "${item.D || ''}"`);
+            } else if (amount === null) {
+                errors.push(`Record ${index + 1}: invalid amount "${item.T || item.U || ''}"`);
+            } else {
+                transactions.push({
+                    date: date,
+                    amount: amount,
+                    payee: item.P || '',
+                    memo: item.M || '',
+                    reference: item.N || '',
+                    category: item.L && !/^\[.*\]$/.test(item.L) ? item.L : ''
+                });
+            }
+        });
+        return { transactions: transactions, errors: errors };
+    }
+
+    /**
+     * 'YYYY-MM-DD' from a statement date, or null when invalid
+     */
+    static parseDate(value, order = 'mdy') {
+        const date = CsvParser.parseDate(value, order);
+        return date ? CsvParser.formatDate(date) : null;
+    }
+
+    /**
+     * Decode the XML entities OFX files use
+     */
+    static decodeEntities(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementImporter;
+}
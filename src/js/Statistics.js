@@ -0,0 +1,643 @@
+/**
+ * Statistics.js - Descriptive statistics, probability distributions and
+ * least-squares regression
+ *
+ * All methods are static and work on plain arrays of numbers, so the same
+ * code backs the expression engine (see FunctionRegistry) and MathSolver.
+ * Continuous distributions are computed from the regularized incomplete
+ * gamma and beta functions; inverses are found by bisection on the CDF.
+ */
+
+class Statistics {
+    /**
+     * Check that a list of numbers is usable
+     * @param {Array} values - Data values
+     * @param {string} name - Function name for error messages
+     * @param {number} minLength - Minimum number of values
+     * @returns {Array} The values
+     */
+    static requireData(values, name, minLength = 1) {
+        if (!Array.isArray(values) || values.length < minLength) {
+            throw new Error(`${name} requires at least ${minLength} value${minLength === 1 ? '' : 's'}`);
+        }
+        if (!values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+            throw new Error(`${name} requires finite numbers`);
+        }
+        return values;
+    }
+
+    /**
+     * Check that two lists can be paired
+     * @param {Array} xs - x values
+     * @param {Array} ys - y values
+     * @param {string} name - Function name for error messages
+     * @param {number} minLength - Minimum number of pairs
+     */
+    static requirePairs(xs, ys, name, minLength = 2) {
+        Statistics.requireData(xs, name, minLength);
+        Statistics.requireData(ys, name, minLength);
+        if (xs.length !== ys.length) {
+            throw new Error(`${name} requires lists of the same length, got ${xs.length} and ${ys.length}`);
+        }
+    }
+
+    // ---- Descriptive statistics ----
+
+    static sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    static mean(values) {
+        Statistics.requireData(values, 'mean');
+        return Statistics.sum(values) / values.length;
+    }
+
+    static median(values) {
+        return Statistics.quantile(values, 0.5);
+    }
+
+    /**
+     * Most frequent values. When several values tie, all of them are modes.
+     * @param {Array} values - Data values
+     * @returns {Array} Modes in ascending order
+     */
+    static mode(values) {
+        Statistics.requireData(values, 'mode');
+        const counts = new Map();
+        for (const value of values) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        const highest = Math.max(...counts.values());
+        return Array.from(counts.keys()).filter(value => counts.get(value) === highest).sort((a, b) => a - b);
+    }
+
+    /**
+     * Variance; the sample variance divides by n - 1
+     * @param {Array} values - Data values
+     * @param {boolean} sample - Sample (true) or population (false)
+     * @returns {number} Variance
+     */
+    static variance(values, sample = true) {
+        Statistics.requireData(values, sample ? 'Sample variance' : 'Variance', sample ? 2 : 1);
+        const mean = Statistics.mean(values);
+        const squares = values.reduce((total, value) => total + (value - mean) ** 2, 0);
+        return squares / (values.length - (sample ? 1 : 0));
+    }
+
+    static stdev(values, sample = true) {
+        return Math.sqrt(Statistics.variance(values, sample));
+    }
+
+    /**
+     * Quantile with linear interpolation between order statistics
+     * (the default method of R and Excel's PERCENTILE.INC)
+     * @param {Array} values - Data values
+     * @param {number} p - Probability between 0 and 1
+     * @returns {number} Quantile
+     */
+    static quantile(values, p) {
+        Statistics.requireData(values, 'quantile');
+        if (!(p >= 0 && p <= 1)) {
+            throw new Error(`Quantile probability must be between 0 and 1, got ${p}`);
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const h = (sorted.length - 1) * p;
+        const lower = Math.floor(h);
+        const upper = Math.ceil(h);
+        return sorted[lower] + (h - lower) * (sorted[upper] - sorted[lower]);
+    }
+
+    /**
+     * Pearson correlation coefficient
+     * @param {Array} xs - x values
+     * @param {Array} ys - y values
+     * @returns {number} r between -1 and 1
+     */
+    static correlation(xs, ys) {
+        Statistics.requirePairs(xs, ys, 'corr');
+        const mx = Statistics.mean(xs);
+        const my = Statistics.mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < xs.length; i++) {
+            sxy += (xs[i] - mx) * (ys[i] - my);
+            sxx += (xs[i] - mx) ** 2;
+            syy += (ys[i] - my) ** 2;
+        }
+        if (sxx === 0 || syy === 0) {
+            throw new Error('Correlation is undefined when one list has no variation');
+        }
+        return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+    }
+
+    // ---- Special functions ----
+
+    /**
+     * Natural logarithm of |Γ(x)| (Lanczos approximation, g = 7)
+     * @param {number} x - Argument
+     * @returns {number} ln|Γ(x)|
+     */
+    static logGamma(x) {
+        if (x < 0.5) {
+            // Reflection formula
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - Statistics.logGamma(1 - x);
+        }
+        const c = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        const z = x - 1;
+        let a = c[0];
+        for (let i = 1; i < c.length; i++) {
+            a += c[i] / (z + i);
+        }
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    /**
+     * Regularized lower incomplete gamma function P(a, x)
+     */
+    static gammaP(a, x) {
+        if (x <= 0) return 0;
+        if (x < a + 1) return Statistics.gammaSeries(a, x);
+        return 1 - Statistics.gammaContinuedFraction(a, x);
+    }
+
+    /**
+     * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x),
+     * computed directly so small tail probabilities keep their precision
+     */
+    static gammaQ(a, x) {
+        if (x <= 0) return 1;
+        if (x < a + 1) return 1 - Statistics.gammaSeries(a, x);
+        return Statistics.gammaContinuedFraction(a, x);
+    }
+
+    static gammaSeries(a, x) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-16) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - Statistics.logGamma(a));
+    }
+
+    static gammaContinuedFraction(a, x) {
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 1000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-16) break;
+        }
+        return Math.exp(-x + a * Math.log(x) - Statistics.logGamma(a)) * h;
+    }
+
+    /**
+     * Regularized incomplete beta function I_x(a, b)
+     */
+    static incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(Statistics.logGamma(a + b) - Statistics.logGamma(a) - Statistics.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x));
+        // The continued fraction converges quickly on this side of the mean
+        if (x < (a + 1) / (a + b + 2)) {
+            return front * Statistics.betaContinuedFraction(x, a, b) / a;
+        }
+        return 1 - front * Statistics.betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    static betaContinuedFraction(x, a, b) {
+        const tiny = 1e-300;
+        const clamp = (value) => Math.abs(value) < tiny ? tiny : value;
+        let c = 1;
+        let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+        let h = d;
+        for (let m = 1; m < 1000; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a - 1 + m2) * (a + m2));
+            d = 1 / clamp(1 + aa * d);
+            c = clamp(1 + aa / c);
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2));
+            d = 1 / clamp(1 + aa * d);
+            c = clamp(1 + aa / c);
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-16) break;
+        }
+        return h;
+    }
+
+    /**
+     * Invert a continuous CDF by bisection
+     * @param {Function} cdf - Increasing function
+     * @param {number} p - Target probability in (0, 1)
+     * @param {number} lower - Start of the search (expanded if needed)
+     * @param {number} upper - End of the search (expanded if needed)
+     * @param {boolean} bounded - Keep lower fixed (distributions on x ≥ 0)
+     * @returns {number} x with cdf(x) = p
+     */
+    static invertCdf(cdf, p, lower, upper, bounded = false) {
+        while (!bounded && cdf(lower) > p) lower = lower * 2 - 1;
+        while (cdf(upper) < p) upper = upper * 2 + 1;
+        for (let i = 0; i < 200; i++) {
+            const middle = (lower + upper) / 2;
+            if (middle === lower || middle === upper) break;
+            if (cdf(middle) < p) {
+                lower = middle;
+            } else {
+                upper = middle;
+            }
+        }
+        return (lower + upper) / 2;
+    }
+
+    static requireProbability(p, name) {
+        if (!(p > 0 && p < 1)) {
+            throw new Error(`${name} requires a probability strictly between 0 and 1, got ${p}`);
+        }
+    }
+
+    static requirePositive(value, label, name) {
+        if (!(value > 0) || !Number.isFinite(value)) {
+            throw new Error(`${name} requires a positive ${label}, got ${value}`);
+        }
+    }
+
+    // ---- Normal distribution ----
+
+    static normalPdf(x, mean = 0, sd = 1) {
+        Statistics.requirePositive(sd, 'standard deviation', 'normpdf');
+        const z = (x - mean) / sd;
+        return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+    }
+
+    static normalCdf(x, mean = 0, sd = 1) {
+        Statistics.requirePositive(sd, 'standard deviation', 'normcdf');
+        const z = (x - mean) / sd;
+        // Φ(z) = P(1/2, z²/2) / 2 around the mean; use Q in the tails
+        const tail = 0.5 * Statistics.gammaQ(0.5, z * z / 2);
+        return z < 0 ? tail : 1 - tail;
+    }
+
+    static normalInv(p, mean = 0, sd = 1) {
+        Statistics.requireProbability(p, 'norminv');
+        Statistics.requirePositive(sd, 'standard deviation', 'norminv');
+        return mean + sd * Statistics.invertCdf(z => Statistics.normalCdf(z), p, -10, 10);
+    }
+
+    // ---- Student's t distribution ----
+
+    static tPdf(x, df) {
+        Statistics.requirePositive(df, 'number of degrees of freedom', 'tpdf');
+        const logNorm = Statistics.logGamma((df + 1) / 2) - Statistics.logGamma(df / 2) - 0.5 * Math.log(df * Math.PI);
+        return Math.exp(logNorm - (df + 1) / 2 * Math.log(1 + x * x / df));
+    }
+
+    static tCdf(x, df) {
+        Statistics.requirePositive(df, 'number of degrees of freedom', 'tcdf');
+        const x2 = x * x;
+        if (x2 < df) {
+            // Near the center use P(|T| ≤ x) directly; df / (df + x²) would round to 1
+            const half = 0.5 * Statistics.incompleteBeta(x2 / (df + x2), 0.5, df / 2);
+            return x < 0 ? 0.5 - half : 0.5 + half;
+        }
+        const tail = 0.5 * Statistics.incompleteBeta(df / (df + x2), df / 2, 0.5);
+        return x < 0 ? tail : 1 - tail;
+    }
+
+    static tInv(p, df) {
+        Statistics.requireProbability(p, 'tinv');
+        Statistics.requirePositive(df, 'number of degrees of freedom', 'tinv');
+        return Statistics.invertCdf(t => Statistics.tCdf(t, df), p, -10, 10);
+    }
+
+    // ---- Chi-square distribution ----
+
+    static chiSquarePdf(x, k) {
+        Statistics.requirePositive(k, 'number of degrees of freedom', 'chi2pdf');
+        if (x < 0) return 0;
+        if (x === 0) return k < 2 ? Infinity : k === 2 ? 0.5 : 0;
+        return Math.exp((k / 2 - 1) * Math.log(x) - x / 2 - (k / 2) * Math.LN2 - Statistics.logGamma(k / 2));
+    }
+
+    static chiSquareCdf(x, k) {
+        Statistics.requirePositive(k, 'number of degrees of freedom', 'chi2cdf');
+        return Statistics.gammaP(k / 2, Math.max(0, x) / 2);
+    }
+
+    static chiSquareInv(p, k) {
+        Statistics.requireProbability(p, 'chi2inv');
+        Statistics.requirePositive(k, 'number of degrees of freedom', 'chi2inv');
+        return Statistics.invertCdf(x => Statistics.chiSquareCdf(x, k), p, 0, Math.max(1, 2 * k), true);
+    }
+
+    // ---- Binomial distribution ----
+
+    static requireBinomial(n, p, name) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`${name} requires a non-negative whole number of trials, got ${n}`);
+        }
+        if (!(p >= 0 && p <= 1)) {
+            throw new Error(`${name} requires a success probability between 0 and 1, got ${p}`);
+        }
+    }
+
+    static binomialPdf(k, n, p) {
+        Statistics.requireBinomial(n, p, 'binompdf');
+        if (!Number.isInteger(k) || k < 0 || k > n) return 0;
+        if (p === 0) return k === 0 ? 1 : 0;
+        if (p === 1) return k === n ? 1 : 0;
+        const logChoose = Statistics.logGamma(n + 1) - Statistics.logGamma(k + 1) - Statistics.logGamma(n - k + 1);
+        return Math.exp(logChoose + k * Math.log(p) + (n - k) * Math.log(1 - p));
+    }
+
+    static binomialCdf(k, n, p) {
+        Statistics.requireBinomial(n, p, 'binomcdf');
+        const whole = Math.floor(k);
+        if (whole < 0) return 0;
+        if (whole >= n) return 1;
+        // P(X ≤ k) = I_{1-p}(n - k, k + 1)
+        return Statistics.incompleteBeta(1 - p, n - whole, whole + 1);
+    }
+
+    static binomialInv(q, n, p) {
+        Statistics.requireBinomial(n, p, 'binominv');
+        if (!(q >= 0 && q <= 1)) {
+            throw new Error(`binominv requires a probability between 0 and 1, got ${q}`);
+        }
+        return Statistics.discreteInverse(k => Statistics.binomialCdf(k, n, p), q, n);
+    }
+
+    // ---- Poisson distribution ----
+
+    static poissonPdf(k, lambda) {
+        Statistics.requirePositive(lambda, 'rate', 'poissonpdf');
+        if (!Number.isInteger(k) || k < 0) return 0;
+        return Math.exp(k * Math.log(lambda) - lambda - Statistics.logGamma(k + 1));
+    }
+
+    static poissonCdf(k, lambda) {
+        Statistics.requirePositive(lambda, 'rate', 'poissoncdf');
+        const whole = Math.floor(k);
+        if (whole < 0) return 0;
+        // P(X ≤ k) = Q(k + 1, λ)
+        return Statistics.gammaQ(whole + 1, lambda);
+    }
+
+    static poissonInv(q, lambda) {
+        Statistics.requirePositive(lambda, 'rate', 'poissoninv');
+        if (!(q >= 0 && q < 1)) {
+            throw new Error(`poissoninv requires a probability in [0, 1), got ${q}`);
+        }
+        let upper = Math.ceil(lambda + 10 * Math.sqrt(lambda) + 10);
+        while (Statistics.poissonCdf(upper, lambda) < q) upper *= 2;
+        return Statistics.discreteInverse(k => Statistics.poissonCdf(k, lambda), q, upper);
+    }
+
+    /**
+     * Smallest whole k in [0, upper] with cdf(k) ≥ q (binary search)
+     */
+    static discreteInverse(cdf, q, upper) {
+        let lower = 0;
+        while (lower < upper) {
+            const middle = Math.floor((lower + upper) / 2);
+            if (cdf(middle) >= q) {
+                upper = middle;
+            } else {
+                lower = middle + 1;
+            }
+        }
+        return lower;
+    }
+
+    // ---- Regression ----
+
+    /**
+     * Coefficient of determination R² = 1 - SSres / SStot
+     * @param {Array} ys - Observed values
+     * @param {Array} predicted - Fitted values
+     * @returns {number} R²
+     */
+    static rSquared(ys, predicted) {
+        const mean = Statistics.mean(ys);
+        let residual = 0;
+        let total = 0;
+        for (let i = 0; i < ys.length; i++) {
+            residual += (ys[i] - predicted[i]) ** 2;
+            total += (ys[i] - mean) ** 2;
+        }
+        if (total === 0) {
+            return residual === 0 ? 1 : 0;
+        }
+        return 1 - residual / total;
+    }
+
+    /**
+     * Least-squares line y = b0 + b1·x
+     * @param {Array} xs - x values
+     * @param {Array} ys - y values
+     * @returns {RegressionResult} Coefficients [b0, b1] and R²
+     */
+    static linearRegression(xs, ys) {
+        Statistics.requirePairs(xs, ys, 'linreg');
+        const mx = Statistics.mean(xs);
+        const my = Statistics.mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < xs.length; i++) {
+            sxy += (xs[i] - mx) * (ys[i] - my);
+            sxx += (xs[i] - mx) ** 2;
+        }
+        if (sxx === 0) {
+            throw new Error('linreg requires at least two different x values');
+        }
+        const slope = sxy / sxx;
+        const intercept = my - slope * mx;
+        const r2 = Statistics.rSquared(ys, xs.map(x => intercept + slope * x));
+        return new RegressionResult('linear', [intercept, slope], r2, xs.length);
+    }
+
+    /**
+     * Least-squares polynomial y = b0 + b1·x + ... + bd·x^d from the normal
+     * equations
+     * @param {Array} xs - x values
+     * @param {Array} ys - y values
+     * @param {number} degree - Polynomial degree (1-10)
+     * @returns {RegressionResult} Coefficients [b0, ..., bd] and R²
+     */
+    static polynomialRegression(xs, ys, degree) {
+        if (!Number.isInteger(degree) || degree < 1 || degree > 10) {
+            throw new Error(`polyreg degree must be a whole number from 1 to 10, got ${degree}`);
+        }
+        Statistics.requirePairs(xs, ys, 'polyreg', degree + 1);
+        if (new Set(xs).size <= degree) {
+            throw new Error(`polyreg of degree ${degree} requires at least ${degree + 1} different x values`);
+        }
+
+        // Center and scale x to keep the normal equations well conditioned
+        const center = Statistics.mean(xs);
+        const scale = Math.max(...xs.map(x => Math.abs(x - center))) || 1;
+        const us = xs.map(x => (x - center) / scale);
+
+        const size = degree + 1;
+        const A = Array.from({ length: size }, () => new Array(size).fill(0));
+        const b = new Array(size).fill(0);
+        for (let i = 0; i < us.length; i++) {
+            const powers = [1];
+            for (let k = 1; k <= 2 * degree; k++) powers.push(powers[k - 1] * us[i]);
+            for (let row = 0; row < size; row++) {
+                b[row] += powers[row] * ys[i];
+                for (let col = 0; col < size; col++) {
+                    A[row][col] += powers[row + col];
+                }
+            }
+        }
+        const scaled = Statistics.solveLinearSystem(A, b);
+
+        // Expand Σ c_k ((x - center) / scale)^k back into powers of x
+        const coefficients = new Array(size).fill(0);
+        for (let k = 0; k < size; k++) {
+            const factor = scaled[k] / Math.pow(scale, k);
+            for (let j = 0; j <= k; j++) {
+                coefficients[j] += factor * Statistics.binomialCoefficient(k, j) * Math.pow(-center, k - j);
+            }
+        }
+
+        const predict = (u) => scaled.reduce((total, c, k) => total + c * Math.pow(u, k), 0);
+        const r2 = Statistics.rSquared(ys, us.map(predict));
+        return new RegressionResult('polynomial', coefficients, r2, xs.length);
+    }
+
+    /**
+     * Exponential model y = a·e^(b·x), fitted as a line through (x, ln y).
+     * R² is measured against the original y values.
+     * @param {Array} xs - x values
+     * @param {Array} ys - Positive y values
+     * @returns {RegressionResult} Coefficients [a, b] and R²
+     */
+    static exponentialRegression(xs, ys) {
+        Statistics.requirePairs(xs, ys, 'expreg');
+        if (ys.some(y => y <= 0)) {
+            throw new Error('expreg requires positive y values');
+        }
+        const line = Statistics.linearRegression(xs, ys.map(y => Math.log(y)));
+        const a = Math.exp(line.coefficients[0]);
+        const b = line.coefficients[1];
+        const r2 = Statistics.rSquared(ys, xs.map(x => a * Math.exp(b * x)));
+        return new RegressionResult('exponential', [a, b], r2, xs.length);
+    }
+
+    static binomialCoefficient(n, k) {
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    }
+
+    /**
+     * Gaussian elimination with partial pivoting
+     * @param {Array} A - Square coefficient matrix (rows)
+     * @param {Array} b - Right-hand side
+     * @returns {Array} Solution
+     */
+    static solveLinearSystem(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) {
+                throw new Error('Regression system is singular');
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let total = M[row][n];
+            for (let k = row + 1; k < n; k++) total -= M[row][k] * x[k];
+            x[row] = total / M[row][row];
+        }
+        return x;
+    }
+}
+
+// Fitted regression model: coefficients, R² and a readable equation
+class RegressionResult {
+    /**
+     * @param {string} model - 'linear', 'polynomial' or 'exponential'
+     * @param {Array} coefficients - [b0, b1, ...] (ascending powers) or [a, b] for a·e^(bx)
+     * @param {number} r2 - Coefficient of determination
+     * @param {number} n - Number of data points
+     */
+    constructor(model, coefficients, r2, n) {
+        this.model = model;
+        this.coefficients = coefficients;
+        this.r2 = r2;
+        this.n = n;
+    }
+
+    predict(x) {
+        if (this.model === 'exponential') {
+            return this.coefficients[0] * Math.exp(this.coefficients[1] * x);
+        }
+        return this.coefficients.reduce((total, c, k) => total + c * Math.pow(x, k), 0);
+    }
+
+    equation(formatValue = (value) => parseFloat(value.toPrecision(6)).toString()) {
+        const format = (value) => formatValue(Math.abs(value) < 1e-12 ? 0 : value);
+        if (this.model === 'exponential') {
+            return `y = ${format(this.coefficients[0])}·e^(${format(this.coefficients[1])}x)`;
+        }
+
+        const terms = [];
+        for (let k = this.coefficients.length - 1; k >= 0; k--) {
+            const c = this.coefficients[k];
+            if (Math.abs(c) < 1e-12 && this.coefficients.length > 1) continue;
+            const power = k === 0 ? '' : k === 1 ? 'x' : `x^${k}`;
+            const magnitude = format(Math.abs(c));
+            const text = power && magnitude === '1' ? power : `${magnitude}${power}`;
+            if (terms.length === 0) {
+                terms.push(c < 0 ? `-${text}` : text);
+            } else {
+                terms.push(c < 0 ? `- ${text}` : `+ ${text}`);
+            }
+        }
+        return `y = ${terms.length > 0 ? terms.join(' ') : '0'}`;
+    }
+
+    toString(formatValue) {
+        const format = formatValue || ((value) => parseFloat(value.toPrecision(6)).toString());
+        return `${this.equation(format)}, R² = ${format(this.r2)}`;
+    }
+}
+
+// Make available globally
+window.Statistics = Statistics;
+window.RegressionResult = RegressionResult;
@@ -0,0 +1,440 @@
+/**
+ * Subscription Metrics
+ * Recurring-revenue (SaaS) metrics from subscription events: MRR and ARR
+ * movement, logo and revenue churn, net revenue retention, LTV:CAC, CAC
+ * payback and a cohort retention matrix
+ */
+
+class SubscriptionMetrics {
+    /**
+     * @param {BusinessMetricsCalculator} calculator - Supplies CLV, CAC and the currency; without
+     *     one, amounts are in USD and LTV and CAC are null
+     */
+    constructor(calculator) {
+        this.calculator = calculator;
+        // Event types and what they do to the customer's MRR
+        this.eventTypes = {
+            'new': 'set',
+            'subscribe': 'set',
+            'reactivation': 'set',
+            'expansion': 'increase',
+            'upgrade': 'increase',
+            'contraction': 'decrease',
+            'downgrade': 'decrease',
+            'churn': 'cancel',
+            'cancel': 'cancel',
+            'cancellation': 'cancel',
+            'change': 'set'
+        };
+    }
+
+    /**
+     * Parse subscription events from CSV text.
+     *
+     * Columns are found by header: date, customer (or account/subscription
+     * id), type (new, expansion, contraction, churn, reactivation ...) and
+     * either mrr, the customer's monthly recurring revenue after the event,
+     * or amount, the change in MRR. Without a header the columns are date,
+     * customer, type, mrr.
+     * @returns {Object} { success, events, errors } with one message per skipped row
+     */
+    parseCSV(text) {
+        try {
+            const lines = CsvParser.lines(text);
+            if (lines.length === 0) {
+                throw new Error('The CSV file is empty');
+            }
+
+            const delimiter = CsvParser.detectDelimiter(lines[0]);
+            const first = CsvParser.parseLine(lines[0], delimiter).map(cell => cell.toLowerCase());
+            const hasHeader = !CsvParser.parseDate(first[0]) && first.some(cell => /date|customer|mrr|type/.test(cell));
+
+            let columns = { date: 0, customer: 1, type: 2, mrr: 3, change: -1 };
+            if (hasHeader) {
+                const find = pattern => first.findIndex(cell => pattern.test(cell));
+                columns = {
+                    date: find(/date|month|time/),
+                    customer: find(/customer|account|subscription|client|user|id$/),
+                    type: find(/type|event|action|status/),
+                    mrr: find(/^(new )?mrr$|mrr after|monthly revenue|^mrr/),
+                    change: find(/amount|change|delta/)
+                };
+                if (columns.date === -1 || columns.customer === -1 || (columns.mrr === -1 && columns.change === -1)) {
+                    throw new Error('CSV header needs date, customer and mrr (or amount) columns');
+                }
+            }
+
+            const rows = lines.slice(hasHeader ? 1 : 0).map(line => CsvParser.parseLine(line, delimiter));
+            const order = CsvParser.detectDateOrder(rows.map(cells => cells[columns.date]));
+            const events = [];
+            const errors = [];
+            rows.forEach((cells, index) => {
+                const row = index + (hasHeader ? 2 : 1);
+                const cell = column => (column >= 0 && cells[column] !== undefined ? cells[column] : '');
+                const date = CsvParser.parseDate(cell(columns.date), order);
+                const type = cell(columns.type).toLowerCase();
+                const mrr = cell(columns.mrr) === '' ? null : CsvParser.parseAmount(cell(columns.mrr));
+                const change = cell(columns.change) === '' ? null : CsvParser.parseAmount(cell(columns.change));
+
+                if (!date) {
+                    errors.push(`Row ${row}: invalid date "${cell(columns.date)}"`);
+                } else if (!cell(columns.customer)) {
+                    errors.push(`Row ${row}: missing customer`);
+                } else if (type && !this.eventTypes[type]) {
+                    errors.push(`Row ${row}: unknown event type "${type}"`);
+                } else if ((cell(columns.mrr) !== '' && mrr === null) || (cell(columns.change) !== '' && change === null)) {
+                    errors.push(`Row ${row}: invalid amount`);
+                } else if (mrr === null && change === null && this.eventTypes[type] !== 'cancel') {
+                    errors.push(`Row ${row}: missing MRR`);
+                } else {
+                    events.push({
+                        date: CsvParser.formatDate(date),
+                        customer: cell(columns.customer),
+                        type: type || null,
+                        mrr: mrr,
+                        change: change
+                    });
+                }
+            });
+
+            if (events.length === 0) {
+                throw new Error(errors.length > 0 ? errors[0] : 'No subscription events found');
+            }
+            return { success: true, events: events, errors: errors };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Calculate recurring-revenue metrics from subscription events
+     * [{ date, customer, type, mrr, change }] (see parseCSV).
+     *
+     * Movement is measured on month-end MRR per customer, so several
+     * changes inside one month count as their net effect.
+     *
+     * Options:
+     * - acquisitionSpend: sales and marketing spend, one amount per month or
+     *   { 'YYYY-MM': amount }
+     * - grossMargin: % of revenue kept after cost of service (default 80)
+     * - startMonth, endMonth: 'YYYY-MM' range to report (defaults to the events')
+     */
+    analyze(events, options = {}) {
+        try {
+            const currency = this.calculator ? this.calculator.selectedCurrency : 'USD';
+            const round = value => Money.round(value, currency);
+            const grossMargin = options.grossMargin !== undefined && options.grossMargin !== null && options.grossMargin !== ''
+                ? Number(options.grossMargin) : 80;
+            if (!isFinite(grossMargin) || grossMargin <= 0 || grossMargin > 100) {
+                throw new Error('Gross margin must be between 0 and 100%');
+            }
+
+            const history = this.buildHistory(events, options);
+            const months = history.months;
+            const mrrAt = (customer, index) => (index < 0 ? history.opening[customer] || 0 : history.mrr[customer][index]);
+            const customers = Object.keys(history.mrr);
+
+            // Month-by-month movement
+            const everActive = new Set(history.paidBefore);
+            const trend = months.map((month, index) => {
+                const row = {
+                    month: month,
+                    startMRR: 0,
+                    newMRR: 0,
+                    expansionMRR: 0,
+                    contractionMRR: 0,
+                    churnedMRR: 0,
+                    reactivationMRR: 0,
+                    endMRR: 0,
+                    startCustomers: 0,
+                    newCustomers: 0,
+                    churnedCustomers: 0,
+                    reactivatedCustomers: 0,
+                    endCustomers: 0
+                };
+                customers.forEach(customer => {
+                    const before = mrrAt(customer, index - 1);
+                    const after = mrrAt(customer, index);
+                    row.startMRR += before;
+                    row.endMRR += after;
+                    if (before > 0) row.startCustomers++;
+                    if (after > 0) row.endCustomers++;
+
+                    if (before === 0 && after > 0) {
+                        if (everActive.has(customer)) {
+                            row.reactivationMRR += after;
+                            row.reactivatedCustomers++;
+                        } else {
+                            row.newMRR += after;
+                            row.newCustomers++;
+                        }
+                    } else if (before > 0 && after === 0) {
+                        row.churnedMRR += before;
+                        row.churnedCustomers++;
+                    } else if (after > before) {
+                        row.expansionMRR += after - before;
+                    } else if (after < before) {
+                        row.contractionMRR += before - after;
+                    }
+                });
+                customers.forEach(customer => {
+                    if (mrrAt(customer, index) > 0) everActive.add(customer);
+                });
+
+                ['startMRR', 'newMRR', 'expansionMRR', 'contractionMRR', 'churnedMRR', 'reactivationMRR', 'endMRR'].forEach(key => {
+                    row[key] = round(row[key]);
+                });
+                row.netNewMRR = round(row.endMRR - row.startMRR);
+                row.arr = round(row.endMRR * 12);
+                row.arpa = row.endCustomers > 0 ? round(row.endMRR / row.endCustomers) : 0;
+                row.logoChurnRate = row.startCustomers > 0 ? row.churnedCustomers / row.startCustomers * 100 : null;
+                row.grossRevenueChurnRate = row.startMRR > 0 ? (row.churnedMRR + row.contractionMRR) / row.startMRR * 100 : null;
+                row.netRevenueChurnRate = row.startMRR > 0
+                    ? (row.churnedMRR + row.contractionMRR - row.expansionMRR) / row.startMRR * 100 : null;
+                row.netRevenueRetention = row.startMRR > 0
+                    ? (row.startMRR + row.expansionMRR - row.contractionMRR - row.churnedMRR) / row.startMRR * 100 : null;
+                row.grossRevenueRetention = row.startMRR > 0
+                    ? (row.startMRR - row.contractionMRR - row.churnedMRR) / row.startMRR * 100 : null;
+                row.acquisitionSpend = this.spendFor(options.acquisitionSpend, month);
+                return row;
+            });
+
+            // Averages over the months that had customers at the start
+            const average = key => {
+                const values = trend.map(row => row[key]).filter(value => value !== null);
+                return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+            };
+            const total = key => trend.reduce((sum, row) => sum + row[key], 0);
+            const last = trend[trend.length - 1];
+            const logoChurnRate = average('logoChurnRate');
+            const grossRevenueChurnRate = average('grossRevenueChurnRate');
+
+            // Net revenue retention over the last 12 months: what the customers
+            // paying a year ago pay now, including their expansion
+            let netRevenueRetention12 = null;
+            if (months.length > 12) {
+                const base = months.length - 13;
+                const startMRR = customers.reduce((sum, customer) => sum + mrrAt(customer, base), 0);
+                const retained = customers.filter(customer => mrrAt(customer, base) > 0)
+                    .reduce((sum, customer) => sum + mrrAt(customer, months.length - 1), 0);
+                netRevenueRetention12 = startMRR > 0 ? retained / startMRR * 100 : null;
+            }
+            const averageNRR = average('netRevenueRetention');
+            const annualizedNRR = averageNRR !== null ? Math.pow(averageNRR / 100, 12) * 100 : null;
+
+            // Unit economics: lifetime from logo churn, CAC over the whole range
+            const newCustomers = total('newCustomers');
+            const totalSpend = total('acquisitionSpend');
+            const newARPA = newCustomers > 0 ? total('newMRR') / newCustomers : null;
+            const lifetimeMonths = logoChurnRate > 0 ? 100 / logoChurnRate : null;
+            const clv = lifetimeMonths !== null && this.calculator ? this.calculator.calculateCLV(last.arpa, 1, lifetimeMonths, grossMargin) : null;
+            const ltv = clv && clv.success ? round(clv.clv) : null;
+            const cacResult = totalSpend > 0 && newCustomers > 0 && this.calculator ? this.calculator.calculateCAC(totalSpend, 0, newCustomers) : null;
+            const cac = cacResult && cacResult.success ? round(cacResult.cac) : null;
+            const cacPaybackMonths = cac !== null && newARPA > 0 ? cac / (newARPA * grossMargin / 100) : null;
+
+            return {
+                success: true,
+                currency: currency,
+                startMonth: months[0],
+                endMonth: months[months.length - 1],
+                months: months.length,
+                customers: customers.length,
+                mrr: last.endMRR,
+                arr: last.arr,
+                activeCustomers: last.endCustomers,
+                arpa: last.arpa,
+                movement: {
+                    newMRR: round(total('newMRR')),
+                    expansionMRR: round(total('expansionMRR')),
+                    contractionMRR: round(total('contractionMRR')),
+                    churnedMRR: round(total('churnedMRR')),
+                    reactivationMRR: round(total('reactivationMRR')),
+                    netNewMRR: round(last.endMRR - trend[0].startMRR)
+                },
+                logoChurnRate: logoChurnRate,
+                grossRevenueChurnRate: grossRevenueChurnRate,
+                netRevenueChurnRate: average('netRevenueChurnRate'),
+                netRevenueRetention: averageNRR,
+                annualizedNetRevenueRetention: annualizedNRR,
+                netRevenueRetention12: netRevenueRetention12,
+                grossRevenueRetention: average('grossRevenueRetention'),
+                grossMargin: grossMargin,
+                lifetimeMonths: lifetimeMonths,
+                ltv: ltv,
+                acquisitionSpend: round(totalSpend),
+                newCustomers: newCustomers,
+                cac: cac,
+                ltvToCac: ltv !== null && cac > 0 ? ltv / cac : null,
+                cacPaybackMonths: cacPaybackMonths,
+                trend: trend,
+                cohorts: this.buildCohorts(history),
+                warnings: history.warnings
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Month-end MRR of every customer for each month in range. Events before
+     * the range set the opening MRR, the month-end MRR before month one.
+     * @returns {Object} { months, mrr: { customer: [amount per month] }, opening: { customer: amount },
+     *     paidBefore: [customers who paid before the range], firstMonth: { customer: index }, warnings }
+     */
+    buildHistory(events, options = {}) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('Add at least one subscription event');
+        }
+
+        const warnings = [];
+        const sorted = events.map((event, index) => {
+            const date = CsvParser.parseDate(event.date);
+            if (!date) {
+                throw new Error(`Invalid event date: ${event.date}`);
+            }
+            const type = event.type ? String(event.type).toLowerCase() : null;
+            if (type && !this.eventTypes[type]) {
+                throw new Error(`Unknown event type: ${event.type}`);
+            }
+            return { ...event, type: type, month: date.toISOString().slice(0, 7), day: date.toISOString().slice(0, 10), index: index };
+        }).sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : a.index - b.index));
+
+        const startMonth = options.startMonth || sorted[0].month;
+        const endMonth = options.endMonth || sorted[sorted.length - 1].month;
+        const months = SubscriptionMetrics.monthRange(startMonth, endMonth);
+        if (months.length === 0) {
+            throw new Error('The end month is before the start month');
+        }
+
+        // Replay events in date order, taking a snapshot at each month end
+        const current = {};
+        const mrr = {};
+        const paid = new Set();
+        let cursor = 0;
+        const replay = due => {
+            while (cursor < sorted.length && due(sorted[cursor].month)) {
+                const event = sorted[cursor++];
+                const before = current[event.customer] || 0;
+                const after = this.applyEvent(before, event);
+                if (after < 0) {
+                    warnings.push(`${event.day} ${event.customer}: MRR would go below zero; set to zero`);
+                }
+                current[event.customer] = Math.max(0, after);
+                if (current[event.customer] > 0) paid.add(event.customer);
+                if (!mrr[event.customer]) {
+                    mrr[event.customer] = Array(months.length).fill(0);
+                }
+            }
+        };
+        replay(eventMonth => eventMonth < months[0]);
+        const opening = { ...current };
+        const paidBefore = [...paid];
+        months.forEach((month, index) => {
+            replay(eventMonth => eventMonth <= month);
+            Object.keys(mrr).forEach(customer => {
+                mrr[customer][index] = current[customer] || 0;
+            });
+        });
+
+        // Cohorts by first paid month; customers who paid before the range have none
+        const firstMonth = {};
+        Object.keys(mrr).filter(customer => !paidBefore.includes(customer)).forEach(customer => {
+            const index = mrr[customer].findIndex(amount => amount > 0);
+            if (index >= 0) firstMonth[customer] = index;
+        });
+        return { months: months, mrr: mrr, opening: opening, paidBefore: paidBefore, firstMonth: firstMonth, warnings: warnings };
+    }
+
+    /**
+     * Customer MRR after one event
+     */
+    applyEvent(before, event) {
+        const action = event.type ? this.eventTypes[event.type] : 'set';
+        const mrr = event.mrr === null || event.mrr === undefined || event.mrr === '' ? null : Number(event.mrr);
+        const change = event.change === null || event.change === undefined || event.change === '' ? null : Number(event.change);
+        if ((mrr !== null && !isFinite(mrr)) || (change !== null && !isFinite(change))) {
+            throw new Error(`Invalid MRR for ${event.customer} on ${event.day}`);
+        }
+
+        if (action === 'cancel') return mrr !== null ? mrr : 0;
+        if (mrr !== null) return mrr;
+        if (change === null) {
+            throw new Error(`Missing MRR for ${event.customer} on ${event.day}`);
+        }
+        // Changes may be written unsigned; the event type gives the direction
+        if (action === 'increase') return before + Math.abs(change);
+        if (action === 'decrease') return before - Math.abs(change);
+        return before + change;
+    }
+
+    /**
+     * Cohort retention by month of first payment: for each cohort and each
+     * month since it started, the % of its customers still paying and the
+     * % of its starting MRR they pay (above 100% with expansion)
+     * @returns {Array} [{ cohort, customers, startMRR, logoRetention: [%], revenueRetention: [%] }]
+     */
+    buildCohorts(history) {
+        const cohorts = {};
+        Object.entries(history.firstMonth).forEach(([customer, index]) => {
+            if (!cohorts[index]) cohorts[index] = [];
+            cohorts[index].push(customer);
+        });
+
+        return Object.keys(cohorts).map(Number).sort((a, b) => a - b).map(start => {
+            const members = cohorts[start];
+            const startMRR = members.reduce((sum, customer) => sum + history.mrr[customer][start], 0);
+            const logoRetention = [];
+            const revenueRetention = [];
+            for (let index = start; index < history.months.length; index++) {
+                const active = members.filter(customer => history.mrr[customer][index] > 0).length;
+                const revenue = members.reduce((sum, customer) => sum + history.mrr[customer][index], 0);
+                logoRetention.push(active / members.length * 100);
+                revenueRetention.push(startMRR > 0 ? revenue / startMRR * 100 : 0);
+            }
+            return {
+                cohort: history.months[start],
+                customers: members.length,
+                startMRR: Money.round(startMRR, this.calculator ? this.calculator.selectedCurrency : 'USD'),
+                logoRetention: logoRetention,
+                revenueRetention: revenueRetention
+            };
+        });
+    }
+
+    /**
+     * Acquisition spend for a month from a monthly amount or a month map
+     */
+    spendFor(spend, month) {
+        if (spend === undefined || spend === null || spend === '') return 0;
+        const value = typeof spend === 'object' ? spend[month] || 0 : spend;
+        const amount = Number(value);
+        if (!isFinite(amount) || amount < 0) {
+            throw new Error(`Invalid acquisition spend: ${value}`);
+        }
+        return amount;
+    }
+
+    /**
+     * 'YYYY-MM' months from start to end inclusive
+     */
+    static monthRange(startMonth, endMonth) {
+        const parse = text => {
+            const match = String(text || '').match(/^(\d{4})-(\d{2})$/);
+            if (!match) {
+                throw new Error(`Invalid month: ${text} (use YYYY-MM)`);
+            }
+            return Number(match[1]) * 12 + Number(match[2]) - 1;
+        };
+        const months = [];
+        for (let index = parse(startMonth); index <= parse(endMonth); index++) {
+            months.push(`${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`);
+        }
+        return months;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubscriptionMetrics;
+}
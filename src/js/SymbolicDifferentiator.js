@@ -0,0 +1,219 @@
+/**
+ * SymbolicDifferentiator.js - Rule-based symbolic differentiation
+ *
+ * Differentiates ExpressionTree nodes using the sum, product, quotient,
+ * power and chain rules plus derivatives of elementary functions, and
+ * records a human-readable step for each rule that is applied.
+ */
+
+class SymbolicDifferentiator {
+    constructor(expressionTree) {
+        this.tree = expressionTree;
+        this.steps = [];
+    }
+
+    /**
+     * Differentiate an expression string or tree
+     * @param {string|Object} expression - Expression string or tree node
+     * @param {string} variable - Variable of differentiation
+     * @returns {Object} { derivative, simplified, text, steps }
+     */
+    differentiate(expression, variable = 'x') {
+        const node = typeof expression === 'string' ? this.tree.parse(expression) : expression;
+        this.steps = [];
+        this.variable = variable;
+
+        const derivative = this.derive(node);
+        const simplified = this.tree.simplify(derivative);
+        const text = this.tree.toString(simplified);
+
+        this.steps.push(`Simplify: d/d${variable}[${this.tree.toString(node)}] = ${text}`);
+
+        return {
+            derivative: derivative,
+            simplified: simplified,
+            text: text,
+            steps: [...this.steps]
+        };
+    }
+
+    /**
+     * Format d/dx[...] for step output
+     */
+    label(node) {
+        return `d/d${this.variable}[${this.tree.toString(node)}]`;
+    }
+
+    /**
+     * Record a step and return the result node
+     */
+    record(rule, node, result) {
+        this.steps.push(`${rule}: ${this.label(node)} = ${this.tree.toString(this.tree.simplify(result))}`);
+        return result;
+    }
+
+    /**
+     * Apply the chain rule: outer'(u) * u'
+     */
+    chain(node, outerDerivative, inner) {
+        if (inner.type === 'variable' && inner.name === this.variable) {
+            return outerDerivative;
+        }
+        const result = ExpressionTree.op('*', outerDerivative, this.derive(inner));
+        return this.record('Chain rule', node, result);
+    }
+
+    /**
+     * Recursive differentiation
+     * @param {Object} node - Tree node
+     * @returns {Object} Derivative tree (unsimplified)
+     */
+    derive(node) {
+        const { num, op, neg } = ExpressionTree;
+        const v = this.variable;
+
+        if (!this.tree.dependsOn(node, v)) {
+            if (node.type !== 'number') {
+                this.steps.push(`Constant rule: ${this.label(node)} = 0`);
+            }
+            return num(0);
+        }
+
+        switch (node.type) {
+            case 'variable':
+                return num(1);
+
+            case 'negate':
+                return neg(this.derive(node.arg));
+
+            case 'operator':
+                return this.deriveOperator(node);
+
+            case 'function': {
+                const [u] = node.args;
+                if (node.name === 'pow') {
+                    return this.deriveOperator(op('^', node.args[0], node.args[1]));
+                }
+
+                const outer = this.outerDerivative(node.name, u);
+                if (u.type !== 'variable') {
+                    const placeholder = ExpressionTree.variable('u');
+                    const generic = this.outerDerivative(node.name, placeholder);
+                    this.steps.push(`Derivative of ${node.name}: d/du[${node.name}(u)] = ${this.tree.toString(generic)} with u = ${this.tree.toString(u)}`);
+                }
+                return this.chain(node, outer, u);
+            }
+        }
+
+        throw new Error(`Cannot differentiate ${this.tree.toString(node)}`);
+    }
+
+    /**
+     * Derivative of an elementary function with respect to its argument
+     * @param {string} name - Function name
+     * @param {Object} u - Argument node
+     * @returns {Object} f'(u)
+     */
+    outerDerivative(name, u) {
+        const { num, op, neg, func } = ExpressionTree;
+
+        switch (name) {
+            case 'sin':
+                return func('cos', u);
+            case 'cos':
+                return neg(func('sin', u));
+            case 'tan':
+                return op('/', num(1), op('^', func('cos', u), num(2)));
+            case 'asin':
+                return op('/', num(1), func('sqrt', op('-', num(1), op('^', u, num(2)))));
+            case 'acos':
+                return neg(op('/', num(1), func('sqrt', op('-', num(1), op('^', u, num(2))))));
+            case 'atan':
+                return op('/', num(1), op('+', num(1), op('^', u, num(2))));
+            case 'exp':
+                return func('exp', u);
+            case 'ln':
+                return op('/', num(1), u);
+            case 'log':
+                return op('/', num(1), op('*', u, func('ln', num(10))));
+            case 'sqrt':
+                return op('/', num(1), op('*', num(2), func('sqrt', u)));
+            case 'cbrt':
+                return op('/', num(1), op('*', num(3), op('^', func('cbrt', u), num(2))));
+            case 'abs':
+                return op('/', u, func('abs', u));
+            default:
+                throw new Error(`Cannot differentiate function ${name}`);
+        }
+    }
+
+    /**
+     * Differentiate a binary operator node
+     * @param {Object} node - Operator node
+     * @returns {Object} Derivative tree
+     */
+    deriveOperator(node) {
+        const { num, op, func } = ExpressionTree;
+        const v = this.variable;
+        const { left, right } = node;
+        const leftVaries = this.tree.dependsOn(left, v);
+        const rightVaries = this.tree.dependsOn(right, v);
+
+        switch (node.op) {
+            case '+':
+            case '-':
+                return this.record('Sum rule', node, op(node.op, this.derive(left), this.derive(right)));
+
+            case '*':
+                if (!leftVaries) {
+                    return this.record('Constant multiple rule', node, op('*', left, this.derive(right)));
+                }
+                if (!rightVaries) {
+                    return this.record('Constant multiple rule', node, op('*', this.derive(left), right));
+                }
+                return this.record('Product rule', node, op('+',
+                    op('*', this.derive(left), right),
+                    op('*', left, this.derive(right))
+                ));
+
+            case '/':
+                if (!rightVaries) {
+                    return this.record('Constant multiple rule', node, op('/', this.derive(left), right));
+                }
+                return this.record('Quotient rule', node, op('/',
+                    op('-', op('*', this.derive(left), right), op('*', left, this.derive(right))),
+                    op('^', right, num(2))
+                ));
+
+            case '^':
+                if (!rightVaries) {
+                    // Power rule: d/dx[u^n] = n u^(n-1) u'
+                    const outer = op('*', right, op('^', left, op('-', right, num(1))));
+                    if (left.type === 'variable') {
+                        return this.record('Power rule', node, outer);
+                    }
+                    const u = ExpressionTree.variable('u');
+                    const generic = this.tree.simplify(op('*', right, op('^', u, op('-', right, num(1)))));
+                    this.steps.push(`Power rule: d/du[u^${this.tree.toString(right)}] = ${this.tree.toString(generic)} with u = ${this.tree.toString(left)}`);
+                    return this.chain(node, outer, left);
+                }
+                if (!leftVaries) {
+                    // Exponential rule: d/dx[a^u] = a^u ln(a) u'
+                    const lnBase = left.type === 'constant' && left.name === 'e' ? num(1) : func('ln', left);
+                    const outer = op('*', node, lnBase);
+                    this.steps.push(`Exponential rule: d/du[${this.tree.toString(left)}^u] = ${this.tree.toString(this.tree.simplify(outer))}`);
+                    return this.chain(node, outer, right);
+                }
+                // General power: d/dx[u^v] = u^v (v' ln(u) + v u'/u)
+                return this.record('Logarithmic differentiation', node, op('*', node, op('+',
+                    op('*', this.derive(right), func('ln', left)),
+                    op('/', op('*', right, this.derive(left)), left)
+                )));
+        }
+
+        throw new Error(`Cannot differentiate operator ${node.op}`);
+    }
+}
+
+// Make available globally
+window.SymbolicDifferentiator = SymbolicDifferentiator;
@@ -0,0 +1,583 @@
+/**
+ * SymbolicIntegrator.js - Rule-based symbolic integration
+ *
+ * Finds antiderivatives of ExpressionTree nodes using linearity, the power
+ * rule, table integrals of elementary functions with linear arguments and
+ * simple u-substitution. Every result is checked by differentiating it
+ * back, so callers can safely fall back to numerical integration when
+ * integrate() returns null.
+ */
+
+class SymbolicIntegrator {
+    constructor(expressionTree) {
+        this.tree = expressionTree;
+        this.differentiator = new SymbolicDifferentiator(expressionTree);
+        this.steps = [];
+    }
+
+    /**
+     * Find an antiderivative
+     * @param {string|Object} expression - Expression string or tree node
+     * @param {string} variable - Variable of integration
+     * @returns {Object|null} { antiderivative, text, steps } or null if no closed form was found
+     */
+    integrate(expression, variable = 'x') {
+        const node = typeof expression === 'string' ? this.tree.parse(expression) : expression;
+        this.steps = [];
+        this.variable = variable;
+
+        const antiderivative = this.integrateNode(node);
+        if (!antiderivative) {
+            return null;
+        }
+
+        const simplified = this.tree.simplify(antiderivative);
+        if (!this.verify(node, simplified)) {
+            return null;
+        }
+
+        const text = this.tree.toString(simplified);
+        this.steps.push(`Combine: ∫ ${this.tree.toString(node)} d${variable} = ${text} + C`);
+        this.steps.push(`Check: d/d${variable}[${text}] = ${this.tree.toString(node)}`);
+
+        return {
+            antiderivative: simplified,
+            text: text,
+            steps: [...this.steps]
+        };
+    }
+
+    /**
+     * Differentiate the candidate and compare with the integrand numerically
+     */
+    verify(integrand, antiderivative) {
+        let derivative;
+        try {
+            derivative = this.differentiator.differentiate(antiderivative, this.variable).simplified;
+        } catch (error) {
+            return false;
+        }
+
+        const samples = [0.37, 0.81, 1.29, 1.73, 2.41, 3.07];
+        let compared = 0;
+        for (const x of samples) {
+            const expected = this.sample(integrand, x);
+            const actual = this.sample(derivative, x);
+            if (!isFinite(expected) || !isFinite(actual)) continue;
+            compared++;
+            if (Math.abs(expected - actual) > 1e-7 * Math.max(1, Math.abs(expected))) {
+                return false;
+            }
+        }
+        return compared > 0;
+    }
+
+    /**
+     * Evaluate a node at a point, treating domain errors as NaN
+     */
+    sample(node, x) {
+        try {
+            return this.tree.evaluate(node, { [this.variable]: x });
+        } catch (error) {
+            return NaN;
+        }
+    }
+
+    label(node) {
+        return `∫ ${this.tree.toString(node)} d${this.variable}`;
+    }
+
+    record(rule, node, result) {
+        this.steps.push(`${rule}: ${this.label(node)} = ${this.tree.toString(this.tree.simplify(result))}`);
+        return result;
+    }
+
+    /**
+     * Recursive integration
+     * @param {Object} node - Integrand
+     * @returns {Object|null} Antiderivative or null
+     */
+    integrateNode(node) {
+        const { op, neg } = ExpressionTree;
+        const x = ExpressionTree.variable(this.variable);
+
+        if (!this.tree.dependsOn(node, this.variable)) {
+            return this.record('Constant rule', node, op('*', node, x));
+        }
+
+        switch (node.type) {
+            case 'negate': {
+                const inner = this.integrateNode(node.arg);
+                return inner ? neg(inner) : null;
+            }
+
+            case 'operator':
+                return this.integrateOperator(node);
+
+            default:
+                return this.integrateTable(node) || this.integrateBySubstitution(node);
+        }
+    }
+
+    /**
+     * Linearity and operator-specific rules
+     */
+    integrateOperator(node) {
+        const { op } = ExpressionTree;
+        const v = this.variable;
+        const { left, right } = node;
+
+        switch (node.op) {
+            case '+':
+            case '-': {
+                const a = this.integrateNode(left);
+                const b = a && this.integrateNode(right);
+                if (!a || !b) return null;
+                return this.record('Sum rule', node, op(node.op, a, b));
+            }
+
+            case '*':
+                if (!this.tree.dependsOn(left, v)) {
+                    const inner = this.integrateNode(right);
+                    return inner ? this.record('Constant multiple rule', node, op('*', left, inner)) : null;
+                }
+                if (!this.tree.dependsOn(right, v)) {
+                    const inner = this.integrateNode(left);
+                    return inner ? this.record('Constant multiple rule', node, op('*', right, inner)) : null;
+                }
+                return this.integrateBySubstitution(node) || this.integrateByParts(node) || this.integrateExpanded(node);
+
+            case '/':
+                if (!this.tree.dependsOn(right, v)) {
+                    const inner = this.integrateNode(left);
+                    return inner ? this.record('Constant multiple rule', node, op('/', inner, right)) : null;
+                }
+                return this.integrateTable(node) || this.integrateBySubstitution(node) || this.integrateExpanded(node);
+
+            case '^':
+                return this.integrateTable(node) || this.integrateBySubstitution(node) || this.integrateExpanded(node);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the slope a of a linear argument a*x + b, or null if not linear
+     */
+    linearSlope(node) {
+        if (!this.tree.dependsOn(node, this.variable)) {
+            return null;
+        }
+        const derivative = this.differentiator.differentiate(node, this.variable).simplified;
+        if (this.tree.dependsOn(derivative, this.variable)) {
+            return null;
+        }
+        return derivative;
+    }
+
+    /**
+     * Table integrals for f(a*x + b) and powers of linear terms
+     */
+    integrateTable(node) {
+        const { num, op, neg, func } = ExpressionTree;
+        const divideBySlope = (result, slope) => this.tree.simplify(op('/', result, slope));
+
+        // (a x + b)^n, including 1/(a x + b) and a^(linear)
+        if (node.type === 'operator' && node.op === '^') {
+            const { left: base, right: exponent } = node;
+            const baseVaries = this.tree.dependsOn(base, this.variable);
+            const exponentVaries = this.tree.dependsOn(exponent, this.variable);
+
+            // sqrt(u)^n => u^(n/2), cbrt(u)^n => u^(n/3)
+            if (!exponentVaries && base.type === 'function' && (base.name === 'sqrt' || base.name === 'cbrt')) {
+                const root = num(base.name === 'sqrt' ? 2 : 3);
+                return this.integrateNode(op('^', base.args[0], this.tree.simplify(op('/', exponent, root))));
+            }
+
+            if (baseVaries && !exponentVaries) {
+                const slope = this.linearSlope(base);
+                if (!slope) return null;
+                const n = this.tree.simplify(exponent);
+                if (n.type === 'number' && n.value === -1) {
+                    return this.record('Logarithm rule', node, divideBySlope(func('ln', func('abs', base)), slope));
+                }
+                const raised = op('+', n, num(1));
+                return this.record('Power rule', node, divideBySlope(op('/', op('^', base, raised), raised), slope));
+            }
+
+            if (!baseVaries && exponentVaries) {
+                const slope = this.linearSlope(exponent);
+                if (!slope) return null;
+                const isE = base.type === 'constant' && base.name === 'e';
+                const result = isE ? node : op('/', node, func('ln', base));
+                return this.record('Exponential rule', node, divideBySlope(result, slope));
+            }
+            return null;
+        }
+
+        // c / (a x + b), and the arctangent form c / (1 + x^2)
+        if (node.type === 'operator' && node.op === '/') {
+            if (this.tree.dependsOn(node.left, this.variable)) return null;
+            const reciprocal = this.reciprocalPower(node.right);
+            if (reciprocal) {
+                return this.integrateNode(op('*', node.left, reciprocal));
+            }
+            const slope = this.linearSlope(node.right);
+            if (slope) {
+                return this.record('Logarithm rule', node,
+                    op('*', node.left, divideBySlope(func('ln', func('abs', node.right)), slope)));
+            }
+            const x = ExpressionTree.variable(this.variable);
+            const atanForm = op('+', num(1), op('^', x, num(2)));
+            const asinForm = func('sqrt', op('-', num(1), op('^', x, num(2))));
+            if (this.tree.equals(this.tree.simplify(node.right), this.tree.simplify(atanForm))) {
+                return this.record('Inverse tangent rule', node, op('*', node.left, func('atan', x)));
+            }
+            if (this.tree.equals(this.tree.simplify(node.right), this.tree.simplify(asinForm))) {
+                return this.record('Inverse sine rule', node, op('*', node.left, func('asin', x)));
+            }
+            return null;
+        }
+
+        if (node.type === 'variable') {
+            return this.record('Power rule', node, op('/', op('^', node, num(2)), num(2)));
+        }
+
+        if (node.type === 'function' && node.args.length === 1) {
+            const [u] = node.args;
+            const slope = this.linearSlope(u);
+            if (!slope) return null;
+
+            let result;
+            let rule;
+            switch (node.name) {
+                case 'sin':
+                    result = neg(func('cos', u));
+                    rule = 'Integral of sin';
+                    break;
+                case 'cos':
+                    result = func('sin', u);
+                    rule = 'Integral of cos';
+                    break;
+                case 'tan':
+                    result = neg(func('ln', func('abs', func('cos', u))));
+                    rule = 'Integral of tan';
+                    break;
+                case 'exp':
+                    result = func('exp', u);
+                    rule = 'Integral of exp';
+                    break;
+                case 'ln':
+                    result = op('-', op('*', u, func('ln', u)), u);
+                    rule = 'Integral of ln';
+                    break;
+                case 'log':
+                    result = op('/', op('-', op('*', u, func('ln', u)), u), func('ln', num(10)));
+                    rule = 'Integral of log';
+                    break;
+                case 'sqrt':
+                    result = op('*', op('/', num(2), num(3)), op('^', u, op('/', num(3), num(2))));
+                    rule = 'Power rule';
+                    break;
+                case 'cbrt':
+                    result = op('*', op('/', num(3), num(4)), op('^', u, op('/', num(4), num(3))));
+                    rule = 'Power rule';
+                    break;
+                default:
+                    return null;
+            }
+
+            return this.record(rule, node, divideBySlope(result, slope));
+        }
+
+        return null;
+    }
+
+    /**
+     * Rewrite 1/u^n, 1/sqrt(u) and 1/cbrt(u) as a power of a linear u
+     * @returns {Object|null} u^(-n) or null
+     */
+    reciprocalPower(denominator) {
+        const { num, op, neg } = ExpressionTree;
+        let base = null;
+        let exponent = null;
+
+        if (denominator.type === 'operator' && denominator.op === '^' &&
+            !this.tree.dependsOn(denominator.right, this.variable)) {
+            base = denominator.left;
+            exponent = denominator.right;
+        } else if (denominator.type === 'function' && (denominator.name === 'sqrt' || denominator.name === 'cbrt')) {
+            base = denominator.args[0];
+            exponent = op('/', num(1), num(denominator.name === 'sqrt' ? 2 : 3));
+        }
+
+        if (!base || !this.linearSlope(base)) {
+            return null;
+        }
+        return op('^', base, this.tree.simplify(neg(exponent)));
+    }
+
+    /**
+     * Integration by parts for a polynomial times sin, cos or exp:
+     * ∫ p q dx = p Q - ∫ p' Q dx, repeated until p' vanishes
+     */
+    integrateByParts(node) {
+        const { op } = ExpressionTree;
+        if (node.type !== 'operator' || node.op !== '*' || (this.partsDepth || 0) >= 8) {
+            return null;
+        }
+
+        const pairs = [[node.left, node.right], [node.right, node.left]];
+        for (const [polynomial, other] of pairs) {
+            if (!this.isPolynomial(polynomial)) continue;
+            const transcendental = other.type === 'function' && ['sin', 'cos', 'exp'].includes(other.name) ||
+                other.type === 'operator' && other.op === '^' && !this.tree.dependsOn(other.left, this.variable);
+            if (!transcendental) continue;
+
+            const antiderivative = this.integrateTable(other);
+            if (!antiderivative) continue;
+
+            const derivative = this.differentiator.differentiate(polynomial, this.variable).simplified;
+            this.partsDepth = (this.partsDepth || 0) + 1;
+            let remainder;
+            try {
+                remainder = this.integrateNode(this.tree.simplify(op('*', derivative, antiderivative)));
+            } finally {
+                this.partsDepth--;
+            }
+            if (!remainder) continue;
+
+            this.steps.push(`Integration by parts: u = ${this.tree.toString(polynomial)}, ` +
+                `dv = ${this.tree.toString(other)} d${this.variable}`);
+            return this.record('Integration by parts', node, op('-', op('*', polynomial, antiderivative), remainder));
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a node is a polynomial in the variable
+     */
+    isPolynomial(node) {
+        if (!this.tree.dependsOn(node, this.variable)) return true;
+        switch (node.type) {
+            case 'variable':
+                return true;
+            case 'negate':
+                return this.isPolynomial(node.arg);
+            case 'operator':
+                if (node.op === '+' || node.op === '-' || node.op === '*') {
+                    return this.isPolynomial(node.left) && this.isPolynomial(node.right);
+                }
+                if (node.op === '/') {
+                    return this.isPolynomial(node.left) && !this.tree.dependsOn(node.right, this.variable);
+                }
+                if (node.op === '^') {
+                    return this.isPolynomial(node.left) && node.right.type === 'number' &&
+                        Number.isInteger(node.right.value) && node.right.value >= 0;
+                }
+                return false;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Collect the factors of a product, treating division as a factor^-1
+     */
+    collectFactors(node) {
+        if (node.type === 'operator' && node.op === '*') {
+            return [...this.collectFactors(node.left), ...this.collectFactors(node.right)];
+        }
+        if (node.type === 'operator' && node.op === '/') {
+            return [
+                ...this.collectFactors(node.left),
+                ExpressionTree.op('^', node.right, ExpressionTree.num(-1))
+            ];
+        }
+        return [node];
+    }
+
+    /**
+     * Candidates for u in a factor: every subtree, innermost first
+     */
+    substitutionCandidates(factor) {
+        switch (factor.type) {
+            case 'function':
+                return [...factor.args.flatMap(arg => this.substitutionCandidates(arg)), factor];
+            case 'operator':
+                return [
+                    ...this.substitutionCandidates(factor.left),
+                    ...this.substitutionCandidates(factor.right),
+                    factor
+                ];
+            case 'negate':
+                return [...this.substitutionCandidates(factor.arg), factor];
+            default:
+                return [factor];
+        }
+    }
+
+    /**
+     * Check numerically whether a node is constant in the variable
+     * and return that constant
+     */
+    numericConstant(node) {
+        const samples = [0.43, 0.97, 1.61, 2.23];
+        let value = null;
+        for (const x of samples) {
+            const current = this.sample(node, x);
+            if (!isFinite(current)) return null;
+            if (value === null) {
+                value = current;
+            } else if (Math.abs(current - value) > 1e-9 * Math.max(1, Math.abs(value))) {
+                return null;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Build a node for a numeric constant, as an exact fraction when it is one
+     */
+    constantNode(value) {
+        const { num, op } = ExpressionTree;
+        for (let denominator = 1; denominator <= 100; denominator++) {
+            const numerator = Math.round(value * denominator);
+            if (Math.abs(numerator / denominator - value) < 1e-10) {
+                return this.tree.simplify(op('/', num(numerator), num(denominator)));
+            }
+        }
+        return num(value);
+    }
+
+    /**
+     * u-substitution: write the integrand as c * F(u) * u' and integrate F
+     */
+    integrateBySubstitution(node) {
+        const { num, op } = ExpressionTree;
+        const factors = this.collectFactors(node);
+        const placeholder = '__u';
+        const uVariable = ExpressionTree.variable(placeholder);
+
+        for (let i = 0; i < factors.length; i++) {
+            const factor = factors[i];
+            const rest = factors
+                .filter((_, index) => index !== i)
+                .reduce((product, next) => op('*', product, next), num(1));
+
+            for (const u of this.substitutionCandidates(factor)) {
+                if (u.type === 'variable' || !this.tree.dependsOn(u, this.variable)) continue;
+                if (this.linearSlope(u)) continue; // handled by the table rules
+
+                const outer = this.replaceSubtree(factor, u, uVariable);
+                if (this.tree.dependsOn(outer, this.variable)) continue;
+
+                // The remaining factors must be a constant multiple of du/dx
+                const du = this.differentiator.differentiate(u, this.variable).simplified;
+                let multiple = this.tree.simplify(op('/', rest, du));
+                if (this.tree.dependsOn(multiple, this.variable)) {
+                    const constant = this.numericConstant(multiple);
+                    if (constant === null || constant === 0) continue;
+                    multiple = this.constantNode(constant);
+                }
+
+                const inU = this.tree.simplify(op('*', multiple, outer));
+                const saved = { variable: this.variable, steps: this.steps };
+                this.variable = placeholder;
+                this.steps = [];
+                let inner = null;
+                try {
+                    inner = this.integrateNode(inU);
+                } finally {
+                    this.variable = saved.variable;
+                    this.steps = saved.steps;
+                }
+                if (!inner) continue;
+
+                const asU = (tree) => this.tree.substitute(tree, placeholder, ExpressionTree.variable('u'));
+                this.steps.push(`Substitute u = ${this.tree.toString(u)}, du = ${this.tree.toString(du)} d${this.variable}`);
+                this.steps.push(`∫ ${this.tree.toString(asU(inU))} du = ${this.tree.toString(this.tree.simplify(asU(inner)))}`);
+                return this.record('Back-substitute', node, this.tree.substitute(inner, placeholder, u));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace every occurrence of a subtree with another node
+     */
+    replaceSubtree(node, target, replacement) {
+        if (this.tree.equals(node, target)) {
+            return replacement;
+        }
+        switch (node.type) {
+            case 'operator':
+                return ExpressionTree.op(
+                    node.op,
+                    this.replaceSubtree(node.left, target, replacement),
+                    this.replaceSubtree(node.right, target, replacement)
+                );
+            case 'negate':
+                return ExpressionTree.neg(this.replaceSubtree(node.arg, target, replacement));
+            case 'function':
+                return ExpressionTree.func(node.name, ...node.args.map(arg => this.replaceSubtree(arg, target, replacement)));
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Expand small integer powers and products of sums, then integrate term by term
+     */
+    integrateExpanded(node) {
+        const expanded = this.tree.simplify(this.expand(node));
+        if (this.tree.equals(expanded, this.tree.simplify(node))) {
+            return null;
+        }
+        this.steps.push(`Expand: ${this.tree.toString(node)} = ${this.tree.toString(expanded)}`);
+        return this.integrateNode(expanded);
+    }
+
+    /**
+     * Distribute products over sums and expand (p)^n for small n
+     */
+    expand(node) {
+        const { op, num } = ExpressionTree;
+        if (node.type !== 'operator') {
+            return node;
+        }
+
+        const left = this.expand(node.left);
+        const right = this.expand(node.right);
+        const isSum = (n) => n.type === 'operator' && (n.op === '+' || n.op === '-');
+
+        if (node.op === '*') {
+            if (isSum(left)) {
+                return op(left.op, this.expand(op('*', left.left, right)), this.expand(op('*', left.right, right)));
+            }
+            if (isSum(right)) {
+                return op(right.op, this.expand(op('*', left, right.left)), this.expand(op('*', left, right.right)));
+            }
+        }
+
+        if (node.op === '/' && isSum(left)) {
+            return op(left.op, this.expand(op('/', left.left, right)), this.expand(op('/', left.right, right)));
+        }
+
+        if (node.op === '^' && isSum(left) && right.type === 'number' &&
+            Number.isInteger(right.value) && right.value > 1 && right.value <= 6) {
+            let result = left;
+            for (let i = 1; i < right.value; i++) {
+                result = this.expand(op('*', result, left));
+            }
+            return result;
+        }
+
+        return op(node.op, left, right);
+    }
+}
+
+// Make available globally
+window.SymbolicIntegrator = SymbolicIntegrator;
@@ -6,164 +6,87 @@
 class TaxCalculator {
     constructor() {
         this.history = [];
-        this.currencies = {
-            'USD': { symbol: '$', name: 'US Dollar', rate: 1.0 },
-            'EUR': { symbol: '€', name: 'Euro', rate: 0.85 },
-            'GBP': { symbol: '£', name: 'British Pound', rate: 0.73 },
-            'JPY': { symbol: '¥', name: 'Japanese Yen', rate: 110.0 },
-            'CAD': { symbol: 'C$', name: 'Canadian Dollar', rate: 1.25 },
-            'AUD': { symbol: 'A$', name: 'Australian Dollar', rate: 1.35 },
-            'CHF': { symbol: 'CHF', name: 'Swiss Franc', rate: 0.92 },
-            'CNY': { symbol: '¥', name: 'Chinese Yuan', rate: 6.45 },
-            'INR': { symbol: '₹', name: 'Indian Rupee', rate: 74.0 },
-            'BRL': { symbol: 'R$', name: 'Brazilian Real', rate: 5.2 },
-            'SGD': { symbol: 'S$', name: 'Singapore Dollar', rate: 1.35 },
-            'AED': { symbol: 'د.إ', name: 'UAE Dirham', rate: 3.67 },
-            'SAR': { symbol: '﷼', name: 'Saudi Riyal', rate: 3.75 },
-            'ZAR': { symbol: 'R', name: 'South African Rand', rate: 15.0 },
-            'MXN': { symbol: '$', name: 'Mexican Peso', rate: 20.0 }
-        };
+        this.currencies = Money.createCurrencyTable();
         this.selectedCurrency = 'USD';
         
-        // Tax brackets for different countries (2024 rates)
-        this.taxBrackets = {
-            'US': {
-                'single': [
-                    { min: 0, max: 11000, rate: 0.10 },
-                    { min: 11000, max: 44725, rate: 0.12 },
-                    { min: 44725, max: 95375, rate: 0.22 },
-                    { min: 95375, max: 182050, rate: 0.24 },
-                    { min: 182050, max: 231250, rate: 0.32 },
-                    { min: 231250, max: 578125, rate: 0.35 },
-                    { min: 578125, max: Infinity, rate: 0.37 }
-                ],
-                'married': [
-                    { min: 0, max: 22000, rate: 0.10 },
-                    { min: 22000, max: 89450, rate: 0.12 },
-                    { min: 89450, max: 190750, rate: 0.22 },
-                    { min: 190750, max: 364200, rate: 0.24 },
-                    { min: 364200, max: 462500, rate: 0.32 },
-                    { min: 462500, max: 693750, rate: 0.35 },
-                    { min: 693750, max: Infinity, rate: 0.37 }
-                ]
-            },
-            'UK': {
-                'single': [
-                    { min: 0, max: 12570, rate: 0.0 },
-                    { min: 12570, max: 50270, rate: 0.20 },
-                    { min: 50270, max: 125140, rate: 0.40 },
-                    { min: 125140, max: Infinity, rate: 0.45 }
-                ],
-                'married': [
-                    { min: 0, max: 12570, rate: 0.0 },
-                    { min: 12570, max: 50270, rate: 0.20 },
-                    { min: 50270, max: 125140, rate: 0.40 },
-                    { min: 125140, max: Infinity, rate: 0.45 }
-                ]
-            },
-            'CA': {
-                'single': [
-                    { min: 0, max: 53359, rate: 0.15 },
-                    { min: 53359, max: 106717, rate: 0.205 },
-                    { min: 106717, max: 165430, rate: 0.26 },
-                    { min: 165430, max: 235675, rate: 0.29 },
-                    { min: 235675, max: Infinity, rate: 0.33 }
-                ],
-                'married': [
-                    { min: 0, max: 53359, rate: 0.15 },
-                    { min: 53359, max: 106717, rate: 0.205 },
-                    { min: 106717, max: 165430, rate: 0.26 },
-                    { min: 165430, max: 235675, rate: 0.29 },
-                    { min: 235675, max: Infinity, rate: 0.33 }
-                ]
-            },
-            'AU': {
-                'single': [
-                    { min: 0, max: 18200, rate: 0.0 },
-                    { min: 18200, max: 45000, rate: 0.19 },
-                    { min: 45000, max: 120000, rate: 0.325 },
-                    { min: 120000, max: 180000, rate: 0.37 },
-                    { min: 180000, max: Infinity, rate: 0.45 }
-                ],
-                'married': [
-                    { min: 0, max: 18200, rate: 0.0 },
-                    { min: 18200, max: 45000, rate: 0.19 },
-                    { min: 45000, max: 120000, rate: 0.325 },
-                    { min: 120000, max: 180000, rate: 0.37 },
-                    { min: 180000, max: Infinity, rate: 0.45 }
-                ]
-            },
-            'IN': {
-                'single': [
-                    { min: 0, max: 300000, rate: 0.0 },
-                    { min: 300000, max: 600000, rate: 0.05 },
-                    { min: 600000, max: 900000, rate: 0.10 },
-                    { min: 900000, max: 1200000, rate: 0.15 },
-                    { min: 1200000, max: 1500000, rate: 0.20 },
-                    { min: 1500000, max: Infinity, rate: 0.30 }
-                ],
-                'married': [
-                    { min: 0, max: 300000, rate: 0.0 },
-                    { min: 300000, max: 600000, rate: 0.05 },
-                    { min: 600000, max: 900000, rate: 0.10 },
-                    { min: 900000, max: 1200000, rate: 0.15 },
-                    { min: 1200000, max: 1500000, rate: 0.20 },
-                    { min: 1500000, max: Infinity, rate: 0.30 }
-                ]
-            }
-        };
+        // Brackets, deductions and credits come from the per-year rule files.
+        // Calculations read loaded rules only, so await loadTaxRules first.
+        this.taxRules = typeof TaxRules !== 'undefined' ? TaxRules.shared : null;
     }
 
     /**
-     * Calculate income tax
+     * Load the tax rules for a country and year (latest when no year is given)
      */
-    calculateTax(income, country = 'US', filingStatus = 'single', deductions = 0) {
+    async loadTaxRules(country = 'US', year = null) {
+        if (!this.taxRules) {
+            throw new Error('Tax rules not available');
+        }
+        return this.taxRules.load(country, year);
+    }
+
+    /**
+     * Tax years available for a country
+     */
+    async getTaxYears(country = 'US') {
+        if (!this.taxRules) return [];
+        await this.taxRules.loadIndex();
+        return this.taxRules.getYears(country);
+    }
+
+    /**
+     * Regimes of a loaded tax year
+     */
+    getRegimes(country = 'US', year = null) {
+        const rules = this.taxRules ? this.taxRules.get(country, year) : null;
+        return rules ? this.taxRules.getRegimes(rules) : [];
+    }
+
+    /**
+     * Calculate income tax from rules already loaded with loadTaxRules
+     * @param {Object} options - { year, regime, subdivision }
+     */
+    calculateTax(income, country = 'US', filingStatus = 'single', deductions = 0, options = {}) {
         try {
-            const brackets = this.taxBrackets[country];
-            if (!brackets) {
-                return { success: false, error: 'Tax brackets not available for this country' };
-            }
+            const rules = this.getRules(country, options.year);
+            const result = this.taxRules.calculate(rules, {
+                income: income,
+                filingStatus: filingStatus,
+                deductions: deductions,
+                regime: options.regime,
+                subdivision: options.subdivision
+            });
 
-            const filingBrackets = brackets[filingStatus];
-            if (!filingBrackets) {
-                return { success: false, error: 'Filing status not supported for this country' };
-            }
+            const bracketBreakdown = result.bracketBreakdown.map(bracket => ({
+                bracket: `${this.formatCurrency(bracket.min)} - ${bracket.max === Infinity ? '∞' : this.formatCurrency(bracket.max)}`,
+                rate: bracket.rate,
+                taxableAmount: bracket.taxableAmount,
+                taxAmount: bracket.taxAmount
+            }));
 
-            const taxableIncome = Math.max(0, income - deductions);
-            let totalTax = 0;
-            let remainingIncome = taxableIncome;
-            const bracketBreakdown = [];
-            
-            for (const bracket of filingBrackets) {
-                if (remainingIncome <= 0) break;
-                
-                const taxableInThisBracket = Math.min(remainingIncome, bracket.max - bracket.min);
-                const taxInThisBracket = taxableInThisBracket * bracket.rate;
-                
-                totalTax += taxInThisBracket;
-                remainingIncome -= taxableInThisBracket;
-                
-                bracketBreakdown.push({
-                    bracket: `${this.formatCurrency(bracket.min)} - ${bracket.max === Infinity ? '∞' : this.formatCurrency(bracket.max)}`,
-                    rate: bracket.rate * 100,
-                    taxableAmount: taxableInThisBracket,
-                    taxAmount: taxInThisBracket
-                });
-            }
-            
-            const effectiveRate = (totalTax / income) * 100;
-            const marginalRate = this.getMarginalRate(taxableIncome, filingBrackets);
-            const afterTaxIncome = income - totalTax;
-            
             return {
                 success: true,
+                country: country,
+                year: result.year,
+                taxYear: result.label,
+                regime: result.regime,
+                regimeName: result.regimeName,
                 grossIncome: income,
-                deductions: deductions,
-                taxableIncome: taxableIncome,
-                totalTax: totalTax,
-                afterTaxIncome: afterTaxIncome,
-                effectiveRate: effectiveRate,
-                marginalRate: marginalRate,
+                deductions: result.deductions,
+                deductionsIgnored: result.deductionsIgnored,
+                standardDeduction: result.standardDeduction,
+                personalAllowance: result.personalAllowance,
+                taxableIncome: result.taxableIncome,
+                taxBeforeCredits: result.taxBeforeCredits,
+                credits: result.credits,
+                surcharge: result.surcharge,
+                taxesOnTax: result.taxesOnTax,
+                totalTax: result.incomeTax,
+                socialContributions: result.socialContributions,
+                totalSocialContributions: result.totalSocialContributions,
+                subdivision: result.subdivision,
+                afterTaxIncome: income - result.incomeTax,
+                effectiveRate: result.effectiveRate,
+                marginalRate: result.marginalRate,
                 bracketBreakdown: bracketBreakdown
             };
         } catch (error) {
@@ -171,6 +94,47 @@ class TaxCalculator {
         }
     }
 
+    /**
+     * Compare every regime of a tax year (India's old and new regimes)
+     */
+    compareRegimes(income, country = 'IN', filingStatus = 'single', deductions = 0, options = {}) {
+        try {
+            const rules = this.getRules(country, options.year);
+            const results = Object.keys(rules.regimes).map(regime =>
+                this.calculateTax(income, country, filingStatus, deductions, { ...options, regime: regime })
+            );
+            const failed = results.find(result => !result.success);
+            if (failed) {
+                return failed;
+            }
+
+            const best = results.reduce((lowest, result) => (result.totalTax < lowest.totalTax ? result : lowest));
+            return {
+                success: true,
+                regimes: results,
+                bestRegime: best.regime,
+                savings: Math.max(...results.map(result => result.totalTax)) - best.totalTax
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Loaded rules for a country and year; throws when loadTaxRules has not
+     * finished for them
+     */
+    getRules(country, year = null) {
+        if (!this.taxRules) {
+            throw new Error('Tax rules not available');
+        }
+        const rules = this.taxRules.get(country, year);
+        if (!rules) {
+            throw new Error(`Tax rules for ${country}${year ? ' ' + year : ''} are not loaded`);
+        }
+        return rules;
+    }
+
     /**
      * Get marginal tax rate
      */
@@ -193,7 +157,8 @@ class TaxCalculator {
                     scenario.income, 
                     scenario.country, 
                     scenario.filingStatus, 
-                    scenario.deductions || 0
+                    scenario.deductions || 0,
+                    { year: scenario.year, regime: scenario.regime }
                 );
                 
                 if (result.success) {
@@ -223,10 +188,10 @@ class TaxCalculator {
     /**
      * Calculate tax savings from deductions
      */
-    calculateTaxSavings(income, country, filingStatus, additionalDeductions) {
+    calculateTaxSavings(income, country, filingStatus, additionalDeductions, options = {}) {
         try {
-            const withoutDeductions = this.calculateTax(income, country, filingStatus, 0);
-            const withDeductions = this.calculateTax(income, country, filingStatus, additionalDeductions);
+            const withoutDeductions = this.calculateTax(income, country, filingStatus, 0, options);
+            const withDeductions = this.calculateTax(income, country, filingStatus, additionalDeductions, options);
             
             if (!withoutDeductions.success || !withDeductions.success) {
                 return { success: false, error: 'Tax calculation failed' };
@@ -250,9 +215,9 @@ class TaxCalculator {
     /**
      * Calculate take-home pay
      */
-    calculateTakeHomePay(grossSalary, country, filingStatus, deductions = 0, otherDeductions = 0) {
+    calculateTakeHomePay(grossSalary, country, filingStatus, deductions = 0, otherDeductions = 0, options = {}) {
         try {
-            const taxResult = this.calculateTax(grossSalary, country, filingStatus, deductions);
+            const taxResult = this.calculateTax(grossSalary, country, filingStatus, deductions, options);
             
             if (!taxResult.success) {
                 return taxResult;
@@ -296,33 +261,15 @@ class TaxCalculator {
     /**
      * Format currency with selected currency
      */
-    formatCurrency(amount, currency = null) {
-        const selectedCurrency = currency || this.selectedCurrency;
-        const currencyInfo = this.currencies[selectedCurrency];
-        
-        if (!currencyInfo) {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        }
-
-        // For currencies like JPY that don't use decimals
-        const decimals = ['JPY', 'KRW'].includes(selectedCurrency) ? 0 : 0;
-        
-        return `${currencyInfo.symbol}${new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-        }).format(amount)}`;
+    formatCurrency(amount, currency = null, decimals = 0) {
+        return Money.format(amount, currency || this.selectedCurrency, { decimals: decimals });
     }
 
     /**
      * Format percentage
      */
     formatPercentage(value, decimals = 2) {
-        return `${value.toFixed(decimals)}%`;
+        return Money.formatPercentage(value, decimals);
     }
 
     /**
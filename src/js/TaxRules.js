@@ -0,0 +1,562 @@
+/**
+ * Tax Rules
+ * Versioned tax rule data (brackets, standard deductions, allowances,
+ * credits, surcharges, social contributions and regional taxes) loaded from
+ * JSON files per country and year, validated, and shared by the tax and
+ * salary calculators
+ */
+
+class TaxRules {
+    /**
+     * @param {Object} options - { baseUrl } folder holding index.json and the rule files
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '/src/data/tax-rules';
+        this.rules = {};
+        this.index = null;
+        this.indexLoading = null;
+        this.loading = {};
+    }
+
+    /**
+     * Rule file format version this code understands
+     */
+    static get FORMAT_VERSION() {
+        return 1;
+    }
+
+    /**
+     * Instance shared by every calculator on the page, so each rule file is
+     * fetched once
+     */
+    static get shared() {
+        if (!TaxRules.sharedInstance) {
+            TaxRules.sharedInstance = new TaxRules();
+        }
+        return TaxRules.sharedInstance;
+    }
+
+    /**
+     * Fetch the list of available rule files; concurrent callers share one request
+     * @returns {Promise<Array>} [{ country, year, label, path }]
+     */
+    async loadIndex() {
+        if (this.index) return this.index.files;
+
+        if (!this.indexLoading) {
+            this.indexLoading = fetch(`${this.baseUrl}/index.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load the tax rule index (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(index => {
+                    if (index.format !== 'tax-rules-index' || !Array.isArray(index.files)) {
+                        throw new Error('Invalid tax rule index');
+                    }
+                    this.index = index;
+                    return index.files;
+                })
+                .finally(() => {
+                    this.indexLoading = null;
+                });
+        }
+        return this.indexLoading;
+    }
+
+    /**
+     * Fetch, validate and register the rules for a country and year. The
+     * latest year in the index is used when no year is given.
+     * @returns {Promise<Object>} Registered rules
+     */
+    async load(country, year = null) {
+        const files = await this.loadIndex();
+        const entries = files.filter(file => file.country === country);
+        if (entries.length === 0) {
+            throw new Error(`No tax rules available for ${country}`);
+        }
+
+        const entry = year === null || year === undefined || year === ''
+            ? entries.reduce((latest, file) => (file.year > latest.year ? file : latest))
+            : entries.find(file => file.year === Number(year));
+        if (!entry) {
+            throw new Error(`No tax rules available for ${country} ${year}`);
+        }
+
+        const key = TaxRules.key(country, entry.year);
+        if (this.rules[key]) return this.rules[key];
+
+        if (!this.loading[key]) {
+            this.loading[key] = fetch(`${this.baseUrl}/${entry.path}`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load tax rules for ${country} ${entry.year} (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(rules => this.register(rules))
+                .finally(() => delete this.loading[key]);
+        }
+        return this.loading[key];
+    }
+
+    /**
+     * Validate and register rules that are already parsed
+     * @returns {Object} The registered rules
+     */
+    register(rules) {
+        const errors = TaxRules.validate(rules);
+        if (errors.length > 0) {
+            const name = rules && rules.country ? `${rules.country} ${rules.year}` : 'file';
+            throw new Error(`Invalid tax rules for ${name}: ${errors.join('; ')}`);
+        }
+
+        this.rules[TaxRules.key(rules.country, rules.year)] = rules;
+        return rules;
+    }
+
+    /**
+     * Registered rules for a country; the latest registered year when no year is given
+     * @returns {Object|null} Rules, or null when not loaded
+     */
+    get(country, year = null) {
+        if (year !== null && year !== undefined && year !== '') {
+            return this.rules[TaxRules.key(country, Number(year))] || null;
+        }
+        const years = this.getYears(country, false);
+        return years.length > 0 ? this.rules[TaxRules.key(country, years[years.length - 1].year)] : null;
+    }
+
+    /**
+     * Tax years for a country, oldest first
+     * @param {boolean} available - List every year in the index, not only loaded ones
+     * @returns {Array} [{ year, label, loaded }]
+     */
+    getYears(country, available = true) {
+        const years = new Map();
+        if (available && this.index) {
+            for (const file of this.index.files.filter(item => item.country === country)) {
+                years.set(file.year, { year: file.year, label: file.label || String(file.year), loaded: false });
+            }
+        }
+        for (const rules of Object.values(this.rules).filter(item => item.country === country)) {
+            years.set(rules.year, { year: rules.year, label: rules.label || String(rules.year), loaded: true });
+        }
+        return [...years.values()].sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Regimes of a rule set, default first
+     * @returns {Array} [{ id, name, default }]
+     */
+    getRegimes(rules) {
+        return Object.entries(rules.regimes)
+            .map(([id, regime]) => ({ id: id, name: regime.name || id, default: id === rules.defaultRegime }))
+            .sort((a, b) => b.default - a.default);
+    }
+
+    /**
+     * Income tax, social contributions and regional tax for one person.
+     *
+     * Options: { income, filingStatus, regime, deductions, subdivision }
+     * deductions are the taxpayer's own (itemised, pension, 80C ...). The
+     * regime decides whether they are allowed and whether the standard
+     * deduction is added to them or used instead of smaller ones.
+     */
+    calculate(rules, options = {}) {
+        const income = Math.max(0, Number(options.income) || 0);
+        const filingStatus = options.filingStatus || 'single';
+        const regimeId = options.regime || rules.defaultRegime;
+        const regime = rules.regimes[regimeId];
+        if (!regime) {
+            throw new Error(`Unknown regime for ${rules.country} ${rules.label || rules.year}: ${regimeId}`);
+        }
+        const statuses = rules.filingStatuses || ['single'];
+        if (!statuses.includes(filingStatus) && this.hasStatusKeys(rules)) {
+            throw new Error(`Filing status not supported for ${rules.country}: ${filingStatus}`);
+        }
+
+        // Deductions and allowances
+        const claimed = Math.max(0, Number(options.deductions) || 0);
+        const ownDeductions = regime.allowsDeductions === false ? 0 : claimed;
+        let standardDeduction = 0;
+        let deductions = ownDeductions;
+        if (regime.standardDeduction) {
+            standardDeduction = this.byStatus(regime.standardDeduction.amount, filingStatus);
+            if (regime.standardDeduction.combine === 'max') {
+                deductions = Math.max(ownDeductions, standardDeduction);
+                standardDeduction = deductions === ownDeductions && ownDeductions > 0 ? 0 : standardDeduction;
+            } else {
+                deductions = ownDeductions + standardDeduction;
+            }
+        }
+
+        const adjustedIncome = Math.max(0, income - deductions);
+        let personalAllowance = 0;
+        if (regime.personalAllowance) {
+            const allowance = regime.personalAllowance;
+            const excess = allowance.taperThreshold !== undefined ? Math.max(0, adjustedIncome - allowance.taperThreshold) : 0;
+            personalAllowance = Math.max(0, allowance.amount - excess * (allowance.taperRate || 0));
+        }
+        const taxableIncome = Math.max(0, adjustedIncome - personalAllowance);
+
+        // Income tax on the brackets
+        const brackets = TaxRules.toBrackets(this.byStatus(regime.brackets, filingStatus));
+        const { tax: bracketTax, breakdown } = TaxRules.progressiveTax(taxableIncome, brackets);
+        let tax = bracketTax;
+
+        // Credits and rebates
+        const credits = [];
+        for (const credit of regime.credits || []) {
+            const amount = this.creditAmount(credit, taxableIncome, tax, filingStatus);
+            if (amount > 0) {
+                credits.push({ name: credit.name, amount: TaxRules.round(amount) });
+                tax -= amount;
+            }
+        }
+        tax = Math.max(0, tax);
+
+        // Surcharge on the tax, with marginal relief at each threshold
+        let surcharge = 0;
+        if (regime.surcharges) {
+            surcharge = this.surchargeAmount(regime, brackets, taxableIncome, tax, filingStatus);
+        }
+
+        // Taxes charged on the tax itself (cess)
+        const taxesOnTax = (regime.taxesOnTax || []).map(item => ({
+            name: item.name,
+            rate: item.rate,
+            amount: TaxRules.round((tax + surcharge) * item.rate / 100)
+        }));
+        const incomeTax = tax + surcharge + taxesOnTax.reduce((sum, item) => sum + item.amount, 0);
+
+        // Social contributions on gross income
+        const socialContributions = (rules.socialContributions || []).map(contribution => ({
+            name: contribution.name,
+            amount: TaxRules.round(TaxRules.progressiveTax(income, TaxRules.toBrackets(this.byStatus(contribution.brackets, filingStatus))).tax)
+        }));
+        const totalSocialContributions = socialContributions.reduce((sum, item) => sum + item.amount, 0);
+
+        // Regional tax (state, province) on income after the taxpayer's own deductions
+        let subdivision = null;
+        if (rules.subdivisions && options.subdivision) {
+            const region = rules.subdivisions.regions[options.subdivision] || rules.subdivisions.default;
+            if (region) {
+                const regionBrackets = TaxRules.toBrackets(this.byStatus(region.brackets, filingStatus));
+                subdivision = {
+                    code: options.subdivision,
+                    name: region.name,
+                    tax: TaxRules.round(TaxRules.progressiveTax(Math.max(0, income - claimed), regionBrackets).tax)
+                };
+            }
+        }
+
+        const totalTax = incomeTax + totalSocialContributions + (subdivision ? subdivision.tax : 0);
+
+        return {
+            country: rules.country,
+            year: rules.year,
+            label: rules.label || String(rules.year),
+            regime: regimeId,
+            regimeName: regime.name || regimeId,
+            filingStatus: filingStatus,
+            grossIncome: income,
+            deductions: deductions,
+            deductionsIgnored: claimed - ownDeductions,
+            standardDeduction: standardDeduction,
+            personalAllowance: TaxRules.round(personalAllowance),
+            taxableIncome: taxableIncome,
+            taxBeforeCredits: TaxRules.round(bracketTax),
+            bracketBreakdown: breakdown,
+            credits: credits,
+            surcharge: TaxRules.round(surcharge),
+            taxesOnTax: taxesOnTax,
+            incomeTax: TaxRules.round(incomeTax),
+            socialContributions: socialContributions,
+            totalSocialContributions: TaxRules.round(totalSocialContributions),
+            subdivision: subdivision,
+            totalTax: TaxRules.round(totalTax),
+            effectiveRate: income > 0 ? incomeTax / income * 100 : 0,
+            marginalRate: TaxRules.marginalRate(taxableIncome, brackets)
+        };
+    }
+
+    /**
+     * Run every regime of a rule set and mark the cheapest
+     * @returns {Object} { results, best }
+     */
+    compareRegimes(rules, options = {}) {
+        const results = Object.keys(rules.regimes).map(regime => this.calculate(rules, { ...options, regime: regime }));
+        const best = results.reduce((lowest, result) => (result.incomeTax < lowest.incomeTax ? result : lowest));
+        return { results: results, best: best.regime };
+    }
+
+    /**
+     * Amount of one credit. A rebate removes tax up to its amount while
+     * taxable income is within the limit; with marginal relief the tax just
+     * above the limit is capped at the income over the limit.
+     */
+    creditAmount(credit, taxableIncome, tax, filingStatus) {
+        const amount = this.byStatus(credit.amount, filingStatus);
+        const limit = credit.incomeLimit !== undefined ? this.byStatus(credit.incomeLimit, filingStatus) : Infinity;
+
+        if (taxableIncome <= limit) {
+            return Math.min(tax, amount);
+        }
+        if (credit.marginalRelief && tax > taxableIncome - limit) {
+            return tax - (taxableIncome - limit);
+        }
+        return 0;
+    }
+
+    /**
+     * Surcharge for the highest threshold passed; thresholds may be given
+     * per filing status. Marginal relief keeps the extra tax from crossing a
+     * threshold within the income above it.
+     */
+    surchargeAmount(regime, brackets, taxableIncome, tax, filingStatus) {
+        const thresholds = this.byStatus(regime.surcharges.thresholds, filingStatus);
+        const rateAt = income => thresholds.reduce((rate, threshold) => (income > threshold.over ? threshold.rate : rate), 0);
+        const rate = rateAt(taxableIncome);
+        if (rate === 0) return 0;
+
+        let surcharge = tax * rate / 100;
+        if (regime.surcharges.marginalRelief) {
+            const threshold = [...thresholds].reverse().find(item => taxableIncome > item.over);
+            const taxAtThreshold = TaxRules.progressiveTax(threshold.over, brackets).tax;
+            const totalAtThreshold = taxAtThreshold * (1 + rateAt(threshold.over) / 100);
+            const maximum = totalAtThreshold + (taxableIncome - threshold.over);
+            surcharge = Math.min(surcharge, Math.max(0, maximum - tax));
+        }
+        return surcharge;
+    }
+
+    /**
+     * Value for a filing status; plain values apply to every status
+     */
+    byStatus(value, filingStatus) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+        if (!(filingStatus in value)) {
+            throw new Error(`Filing status not supported: ${filingStatus}`);
+        }
+        return value[filingStatus];
+    }
+
+    /**
+     * Whether any part of the rules differs by filing status
+     */
+    hasStatusKeys(rules) {
+        return Object.values(rules.regimes).some(regime => !Array.isArray(regime.brackets));
+    }
+
+    /**
+     * Convert rule file bands ({ upTo, rate } with rates in percent) to
+     * { min, max, rate } brackets with fractional rates
+     */
+    static toBrackets(bands) {
+        let min = 0;
+        return bands.map(band => {
+            const bracket = {
+                min: min,
+                max: band.upTo === undefined || band.upTo === null ? Infinity : band.upTo,
+                rate: band.rate / 100
+            };
+            min = bracket.max;
+            return bracket;
+        });
+    }
+
+    /**
+     * Tax on an amount over progressive brackets
+     * @returns {Object} { tax, breakdown: [{ min, max, rate, taxableAmount, taxAmount }] }
+     */
+    static progressiveTax(amount, brackets) {
+        let tax = 0;
+        const breakdown = [];
+        for (const bracket of brackets) {
+            if (amount <= bracket.min) break;
+            const taxableAmount = Math.min(amount, bracket.max) - bracket.min;
+            const taxAmount = taxableAmount * bracket.rate;
+            tax += taxAmount;
+            breakdown.push({ min: bracket.min, max: bracket.max, rate: bracket.rate * 100, taxableAmount: taxableAmount, taxAmount: taxAmount });
+        }
+        return { tax: tax, breakdown: breakdown };
+    }
+
+    /**
+     * Marginal rate (%) at an amount
+     */
+    static marginalRate(amount, brackets) {
+        const bracket = brackets.find(item => amount >= item.min && amount < item.max);
+        return (bracket || brackets[brackets.length - 1]).rate * 100;
+    }
+
+    /**
+     * Check a rule file
+     * @returns {Array<string>} Problems found; empty when the rules are valid
+     */
+    static validate(rules) {
+        const errors = [];
+        if (!rules || typeof rules !== 'object') {
+            return ['rules must be an object'];
+        }
+        if (rules.format !== 'tax-rules') {
+            errors.push('format must be "tax-rules"');
+        }
+        if (rules.version !== TaxRules.FORMAT_VERSION) {
+            errors.push(`version ${rules.version} is not supported (expected ${TaxRules.FORMAT_VERSION})`);
+        }
+        if (typeof rules.country !== 'string' || !/^[A-Z]{2}$/.test(rules.country)) {
+            errors.push('country must be a two-letter code');
+        }
+        if (!Number.isInteger(rules.year)) {
+            errors.push('year must be an integer');
+        }
+
+        const statuses = rules.filingStatuses === undefined ? ['single'] : rules.filingStatuses;
+        if (!Array.isArray(statuses) || statuses.length === 0 || !statuses.every(status => typeof status === 'string')) {
+            errors.push('filingStatuses must be a list of names');
+        }
+
+        const checkByStatus = (value, path, check) => {
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                for (const status of statuses) {
+                    if (!(status in value)) {
+                        errors.push(`${path} has no entry for filing status "${status}"`);
+                    }
+                }
+                for (const [status, item] of Object.entries(value)) {
+                    check(item, `${path}.${status}`);
+                }
+            } else {
+                check(value, path);
+            }
+        };
+        const checkAmount = (value, path) => {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                errors.push(`${path} must be a number of zero or more`);
+            }
+        };
+        const checkRate = (value, path) => {
+            if (typeof value !== 'number' || value < 0 || value > 100) {
+                errors.push(`${path} must be a percentage between 0 and 100`);
+            }
+        };
+        const checkBands = (bands, path) => {
+            if (!Array.isArray(bands) || bands.length === 0) {
+                errors.push(`${path} must be a non-empty list of bands`);
+                return;
+            }
+            let previous = 0;
+            bands.forEach((band, index) => {
+                const bandPath = `${path}[${index}]`;
+                checkRate(band.rate, `${bandPath}.rate`);
+                const last = index === bands.length - 1;
+                if (band.upTo === undefined || band.upTo === null) {
+                    if (!last) errors.push(`${bandPath} has no upTo but is not the last band`);
+                } else if (typeof band.upTo !== 'number' || band.upTo <= previous) {
+                    errors.push(`${bandPath}.upTo must be greater than ${previous}`);
+                } else {
+                    previous = band.upTo;
+                    if (last) errors.push(`${bandPath} is the last band and must not have an upTo`);
+                }
+            });
+        };
+
+        if (!rules.regimes || typeof rules.regimes !== 'object' || Object.keys(rules.regimes).length === 0) {
+            errors.push('regimes must define at least one regime');
+        } else {
+            if (!(rules.defaultRegime in rules.regimes)) {
+                errors.push(`defaultRegime "${rules.defaultRegime}" is not one of the regimes`);
+            }
+            for (const [id, regime] of Object.entries(rules.regimes)) {
+                const path = `regimes.${id}`;
+                checkByStatus(regime.brackets, `${path}.brackets`, checkBands);
+                if (regime.standardDeduction !== undefined) {
+                    checkByStatus(regime.standardDeduction.amount, `${path}.standardDeduction.amount`, checkAmount);
+                    if (!['add', 'max'].includes(regime.standardDeduction.combine)) {
+                        errors.push(`${path}.standardDeduction.combine must be "add" or "max"`);
+                    }
+                }
+                if (regime.personalAllowance !== undefined) {
+                    const allowance = regime.personalAllowance;
+                    checkAmount(allowance.amount, `${path}.personalAllowance.amount`);
+                    if (allowance.taperThreshold !== undefined) checkAmount(allowance.taperThreshold, `${path}.personalAllowance.taperThreshold`);
+                    if (allowance.taperRate !== undefined && !(allowance.taperRate >= 0 && allowance.taperRate <= 1)) {
+                        errors.push(`${path}.personalAllowance.taperRate must be between 0 and 1`);
+                    }
+                }
+                (regime.credits || []).forEach((credit, index) => {
+                    const creditPath = `${path}.credits[${index}]`;
+                    if (credit.type !== 'rebate') errors.push(`${creditPath}.type must be "rebate"`);
+                    if (typeof credit.name !== 'string') errors.push(`${creditPath}.name is required`);
+                    checkByStatus(credit.amount, `${creditPath}.amount`, checkAmount);
+                    if (credit.incomeLimit !== undefined) checkByStatus(credit.incomeLimit, `${creditPath}.incomeLimit`, checkAmount);
+                });
+                if (regime.surcharges !== undefined) {
+                    checkByStatus(regime.surcharges.thresholds, `${path}.surcharges.thresholds`, (thresholds, thresholdsPath) => {
+                        if (!Array.isArray(thresholds) || thresholds.length === 0) {
+                            errors.push(`${thresholdsPath} must be a non-empty list`);
+                            return;
+                        }
+                        thresholds.forEach((threshold, index) => {
+                            checkAmount(threshold.over, `${thresholdsPath}[${index}].over`);
+                            checkRate(threshold.rate, `${thresholdsPath}[${index}].rate`);
+                            if (index > 0 && !(threshold.over > thresholds[index - 1].over)) {
+                                errors.push(`${thresholdsPath} must be in increasing order`);
+                            }
+                        });
+                    });
+                }
+                (regime.taxesOnTax || []).forEach((item, index) => {
+                    if (typeof item.name !== 'string') errors.push(`${path}.taxesOnTax[${index}].name is required`);
+                    checkRate(item.rate, `${path}.taxesOnTax[${index}].rate`);
+                });
+            }
+        }
+
+        (rules.socialContributions || []).forEach((contribution, index) => {
+            const path = `socialContributions[${index}]`;
+            if (typeof contribution.name !== 'string') errors.push(`${path}.name is required`);
+            checkByStatus(contribution.brackets, `${path}.brackets`, checkBands);
+        });
+
+        if (rules.subdivisions !== undefined) {
+            const subdivisions = rules.subdivisions;
+            if (!subdivisions.regions || typeof subdivisions.regions !== 'object') {
+                errors.push('subdivisions.regions must be an object');
+            } else {
+                for (const [code, region] of Object.entries(subdivisions.regions)) {
+                    checkByStatus(region.brackets, `subdivisions.regions.${code}.brackets`, checkBands);
+                }
+            }
+            if (subdivisions.default !== undefined) {
+                checkByStatus(subdivisions.default.brackets, 'subdivisions.default.brackets', checkBands);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Registry key for a country and year
+     */
+    static key(country, year) {
+        return `${country}-${year}`;
+    }
+
+    /**
+     * Round to cents
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxRules;
+}
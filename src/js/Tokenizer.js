@@ -6,11 +6,24 @@
  */
 
 class Tokenizer {
-    constructor(operatorTable) {
+    constructor(operatorTable, dimensionEngine = null) {
         this.operatorTable = operatorTable;
+        this.dimensionEngine = dimensionEngine;
         this.input = '';
         this.position = 0;
         this.tokens = [];
+        this.localNames = new Set();
+        this.variableLookup = null;
+    }
+
+    /**
+     * Set a callback that reports whether a name is a defined variable.
+     * Variables are read as identifiers ahead of units and constants, so
+     * "m = 3" followed by "2*m" uses the variable, not metres.
+     * @param {Function|null} lookup - (name) => boolean
+     */
+    setVariableLookup(lookup) {
+        this.variableLookup = lookup;
     }
 
     /**
@@ -23,9 +36,12 @@ class Tokenizer {
             OPERATOR: 'OPERATOR',
             LEFT_PAREN: 'LEFT_PAREN',
             RIGHT_PAREN: 'RIGHT_PAREN',
+            LEFT_BRACKET: 'LEFT_BRACKET',
+            RIGHT_BRACKET: 'RIGHT_BRACKET',
             COMMA: 'COMMA',
             FUNCTION: 'FUNCTION',
             CONSTANT: 'CONSTANT',
+            UNIT: 'UNIT',
             EOF: 'EOF'
         };
     }
@@ -49,10 +65,11 @@ class Tokenizer {
      * @param {string} input - Input expression string
      * @returns {Array} Array of tokens
      */
-    tokenize(input) {
+    tokenize(input, localNames = []) {
         this.input = input.trim();
         this.position = 0;
         this.tokens = [];
+        this.localNames = new Set(localNames);
 
         while (this.position < this.input.length) {
             this.skipWhitespace();
@@ -60,31 +77,86 @@ class Tokenizer {
             if (this.position >= this.input.length) break;
 
             const char = this.input[this.position];
+            const firstNew = this.tokens.length;
             
             if (this.isDigit(char) || char === '.') {
                 this.tokens.push(this.readNumber());
             } else if (this.isLetter(char) || char === '_') {
-                this.tokens.push(this.readIdentifier());
+                const token = this.readIdentifier();
+                const previous = this.tokens[this.tokens.length - 1];
+                if (token.type === Tokenizer.TOKEN_TYPES.UNIT && this.isOperandEnd(previous)) {
+                    // "5 km" is shorthand for 5 × (1 km); after a fraction of plain
+                    // numbers the unit scales the whole fraction, so "1/2 m" is half a metre
+                    const multiply = this.endsWithNumberFraction() ? '*' : 'unit*';
+                    this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, multiply, token.position));
+                } else if (token.type === Tokenizer.TOKEN_TYPES.CONSTANT && previous && previous.type === Tokenizer.TOKEN_TYPES.NUMBER) {
+                    // "4i" and "2pi" multiply the number by the constant
+                    this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, '*', token.position));
+                }
+                this.tokens.push(token);
+                if (token.type === Tokenizer.TOKEN_TYPES.OPERATOR && token.value === 'to') {
+                    this.tokens.push(this.readUnitExpression());
+                }
             } else if (char === '(') {
                 this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.LEFT_PAREN, '(', this.position));
                 this.position++;
             } else if (char === ')') {
                 this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.RIGHT_PAREN, ')', this.position));
                 this.position++;
+            } else if (char === '[') {
+                this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.LEFT_BRACKET, '[', this.position));
+                this.position++;
+            } else if (char === ']') {
+                this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.RIGHT_BRACKET, ']', this.position));
+                this.position++;
             } else if (char === ',') {
                 this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.COMMA, ',', this.position));
                 this.position++;
-            } else if (this.isOperator(char)) {
+            } else if (this.isOperator(char) || this.matchMultiCharOperator()) {
                 this.tokens.push(this.readOperator());
             } else {
-                throw new Error(`Unexpected character '${char}' at position ${this.position}`);
+                throw this.positionError(`Unexpected character '${char}' at position ${this.position}`, this.position, this.position + 1);
             }
+
+            this.recordSpans(firstNew);
         }
 
-        this.tokens.push(Tokenizer.Token(Tokenizer.TOKEN_TYPES.EOF, '', this.position));
+        const eof = Tokenizer.Token(Tokenizer.TOKEN_TYPES.EOF, '', this.position);
+        eof.end = this.position;
+        this.tokens.push(eof);
         return this.tokens;
     }
 
+    /**
+     * Record where each token read in this step ends. A token ends where the
+     * next one starts (implicit multiplications are zero-width) and the last
+     * one at the current position; trailing whitespace is not included.
+     * @param {number} firstNew - Index of the first token read in this step
+     */
+    recordSpans(firstNew) {
+        for (let i = firstNew; i < this.tokens.length; i++) {
+            let end = i + 1 < this.tokens.length ? this.tokens[i + 1].position : this.position;
+            while (end > this.tokens[i].position && /\s/.test(this.input[end - 1])) {
+                end--;
+            }
+            this.tokens[i].end = end;
+        }
+    }
+
+    /**
+     * Create an error that carries the span of the offending text
+     * @param {string} message - Error message
+     * @param {number} start - Start offset in the trimmed input
+     * @param {number} end - End offset (exclusive)
+     * @returns {Error} Error with position and end properties
+     */
+    positionError(message, start, end = start + 1) {
+        const error = new Error(message);
+        error.position = start;
+        error.end = Math.max(end, start + 1);
+        return error;
+    }
+
     /**
      * Skip whitespace characters
      */
@@ -107,6 +179,18 @@ class Tokenizer {
             value += this.input[this.position++];
         }
 
+        // Integer literals in other bases: 0xFF, 0b1010, 0o17
+        const prefixed = this.input.substring(this.position).match(/^0([xX][0-9a-fA-F]+|[bB][01]+|[oO][0-7]+)/);
+        if (prefixed) {
+            this.position += prefixed[0].length;
+            if (this.position < this.input.length && /[0-9A-Za-z_.]/.test(this.input[this.position])) {
+                throw this.positionError(`Invalid number '${prefixed[0]}${this.input[this.position]}' at position ${start}`, start, this.position + 1);
+            }
+            const token = Tokenizer.Token(Tokenizer.TOKEN_TYPES.NUMBER, Number(BigInt(prefixed[0])), start);
+            token.raw = prefixed[0];
+            return token;
+        }
+
         // Read integer part
         while (this.position < this.input.length && this.isDigit(this.input[this.position])) {
             value += this.input[this.position++];
@@ -137,10 +221,13 @@ class Tokenizer {
 
         const numValue = parseFloat(value);
         if (isNaN(numValue)) {
-            throw new Error(`Invalid number '${value}' at position ${start}`);
+            throw this.positionError(`Invalid number '${value}' at position ${start}`, start, this.position);
         }
 
-        return Tokenizer.Token(Tokenizer.TOKEN_TYPES.NUMBER, numValue, start);
+        const token = Tokenizer.Token(Tokenizer.TOKEN_TYPES.NUMBER, numValue, start);
+        // Keep the literal text so decimal mode can avoid float rounding
+        token.raw = value;
+        return token;
     }
 
     /**
@@ -164,10 +251,25 @@ class Tokenizer {
             value += this.input[this.position++];
         }
 
-        // Determine if it's a function, constant, or variable
+        // Conversion keywords: "5 km to m", "1 ft in cm"
+        if (this.dimensionEngine && (value === 'to' || value === 'in') &&
+            this.isOperandEnd(this.tokens[this.tokens.length - 1]) && this.isUnitExpressionAhead()) {
+            return Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, 'to', start);
+        }
+
+        // Word operators such as "5 xor 3"
+        if (value !== 'to' && this.operatorTable.isOperator(value) && this.isOperandEnd(this.tokens[this.tokens.length - 1])) {
+            return Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, value, start);
+        }
+
+        // Determine if it's a function, constant, unit, or variable
         let tokenType = Tokenizer.TOKEN_TYPES.IDENTIFIER;
         
-        if (this.operatorTable.isFunction(value)) {
+        if (this.isVariableName(value) && !(this.isUnitName(value) && this.followsQuantity())) {
+            tokenType = Tokenizer.TOKEN_TYPES.IDENTIFIER;
+        } else if (this.isUnitName(value)) {
+            tokenType = Tokenizer.TOKEN_TYPES.UNIT;
+        } else if (this.operatorTable.isFunction(value)) {
             tokenType = Tokenizer.TOKEN_TYPES.FUNCTION;
         } else if (this.operatorTable.isConstant(value)) {
             tokenType = Tokenizer.TOKEN_TYPES.CONSTANT;
@@ -176,6 +278,110 @@ class Tokenizer {
         return Tokenizer.Token(tokenType, value, start);
     }
 
+    /**
+     * Check if a name refers to a function parameter or a defined variable.
+     * A following '(' still makes it a function call.
+     * @param {string} name - Identifier text
+     * @returns {boolean} True if variable
+     */
+    isVariableName(name) {
+        if (!this.localNames.has(name) && !(this.variableLookup && this.variableLookup(name))) {
+            return false;
+        }
+        const rest = this.input.substring(this.position).trimStart();
+        return !rest.startsWith('(');
+    }
+
+    /**
+     * Check if a name should be read as a unit. Function calls such as
+     * min(1, 2) keep precedence over the unit of the same name.
+     * @param {string} name - Identifier text
+     * @returns {boolean} True if unit
+     */
+    isUnitName(name) {
+        if (!this.dimensionEngine || this.operatorTable.isConstant(name) || !this.dimensionEngine.isUnit(name)) {
+            return false;
+        }
+        const rest = this.input.substring(this.position).trimStart();
+        return !rest.startsWith('(');
+    }
+
+    /**
+     * Check if the last token is a number or unit, so a following unit name
+     * is read as a unit even when a variable shadows it ("t = 2; 3 t")
+     * @returns {boolean} True after a number or unit
+     */
+    followsQuantity() {
+        const previous = this.tokens[this.tokens.length - 1];
+        return previous !== undefined &&
+               (previous.type === Tokenizer.TOKEN_TYPES.NUMBER || previous.type === Tokenizer.TOKEN_TYPES.UNIT);
+    }
+
+    /**
+     * Check if the tokens end with a division of two numbers, as in "1/2"
+     * @returns {boolean} True after a number fraction
+     */
+    endsWithNumberFraction() {
+        const [numerator, operator, denominator] = this.tokens.slice(-3);
+        return this.tokens.length >= 3 &&
+               numerator.type === Tokenizer.TOKEN_TYPES.NUMBER &&
+               operator.type === Tokenizer.TOKEN_TYPES.OPERATOR && (operator.value === '/' || operator.value === '÷') &&
+               denominator.type === Tokenizer.TOKEN_TYPES.NUMBER;
+    }
+
+    /**
+     * Check if a token can end an operand (so a following unit multiplies it)
+     * @param {Object} token - Previous token
+     * @returns {boolean} True if operand end
+     */
+    isOperandEnd(token) {
+        if (!token) return false;
+        return token.type === Tokenizer.TOKEN_TYPES.NUMBER ||
+               token.type === Tokenizer.TOKEN_TYPES.CONSTANT ||
+               token.type === Tokenizer.TOKEN_TYPES.UNIT ||
+               token.type === Tokenizer.TOKEN_TYPES.IDENTIFIER ||
+               token.type === Tokenizer.TOKEN_TYPES.RIGHT_PAREN;
+    }
+
+    /**
+     * Match a compound unit expression at the start of a string
+     * @param {string} text - Text to match
+     * @returns {string|null} Matched unit expression
+     */
+    matchUnitExpression(text) {
+        const match = text.match(/^[A-Za-zµ_]+(?:\^-?\d+(?:\.\d+)?)?(?:\s*[*/·]\s*[A-Za-zµ_]+(?:\^-?\d+(?:\.\d+)?)?)*/);
+        if (!match) return null;
+        try {
+            this.dimensionEngine.parseUnit(match[0]);
+            return match[0];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if a valid unit expression follows the current position
+     * @returns {boolean} True if a unit expression follows
+     */
+    isUnitExpressionAhead() {
+        return this.matchUnitExpression(this.input.substring(this.position).trimStart()) !== null;
+    }
+
+    /**
+     * Read the target unit of a conversion as a single token
+     * @returns {Object} Unit token
+     */
+    readUnitExpression() {
+        this.skipWhitespace();
+        const start = this.position;
+        const expression = this.matchUnitExpression(this.input.substring(this.position));
+        if (!expression) {
+            throw this.positionError(`Expected a unit at position ${start}`, start);
+        }
+        this.position += expression.length;
+        return Tokenizer.Token(Tokenizer.TOKEN_TYPES.UNIT, expression.replace(/\s+/g, ''), start);
+    }
+
     /**
      * Read an operator token
      * @returns {Object} Operator token
@@ -185,30 +391,39 @@ class Tokenizer {
         let value = '';
 
         // Try to match multi-character operators first
-        const remaining = this.input.substring(this.position);
-        
-        // Check for multi-character operators
-        const multiCharOps = ['**', '<=', '>=', '==', '!=', '&&', '||'];
-        for (const op of multiCharOps) {
-            if (remaining.startsWith(op) && this.operatorTable.isOperator(op)) {
-                value = op;
-                this.position += op.length;
-                return Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, value, start);
-            }
+        const multiCharOp = this.matchMultiCharOperator();
+        if (multiCharOp) {
+            this.position += multiCharOp.length;
+            return Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, multiCharOp, start);
         }
 
         // Single character operator
         const char = this.input[this.position];
-        if (this.operatorTable.isOperator(char)) {
+        if (this.isOperator(char)) {
             value = char;
             this.position++;
         } else {
-            throw new Error(`Unknown operator '${char}' at position ${start}`);
+            throw this.positionError(`Unknown operator '${char}' at position ${start}`, start);
         }
 
         return Tokenizer.Token(Tokenizer.TOKEN_TYPES.OPERATOR, value, start);
     }
 
+    /**
+     * Match a multi-character operator at the current position
+     * @returns {string|null} Operator symbol or null
+     */
+    matchMultiCharOperator() {
+        const remaining = this.input.substring(this.position);
+        const multiCharOps = ['**', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||'];
+        for (const op of multiCharOps) {
+            if (remaining.startsWith(op) && this.operatorTable.isOperator(op)) {
+                return op;
+            }
+        }
+        return null;
+    }
+
     /**
      * Check if character is a digit
      * @param {string} char - Character to check
@@ -233,7 +448,8 @@ class Tokenizer {
      * @returns {boolean} True if operator
      */
     isOperator(char) {
-        return this.operatorTable.isOperator(char);
+        // Prefix-only operators such as ~ are registered as "unary~"
+        return this.operatorTable.isOperator(char) || this.operatorTable.isOperator(`unary${char}`);
     }
 
     /**
@@ -245,7 +461,7 @@ class Tokenizer {
         if (this.position === 0) return true;
         
         const prevChar = this.input[this.position - 1];
-        return prevChar === '(' || prevChar === ',' || this.operatorTable.isOperator(prevChar);
+        return prevChar === '(' || prevChar === '[' || prevChar === ',' || this.operatorTable.isOperator(prevChar);
     }
 
     /**
@@ -287,29 +503,44 @@ class Tokenizer {
      * @returns {Array} Array of validation errors
      */
     validate() {
-        const errors = [];
+        return this.diagnose().map(diagnostic => diagnostic.message);
+    }
+
+    /**
+     * Check the token sequence for basic syntax errors. Each diagnostic
+     * carries the span of the offending tokens in the trimmed input.
+     * @returns {Array} Diagnostics { severity, code, message, start, end }
+     */
+    diagnose() {
+        const diagnostics = [];
         const tokens = this.tokens.filter(token => token.type !== Tokenizer.TOKEN_TYPES.EOF);
         
         if (tokens.length === 0) {
-            errors.push('Empty expression');
-            return errors;
+            diagnostics.push(Tokenizer.Diagnostic('error', 'empty', 'Empty expression', 0, 0));
+            return diagnostics;
         }
 
-        // Check for balanced parentheses
-        let parenCount = 0;
-        for (const token of tokens) {
-            if (token.type === Tokenizer.TOKEN_TYPES.LEFT_PAREN) {
-                parenCount++;
-            } else if (token.type === Tokenizer.TOKEN_TYPES.RIGHT_PAREN) {
-                parenCount--;
-                if (parenCount < 0) {
-                    errors.push(`Unmatched right parenthesis at position ${token.position}`);
+        // Check for balanced parentheses and matrix brackets
+        const groups = [
+            { open: Tokenizer.TOKEN_TYPES.LEFT_PAREN, close: Tokenizer.TOKEN_TYPES.RIGHT_PAREN, name: 'parenthesis' },
+            { open: Tokenizer.TOKEN_TYPES.LEFT_BRACKET, close: Tokenizer.TOKEN_TYPES.RIGHT_BRACKET, name: 'bracket' }
+        ];
+        for (const group of groups) {
+            const openTokens = [];
+            for (const token of tokens) {
+                if (token.type === group.open) {
+                    openTokens.push(token);
+                } else if (token.type === group.close && openTokens.pop() === undefined) {
+                    diagnostics.push(Tokenizer.Diagnostic('error', 'unmatched-close',
+                        `Unmatched right ${group.name} at position ${token.position}`, token.position, token.end));
                 }
             }
-        }
-        
-        if (parenCount > 0) {
-            errors.push('Unmatched left parenthesis');
+
+            // Point at the outermost group that is never closed
+            if (openTokens.length > 0) {
+                diagnostics.push(Tokenizer.Diagnostic('error', 'unmatched-open',
+                    `Unmatched left ${group.name}`, openTokens[0].position, openTokens[0].end));
+            }
         }
 
         // Check for consecutive operators (except unary)
@@ -320,13 +551,50 @@ class Tokenizer {
             if (current.type === Tokenizer.TOKEN_TYPES.OPERATOR && 
                 next.type === Tokenizer.TOKEN_TYPES.OPERATOR) {
                 const opInfo = this.operatorTable.getOperator(current.value);
-                if (opInfo && opInfo.arity === 'binary') {
-                    errors.push(`Consecutive binary operators at position ${current.position}`);
+                // A following + or - is a sign, as in 2^-1 or 3 - -2
+                const nextIsSign = this.operatorTable.getOperator(`unary${next.value}`) !== null;
+                if (opInfo && opInfo.arity === 'binary' && !nextIsSign) {
+                    diagnostics.push(Tokenizer.Diagnostic('error', 'consecutive-operators',
+                        `Consecutive binary operators at position ${current.position}`, next.position, next.end));
                 }
             }
         }
 
-        return errors;
+        // A binary operator needs an operand before ), ], a comma or the end
+        tokens.forEach((token, index) => {
+            if (token.type !== Tokenizer.TOKEN_TYPES.OPERATOR) return;
+            const opInfo = this.operatorTable.getOperator(token.value);
+            const next = tokens[index + 1];
+            if (opInfo && opInfo.arity === 'binary' && !opInfo.postfix && (next === undefined ||
+                next.type === Tokenizer.TOKEN_TYPES.RIGHT_PAREN ||
+                next.type === Tokenizer.TOKEN_TYPES.RIGHT_BRACKET ||
+                next.type === Tokenizer.TOKEN_TYPES.COMMA)) {
+                diagnostics.push(Tokenizer.Diagnostic('error', 'missing-operand',
+                    `Missing operand after ${token.value} at position ${token.position}`, token.position, token.end));
+            }
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Diagnostic describing a problem with a span of the input
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} code - Machine-readable kind, e.g. 'unmatched-open'
+     * @param {string} message - Human-readable message
+     * @param {number} start - Start offset
+     * @param {number} end - End offset (exclusive)
+     * @returns {Object} Diagnostic
+     */
+    static Diagnostic(severity, code, message, start, end = start) {
+        return {
+            severity: severity,
+            code: code,
+            message: message,
+            start: start,
+            end: Math.max(end, start),
+            suggestions: []
+        };
     }
 }
 
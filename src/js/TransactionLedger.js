@@ -0,0 +1,673 @@
+/**
+ * TransactionLedger.js - Actual spending for the budget planner
+ *
+ * Keeps bank transactions, categorization rules and monthly category
+ * budgets in IndexedDB, imports statements through StatementImporter and
+ * compares each month's budget with what was actually spent.
+ *
+ * A transaction is { id, date: 'YYYY-MM-DD', amount, payee, memo,
+ * reference, account, category, categorySource: 'rule' | 'manual' |
+ * 'import' | null, ruleId, importedAt } with spending negative. A rule is
+ * { id, name, category, field: 'payee' | 'memo' | 'any', match: 'contains'
+ * | 'equals' | 'startsWith' | 'regex', pattern, direction: 'debit' |
+ * 'credit' | 'any', minAmount, maxAmount, enabled }; rules are tried in
+ * order and the first match wins. A budget is { category, amount, months:
+ * { 'YYYY-MM': amount } } with the monthly amount and any months that differ.
+ * Everything is also held in memory, so the ledger keeps working (for the
+ * page's lifetime) when IndexedDB is unavailable.
+ */
+
+class TransactionLedger {
+    /**
+     * @param {BudgetPlanner} planner - Compares budgets with actual spending
+     * @param {Object} options - { databaseName, importer }
+     */
+    constructor(planner, options = {}) {
+        this.planner = planner;
+        this.databaseName = options.databaseName || 'freetoolhub-budget';
+        this.importer = options.importer || (typeof StatementImporter !== 'undefined' ? new StatementImporter() : null);
+        this.stores = {
+            transactions: 'transactions',
+            rules: 'rules',
+            budgets: 'budgets'
+        };
+        this.database = null;
+        this.transactions = new Map();
+        this.rules = [];
+        this.budgets = new Map();
+        this.loaded = false;
+        this.ruleCounter = 0;
+        this.defaultCategories = ['Housing', 'Utilities', 'Groceries', 'Dining', 'Transport', 'Shopping',
+            'Health', 'Entertainment', 'Subscriptions', 'Travel', 'Income', 'Transfers', 'Other'];
+        // Categories left out of spending: money in, and moves between own accounts
+        this.incomeCategories = ['Income'];
+        this.ignoredCategories = ['Transfers'];
+    }
+
+    /**
+     * Backup file format version; bump when the layout changes
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Parse a bank statement and add its transactions
+     * @param {Object} options - StatementImporter options plus { account }
+     * @returns {Promise<Object>} { success, format, added, duplicates, categorized, errors }
+     */
+    async importStatement(text, options = {}) {
+        if (!this.importer) {
+            return { success: false, error: 'Statement importer not available' };
+        }
+        const parsed = this.importer.parse(text, options);
+        if (!parsed.success) return parsed;
+
+        const result = await this.addTransactions(parsed.transactions, {
+            account: options.account || parsed.account || '',
+            source: parsed.format
+        });
+        return {
+            success: true,
+            format: parsed.formatName,
+            account: parsed.account,
+            currency: parsed.currency,
+            added: result.added,
+            duplicates: result.duplicates,
+            categorized: result.categorized,
+            errors: parsed.errors
+        };
+    }
+
+    /**
+     * Add transactions, skipping ones already in the ledger. Identical
+     * transactions in one statement (two coffees on the same day) are kept
+     * apart by their position, so importing the same file twice adds nothing.
+     * @returns {Promise<Object>} { added, duplicates, categorized }
+     */
+    async addTransactions(transactions, options = {}) {
+        await this.loadAll();
+        const importedAt = new Date().toISOString();
+        const seen = {};
+        const added = [];
+        let duplicates = 0;
+
+        transactions.forEach(item => {
+            const transaction = TransactionLedger.normalizeTransaction({ account: options.account || '', ...item });
+            const key = TransactionLedger.naturalKey(transaction);
+            seen[key] = (seen[key] || 0) + 1;
+            transaction.id = item.id || `${TransactionLedger.hash(key)}-${seen[key]}`;
+            if (this.transactions.has(transaction.id)) {
+                duplicates++;
+                return;
+            }
+
+            transaction.importedAt = importedAt;
+            transaction.source = options.source || 'manual';
+            if (transaction.category) {
+                transaction.categorySource = 'import';
+            }
+            this.applyRules(transaction);
+            this.transactions.set(transaction.id, transaction);
+            added.push(transaction);
+        });
+
+        await this.put(this.stores.transactions, added, item => item.id);
+        return {
+            added: added.length,
+            duplicates: duplicates,
+            categorized: added.filter(item => item.category).length
+        };
+    }
+
+    /**
+     * Change a transaction's category (or other fields); a category set by
+     * hand is kept when rules are re-run
+     */
+    async updateTransaction(id, changes) {
+        await this.loadAll();
+        const current = this.transactions.get(id);
+        if (!current) {
+            throw new Error(`Transaction not found: ${id}`);
+        }
+
+        const updated = TransactionLedger.normalizeTransaction({ ...current, ...changes });
+        updated.id = id;
+        if (changes.category !== undefined) {
+            updated.categorySource = updated.category ? 'manual' : null;
+            updated.ruleId = null;
+        }
+        this.transactions.set(id, updated);
+        await this.put(this.stores.transactions, [updated], item => item.id);
+        return updated;
+    }
+
+    async removeTransaction(id) {
+        await this.loadAll();
+        this.transactions.delete(id);
+        await this.remove(this.stores.transactions, id);
+    }
+
+    /**
+     * Transactions, newest first
+     * @param {Object} filter - { month: 'YYYY-MM', category, uncategorized, search }
+     */
+    async getTransactions(filter = {}) {
+        await this.loadAll();
+        const search = String(filter.search || '').toLowerCase();
+        return [...this.transactions.values()]
+            .filter(item => !filter.month || item.date.startsWith(filter.month))
+            .filter(item => filter.category === undefined || filter.category === '' || item.category === filter.category)
+            .filter(item => !filter.uncategorized || !item.category)
+            .filter(item => !search || `${item.payee} ${item.memo}`.toLowerCase().includes(search))
+            .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : a.id < b.id ? -1 : 1));
+    }
+
+    /**
+     * Months with transactions, newest first
+     */
+    async getMonths() {
+        await this.loadAll();
+        return [...new Set([...this.transactions.values()].map(item => item.date.slice(0, 7)))].sort().reverse();
+    }
+
+    /**
+     * Default categories plus every category in use
+     */
+    async getCategories() {
+        await this.loadAll();
+        const used = [
+            ...[...this.transactions.values()].map(item => item.category),
+            ...this.rules.map(rule => rule.category),
+            ...this.budgets.keys()
+        ].filter(Boolean);
+        return [...new Set([...this.defaultCategories, ...used])];
+    }
+
+    /**
+     * Add a categorization rule at the end of the list
+     * @returns {Promise<Object>} The stored rule
+     */
+    async addRule(rule) {
+        await this.loadAll();
+        const normalized = TransactionLedger.normalizeRule({ ...rule, id: rule.id || this.nextRuleId() });
+        normalized.order = this.rules.length > 0 ? this.rules[this.rules.length - 1].order + 1 : 1;
+        this.rules.push(normalized);
+        await this.put(this.stores.rules, [normalized], item => item.id);
+        return normalized;
+    }
+
+    async updateRule(id, changes) {
+        await this.loadAll();
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            throw new Error(`Rule not found: ${id}`);
+        }
+        const updated = TransactionLedger.normalizeRule({ ...this.rules[index], ...changes, id: id });
+        updated.order = this.rules[index].order;
+        this.rules[index] = updated;
+        await this.put(this.stores.rules, [updated], item => item.id);
+        return updated;
+    }
+
+    async removeRule(id) {
+        await this.loadAll();
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        await this.remove(this.stores.rules, id);
+    }
+
+    /**
+     * Move a rule up (-1) or down (+1) the list
+     */
+    async moveRule(id, offset) {
+        await this.loadAll();
+        const index = this.rules.findIndex(rule => rule.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.rules.length) return;
+
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        this.rules.forEach((rule, position) => {
+            rule.order = position + 1;
+        });
+        await this.put(this.stores.rules, this.rules, item => item.id);
+    }
+
+    async getRules() {
+        await this.loadAll();
+        return this.rules.map(rule => ({ ...rule }));
+    }
+
+    /**
+     * Re-run the rules over stored transactions. Categories set by hand are
+     * kept unless overwriteManual is set.
+     * @returns {Promise<number>} Transactions whose category changed
+     */
+    async recategorize(options = {}) {
+        await this.loadAll();
+        const changed = [];
+        this.transactions.forEach(transaction => {
+            if (transaction.categorySource === 'manual' && !options.overwriteManual) return;
+            const before = transaction.category;
+            if (transaction.categorySource === 'rule') {
+                transaction.category = '';
+                transaction.categorySource = null;
+                transaction.ruleId = null;
+            }
+            this.applyRules(transaction, options.overwriteManual);
+            if (transaction.category !== before) changed.push(transaction);
+        });
+        await this.put(this.stores.transactions, changed, item => item.id);
+        return changed.length;
+    }
+
+    /**
+     * Categorize a transaction with the first matching rule. Categories from
+     * the statement or set by hand win unless overwrite is set.
+     * @returns {Object|null} Matching rule
+     */
+    applyRules(transaction, overwrite = false) {
+        if (transaction.category && !overwrite && transaction.categorySource !== 'rule') return null;
+        const rule = this.rules.find(item => item.enabled && TransactionLedger.matches(item, transaction));
+        if (rule) {
+            transaction.category = rule.category;
+            transaction.categorySource = 'rule';
+            transaction.ruleId = rule.id;
+        }
+        return rule || null;
+    }
+
+    /**
+     * Set a category's monthly budget, or its budget for one month only
+     * @param {string|null} month - 'YYYY-MM' to override a single month
+     */
+    async setBudget(category, amount, month = null) {
+        await this.loadAll();
+        const name = String(category || '').trim();
+        const value = Number(amount);
+        if (!name) {
+            throw new Error('Budget needs a category');
+        }
+        if (!isFinite(value) || value < 0) {
+            throw new Error(`Invalid budget amount for ${name}: ${amount}`);
+        }
+        if (month !== null && !/^\d{4}-\d{2}$/.test(month)) {
+            throw new Error(`Invalid budget month: ${month} (use YYYY-MM)`);
+        }
+
+        const budget = this.budgets.get(name) || { category: name, amount: 0, months: {} };
+        if (month) {
+            budget.months[month] = value;
+        } else {
+            budget.amount = value;
+        }
+        this.budgets.set(name, budget);
+        await this.put(this.stores.budgets, [budget], item => item.category);
+        return budget;
+    }
+
+    async removeBudget(category) {
+        await this.loadAll();
+        this.budgets.delete(category);
+        await this.remove(this.stores.budgets, category);
+    }
+
+    /**
+     * Budgets in force for a month
+     * @returns {Promise<Array>} [{ category, amount }]
+     */
+    async getBudgets(month = null) {
+        await this.loadAll();
+        return [...this.budgets.values()].map(budget => ({
+            category: budget.category,
+            amount: month && budget.months[month] !== undefined ? budget.months[month] : budget.amount,
+            months: { ...budget.months }
+        }));
+    }
+
+    /**
+     * Budget against actual spending for one month
+     * @param {Object} options - Passed to BudgetPlanner.compareBudgetToActual
+     */
+    async budgetVsActual(month, options = {}) {
+        const budgets = await this.getBudgets(month);
+        const transactions = await this.getTransactions({ month: month });
+        return this.planner.compareBudgetToActual(budgets, transactions, month, {
+            incomeCategories: this.incomeCategories,
+            ignoredCategories: this.ignoredCategories,
+            ...options
+        });
+    }
+
+    /**
+     * Budget against actual for the latest months with transactions, oldest first
+     */
+    async budgetHistory(count = 6, options = {}) {
+        const months = (await this.getMonths()).slice(0, count).reverse();
+        const results = [];
+        for (const month of months) {
+            results.push(await this.budgetVsActual(month, options));
+        }
+        return results;
+    }
+
+    /**
+     * Everything in the ledger as a JSON backup
+     * @returns {Promise<string>}
+     */
+    async exportBackup() {
+        await this.loadAll();
+        return JSON.stringify({
+            format: 'budget-ledger-backup',
+            version: TransactionLedger.VERSION,
+            exportedAt: new Date().toISOString(),
+            transactions: [...this.transactions.values()],
+            rules: this.rules,
+            budgets: [...this.budgets.values()]
+        }, null, 2);
+    }
+
+    /**
+     * Restore a JSON backup, replacing the ledger or merging into it
+     * @param {Object} options - { merge } keep existing data; backup entries win on conflicts
+     * @returns {Promise<Object>} { transactions, rules, budgets } counts restored
+     */
+    async restoreBackup(text, options = {}) {
+        let backup;
+        try {
+            backup = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('Backup is not valid JSON');
+        }
+        if (!backup || backup.format !== 'budget-ledger-backup') {
+            throw new Error('Not a budget ledger backup');
+        }
+        if (backup.version > TransactionLedger.VERSION) {
+            throw new Error(`Backup version ${backup.version} is newer than this page understands`);
+        }
+
+        // Check everything before touching the stored ledger
+        const transactions = (backup.transactions || []).map(item => {
+            if (!item.id) {
+                throw new Error('Backup transaction without an id');
+            }
+            return TransactionLedger.normalizeTransaction(item);
+        });
+        const rules = (backup.rules || []).map((item, index) => ({ ...TransactionLedger.normalizeRule(item), order: Number(item.order) || index + 1 }));
+        const budgets = (backup.budgets || []).map(item => {
+            const amount = Number(item.amount);
+            if (!item.category || !isFinite(amount) || amount < 0) {
+                throw new Error(`Invalid budget in backup: ${item.category}`);
+            }
+            return { category: String(item.category), amount: amount, months: { ...(item.months || {}) } };
+        });
+
+        await this.loadAll();
+        if (!options.merge) {
+            await this.clear();
+        }
+        transactions.forEach(item => this.transactions.set(item.id, item));
+        rules.forEach(rule => {
+            const index = this.rules.findIndex(existing => existing.id === rule.id);
+            if (index >= 0) {
+                this.rules[index] = rule;
+            } else {
+                this.rules.push(rule);
+            }
+        });
+        this.rules.sort((a, b) => a.order - b.order);
+        budgets.forEach(budget => this.budgets.set(budget.category, budget));
+
+        await this.put(this.stores.transactions, transactions, item => item.id);
+        await this.put(this.stores.rules, rules, item => item.id);
+        await this.put(this.stores.budgets, budgets, item => item.category);
+        return { transactions: transactions.length, rules: rules.length, budgets: budgets.length };
+    }
+
+    /**
+     * Delete every transaction, rule and budget
+     */
+    async clear() {
+        this.transactions.clear();
+        this.rules = [];
+        this.budgets.clear();
+        this.loaded = true;
+
+        const database = await this.openDatabase();
+        if (database) {
+            for (const store of Object.values(this.stores)) {
+                await this.request(database, store, 'readwrite', objectStore => objectStore.clear());
+            }
+        }
+    }
+
+    /**
+     * Read the stored ledger into memory once
+     */
+    async loadAll() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        const database = await this.openDatabase();
+        if (!database) return;
+
+        const [transactions, rules, budgets] = await Promise.all([
+            this.request(database, this.stores.transactions, 'readonly', store => store.getAll()),
+            this.request(database, this.stores.rules, 'readonly', store => store.getAll()),
+            this.request(database, this.stores.budgets, 'readonly', store => store.getAll())
+        ]);
+        (transactions || []).forEach(item => {
+            if (!this.transactions.has(item.id)) this.transactions.set(item.id, item);
+        });
+        this.rules = [...this.rules, ...(rules || []).filter(rule => !this.rules.some(existing => existing.id === rule.id))]
+            .sort((a, b) => a.order - b.order);
+        (budgets || []).forEach(budget => {
+            if (!this.budgets.has(budget.category)) this.budgets.set(budget.category, budget);
+        });
+    }
+
+    /**
+     * Open (and create on first use) the ledger database
+     * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+     */
+    openDatabase() {
+        if (this.database) return Promise.resolve(this.database);
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                Object.values(this.stores).forEach(store => {
+                    if (!request.result.objectStoreNames.contains(store)) {
+                        request.result.createObjectStore(store);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            // Private browsing can refuse storage; keep working from memory
+            request.onerror = () => {
+                console.warn('⚠️ Budget ledger storage unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run one request against a store
+     * @param {IDBDatabase} database - Open database
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    request(database, storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store several items in one transaction
+     */
+    async put(storeName, items, key) {
+        const database = await this.openDatabase();
+        if (!database || items.length === 0) return;
+        await this.request(database, storeName, 'readwrite', store => {
+            let request = null;
+            items.forEach(item => {
+                request = store.put(item, key(item));
+            });
+            return request;
+        });
+    }
+
+    async remove(storeName, key) {
+        const database = await this.openDatabase();
+        if (database) {
+            await this.request(database, storeName, 'readwrite', store => store.delete(key));
+        }
+    }
+
+    nextRuleId() {
+        this.ruleCounter++;
+        return `rule-${Date.now().toString(36)}-${this.ruleCounter}`;
+    }
+
+    /**
+     * Whether a rule matches a transaction
+     */
+    static matches(rule, transaction) {
+        if (rule.direction === 'debit' && transaction.amount >= 0) return false;
+        if (rule.direction === 'credit' && transaction.amount <= 0) return false;
+        const size = Math.abs(transaction.amount);
+        if (rule.minAmount !== null && size < rule.minAmount) return false;
+        if (rule.maxAmount !== null && size > rule.maxAmount) return false;
+        if (!rule.pattern) return true;
+
+        const texts = rule.field === 'payee' ? [transaction.payee]
+            : rule.field === 'memo' ? [transaction.memo]
+            : [transaction.payee, transaction.memo];
+        if (rule.match === 'regex') {
+            const pattern = new RegExp(rule.pattern, 'i');
+            return texts.some(text => pattern.test(text || ''));
+        }
+        const pattern = rule.pattern.toLowerCase();
+        return texts.some(text => {
+            const value = String(text || '').toLowerCase();
+            return rule.match === 'equals' ? value === pattern
+                : rule.match === 'startsWith' ? value.startsWith(pattern)
+                : value.includes(pattern);
+        });
+    }
+
+    /**
+     * Check and tidy a transaction
+     */
+    static normalizeTransaction(item) {
+        if (!item || typeof item !== 'object') {
+            throw new Error('Invalid transaction');
+        }
+        if (typeof item.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(item.date) || isNaN(new Date(`${item.date}T00:00:00Z`))) {
+            throw new Error(`Invalid transaction date: ${item.date}`);
+        }
+        const amount = Number(item.amount);
+        if (!isFinite(amount)) {
+            throw new Error(`Invalid transaction amount: ${item.amount}`);
+        }
+
+        const category = String(item.category || '').trim();
+        return {
+            id: item.id ? String(item.id) : null,
+            date: item.date,
+            amount: amount,
+            payee: String(item.payee || '').trim(),
+            memo: String(item.memo || '').trim(),
+            reference: String(item.reference || '').trim(),
+            account: String(item.account || '').trim(),
+            category: category,
+            categorySource: category ? item.categorySource || 'manual' : null,
+            ruleId: item.ruleId || null,
+            source: item.source || null,
+            importedAt: item.importedAt || null
+        };
+    }
+
+    /**
+     * Check and tidy a rule
+     */
+    static normalizeRule(rule) {
+        const category = String(rule.category || '').trim();
+        if (!category) {
+            throw new Error('Rule needs a category');
+        }
+        const match = rule.match || 'contains';
+        if (!['contains', 'equals', 'startsWith', 'regex'].includes(match)) {
+            throw new Error(`Unknown rule match: ${match}`);
+        }
+        const pattern = String(rule.pattern || '').trim();
+        if (match === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression: ${pattern}`);
+            }
+        }
+        const limit = value => {
+            if (value === undefined || value === null || value === '') return null;
+            const number = Number(value);
+            if (!isFinite(number) || number < 0) {
+                throw new Error(`Invalid rule amount: ${value}`);
+            }
+            return number;
+        };
+        const minAmount = limit(rule.minAmount);
+        const maxAmount = limit(rule.maxAmount);
+        if (!pattern && minAmount === null && maxAmount === null) {
+            throw new Error('Rule needs a pattern or an amount range');
+        }
+
+        return {
+            id: String(rule.id),
+            name: String(rule.name || pattern || category).trim(),
+            category: category,
+            field: ['payee', 'memo', 'any'].includes(rule.field) ? rule.field : 'any',
+            match: match,
+            pattern: pattern,
+            direction: ['debit', 'credit', 'any'].includes(rule.direction) ? rule.direction : 'any',
+            minAmount: minAmount,
+            maxAmount: maxAmount,
+            enabled: rule.enabled !== false
+        };
+    }
+
+    /**
+     * What makes two transactions the same
+     */
+    static naturalKey(transaction) {
+        return [transaction.account, transaction.date, transaction.amount.toFixed(2),
+            transaction.payee.toLowerCase(), transaction.memo.toLowerCase(), transaction.reference].join('|');
+    }
+
+    /**
+     * Short FNV-1a hash for transaction ids
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < text.length; index++) {
+            hash ^= text.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionLedger;
+}
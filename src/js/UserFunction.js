@@ -0,0 +1,130 @@
+/**
+ * UserFunction.js - Functions defined in the calculator itself
+ *
+ * A definition such as "f(x, y) = x^2 + y" is tokenized and parsed like any
+ * other expression; the resulting RPN is folded into a small syntax tree that
+ * the Evaluator walks with the call's arguments bound to the parameters.
+ *
+ * Node shapes:
+ *   { type: 'number', value }
+ *   { type: 'constant', name }
+ *   { type: 'variable', name }
+ *   { type: 'unit', name }
+ *   { type: 'binary', operator, left, right }
+ *   { type: 'unary', operator, operand }
+ *   { type: 'call', name, args }
+ *   { type: 'matrix', elements }
+ */
+
+class UserFunction {
+    /**
+     * @param {string} name - Function name
+     * @param {Array} params - Parameter names
+     * @param {string} body - Body source text
+     * @param {Object} ast - Root node of the body
+     */
+    constructor(name, params, body, ast) {
+        this.name = name;
+        this.params = params;
+        this.body = body;
+        this.ast = ast;
+    }
+
+    /**
+     * Build a syntax tree from RPN tokens
+     * @param {Array} rpnTokens - Tokens in RPN order
+     * @param {OperatorTable} operatorTable - Operator table for function arities
+     * @returns {Object} Root node
+     */
+    static buildAST(rpnTokens, operatorTable) {
+        const stack = [];
+        const pop = (count, what) => {
+            if (stack.length < count) {
+                throw new Error(`Insufficient operands for ${what}`);
+            }
+            return stack.splice(stack.length - count, count);
+        };
+
+        for (const token of rpnTokens) {
+            switch (token.type) {
+                case 'NUMBER':
+                    stack.push({ type: 'number', value: token.value });
+                    break;
+
+                case 'CONSTANT':
+                    stack.push({ type: 'constant', name: token.value });
+                    break;
+
+                case 'IDENTIFIER':
+                    stack.push({ type: 'variable', name: token.value });
+                    break;
+
+                case 'UNIT':
+                    stack.push({ type: 'unit', name: token.value });
+                    break;
+
+                case 'OPERATOR': {
+                    const [left, right] = pop(2, `operator ${token.value}`);
+                    stack.push({ type: 'binary', operator: token.value, left: left, right: right });
+                    break;
+                }
+
+                case 'UNARY_OPERATOR': {
+                    const [operand] = pop(1, `unary operator ${token.value}`);
+                    stack.push({ type: 'unary', operator: token.value, operand: operand });
+                    break;
+                }
+
+                case 'FUNCTION': {
+                    const funcInfo = operatorTable.getFunction(token.value);
+                    if (!funcInfo) {
+                        throw new Error(`Unknown function: ${token.value}`);
+                    }
+                    const argCount = token.argCount !== undefined ? token.argCount : funcInfo.arity;
+                    if (funcInfo.arity !== 'variadic' && argCount !== funcInfo.arity) {
+                        throw new Error(`Function ${token.value} requires ${funcInfo.arity} arguments, got ${argCount}`);
+                    }
+                    const args = pop(argCount, `function ${token.value}`);
+                    stack.push({ type: 'call', name: token.value.toLowerCase(), args: args });
+                    break;
+                }
+
+                case 'MATRIX':
+                    stack.push({ type: 'matrix', elements: pop(token.value, 'matrix literal') });
+                    break;
+
+                default:
+                    throw new Error(`Unsupported token in function body: ${token.value}`);
+            }
+        }
+
+        if (stack.length !== 1) {
+            throw new Error('Function body must be a single expression');
+        }
+
+        return stack[0];
+    }
+
+    /**
+     * Get the definition as typed by the user
+     * @returns {string} e.g. "f(x, y) = x^2 + y"
+     */
+    toString() {
+        return `${this.name}(${this.params.join(', ')}) = ${this.body}`;
+    }
+
+    /**
+     * Serializable form used by FunctionRegistry.export()
+     * @returns {Object} { params, body, description }
+     */
+    toJSON() {
+        return {
+            params: [...this.params],
+            body: this.body,
+            description: this.toString()
+        };
+    }
+}
+
+// Make available globally
+window.UserFunction = UserFunction;
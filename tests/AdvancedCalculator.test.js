@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const { AdvancedCalculator } = loadScripts([
+    'OperatorTable.js', 'DimensionEngine.js', 'Tokenizer.js', 'Parser.js', 'Evaluator.js', 'NumericTypes.js',
+    'FunctionRegistry.js', 'UserFunction.js', 'Statistics.js', 'AdvancedCalculator.js'
+]);
+
+const run = (calculator, expression) => {
+    const result = calculator.calculate(expression);
+    assert.ok(result.success, `${expression}: ${result.error}`);
+    return result.formattedResult;
+};
+
+test('variables may shadow unit names', () => {
+    const calculator = new AdvancedCalculator();
+    assert.equal(run(calculator, 't = 1'), 't = 1');
+    assert.equal(run(calculator, 'h = 2'), 'h = 2');
+    assert.equal(run(calculator, 't + h'), '3');
+    assert.equal(run(calculator, '2 t'), '2 t');
+    assert.equal(run(calculator, '3 h to min'), '180 min');
+});
+
+test('a unit after a number fraction scales the fraction', () => {
+    const calculator = new AdvancedCalculator();
+    assert.equal(run(calculator, '1/2 m'), '0.5 m');
+    assert.equal(run(calculator, '10 m / 2 s'), '5 m/s');
+    assert.equal(run(calculator, '5 km/h * 2 h to m'), '10000 m');
+});
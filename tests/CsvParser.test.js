@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const { CsvParser, StatementImporter, CashFlowAnalyzer, SubscriptionMetrics } = loadScripts([
+    'Money.js', 'CsvParser.js', 'StatementImporter.js', 'CashFlowAnalyzer.js', 'SubscriptionMetrics.js'
+]);
+
+test('parseAmount reads the decimal separator from the number', () => {
+    assert.equal(CsvParser.parseAmount('-1000.50'), -1000.5);
+    assert.equal(CsvParser.parseAmount('1,234.50'), 1234.5);
+    assert.equal(CsvParser.parseAmount('1.234,50'), 1234.5);
+    assert.equal(CsvParser.parseAmount('-1000,5'), -1000.5);
+    assert.equal(CsvParser.parseAmount('1 234,56'), 1234.56);
+    assert.equal(CsvParser.parseAmount('1,234,567.8'), 1234567.8);
+    assert.equal(CsvParser.parseAmount('1.234.567'), 1234567);
+    assert.equal(CsvParser.parseAmount('1.234'), 1234);
+    assert.equal(CsvParser.parseAmount('0.125'), 0.125);
+    assert.equal(CsvParser.parseAmount('(1,234.50)'), -1234.5);
+    assert.equal(CsvParser.parseAmount('12.00 DR'), -12);
+    assert.equal(CsvParser.parseAmount('abc'), null);
+});
+
+test('semicolon files with dot decimals import at face value', () => {
+    const statement = new StatementImporter().parseCSV('date;description;amount\n2024-01-01;Rent;-1000.50\n2024-01-02;Pay;2500');
+    assert.deepEqual(Array.from(statement.transactions, transaction => transaction.amount), [-1000.5, 2500]);
+
+    const flows = new CashFlowAnalyzer().parseCSV('date;amount\n2024-01-01;-1000.50\n2025-01-01;1.100,25');
+    assert.deepEqual(Array.from(flows.flows, flow => flow.amount), [-1000.5, 1100.25]);
+
+    const events = new SubscriptionMetrics(null).parseCSV('date;customer;type;mrr\n2024-01-01;acme;new;49.99');
+    assert.equal(events.events[0].mrr, 49.99);
+});
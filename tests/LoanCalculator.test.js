@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const { LoanCalculator } = loadScripts(['Money.js', 'LoanCalculator.js']);
+
+test('a deferred first payment accrues interest for the whole period', () => {
+    const calculator = new LoanCalculator();
+    const regular = calculator.calculateAdvancedLoan(10000, 5, 1, { startDate: '2024-01-01' });
+    const deferred = calculator.calculateAdvancedLoan(10000, 5, 1, { startDate: '2024-01-01', firstPaymentDate: '2024-03-01' });
+    const [first] = deferred.amortizationSchedule;
+
+    assert.equal(regular.totalInterest, 272.89);
+    assert.equal(first.interestPayment, 83.33);
+    assert.ok(deferred.totalInterest > regular.totalInterest);
+    assert.equal(deferred.amortizationSchedule[deferred.amortizationSchedule.length - 1].remainingBalance, 0);
+});
+
+test('a broken first period adds actual days to the whole months', () => {
+    const calculator = new LoanCalculator();
+    const result = calculator.calculateAdvancedLoan(10000, 5, 1, { startDate: '2024-01-15', firstPaymentDate: '2024-03-01' });
+    // One month (Feb 1 to Mar 1) plus 17 days from Jan 15
+    assert.equal(result.amortizationSchedule[0].interestPayment, Math.round(10000 * 0.05 * (1 / 12 + 17 / 365) * 100) / 100);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const { MathSolver } = loadScripts([
+    'OperatorTable.js', 'NumericTypes.js', 'DimensionEngine.js', 'Tokenizer.js', 'Parser.js', 'Evaluator.js',
+    'UserFunction.js', 'ExpressionTree.js', 'SymbolicDifferentiator.js', 'SymbolicIntegrator.js',
+    'ScientificModes.js', 'ScientificFunctions.js', 'EquationSolver.js', 'MathSolver.js'
+]);
+
+test('"integrate" and "differentiate" reach the calculus solvers', () => {
+    const solver = new MathSolver();
+    const integral = solver.solveProblem('integrate x^2');
+    assert.equal(integral.type, 'integral');
+    assert.equal(integral.answer, '1/3*x^3 + C');
+
+    assert.equal(solver.solveProblem('integrate x^2 dx from 0 to 3').answer, '9');
+    assert.equal(solver.solveProblem('integration of sin(x)').answer, '-cos(x) + C');
+
+    const derivative = solver.solveProblem('differentiate x^3');
+    assert.equal(derivative.type, 'derivative');
+    assert.equal(derivative.answer, '3*x^2');
+});
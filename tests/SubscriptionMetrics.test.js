@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const { SubscriptionMetrics } = loadScripts(['Money.js', 'CsvParser.js', 'SubscriptionMetrics.js']);
+
+const events = [
+    { date: '2024-01-05', customer: 'acme', type: 'new', mrr: 100 },
+    { date: '2024-01-10', customer: 'globex', type: 'new', mrr: 50 },
+    { date: '2024-02-01', customer: 'globex', type: 'churn' },
+    { date: '2024-03-03', customer: 'initech', type: 'new', mrr: 70 },
+    { date: '2024-04-02', customer: 'globex', type: 'reactivation', mrr: 60 }
+];
+
+test('works without a calculator when customers churn', () => {
+    const result = new SubscriptionMetrics(null).analyze(events);
+    assert.ok(result.success, result.error);
+    assert.ok(result.logoChurnRate > 0);
+    assert.equal(result.ltv, null);
+    assert.equal(result.cac, null);
+});
+
+test('customers paying before startMonth are carried in, not new', () => {
+    const result = new SubscriptionMetrics(null).analyze(events, { startMonth: '2024-03' });
+    const [march, april] = result.trend;
+    assert.equal(march.startMRR, 100);
+    assert.equal(march.newMRR, 70);
+    assert.equal(april.reactivationMRR, 60);
+    assert.equal(result.newCustomers, 1);
+    assert.deepEqual(Array.from(result.cohorts, cohort => cohort.cohort), ['2024-03']);
+});
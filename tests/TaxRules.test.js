@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadScripts } from './helpers/loadScripts.js';
+
+const requests = [];
+const { TaxRules } = loadScripts(['TaxRules.js'], {
+    fetch: async url => {
+        requests.push(url);
+        return { ok: true, json: async () => ruleFile(url.split('/').pop()) };
+    }
+});
+
+function ruleFile(name) {
+    return JSON.parse(readFileSync(new URL(`../src/data/tax-rules/${name}`, import.meta.url), 'utf8'));
+}
+
+test('surcharge thresholds may differ by filing status', () => {
+    const rules = ruleFile('IN-2025.json');
+    rules.filingStatuses = ['individual', 'huf'];
+    const regime = rules.regimes[Object.keys(rules.regimes)[0]];
+    const thresholds = regime.surcharges.thresholds;
+    regime.surcharges.thresholds = { individual: thresholds, huf: thresholds.map(item => ({ ...item, over: item.over * 2 })) };
+
+    const taxRules = new TaxRules();
+    assert.equal(TaxRules.validate(rules).length, 0);
+    taxRules.register(rules);
+    const income = thresholds[0].over * 1.5;
+    assert.ok(taxRules.calculate(rules, { income, filingStatus: 'individual' }).surcharge > 0);
+    assert.equal(taxRules.calculate(rules, { income, filingStatus: 'huf' }).surcharge, 0);
+});
+
+test('concurrent loads share one index request', async () => {
+    requests.length = 0;
+    const taxRules = new TaxRules();
+    const [us, uk] = await Promise.all([taxRules.load('US'), taxRules.load('UK'), taxRules.loadIndex()]);
+    assert.equal(us.country, 'US');
+    assert.equal(uk.country, 'UK');
+    assert.equal(requests.filter(url => url.endsWith('/index.json')).length, 1);
+});
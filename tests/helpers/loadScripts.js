@@ -0,0 +1,28 @@
+/**
+ * Load browser scripts from src/js into a shared sandbox, the way the pages
+ * load them with script tags, and return the classes they define. Extra
+ * globals (such as a fetch stub) are added to the sandbox.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const root = fileURLToPath(new URL('../../', import.meta.url));
+
+export function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        ...globals,
+        console: { log() {}, warn() {}, error() {} },
+        performance: { now: () => Date.now() },
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder
+    });
+    context.window = context;
+    for (const file of files) {
+        vm.runInContext(readFileSync(`${root}src/js/${file}`, 'utf8'), context, { filename: file });
+    }
+    return new Proxy({}, { get: (target, name) => vm.runInContext(String(name), context) });
+}